@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/*
+    Impossible Cloud Bucket Policy Generator - icpolicy command
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+*/
+
+import { runCli } from '../lib/cli.js';
+
+process.exitCode = runCli(process.argv.slice(2));
@@ -18,11 +18,20 @@ export default [
         console: 'readonly',
         alert: 'readonly',
         confirm: 'readonly',
+        prompt: 'readonly',
         FormData: 'readonly',
         Blob: 'readonly',
+        Option: 'readonly',
         URL: 'readonly',
+        location: 'readonly',
+        history: 'readonly',
+        btoa: 'readonly',
+        atob: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
         HTMLElement: 'readonly',
         Element: 'readonly',
+        NodeFilter: 'readonly',
         Event: 'readonly',
         ClipboardEvent: 'readonly',
         KeyboardEvent: 'readonly',
@@ -41,8 +50,7 @@ export default [
         'warn',
         {
           argsIgnorePattern: '^_|^e$',
-          varsIgnorePattern:
-            '^_|^currentPolicy$|^toggleCategory$|^loadTemplate$|^generatePolicy$|^copyPolicy$|^downloadPolicy$|^clearForm$|^validatePolicy$|^validatePrincipal$|^service$|^warnings$',
+          varsIgnorePattern: '^_|^service$|^warnings$',
         },
       ],
       'no-console': 'off',
@@ -50,6 +58,14 @@ export default [
       'no-var': 'error',
     },
   },
+  {
+    files: ['bin/**/*.js'],
+    languageOptions: {
+      globals: {
+        process: 'readonly',
+      },
+    },
+  },
   {
     files: ['tests/**/*.js', 'playwright.config.js', 'jest.config.js'],
     languageOptions: {
@@ -4,7 +4,12 @@ export default {
   transform: {},
   testMatch: ['**/tests/unit/**/*.test.js'],
   setupFilesAfterEnv: ['<rootDir>/tests/unit/jest.setup.js'],
-  collectCoverageFrom: ['policy-generator.js', '!**/node_modules/**', '!**/tests/**'],
+  collectCoverageFrom: [
+    'policy-generator.js',
+    'lib/**/*.js',
+    '!**/node_modules/**',
+    '!**/tests/**',
+  ],
   coverageThreshold: {
     global: {
       branches: 70,
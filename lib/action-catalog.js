@@ -0,0 +1,682 @@
+/*
+    Impossible Cloud Bucket Policy Generator - S3 Action Catalog
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    The single list of S3 actions the generator knows about. The action
+    checkboxes are rendered from it, validation and templates are checked
+    against it, and provider support and risk levels come from it.
+
+    Each action applies either to the bucket (arn:aws:s3:::bucket) or to the
+    objects in it (arn:aws:s3:::bucket/key). Action names are not a reliable
+    guide - s3:PutObjectLockConfiguration is a bucket action, for example -
+    so resource types are looked up here rather than guessed.
+*/
+
+import { matchesWildcard } from './policy-simulator.js';
+
+export const RESOURCE_BUCKET = 'bucket';
+export const RESOURCE_OBJECT = 'object';
+
+export const RISK_HIGH = 'high';
+export const RISK_MEDIUM = 'medium';
+export const RISK_LOW = 'low';
+
+// Checkbox categories in the order they are shown; only the first starts expanded
+export const ACTION_CATEGORIES = [
+  { id: 'objects', name: '📄 Object Operations' },
+  { id: 'bucket', name: '🗂️ Bucket Operations' },
+  { id: 'policy', name: '🔐 Bucket Policy & CORS' },
+  { id: 'versioning', name: '🔄 Object Versioning' },
+  { id: 'multipart', name: '📤 Multipart Upload' },
+  { id: 'tagging', name: '🏷️ Bucket Tagging' },
+  { id: 'objectLock', name: '🔒 Object Lock & Compliance' },
+  { id: 'access', name: '👥 Access Control' },
+  { id: 'configuration', name: '⚙️ Bucket Configuration' },
+  { id: 'advanced', name: '🚀 Advanced' },
+];
+
+/**
+ * S3 actions, in the order they are shown. Risk is high for actions that change who
+ * has access, medium for actions that delete data or weaken its protection, and low
+ * otherwise. awsOnly marks AWS features that S3-compatible providers do not offer.
+ */
+export const S3_ACTIONS = [
+  // Object Operations
+  {
+    name: 's3:GetObject',
+    label: 'GetObject (Read)',
+    category: 'objects',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Read an object and its metadata',
+  },
+  {
+    name: 's3:PutObject',
+    label: 'PutObject (Write)',
+    category: 'objects',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Upload or overwrite an object',
+  },
+  {
+    name: 's3:DeleteObject',
+    category: 'objects',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_MEDIUM,
+    description: 'Delete an object (adds a delete marker when versioning is on)',
+  },
+  {
+    name: 's3:GetObjectAttributes',
+    category: 'objects',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Read object attributes such as size, checksum and parts',
+  },
+  {
+    name: 's3:GetObjectTagging',
+    category: 'objects',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Read the tags of an object',
+  },
+  {
+    name: 's3:PutObjectTagging',
+    category: 'objects',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Replace the tags of an object',
+  },
+  {
+    name: 's3:DeleteObjectTagging',
+    category: 'objects',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Remove the tags of an object',
+  },
+  {
+    name: 's3:RestoreObject',
+    category: 'objects',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Restore an archived object',
+  },
+  {
+    name: 's3:GetObjectTorrent',
+    category: 'objects',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    awsOnly: true,
+    description: 'Download an object as a BitTorrent file',
+  },
+
+  // Bucket Operations
+  {
+    name: 's3:ListBucket',
+    category: 'bucket',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'List the objects in the bucket',
+  },
+  {
+    name: 's3:ListBucketVersions',
+    category: 'bucket',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'List every version of the objects in the bucket',
+  },
+  {
+    name: 's3:ListBucketMultipartUploads',
+    category: 'bucket',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'List multipart uploads in progress',
+  },
+  {
+    name: 's3:GetBucketLocation',
+    category: 'bucket',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the region of the bucket',
+  },
+  {
+    name: 's3:GetBucketVersioning',
+    category: 'bucket',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read whether versioning is enabled',
+  },
+  {
+    name: 's3:PutBucketVersioning',
+    category: 'bucket',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_MEDIUM,
+    description: 'Enable or suspend versioning',
+  },
+
+  // Bucket Policy & CORS
+  {
+    name: 's3:GetBucketPolicy',
+    category: 'policy',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the bucket policy',
+  },
+  {
+    name: 's3:PutBucketPolicy',
+    category: 'policy',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_HIGH,
+    description: 'Replace the bucket policy',
+  },
+  {
+    name: 's3:DeleteBucketPolicy',
+    category: 'policy',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_HIGH,
+    description: 'Delete the bucket policy',
+  },
+  {
+    name: 's3:GetBucketCORS',
+    category: 'policy',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the CORS configuration',
+  },
+  {
+    name: 's3:PutBucketCORS',
+    category: 'policy',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Replace the CORS configuration',
+  },
+  {
+    name: 's3:DeleteBucketCORS',
+    category: 'policy',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Delete the CORS configuration',
+  },
+
+  // Object Versioning
+  {
+    name: 's3:GetObjectVersion',
+    category: 'versioning',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Read a specific version of an object',
+  },
+  {
+    name: 's3:DeleteObjectVersion',
+    category: 'versioning',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_MEDIUM,
+    description: 'Permanently delete a specific version of an object',
+  },
+  {
+    name: 's3:GetObjectVersionAttributes',
+    category: 'versioning',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Read the attributes of a specific object version',
+  },
+  {
+    name: 's3:GetObjectVersionTagging',
+    category: 'versioning',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Read the tags of a specific object version',
+  },
+  {
+    name: 's3:PutObjectVersionTagging',
+    category: 'versioning',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Replace the tags of a specific object version',
+  },
+  {
+    name: 's3:DeleteObjectVersionTagging',
+    category: 'versioning',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Remove the tags of a specific object version',
+  },
+  {
+    name: 's3:GetObjectVersionTorrent',
+    category: 'versioning',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    awsOnly: true,
+    description: 'Download an object version as a BitTorrent file',
+  },
+
+  // Multipart Upload
+  {
+    name: 's3:AbortMultipartUpload',
+    category: 'multipart',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Cancel a multipart upload and discard its parts',
+  },
+  {
+    name: 's3:ListMultipartUploadParts',
+    category: 'multipart',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'List the uploaded parts of a multipart upload',
+  },
+
+  // Bucket Tagging
+  {
+    name: 's3:GetBucketTagging',
+    category: 'tagging',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the tags of the bucket',
+  },
+  {
+    name: 's3:PutBucketTagging',
+    category: 'tagging',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Replace the tags of the bucket',
+  },
+  {
+    name: 's3:DeleteBucketTagging',
+    category: 'tagging',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Remove the tags of the bucket',
+  },
+
+  // Object Lock & Compliance
+  {
+    name: 's3:GetObjectLockConfiguration',
+    category: 'objectLock',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the default Object Lock retention of the bucket',
+  },
+  {
+    name: 's3:PutObjectLockConfiguration',
+    category: 'objectLock',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_MEDIUM,
+    description: 'Change the default Object Lock retention of the bucket',
+  },
+  {
+    name: 's3:GetBucketObjectLockConfiguration',
+    category: 'objectLock',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the Object Lock configuration of the bucket',
+  },
+  {
+    name: 's3:PutBucketObjectLockConfiguration',
+    category: 'objectLock',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_MEDIUM,
+    description: 'Change the Object Lock configuration of the bucket',
+  },
+  {
+    name: 's3:GetObjectRetention',
+    category: 'objectLock',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Read the retention period of an object',
+  },
+  {
+    name: 's3:PutObjectRetention',
+    category: 'objectLock',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_MEDIUM,
+    description: 'Set or change the retention period of an object',
+  },
+  {
+    name: 's3:GetObjectLegalHold',
+    category: 'objectLock',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Read whether an object is under legal hold',
+  },
+  {
+    name: 's3:PutObjectLegalHold',
+    category: 'objectLock',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_MEDIUM,
+    description: 'Place or remove a legal hold on an object',
+  },
+  {
+    name: 's3:BypassGovernanceRetention',
+    category: 'objectLock',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_MEDIUM,
+    description: 'Delete or shorten governance-mode retention',
+  },
+
+  // Access Control
+  {
+    name: 's3:GetBucketAcl',
+    category: 'access',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the access control list of the bucket',
+  },
+  {
+    name: 's3:PutBucketAcl',
+    category: 'access',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_HIGH,
+    description: 'Replace the access control list of the bucket',
+  },
+  {
+    name: 's3:GetObjectAcl',
+    category: 'access',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Read the access control list of an object',
+  },
+  {
+    name: 's3:PutObjectAcl',
+    category: 'access',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_HIGH,
+    description: 'Replace the access control list of an object',
+  },
+  {
+    name: 's3:GetObjectVersionAcl',
+    category: 'access',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_LOW,
+    description: 'Read the access control list of an object version',
+  },
+  {
+    name: 's3:PutObjectVersionAcl',
+    category: 'access',
+    resourceType: RESOURCE_OBJECT,
+    risk: RISK_HIGH,
+    description: 'Replace the access control list of an object version',
+  },
+  {
+    name: 's3:GetBucketOwnershipControls',
+    category: 'access',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the object ownership setting',
+  },
+  {
+    name: 's3:PutBucketOwnershipControls',
+    category: 'access',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_HIGH,
+    description: 'Change the object ownership setting',
+  },
+  {
+    name: 's3:GetBucketPublicAccessBlock',
+    category: 'access',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    awsOnly: true,
+    description: 'Read the Block Public Access settings',
+  },
+  {
+    name: 's3:PutBucketPublicAccessBlock',
+    category: 'access',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_HIGH,
+    awsOnly: true,
+    description: 'Change the Block Public Access settings',
+  },
+
+  // Bucket Configuration
+  {
+    name: 's3:GetLifecycleConfiguration',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the lifecycle rules',
+  },
+  {
+    name: 's3:PutLifecycleConfiguration',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_MEDIUM,
+    description: 'Replace the lifecycle rules, which can expire objects',
+  },
+  {
+    name: 's3:GetEncryptionConfiguration',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the default encryption',
+  },
+  {
+    name: 's3:PutEncryptionConfiguration',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Change the default encryption',
+  },
+  {
+    name: 's3:GetReplicationConfiguration',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the replication rules',
+  },
+  {
+    name: 's3:PutReplicationConfiguration',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Replace the replication rules',
+  },
+  {
+    name: 's3:GetBucketLogging',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the access logging settings',
+  },
+  {
+    name: 's3:PutBucketLogging',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Change the access logging settings',
+  },
+  {
+    name: 's3:GetBucketNotification',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Read the event notification settings',
+  },
+  {
+    name: 's3:PutBucketNotification',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    description: 'Change the event notification settings',
+  },
+  {
+    name: 's3:GetBucketWebsite',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    awsOnly: true,
+    description: 'Read the static website settings',
+  },
+  {
+    name: 's3:PutBucketWebsite',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    awsOnly: true,
+    description: 'Change the static website settings',
+  },
+  {
+    name: 's3:DeleteBucketWebsite',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    awsOnly: true,
+    description: 'Remove the static website settings',
+  },
+  {
+    name: 's3:GetBucketRequestPayment',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    awsOnly: true,
+    description: 'Read the Requester Pays setting',
+  },
+  {
+    name: 's3:PutBucketRequestPayment',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    awsOnly: true,
+    description: 'Change the Requester Pays setting',
+  },
+  {
+    name: 's3:GetAccelerateConfiguration',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    awsOnly: true,
+    description: 'Read the Transfer Acceleration setting',
+  },
+  {
+    name: 's3:PutAccelerateConfiguration',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_LOW,
+    awsOnly: true,
+    description: 'Change the Transfer Acceleration setting',
+  },
+  {
+    name: 's3:DeleteBucket',
+    category: 'configuration',
+    resourceType: RESOURCE_BUCKET,
+    risk: RISK_MEDIUM,
+    description: 'Delete the bucket itself (it must be empty)',
+  },
+
+  // Advanced - a wildcard, so its resource types are those of the actions it matches
+  {
+    name: 's3:*',
+    label: 's3:* (All S3 Actions)',
+    category: 'advanced',
+    resourceType: null,
+    risk: RISK_HIGH,
+    description: 'Every S3 action, including deleting the bucket and changing its policy',
+  },
+];
+
+/**
+ * Look up a catalog entry by action name (case-insensitive, like IAM)
+ * @param {string} action - Action name, e.g. "s3:GetObject"
+ * @returns {Object|null} - The catalog entry, or null for unknown actions and wildcards
+ */
+export function getAction(action) {
+  const lowerAction = String(action).toLowerCase();
+  return S3_ACTIONS.find((entry) => entry.name.toLowerCase() === lowerAction) || null;
+}
+
+/**
+ * The actions in a category
+ * @param {string} categoryId - ID from ACTION_CATEGORIES, e.g. "objects"
+ * @returns {Object[]} - Catalog entries in display order
+ */
+export function getCategoryActions(categoryId) {
+  return S3_ACTIONS.filter((entry) => entry.category === categoryId);
+}
+
+function isPattern(value) {
+  return value.includes('*') || value.includes('?');
+}
+
+/**
+ * The catalog actions an action pattern covers
+ * @param {string} pattern - Action pattern, e.g. "s3:Get*" ("Get*" is read as "s3:Get*")
+ * @returns {string[]} - Names of the concrete actions it matches, in catalog order
+ */
+export function expandActionPattern(pattern) {
+  const value = String(pattern).trim();
+  const fullPattern = value.includes(':') ? value : `s3:${value}`;
+  return S3_ACTIONS.filter(
+    (entry) => !isPattern(entry.name) && matchesWildcard(fullPattern, entry.name, true)
+  ).map((entry) => entry.name);
+}
+
+/**
+ * Search the catalog the way the action picker does
+ * @param {string} query - Words to find in an action's name or description, or a pattern such as "s3:Get*"
+ * @returns {Object[]} - Matching catalog entries; every entry for an empty query
+ */
+export function searchActions(query) {
+  const value = String(query || '').trim();
+  if (!value) {
+    return S3_ACTIONS;
+  }
+  if (isPattern(value)) {
+    const names = expandActionPattern(value);
+    return S3_ACTIONS.filter((entry) => names.includes(entry.name));
+  }
+  const words = value.toLowerCase().split(/\s+/);
+  return S3_ACTIONS.filter((entry) => {
+    const text = `${entry.name} ${entry.description}`.toLowerCase();
+    return words.every((word) => text.includes(word));
+  });
+}
+
+/**
+ * Split free-text actions into the catalog actions they name and the rest
+ * @param {string[]} actions - Actions as typed, e.g. ["s3:getobject", "s3:Get*"]
+ * @returns {Object} - { known, custom } - known holds catalog names, custom everything else, patterns included
+ */
+export function splitKnownActions(actions) {
+  const known = [];
+  const custom = [];
+  actions.forEach((action) => {
+    const entry = getAction(action);
+    if (entry) {
+      if (!known.includes(entry.name)) known.push(entry.name);
+    } else if (!custom.includes(action)) {
+      custom.push(action);
+    }
+  });
+  return { known, custom };
+}
+
+/**
+ * The resource types an action or action pattern applies to
+ * @param {string} action - Action name or wildcard pattern, e.g. "s3:Get*"
+ * @returns {string[]} - Resource types; empty for unknown actions
+ */
+export function getActionResourceTypes(action) {
+  const value = String(action);
+  if (!isPattern(value)) {
+    const entry = getAction(value);
+    return entry ? [entry.resourceType] : [];
+  }
+  return [RESOURCE_BUCKET, RESOURCE_OBJECT].filter((type) =>
+    S3_ACTIONS.some(
+      (entry) => entry.resourceType === type && matchesWildcard(value, entry.name, true)
+    )
+  );
+}
+
+/**
+ * The resource types an ARN covers
+ * @param {string} resource - A resource ARN or "*"
+ * @returns {string[]} - ["bucket"], ["object"], or both for "*" and wildcards in the bucket name
+ */
+export function getArnResourceTypes(resource) {
+  const value = String(resource);
+  const separator = value.indexOf(':::');
+  const path = separator >= 0 ? value.slice(separator + 3) : value;
+  if (path.includes('/')) return [RESOURCE_OBJECT];
+  if (isPattern(path)) return [RESOURCE_BUCKET, RESOURCE_OBJECT];
+  return [RESOURCE_BUCKET];
+}
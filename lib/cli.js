@@ -0,0 +1,133 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Command Line Interface
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+*/
+
+import { readFileSync } from 'fs';
+import { validatePolicyDocument } from './policy-engine.js';
+import { POLICY_SCHEMA } from './policy-schema.js';
+import { PROVIDER_PROFILES } from './providers.js';
+
+export const EXIT_OK = 0;
+export const EXIT_INVALID = 1;
+export const EXIT_USAGE = 2;
+
+const USAGE = `Usage: icpolicy validate [--strict] [--provider <id>] <files...>
+       icpolicy schema
+
+Validate bucket policy JSON files with the same rules as the web UI, or
+print the JSON Schema of a bucket policy for editors such as VS Code.
+
+Options:
+  --strict         Treat warnings as failures
+  --provider <id>  Target provider: ${Object.keys(PROVIDER_PROFILES).join(', ')} (default impossible-cloud)
+  -h, --help       Show this help`;
+
+/**
+ * Validate a list of policy files and print findings
+ * @param {string[]} files - Paths of the policy files to validate
+ * @param {Object} options - { strict, provider, stdout, stderr, readFile }
+ * @returns {number} - Process exit code
+ */
+export function validateFiles(files, options) {
+  const { strict, provider, stdout, readFile } = options;
+  let errorCount = 0;
+  let warningCount = 0;
+  let failedFiles = 0;
+
+  files.forEach((file) => {
+    let result;
+    try {
+      result = validatePolicyDocument(readFile(file), { provider });
+    } catch (e) {
+      result = { isValid: false, errors: [`Cannot read file: ${e.message}`], warnings: [] };
+    }
+
+    result.errors.forEach((error) => stdout(`${file}: error: ${error}`));
+    result.warnings.forEach((warning) => stdout(`${file}: warning: ${warning}`));
+    errorCount += result.errors.length;
+    warningCount += result.warnings.length;
+
+    if (result.errors.length > 0 || (strict && result.warnings.length > 0)) {
+      failedFiles++;
+    } else if (result.warnings.length === 0) {
+      stdout(`${file}: ok`);
+    }
+  });
+
+  stdout(
+    `\n${files.length} file${files.length === 1 ? '' : 's'} checked: ` +
+      `${errorCount} error${errorCount === 1 ? '' : 's'}, ` +
+      `${warningCount} warning${warningCount === 1 ? '' : 's'}` +
+      (failedFiles > 0 ? `, ${failedFiles} failed` : '')
+  );
+
+  return failedFiles > 0 ? EXIT_INVALID : EXIT_OK;
+}
+
+/**
+ * Entry point for the icpolicy command
+ * @param {string[]} args - Command line arguments (without node and script path)
+ * @param {Object} io - Optional overrides: { stdout, stderr, readFile }
+ * @returns {number} - Process exit code
+ */
+export function runCli(args, io = {}) {
+  const stdout = io.stdout || ((line) => console.log(line));
+  const stderr = io.stderr || ((line) => console.error(line));
+  const readFile = io.readFile || ((file) => readFileSync(file, 'utf-8'));
+
+  const [command, ...rest] = args;
+  if (!command) {
+    stderr(USAGE);
+    return EXIT_USAGE;
+  }
+  if (command === '-h' || command === '--help') {
+    stdout(USAGE);
+    return EXIT_OK;
+  }
+
+  if (command === 'schema') {
+    if (rest.length > 0) {
+      stderr(`Unexpected argument "${rest[0]}"\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    stdout(JSON.stringify(POLICY_SCHEMA, null, 2));
+    return EXIT_OK;
+  }
+
+  if (command !== 'validate') {
+    stderr(`Unknown command "${command}"\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  let strict = false;
+  let provider;
+  const files = [];
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--strict') {
+      strict = true;
+    } else if (arg === '--provider') {
+      provider = rest[++i];
+      if (!PROVIDER_PROFILES[provider]) {
+        stderr(`Unknown provider "${provider || ''}"\n\n${USAGE}`);
+        return EXIT_USAGE;
+      }
+    } else if (arg === '-h' || arg === '--help') {
+      stdout(USAGE);
+      return EXIT_OK;
+    } else if (arg.startsWith('-')) {
+      stderr(`Unknown option "${arg}"\n\n${USAGE}`);
+      return EXIT_USAGE;
+    } else {
+      files.push(arg);
+    }
+  }
+
+  if (files.length === 0) {
+    stderr(`No policy files given\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  return validateFiles(files, { strict, provider, stdout, stderr, readFile });
+}
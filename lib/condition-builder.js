@@ -0,0 +1,137 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Condition Builder
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Converts between a policy Condition block and the flat list of rows
+    (operator, key, values) edited in the visual condition builder.
+*/
+
+import { parseConditionOperator } from './condition-keys.js';
+
+// Base operators offered by the builder, grouped by operator family
+export const CONDITION_OPERATOR_GROUPS = {
+  String: [
+    'StringEquals',
+    'StringNotEquals',
+    'StringEqualsIgnoreCase',
+    'StringNotEqualsIgnoreCase',
+    'StringLike',
+    'StringNotLike',
+  ],
+  Numeric: [
+    'NumericEquals',
+    'NumericNotEquals',
+    'NumericLessThan',
+    'NumericLessThanEquals',
+    'NumericGreaterThan',
+    'NumericGreaterThanEquals',
+  ],
+  Date: [
+    'DateEquals',
+    'DateNotEquals',
+    'DateLessThan',
+    'DateLessThanEquals',
+    'DateGreaterThan',
+    'DateGreaterThanEquals',
+  ],
+  Boolean: ['Bool'],
+  Binary: ['BinaryEquals'],
+  'IP Address': ['IpAddress', 'NotIpAddress'],
+  ARN: ['ArnEquals', 'ArnNotEquals', 'ArnLike', 'ArnNotLike'],
+  Null: ['Null'],
+};
+
+export const CONDITION_QUALIFIERS = ['ForAnyValue', 'ForAllValues'];
+
+/**
+ * Create a builder row
+ * @param {Object} fields - Optional { qualifier, operator, ifExists, key, values }
+ * @returns {Object} - A complete row
+ */
+export function createConditionRow(fields = {}) {
+  return {
+    qualifier: fields.qualifier || '',
+    operator: fields.operator || 'StringEquals',
+    ifExists: Boolean(fields.ifExists),
+    key: fields.key || '',
+    values: fields.values ? [...fields.values] : [],
+  };
+}
+
+/**
+ * Get the full operator name a row serializes to
+ * @param {Object} row - A builder row
+ * @returns {string} - e.g. "ForAnyValue:StringLikeIfExists"
+ */
+export function getRowOperator(row) {
+  const qualifier = row.qualifier ? `${row.qualifier}:` : '';
+  const ifExists = row.ifExists && row.operator !== 'Null' ? 'IfExists' : '';
+  return `${qualifier}${row.operator}${ifExists}`;
+}
+
+/**
+ * Split a Condition block into builder rows, one per operator/key pair
+ * @param {Object} condition - A policy Condition block (or null)
+ * @returns {Array} - Builder rows
+ */
+export function conditionToRows(condition) {
+  if (!condition || typeof condition !== 'object') return [];
+
+  const rows = [];
+  Object.keys(condition).forEach((operator) => {
+    const { qualifier, baseOperator, ifExists } = parseConditionOperator(operator);
+    const block = condition[operator] || {};
+    Object.keys(block).forEach((key) => {
+      rows.push(
+        createConditionRow({
+          qualifier: qualifier || '',
+          operator: baseOperator,
+          ifExists,
+          key,
+          values: [].concat(block[key]).map(String),
+        })
+      );
+    });
+  });
+  return rows;
+}
+
+/**
+ * Serialize builder rows into a Condition block
+ * @param {Array} rows - Builder rows; completely empty rows are ignored
+ * @returns {Object} - { isValid, condition, errors } where condition is null when there are no rows
+ */
+export function rowsToCondition(rows) {
+  const errors = [];
+  const condition = {};
+
+  (rows || []).forEach((row, idx) => {
+    const key = (row.key || '').trim();
+    const values = (row.values || []).map((value) => String(value).trim()).filter((v) => v);
+    if (!key && values.length === 0) return;
+
+    const prefix = `Condition ${idx + 1}`;
+    if (!key) {
+      errors.push(`${prefix}: Condition key is required`);
+      return;
+    }
+    if (values.length === 0) {
+      errors.push(`${prefix}: At least one value is required for ${key}`);
+      return;
+    }
+
+    const operator = getRowOperator(row);
+    condition[operator] = condition[operator] || {};
+    if (condition[operator][key] !== undefined) {
+      errors.push(`${prefix}: ${key} is already used with ${operator}`);
+      return;
+    }
+    condition[operator][key] = values.length === 1 ? values[0] : values;
+  });
+
+  return {
+    isValid: errors.length === 0,
+    condition: Object.keys(condition).length > 0 ? condition : null,
+    errors,
+  };
+}
@@ -0,0 +1,308 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Condition Key Catalog
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Global and S3 condition keys with the type of value each one carries,
+    used to type-check condition values and operator/key pairings.
+*/
+
+// Value types, matching the IAM condition data types
+export const CONDITION_TYPES = ['String', 'Numeric', 'Date', 'Bool', 'Binary', 'IPAddress', 'ARN'];
+
+// Operator families each value type can be used with (Null works with every key)
+const COMPATIBLE_FAMILIES = {
+  String: ['String'],
+  Numeric: ['Numeric'],
+  Date: ['Date'],
+  Bool: ['Bool'],
+  Binary: ['Binary'],
+  IPAddress: ['IPAddress'],
+  ARN: ['ARN', 'String'],
+};
+
+/**
+ * Condition keys supported in bucket policies. Keys ending in "/*" take a
+ * tag key or other suffix, e.g. aws:RequestTag/team
+ */
+export const CONDITION_KEYS = {
+  // Global condition keys
+  'aws:SourceIp': { type: 'IPAddress', description: 'IP address the request came from' },
+  'aws:VpcSourceIp': {
+    type: 'IPAddress',
+    description: 'IP address of a request made through a VPC endpoint',
+  },
+  'aws:SecureTransport': { type: 'Bool', description: 'Whether the request was sent over TLS' },
+  'aws:CurrentTime': { type: 'Date', description: 'Date and time of the request' },
+  'aws:EpochTime': {
+    type: 'Date',
+    families: ['Date', 'Numeric'],
+    description: 'Date and time of the request in epoch seconds',
+  },
+  'aws:TokenIssueTime': { type: 'Date', description: 'When the temporary credentials were issued' },
+  'aws:MultiFactorAuthPresent': { type: 'Bool', description: 'Whether MFA was used' },
+  'aws:MultiFactorAuthAge': { type: 'Numeric', description: 'Seconds since MFA authentication' },
+  'aws:PrincipalArn': { type: 'ARN', description: 'ARN of the principal making the request' },
+  'aws:PrincipalAccount': { type: 'String', description: 'Account of the requesting principal' },
+  'aws:PrincipalOrgID': { type: 'String', description: 'Organization of the requesting principal' },
+  'aws:PrincipalOrgPaths': { type: 'String', description: 'Organization path of the principal' },
+  'aws:PrincipalType': {
+    type: 'String',
+    description: 'Type of principal, e.g. User or AssumedRole',
+  },
+  'aws:PrincipalIsAWSService': {
+    type: 'Bool',
+    description: 'Whether a service principal made the request',
+  },
+  'aws:PrincipalServiceName': { type: 'String', description: 'Service principal name' },
+  'aws:userid': { type: 'String', description: 'Unique ID of the requesting principal' },
+  'aws:username': { type: 'String', description: 'Name of the requesting IAM user' },
+  'aws:Referer': { type: 'String', description: 'HTTP Referer header of the request' },
+  'aws:UserAgent': { type: 'String', description: 'HTTP User-Agent header of the request' },
+  'aws:SourceVpc': { type: 'String', description: 'VPC the request came through' },
+  'aws:SourceVpce': { type: 'String', description: 'VPC endpoint the request came through' },
+  'aws:SourceArn': { type: 'ARN', description: 'ARN of the resource making a service request' },
+  'aws:SourceAccount': {
+    type: 'String',
+    description: 'Account of the resource making a service request',
+  },
+  'aws:SourceOrgID': {
+    type: 'String',
+    description: 'Organization of the resource making a service request',
+  },
+  'aws:CalledVia': {
+    type: 'String',
+    description: 'Services that made the request on the principal’s behalf',
+  },
+  'aws:ViaAWSService': {
+    type: 'Bool',
+    description: 'Whether a service made the request on the principal’s behalf',
+  },
+  'aws:RequestedRegion': { type: 'String', description: 'Region the request was sent to' },
+  'aws:ResourceAccount': { type: 'String', description: 'Account that owns the resource' },
+  'aws:ResourceOrgID': { type: 'String', description: 'Organization that owns the resource' },
+  'aws:TagKeys': { type: 'String', description: 'Tag keys in the request' },
+  'aws:RequestTag/*': { type: 'String', description: 'Tag value sent in the request' },
+  'aws:ResourceTag/*': { type: 'String', description: 'Tag value on the resource' },
+  'aws:PrincipalTag/*': { type: 'String', description: 'Tag value on the principal' },
+
+  // S3 condition keys
+  's3:prefix': { type: 'String', description: 'Key prefix of a ListBucket request' },
+  's3:delimiter': { type: 'String', description: 'Delimiter of a ListBucket request' },
+  's3:max-keys': { type: 'Numeric', description: 'Maximum keys returned by a ListBucket request' },
+  's3:x-amz-acl': { type: 'String', description: 'Canned ACL in the request' },
+  's3:x-amz-server-side-encryption': {
+    type: 'String',
+    description: 'Server-side encryption algorithm',
+  },
+  's3:x-amz-server-side-encryption-aws-kms-key-id': {
+    type: 'ARN',
+    description: 'KMS key used for encryption',
+  },
+  's3:x-amz-server-side-encryption-customer-algorithm': {
+    type: 'String',
+    description: 'Algorithm for customer-provided encryption keys',
+  },
+  's3:x-amz-copy-source': { type: 'String', description: 'Source of a copy request' },
+  's3:x-amz-metadata-directive': {
+    type: 'String',
+    description: 'Whether a copy keeps or replaces metadata',
+  },
+  's3:x-amz-storage-class': { type: 'String', description: 'Storage class of the object' },
+  's3:x-amz-content-sha256': {
+    type: 'String',
+    description: 'Payload hash header, or UNSIGNED-PAYLOAD',
+  },
+  's3:x-amz-grant-read': { type: 'String', description: 'Read grant header' },
+  's3:x-amz-grant-write': { type: 'String', description: 'Write grant header' },
+  's3:x-amz-grant-read-acp': { type: 'String', description: 'Read ACL grant header' },
+  's3:x-amz-grant-write-acp': { type: 'String', description: 'Write ACL grant header' },
+  's3:x-amz-grant-full-control': { type: 'String', description: 'Full control grant header' },
+  's3:VersionId': { type: 'String', description: 'Object version in the request' },
+  's3:LocationConstraint': { type: 'String', description: 'Region of a CreateBucket request' },
+  's3:ExistingObjectTag/*': { type: 'String', description: 'Tag value on the existing object' },
+  's3:RequestObjectTag/*': { type: 'String', description: 'Tag value sent in the request' },
+  's3:RequestObjectTagKeys': { type: 'String', description: 'Object tag keys in the request' },
+  's3:object-lock-mode': { type: 'String', description: 'Object Lock retention mode' },
+  's3:object-lock-retain-until-date': {
+    type: 'Date',
+    description: 'Object Lock retain-until date',
+  },
+  's3:object-lock-remaining-retention-days': {
+    type: 'Numeric',
+    description: 'Days of Object Lock retention remaining',
+  },
+  's3:object-lock-legal-hold': {
+    type: 'String',
+    description: 'Object Lock legal hold status (ON/OFF)',
+  },
+  's3:signatureversion': {
+    type: 'String',
+    description: 'Signature version, e.g. AWS4-HMAC-SHA256',
+  },
+  's3:signatureAge': { type: 'Numeric', description: 'Milliseconds since the request was signed' },
+  's3:authType': {
+    type: 'String',
+    description: 'Authentication method: REST-HEADER, REST-QUERY-STRING or POST',
+  },
+  's3:TlsVersion': { type: 'Numeric', description: 'TLS version of the request, e.g. 1.2' },
+  's3:ResourceAccount': { type: 'String', description: 'Account that owns the bucket' },
+};
+
+/**
+ * Split a condition operator into its set qualifier, base operator and IfExists flag
+ * @param {string} operator - e.g. "ForAnyValue:StringLikeIfExists"
+ * @returns {Object} - { qualifier, baseOperator, ifExists }
+ */
+export function parseConditionOperator(operator) {
+  let qualifier = null;
+  let baseOperator = operator;
+  if (operator.startsWith('ForAllValues:') || operator.startsWith('ForAnyValue:')) {
+    [qualifier, baseOperator] = operator.split(':');
+  }
+  const ifExists = baseOperator !== 'IfExists' && baseOperator.endsWith('IfExists');
+  if (ifExists) {
+    baseOperator = baseOperator.slice(0, -'IfExists'.length);
+  }
+  return { qualifier, baseOperator, ifExists };
+}
+
+/**
+ * Get the operator family of a condition operator
+ * @param {string} operator - Condition operator, with or without qualifier/IfExists
+ * @returns {string|null} - String, Numeric, Date, Bool, Binary, IPAddress, ARN, Null or null if unknown
+ */
+export function getOperatorFamily(operator) {
+  const { baseOperator } = parseConditionOperator(operator);
+  if (baseOperator === 'Null') return 'Null';
+  if (baseOperator === 'Bool') return 'Bool';
+  if (baseOperator === 'BinaryEquals') return 'Binary';
+  if (baseOperator === 'IpAddress' || baseOperator === 'NotIpAddress') return 'IPAddress';
+  const family = ['String', 'Numeric', 'Date', 'Arn'].find((name) => baseOperator.startsWith(name));
+  if (!family) return null;
+  return family === 'Arn' ? 'ARN' : family;
+}
+
+/**
+ * Look up a condition key in the catalog (case-insensitive, as IAM treats key names)
+ * @param {string} key - Condition key, e.g. aws:SourceIp or aws:RequestTag/team
+ * @returns {Object|null} - { key, type, families, description } or null if unknown
+ */
+export function getConditionKey(key) {
+  const lowerKey = String(key).toLowerCase();
+  const name = Object.keys(CONDITION_KEYS).find((candidate) => {
+    const lowerCandidate = candidate.toLowerCase();
+    return lowerCandidate.endsWith('/*')
+      ? lowerKey.startsWith(lowerCandidate.slice(0, -1)) &&
+          lowerKey.length > lowerCandidate.length - 1
+      : lowerKey === lowerCandidate;
+  });
+  if (!name) return null;
+  const entry = CONDITION_KEYS[name];
+  return { key: name, families: COMPATIBLE_FAMILIES[entry.type], ...entry };
+}
+
+function isCidr(value) {
+  const [address, prefix, ...rest] = value.split('/');
+  if (rest.length > 0) return false;
+
+  let maxPrefix;
+  if (address.includes(':')) {
+    // IPv6: 8 hex groups, or fewer than 8 around a single "::" that stands for the rest
+    const parts = address.split('::');
+    const groups = parts.flatMap((part) => (part ? part.split(':') : []));
+    if (parts.length > 2) return false;
+    if (parts.length === 2 ? groups.length >= 8 : groups.length !== 8) return false;
+    if (!groups.every((group) => /^[0-9a-fA-F]{1,4}$/.test(group))) return false;
+    maxPrefix = 128;
+  } else {
+    const octets = address.split('.');
+    if (octets.length !== 4 || !octets.every((o) => /^\d{1,3}$/.test(o) && Number(o) <= 255)) {
+      return false;
+    }
+    maxPrefix = 32;
+  }
+
+  return prefix === undefined || (/^\d{1,3}$/.test(prefix) && Number(prefix) <= maxPrefix);
+}
+
+function isIsoDate(value) {
+  // Epoch seconds are also accepted by IAM date operators
+  if (/^\d+$/.test(value)) return true;
+  const isoPattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+  return isoPattern.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Check that a single condition value has the form its operator family expects
+ * @param {string} family - Operator family from getOperatorFamily()
+ * @param {*} value - The condition value
+ * @returns {string|null} - An error message, or null if the value is acceptable
+ */
+export function checkConditionValue(family, value) {
+  const text = String(value).trim();
+
+  // Policy variables such as ${aws:username} are resolved at request time
+  if (/\$\{[^}]+\}/.test(text)) return null;
+
+  switch (family) {
+    case 'IPAddress':
+      return isCidr(text) ? null : `"${value}" is not a valid IP address or CIDR block`;
+    case 'Date':
+      return isIsoDate(text)
+        ? null
+        : `"${value}" is not an ISO 8601 date (e.g. 2025-12-31T23:59:59Z)`;
+    case 'Numeric':
+      return text !== '' && !Number.isNaN(Number(text)) ? null : `"${value}" is not a number`;
+    case 'Bool':
+    case 'Null':
+      // IAM compares these case-insensitively, as the simulator does
+      return /^(true|false)$/i.test(text) ? null : `"${value}" must be "true" or "false"`;
+    case 'ARN':
+      return text.startsWith('arn:') || text === '*' ? null : `"${value}" is not an ARN`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Type-check one key of a condition block against the catalog
+ * @param {string} operator - Condition operator the key is listed under
+ * @param {string} key - Condition key
+ * @param {*} values - Value or array of values
+ * @returns {Object} - { errors, warnings } messages without a path prefix
+ */
+export function checkConditionEntry(operator, key, values) {
+  const errors = [];
+  const warnings = [];
+  const family = getOperatorFamily(operator);
+  const entry = getConditionKey(key);
+
+  if (!entry && /^(aws|s3):/i.test(key)) {
+    warnings.push(`Unknown condition key "${key}"`);
+  }
+  if (entry && family && family !== 'Null') {
+    const { families } = entry;
+    if (!families.includes(family)) {
+      warnings.push(
+        `${key} holds ${entry.type} values and should be used with ${families.join('/')} operators, not ${operator}`
+      );
+    }
+  }
+
+  const valueList = [].concat(values);
+  if (valueList.length === 0) {
+    errors.push('Must have at least one value');
+  }
+  valueList.forEach((value, idx) => {
+    if (value === null || typeof value === 'object') {
+      errors.push(`Value ${idx + 1} must be a string, number or boolean`);
+      return;
+    }
+    const error = family ? checkConditionValue(family, value) : null;
+    if (error) {
+      errors.push(error);
+    }
+  });
+
+  return { errors, warnings };
+}
@@ -0,0 +1,399 @@
+/*
+    Impossible Cloud Bucket Policy Generator - HCL Parser
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Reads the part of Terraform's HCL syntax that policies are written in:
+    attributes, blocks, strings with interpolations, heredocs, tuples,
+    objects, function calls and references. Operators, conditionals and for
+    expressions are kept as raw "expression" nodes instead of evaluated.
+*/
+
+import { getLineColumn } from './json-source.js';
+
+class HclSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+const IDENTIFIER = /[A-Za-z_][\w-]*/y;
+const NUMBER = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+// Characters that continue an expression with an operator, e.g. a == b or a ? b : c
+const OPERATOR_START = /[?+\-*/%=!<>&|]/;
+
+// Offset just after the "}" that closes the interpolation opened at an offset, skipping strings in it
+function interpolationEnd(source, open) {
+  let depth = 0;
+  let pos = open;
+  while (pos < source.length) {
+    const ch = source[pos];
+    if (ch === '"') {
+      pos++;
+      while (pos < source.length && source[pos] !== '"') pos += source[pos] === '\\' ? 2 : 1;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      return pos + 1;
+    }
+    pos++;
+  }
+  return -1;
+}
+
+/**
+ * Split template text into literal text and interpolations
+ * @param {string} source - The text between the quotes of a string, or a heredoc's lines
+ * @param {boolean} escapes - Whether backslash escapes apply (quoted strings) or not (heredocs)
+ * @returns {Array} - Strings and { expression, directive } parts - directive is true for %{ ... }
+ */
+function splitTemplate(source, escapes) {
+  const parts = [];
+  let literal = '';
+  let pos = 0;
+  while (pos < source.length) {
+    const ch = source[pos];
+    if (escapes && ch === '\\') {
+      const escape = source[pos + 1];
+      if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(pos + 2, pos + 6))) {
+        literal += String.fromCharCode(parseInt(source.slice(pos + 2, pos + 6), 16));
+        pos += 6;
+      } else {
+        literal += ESCAPES[escape];
+        pos += 2;
+      }
+    } else if ((ch === '$' || ch === '%') && source[pos + 1] === ch && source[pos + 2] === '{') {
+      // $${ and %%{ are a literal ${ and %{
+      literal += `${ch}{`;
+      pos += 3;
+    } else if ((ch === '$' || ch === '%') && source[pos + 1] === '{') {
+      const end = interpolationEnd(source, pos + 1);
+      if (end === -1) {
+        literal += source.slice(pos);
+        break;
+      }
+      if (literal) parts.push(literal);
+      literal = '';
+      parts.push({ expression: source.slice(pos + 2, end - 1).trim(), directive: ch === '%' });
+      pos = end;
+    } else {
+      literal += ch;
+      pos++;
+    }
+  }
+  if (literal || parts.length === 0) parts.push(literal);
+  return parts;
+}
+
+function parseHclText(text) {
+  let pos = 0;
+
+  const fail = (message, at = pos) => {
+    throw new HclSyntaxError(message, at);
+  };
+  const match = (pattern) => {
+    pattern.lastIndex = pos;
+    const found = pattern.exec(text);
+    return found ? found[0] : null;
+  };
+
+  // Skip spaces and comments; newlines only where they do not end an attribute
+  const skipSpace = (newlines) => {
+    for (;;) {
+      const ch = text[pos];
+      if (ch === ' ' || ch === '\t' || ch === '\r' || (newlines && ch === '\n')) {
+        pos++;
+      } else if (ch === '#' || (ch === '/' && text[pos + 1] === '/')) {
+        while (pos < text.length && text[pos] !== '\n') pos++;
+      } else if (ch === '/' && text[pos + 1] === '*') {
+        const end = text.indexOf('*/', pos + 2);
+        if (end === -1) fail('Unterminated comment');
+        pos = end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  // Skip a string, or brackets and everything in them, without interpreting it
+  const skipNested = () => {
+    const close = { '(': ')', '[': ']', '{': '}' };
+    const stack = [];
+    do {
+      const ch = text[pos];
+      if (pos >= text.length) fail('Unexpected end of input');
+      if (ch === '"') {
+        parseTemplate();
+        continue;
+      }
+      if (close[ch]) stack.push(close[ch]);
+      else if (ch === stack[stack.length - 1]) stack.pop();
+      pos++;
+    } while (stack.length > 0);
+  };
+
+  // Raw text up to the end of the expression: a newline, comma or closing bracket outside brackets
+  const skipExpressionRest = () => {
+    while (pos < text.length && !/[\n,)\]}]/.test(text[pos])) {
+      if (/["([{]/.test(text[pos])) skipNested();
+      else if (text[pos] === '#' || (text[pos] === '/' && /[/*]/.test(text[pos + 1]))) break;
+      else pos++;
+    }
+  };
+
+  // A quoted string: literal parts, and ${ ... } interpolations kept as their expression text
+  const parseTemplate = () => {
+    const start = pos;
+    pos++;
+    while (text[pos] !== '"') {
+      const ch = text[pos];
+      if (pos >= text.length || ch === '\n') fail('Unterminated string', start);
+      if (ch === '\\') {
+        if (!/^(u[0-9a-fA-F]{4}|[nrt"\\])/.test(text.slice(pos + 1, pos + 6))) {
+          fail('Invalid escape in string');
+        }
+        pos += 2;
+      } else if ((ch === '$' || ch === '%') && text[pos + 1] === '{' && text[pos - 1] !== ch) {
+        pos = interpolationEnd(text, pos + 1);
+        if (pos === -1) fail('Unterminated interpolation', start);
+      } else {
+        pos++;
+      }
+    }
+    pos++;
+    return splitTemplate(text.slice(start + 1, pos - 1), true);
+  };
+
+  const templateNode = (parts, start) =>
+    parts.every((part) => typeof part === 'string')
+      ? { kind: 'literal', value: parts.join(''), start, end: pos }
+      : { kind: 'template', parts, start, end: pos };
+
+  // <<EOF or <<-EOF: the lines up to the delimiter, with their interpolations
+  const parseHeredoc = () => {
+    const start = pos;
+    pos += 2;
+    const indented = text[pos] === '-';
+    if (indented) pos++;
+    const delimiter = match(IDENTIFIER);
+    if (!delimiter) fail('Expected a heredoc delimiter');
+    pos += delimiter.length;
+    const bodyStart = text.indexOf('\n', pos) + 1;
+    if (bodyStart === 0) fail('Unterminated heredoc', start);
+    const lines = [];
+    let lineStart = bodyStart;
+    for (;;) {
+      if (lineStart >= text.length) fail('Unterminated heredoc', start);
+      const lineEnd =
+        text.indexOf('\n', lineStart) === -1 ? text.length : text.indexOf('\n', lineStart);
+      const line = text.slice(lineStart, lineEnd);
+      lineStart = lineEnd + 1;
+      if (line.trim() === delimiter) {
+        pos = lineEnd;
+        break;
+      }
+      lines.push(line);
+    }
+    let body = lines;
+    if (indented) {
+      const margin = Math.min(
+        ...lines.filter((line) => line.trim()).map((line) => /^[ \t]*/.exec(line)[0].length)
+      );
+      body = lines.map((line) => line.slice(Number.isFinite(margin) ? margin : 0));
+    }
+    return templateNode(splitTemplate(body.map((line) => line + '\n').join(''), false), start);
+  };
+
+  const parseTuple = (start) => {
+    pos++;
+    const items = [];
+    for (;;) {
+      skipSpace(true);
+      if (text[pos] === ']') break;
+      items.push(parseExpression());
+      skipSpace(true);
+      if (text[pos] === ',') pos++;
+      else if (text[pos] !== ']') fail(`Expected "," or "]"`);
+    }
+    pos++;
+    return { kind: 'tuple', items, start, end: pos };
+  };
+
+  const parseObject = (start) => {
+    pos++;
+    const items = [];
+    for (;;) {
+      skipSpace(true);
+      if (text[pos] === '}') break;
+      const keyStart = pos;
+      let key;
+      if (text[pos] === '"') {
+        const parts = parseTemplate();
+        key = parts
+          .map((part) => (typeof part === 'string' ? part : `\${${part.expression}}`))
+          .join('');
+      } else if (text[pos] === '(') {
+        skipNested();
+        key = text.slice(keyStart + 1, pos - 1).trim();
+      } else {
+        key = match(IDENTIFIER) || match(NUMBER);
+        if (!key) fail(`Expected an object key`);
+        pos += key.length;
+      }
+      skipSpace(false);
+      if (text[pos] !== '=' && text[pos] !== ':') fail(`Expected "=" or ":" after "${key}"`);
+      pos++;
+      skipSpace(false);
+      items.push({ key, value: parseExpression(), start: keyStart });
+      skipSpace(false);
+      if (text[pos] === ',') pos++;
+      else if (text[pos] !== '\n' && text[pos] !== '}') {
+        fail(`Expected "," or a new line after "${key}"`);
+      }
+    }
+    pos++;
+    return { kind: 'object', items, start, end: pos };
+  };
+
+  const parseCall = (name, start) => {
+    pos++;
+    const args = [];
+    for (;;) {
+      skipSpace(true);
+      if (text[pos] === ')') break;
+      args.push(parseExpression());
+      skipSpace(true);
+      if (text.startsWith('...', pos)) pos += 3;
+      skipSpace(true);
+      if (text[pos] === ',') pos++;
+      else if (text[pos] !== ')') fail(`Expected "," or ")"`);
+    }
+    pos++;
+    return { kind: 'call', name, args, start, end: pos };
+  };
+
+  const parsePrimary = () => {
+    const start = pos;
+    const ch = text[pos];
+    if (pos >= text.length) fail('Unexpected end of input');
+    if (ch === '"') return templateNode(parseTemplate(), start);
+    if (text.startsWith('<<', pos)) return parseHeredoc();
+    if ((ch === '[' || ch === '{') && /^[[{]\s*for\s/.test(text.slice(pos, pos + 10))) {
+      skipNested();
+      return { kind: 'expression', text: text.slice(start, pos), start, end: pos };
+    }
+    if (ch === '[') return parseTuple(start);
+    if (ch === '{') return parseObject(start);
+    if (ch === '(') {
+      skipNested();
+      return { kind: 'expression', text: text.slice(start, pos), start, end: pos };
+    }
+    const number = match(NUMBER);
+    if (number) {
+      pos += number.length;
+      return { kind: 'literal', value: Number(number), start, end: pos };
+    }
+    const name = match(IDENTIFIER);
+    if (!name) fail(`Unexpected "${ch}"`);
+    pos += name.length;
+    if (['true', 'false', 'null'].includes(name)) {
+      return { kind: 'literal', value: JSON.parse(name), start, end: pos };
+    }
+    if (text[pos] === '(') return parseCall(name, start);
+
+    // A reference such as var.bucket, aws_s3_bucket.logs.arn or local.ids[0]
+    for (;;) {
+      const attribute = match(/\.(?:[A-Za-z_][\w-]*|\d+|\*)/y);
+      if (attribute) {
+        pos += attribute.length;
+      } else if (text[pos] === '[') {
+        skipNested();
+      } else {
+        break;
+      }
+    }
+    return { kind: 'reference', text: text.slice(start, pos), start, end: pos };
+  };
+
+  // An expression; one that continues with an operator is kept as raw text
+  const parseExpression = () => {
+    const start = pos;
+    const node = parsePrimary();
+    skipSpace(false);
+    if (OPERATOR_START.test(text[pos] || '') && !text.startsWith('//', pos)) {
+      skipExpressionRest();
+      return { kind: 'expression', text: text.slice(start, pos).trim(), start, end: pos };
+    }
+    return node;
+  };
+
+  const parseBody = (closing) => {
+    const body = { attributes: [], blocks: [] };
+    for (;;) {
+      skipSpace(true);
+      if (pos >= text.length) {
+        if (closing) fail(`Expected "${closing}"`);
+        return body;
+      }
+      if (text[pos] === closing) return body;
+
+      const start = pos;
+      const name = match(IDENTIFIER);
+      if (!name) fail(`Unexpected "${text[pos]}"`);
+      pos += name.length;
+      skipSpace(false);
+
+      if (text[pos] === '=' && text[pos + 1] !== '=') {
+        pos++;
+        skipSpace(false);
+        const value = parseExpression();
+        skipSpace(false);
+        if (pos < text.length && text[pos] !== '\n' && text[pos] !== closing) {
+          fail(`Expected a new line after "${name}"`);
+        }
+        body.attributes.push({ name, value, start, end: value.end });
+        continue;
+      }
+
+      const labels = [];
+      while (text[pos] !== '{') {
+        if (text[pos] === '"') {
+          labels.push(parseTemplate().join(''));
+        } else {
+          const label = match(IDENTIFIER);
+          if (!label) fail(`Expected "=" or "{" after "${name}"`);
+          labels.push(label);
+          pos += label.length;
+        }
+        skipSpace(false);
+      }
+      pos++;
+      const blockBody = parseBody('}');
+      pos++;
+      body.blocks.push({ type: name, labels, body: blockBody, start, end: pos });
+    }
+  };
+
+  return parseBody(null);
+}
+
+/**
+ * Parse HCL text such as a Terraform file
+ * @param {string} text - HCL text
+ * @returns {Object} - { isValid, errors, body, position } - body is { attributes: [{ name, value, start, end }], blocks: [{ type, labels, body, start, end }] }; a value is a node whose kind is literal, template, tuple, object, call, reference or expression; position is where a syntax error was found
+ */
+export function parseHcl(text) {
+  try {
+    return { isValid: true, errors: [], body: parseHclText(String(text)), position: null };
+  } catch (e) {
+    if (!(e instanceof HclSyntaxError)) throw e;
+    const { line, column } = getLineColumn(String(text), e.position);
+    return {
+      isValid: false,
+      errors: [`Invalid HCL syntax: ${e.message} at line ${line}, column ${column}`],
+      body: null,
+      position: e.position,
+    };
+  }
+}
@@ -0,0 +1,80 @@
+/*
+    Impossible Cloud Bucket Policy Generator - JSON Highlighting
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Renders policy JSON as HTML for the editor: tokens are coloured, findings
+    are underlined and matching brackets are marked. The text of the HTML is
+    always exactly the JSON, so the editor's textContent stays the policy.
+*/
+
+import { getLineColumn, tokenizeJson } from './json-source.js';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Render JSON text as highlighted HTML
+ * @param {string} text - JSON text, valid or not
+ * @param {Object} options - { markers, brackets, highlight } - markers are [{ start, end, severity, message }], brackets are [{ offset, matched }] for the bracket at the caret and its partner, highlight is { start, end } to wrap in a <mark>
+ * @returns {string} - HTML of spans whose text is exactly the input text
+ */
+export function renderJsonHtml(text, { markers = [], brackets = [], highlight = null } = {}) {
+  const tokens = tokenizeJson(text);
+  const hasHighlight = highlight && highlight.end > highlight.start;
+
+  // Split the text wherever a token, marker, bracket or the highlight starts or ends
+  const cuts = new Set([0, text.length]);
+  tokens.forEach((token) => cuts.add(token.start).add(token.end));
+  markers.forEach((marker) => cuts.add(marker.start).add(marker.end));
+  brackets.forEach(({ offset }) => cuts.add(offset).add(offset + 1));
+  if (hasHighlight) cuts.add(highlight.start).add(highlight.end);
+  const bounds = [...cuts].filter((cut) => cut >= 0 && cut <= text.length).sort((a, b) => a - b);
+
+  let html = '';
+  let tokenIdx = 0;
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const [start, end] = [bounds[i], bounds[i + 1]];
+    while (tokenIdx < tokens.length && tokens[tokenIdx].end <= start) tokenIdx++;
+    const token = tokens[tokenIdx]?.start <= start ? tokens[tokenIdx] : null;
+    const covering = markers.filter((marker) => marker.start <= start && end <= marker.end);
+
+    const classes = [];
+    if (token) classes.push(`json-${token.type}`);
+    if (covering.length > 0) {
+      const isError = covering.some((marker) => marker.severity === 'error');
+      classes.push('json-marker', isError ? 'error' : 'warning');
+    }
+    const bracket = brackets.find(({ offset }) => offset === start);
+    if (bracket) classes.push(bracket.matched ? 'json-bracket-match' : 'json-bracket-unmatched');
+
+    if (hasHighlight && start === highlight.start) html += '<mark class="json-highlight">';
+    const segment = escapeHtml(text.slice(start, end));
+    if (classes.length === 0) {
+      html += segment;
+    } else {
+      const title = covering.map((marker) => marker.message).join('\n');
+      html += `<span class="${classes.join(' ')}"${title ? ` title="${escapeHtml(title)}"` : ''}>${segment}</span>`;
+    }
+    if (hasHighlight && end === highlight.end) html += '</mark>';
+  }
+  return html;
+}
+
+/**
+ * Collect markers by the line they start on, for the editor's gutter
+ * @param {string} text - JSON text
+ * @param {Object[]} markers - [{ start, severity, message }]
+ * @returns {Object[]} - One entry per line: { line, severity, messages } - severity is "error", "warning" or null
+ */
+export function getLineMarkers(text, markers) {
+  const lines = text.split('\n').map((_, idx) => ({ line: idx + 1, severity: null, messages: [] }));
+  markers.forEach((marker) => {
+    const entry = lines[getLineColumn(text, marker.start).line - 1];
+    entry.messages.push(marker.message);
+    if (entry.severity !== 'error') entry.severity = marker.severity;
+  });
+  return lines;
+}
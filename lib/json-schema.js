@@ -0,0 +1,160 @@
+/*
+    Impossible Cloud Bucket Policy Generator - JSON Schema Validator
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Checks a value against the subset of JSON Schema (draft-07) used by the
+    bucket policy schema, so the validator and editors such as VS Code apply
+    the same rules. Messages come from the "errorMessage" extension keyword
+    (as in ajv-errors), keyed by the keyword that failed; {value} and
+    {property} in a message are filled in.
+*/
+
+const JSON_TYPES = {
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number',
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  null: (value) => value === null,
+};
+
+const DEFAULT_MESSAGES = {
+  type: 'Must be of type {type}',
+  enum: 'Must be one of: {allowed}',
+  const: 'Must be {allowed}',
+  pattern: 'Does not match the pattern {pattern}',
+  minItems: 'Must have at least {limit} item(s)',
+  required: 'Missing required field "{property}"',
+  additionalProperties: 'Unknown field "{property}"',
+  anyOf: 'Does not match any of the allowed forms',
+};
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Follow a local reference such as "#/definitions/statement"
+function resolveRef(ref, root) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, segment) => node?.[segment], root);
+}
+
+/**
+ * Resolve a schema's $ref
+ * @param {Object} schema - A schema node
+ * @param {Object} root - The schema its references point into
+ * @returns {Object} - The referenced schema, or the node itself
+ */
+export function resolveSchema(schema, root) {
+  let node = schema;
+  while (node && node.$ref) {
+    node = resolveRef(node.$ref, root);
+  }
+  return node || {};
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - The value to check
+ * @param {Object} schema - The schema
+ * @param {Object} options - { root, path, skipRefs } - root resolves $ref (default the schema), path is where the value sits ("" for the document), skipRefs lists references not to follow because they are checked elsewhere
+ * @returns {Object[]} - [{ path, keyword, message }] - one per failed keyword; keyword is "deprecated" for a deprecationMessage
+ */
+export function validateJsonSchema(value, schema, options = {}) {
+  const { root = schema, path = '', skipRefs = [] } = options;
+  const findings = [];
+
+  const check = (node, current, at) => {
+    if (node.$ref) {
+      if (!skipRefs.includes(node.$ref)) check(resolveSchema(node, root), current, at);
+      return;
+    }
+    const fail = (keyword, params = {}) => {
+      const template = node.errorMessage?.[keyword] || DEFAULT_MESSAGES[keyword];
+      const message = template.replace(/\{(\w+)\}/g, (match, name) =>
+        name === 'value' ? formatValue(current) : String(params[name] ?? match)
+      );
+      findings.push({ path: at, keyword, message });
+    };
+
+    if (node.type) {
+      const types = [].concat(node.type);
+      if (!types.some((type) => JSON_TYPES[type](current))) {
+        fail('type', { type: types.join(' or ') });
+        return;
+      }
+    }
+    if (node.enum && !node.enum.includes(current)) {
+      fail('enum', { allowed: node.enum.map(formatValue).join(', ') });
+    }
+    if ('const' in node && node.const !== current) {
+      fail('const', { allowed: formatValue(node.const) });
+    }
+    if (node.pattern && typeof current === 'string' && !new RegExp(node.pattern).test(current)) {
+      fail('pattern', { pattern: node.pattern });
+    }
+    if (
+      node.anyOf &&
+      !node.anyOf.some(
+        (branch) => validateJsonSchema(current, branch, { ...options, root, path: at }).length === 0
+      )
+    ) {
+      fail('anyOf');
+    }
+
+    if (Array.isArray(current)) {
+      if (node.minItems !== undefined && current.length < node.minItems) {
+        fail('minItems', { limit: node.minItems });
+      }
+      if (node.items) {
+        current.forEach((item, idx) => check(node.items, item, childPath(at, idx)));
+      }
+    }
+
+    if (JSON_TYPES.object(current)) {
+      (node.required || [])
+        .filter((property) => !(property in current))
+        .forEach((property) => fail('required', { property }));
+      Object.keys(current).forEach((property) => {
+        const itemPath = childPath(at, property);
+        if (node.properties && Object.hasOwn(node.properties, property)) {
+          check(node.properties[property], current[property], itemPath);
+          return;
+        }
+        const patterns = Object.keys(node.patternProperties || {}).filter((pattern) =>
+          new RegExp(pattern).test(property)
+        );
+        patterns.forEach((pattern) =>
+          check(node.patternProperties[pattern], current[property], itemPath)
+        );
+        if (patterns.length > 0 || node.additionalProperties === undefined) return;
+        if (node.additionalProperties === false) {
+          fail('additionalProperties', { property });
+        } else {
+          check(node.additionalProperties, current[property], itemPath);
+        }
+      });
+    }
+
+    if (
+      node.if &&
+      validateJsonSchema(current, node.if, { ...options, root, path: at }).length === 0
+    ) {
+      if (node.then) check(node.then, current, at);
+    }
+    if (node.deprecationMessage) {
+      findings.push({ path: at, keyword: 'deprecated', message: node.deprecationMessage });
+    }
+  };
+
+  check(schema, value, path);
+  return findings;
+}
@@ -0,0 +1,279 @@
+/*
+    Impossible Cloud Bucket Policy Generator - JSON Source Locations
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Finds where each value of a JSON document sits in its text, so a finding
+    such as "Statement[0].Action[1]: ..." can be pointed at in the policy
+    output. Paths use the validator's format: "Statement[0].Condition.Bool".
+    Also splits JSON text into tokens for the editor, even while it is being
+    typed and not yet valid.
+*/
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+class JsonSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+/**
+ * Line and column (both from 1) of an offset in a text
+ * @param {string} text - The text
+ * @param {number} offset - Character offset
+ * @returns {Object} - { line, column }
+ */
+export function getLineColumn(text, offset) {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function joinPath(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+// Recursive-descent parser that records [start, end) of every value it reads
+function parseJson(text, locations) {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new JsonSyntaxError(message, pos);
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const expect = (ch) => {
+    if (text[pos] !== ch) {
+      fail(pos < text.length ? `Expected "${ch}" but found "${text[pos]}"` : `Expected "${ch}"`);
+    }
+    pos++;
+  };
+
+  const parseString = () => {
+    expect('"');
+    let value = '';
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') {
+        const escape = text[pos + 1];
+        if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(pos + 2, pos + 6))) {
+          value += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 6), 16));
+          pos += 6;
+          continue;
+        }
+        if (!(escape in ESCAPES)) fail('Invalid escape in string');
+        value += ESCAPES[escape];
+        pos += 2;
+      } else if (text.charCodeAt(pos) < 32) {
+        fail('Unescaped control character in string');
+      } else {
+        value += text[pos++];
+      }
+    }
+    expect('"');
+    return value;
+  };
+
+  const parseValue = (path) => {
+    skipWhitespace();
+    const start = pos;
+    let value;
+    const ch = text[pos];
+    if (ch === '{') {
+      value = {};
+      pos++;
+      skipWhitespace();
+      if (text[pos] === '}') {
+        pos++;
+      } else {
+        for (;;) {
+          skipWhitespace();
+          const keyStart = pos;
+          const key = parseString();
+          skipWhitespace();
+          expect(':');
+          value[key] = parseValue(joinPath(path, key));
+          // A member is located from its key, so the key is highlighted with its value
+          locations[joinPath(path, key)].start = keyStart;
+          skipWhitespace();
+          if (text[pos] === ',') {
+            pos++;
+          } else {
+            expect('}');
+            break;
+          }
+        }
+      }
+    } else if (ch === '[') {
+      value = [];
+      pos++;
+      skipWhitespace();
+      if (text[pos] === ']') {
+        pos++;
+      } else {
+        for (;;) {
+          value.push(parseValue(`${path}[${value.length}]`));
+          skipWhitespace();
+          if (text[pos] === ',') {
+            pos++;
+          } else {
+            expect(']');
+            break;
+          }
+        }
+      }
+    } else if (ch === '"') {
+      value = parseString();
+    } else {
+      const literal = /^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?)/.exec(
+        text.slice(pos)
+      );
+      if (!literal) {
+        fail(pos < text.length ? `Unexpected "${ch}"` : 'Unexpected end of input');
+      }
+      pos += literal[0].length;
+      value = JSON.parse(literal[0]);
+    }
+    locations[path] = { start, end: pos };
+    return value;
+  };
+
+  const value = parseValue('');
+  skipWhitespace();
+  if (pos < text.length) {
+    fail(`Unexpected "${text[pos]}" after the end of the document`);
+  }
+  return value;
+}
+
+/**
+ * Parse JSON text and locate every value in it
+ * @param {string} text - JSON text
+ * @returns {Object} - { isValid, errors, value, locations, position } - locations maps a path ("" for the whole document) to { start, end } offsets; position is where a syntax error was found
+ */
+export function locateJsonValues(text) {
+  // No prototype, so a key such as "constructor" is only found if the document has it
+  const locations = Object.create(null);
+  try {
+    const value = parseJson(String(text), locations);
+    return { isValid: true, errors: [], value, locations, position: null };
+  } catch (e) {
+    if (!(e instanceof JsonSyntaxError)) throw e;
+    const { line, column } = getLineColumn(String(text), e.position);
+    return {
+      isValid: false,
+      errors: [`Invalid JSON syntax: ${e.message} at line ${line}, column ${column}`],
+      value: undefined,
+      locations: Object.create(null),
+      position: e.position,
+    };
+  }
+}
+
+/**
+ * Find a path in the locations from locateJsonValues(), or the nearest enclosing value that exists
+ * @param {Object} locations - The locations from locateJsonValues()
+ * @param {string} path - Path such as "Statement[0].Action[1]"
+ * @returns {Object} - { path, start, end } - path is the one found ("" for the whole document)
+ */
+export function resolveJsonPath(locations, path) {
+  // "Statement[0].Action[0]" falls back to "Statement[0].Action" for a single action string
+  let current = path || '';
+  while (current && !(current in locations)) {
+    const parent = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+    current = parent === current ? '' : parent;
+  }
+  return { path: current, ...locations[current] };
+}
+
+/**
+ * Find the text of a path, or of the nearest enclosing value that exists
+ * @param {string} text - JSON text
+ * @param {string} path - Path such as "Statement[0].Action[1]"
+ * @returns {Object|null} - { path, start, end } - path is the one found, or null if the text is not valid JSON
+ */
+export function findJsonPath(text, path) {
+  const { isValid, locations } = locateJsonValues(text);
+  return isValid ? resolveJsonPath(locations, path) : null;
+}
+
+// Token patterns, tried in order at each position; an unterminated string runs to the end of its line
+const TOKEN_PATTERNS = [
+  ['string', /"(?:[^"\\\n]|\\.)*"?/y],
+  ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+  ['literal', /(?:true|false|null)\b/y],
+  ['punctuation', /[{}[\]:,]/y],
+];
+
+/**
+ * Split JSON text into tokens; text that is not JSON becomes "invalid" tokens
+ * @param {string} text - JSON text, valid or not
+ * @returns {Object[]} - [{ type, start, end }] - type is key, string, number, literal, punctuation or invalid; whitespace is skipped
+ */
+export function tokenizeJson(text) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    if (/\s/.test(text[pos])) {
+      pos++;
+      continue;
+    }
+    let token = null;
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = pos;
+      const match = pattern.exec(text);
+      if (match && match[0].length > 0) {
+        token = { type, start: pos, end: pos + match[0].length };
+        break;
+      }
+    }
+    if (!token) {
+      // Invalid text runs on to the next whitespace, punctuation or string
+      const length = text.slice(pos).search(/[\s{}[\]:,"]/);
+      token = { type: 'invalid', start: pos, end: length === -1 ? text.length : pos + length };
+    }
+    tokens.push(token);
+    pos = token.end;
+  }
+
+  // A string followed by ":" is an object key
+  tokens.forEach((token, idx) => {
+    if (token.type === 'string' && text[tokens[idx + 1]?.start] === ':') {
+      token.type = 'key';
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Find the bracket next to a caret and the bracket that matches it
+ * @param {string} text - JSON text
+ * @param {number} offset - Caret offset; the bracket just before it is preferred
+ * @returns {Object|null} - { open, close, matched } - offsets of both brackets (close is null if unmatched), or null if the caret is not next to a bracket
+ */
+export function findMatchingBracket(text, offset) {
+  const brackets = tokenizeJson(text).filter(
+    (token) => token.type === 'punctuation' && '{}[]'.includes(text[token.start])
+  );
+  const at = brackets.findIndex((token) => token.end === offset);
+  const idx = at !== -1 ? at : brackets.findIndex((token) => token.start === offset);
+  if (idx === -1) return null;
+
+  const isOpen = (token) => text[token.start] === '{' || text[token.start] === '[';
+  const pairs = { '{': '}', '[': ']', '}': '{', ']': '[' };
+  const bracket = brackets[idx];
+  const step = isOpen(bracket) ? 1 : -1;
+  let depth = 0;
+  for (let i = idx; i >= 0 && i < brackets.length; i += step) {
+    depth += isOpen(brackets[i]) === isOpen(bracket) ? 1 : -1;
+    if (depth === 0) {
+      const other = brackets[i];
+      const matched = text[other.start] === pairs[text[bracket.start]];
+      const [open, close] = step === 1 ? [bracket, other] : [other, bracket];
+      return { open: open.start, close: close.start, matched };
+    }
+  }
+  return step === 1
+    ? { open: bracket.start, close: null, matched: false }
+    : { open: null, close: bracket.start, matched: false };
+}
@@ -0,0 +1,140 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Permalinks
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Encodes the form state (provider, bucket and every statement) into a
+    compact, versioned string for the URL hash, and decodes it again.
+    Links look like "#v1.<base64url JSON>"; older versions stay decodable.
+*/
+
+import { createConditionRow } from './condition-builder.js';
+
+export const PERMALINK_VERSION = 1;
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(data) {
+  const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+// Version 1 keeps one-letter keys, leaves out defaults and drops the "s3:" prefix of checked actions
+function encodeV1(state) {
+  const data = {
+    b: state.bucketName || '',
+    s: (state.statements || []).map((stmt) => {
+      const compact = { i: stmt.sid || '' };
+      if (stmt.effect === 'Deny') compact.e = 'D';
+      if (stmt.actions && stmt.actions.length > 0) {
+        compact.a = stmt.actions.map((action) => action.replace(/^s3:/, ''));
+      }
+      if (stmt.customActions) compact.c = stmt.customActions;
+      if (stmt.resourcePath) compact.r = stmt.resourcePath;
+      if (stmt.principals && stmt.principals.length > 0) compact.n = stmt.principals;
+      if (stmt.conditions && stmt.conditions.length > 0) {
+        compact.k = stmt.conditions.map((row) => [
+          row.qualifier,
+          row.operator,
+          row.ifExists ? 1 : 0,
+          row.key,
+          row.values,
+        ]);
+      }
+      return compact;
+    }),
+  };
+  if (state.provider) data.p = state.provider;
+  if (state.activeStatementIndex) data.x = state.activeStatementIndex;
+  return data;
+}
+
+function asString(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+function asStringList(value) {
+  return Array.isArray(value) ? value.filter((item) => typeof item === 'string') : [];
+}
+
+function decodeV1(data) {
+  if (typeof data !== 'object' || data === null || !Array.isArray(data.s) || data.s.length === 0) {
+    throw new Error('Link does not contain any statements');
+  }
+
+  const statements = data.s.map((compact) => {
+    compact = compact || {};
+    return {
+      sid: asString(compact.i),
+      effect: compact.e === 'D' ? 'Deny' : 'Allow',
+      principals: asStringList(compact.n),
+      actions: asStringList(compact.a).map((action) =>
+        action.includes(':') ? action : `s3:${action}`
+      ),
+      customActions: asString(compact.c),
+      resourcePath: asString(compact.r),
+      conditions: (Array.isArray(compact.k) ? compact.k : []).map((row) => {
+        const [qualifier, operator, ifExists, key, values] = Array.isArray(row) ? row : [];
+        return createConditionRow({
+          qualifier: asString(qualifier),
+          operator: asString(operator),
+          ifExists: ifExists === 1,
+          key: asString(key),
+          values: asStringList(values),
+        });
+      }),
+    };
+  });
+
+  const active = Number.isInteger(data.x) ? data.x : 0;
+  return {
+    provider: asString(data.p),
+    bucketName: asString(data.b),
+    statements,
+    activeStatementIndex: Math.min(Math.max(active, 0), statements.length - 1),
+  };
+}
+
+const DECODERS = {
+  1: decodeV1,
+};
+
+/**
+ * Encode the form state for the URL hash
+ * @param {Object} state - { provider, bucketName, statements, activeStatementIndex } with form statements
+ * @returns {string} - e.g. "v1.eyJiIjoi..."
+ */
+export function encodePermalink(state) {
+  return `v${PERMALINK_VERSION}.${toBase64Url(JSON.stringify(encodeV1(state)))}`;
+}
+
+/**
+ * Decode a permalink created by encodePermalink() with any supported version
+ * @param {string} hash - The URL hash, with or without the leading "#"
+ * @returns {Object} - { isValid, state, errors }
+ */
+export function decodePermalink(hash) {
+  const match = /^#?v(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(hash || '').trim());
+  if (!match) {
+    return { isValid: false, state: null, errors: ['Not a policy generator link'] };
+  }
+
+  const decode = DECODERS[match[1]];
+  if (!decode) {
+    return {
+      isValid: false,
+      state: null,
+      errors: [`Link version ${match[1]} is not supported by this version of the generator`],
+    };
+  }
+
+  try {
+    return { isValid: true, state: decode(JSON.parse(fromBase64Url(match[2]))), errors: [] };
+  } catch (e) {
+    return { isValid: false, state: null, errors: [`Link is damaged: ${e.message}`] };
+  }
+}
@@ -0,0 +1,286 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Least-Privilege Analyzer
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Scores each statement of a bucket policy by how much access it grants
+    beyond what is likely needed. Validation answers "will this policy be
+    accepted?"; the analyzer answers "does it grant more than it should?".
+    Each finding has a rule ID, a severity and a concrete suggestion.
+*/
+
+import { RISK_HIGH, RISK_MEDIUM, S3_ACTIONS } from './action-catalog.js';
+import { parseConditionOperator } from './condition-keys.js';
+import { matchesWildcard } from './policy-simulator.js';
+
+export const SEVERITY_HIGH = 'high';
+export const SEVERITY_MEDIUM = 'medium';
+export const SEVERITY_LOW = 'low';
+
+// Points added to a statement's risk score for each finding, capped at 100
+const SEVERITY_POINTS = { [SEVERITY_HIGH]: 40, [SEVERITY_MEDIUM]: 20, [SEVERITY_LOW]: 10 };
+
+// Risky actions from the catalog; wildcards are reported by the wildcard-action rule
+const riskyActions = (risk) =>
+  S3_ACTIONS.filter((entry) => entry.risk === risk && !entry.name.includes('*')).map(
+    (entry) => entry.name
+  );
+
+// Actions that change who can access the bucket or its objects
+export const PERMISSION_ACTIONS = riskyActions(RISK_HIGH);
+
+// Actions that delete data or weaken its protection
+export const DESTRUCTIVE_ACTIONS = riskyActions(RISK_MEDIUM);
+
+/**
+ * Risk level for a score
+ * @param {number} score - Risk score from 0 to 100
+ * @returns {string} - 'high', 'medium', 'low' or 'none'
+ */
+export function getRiskLevel(score) {
+  if (score >= 60) return SEVERITY_HIGH;
+  if (score >= 30) return SEVERITY_MEDIUM;
+  if (score > 0) return SEVERITY_LOW;
+  return 'none';
+}
+
+function toList(value) {
+  return value === undefined ? [] : [].concat(value).map(String);
+}
+
+function isWildcard(value) {
+  return value.includes('*') || value.includes('?');
+}
+
+function formatList(values) {
+  return values.map((value) => `"${value}"`).join(', ');
+}
+
+// Known risky actions an action pattern covers, e.g. "s3:Delete*" -> ["s3:DeleteBucket", ...]
+function riskyActionsMatching(patterns, riskyActions) {
+  return riskyActions.filter((action) =>
+    patterns.some((pattern) => matchesWildcard(pattern, action, true))
+  );
+}
+
+function isPublicPrincipal(principal) {
+  if (principal === '*') return true;
+  if (!principal || typeof principal !== 'object') return false;
+  return Object.values(principal).some((ids) => [].concat(ids).includes('*'));
+}
+
+// Values of Bool aws:SecureTransport in a condition, lower-cased, or [] if it has none
+function secureTransportValues(condition) {
+  return Object.entries(condition || {})
+    .filter(([operator]) => parseConditionOperator(operator).baseOperator === 'Bool')
+    .flatMap(([, block]) =>
+      Object.entries(block || {})
+        .filter(([key]) => key.toLowerCase() === 'aws:securetransport')
+        .flatMap(([, values]) => [].concat(values).map((value) => String(value).toLowerCase()))
+    );
+}
+
+function checkActions(stmt, add) {
+  const actions = toList(stmt.Action);
+  const fullWildcards = actions.filter((action) => action === '*' || action === 's3:*');
+  const partialWildcards = actions.filter(
+    (action) => isWildcard(action) && !fullWildcards.includes(action)
+  );
+  const specific = actions.filter((action) => !isWildcard(action));
+
+  if (fullWildcards.length > 0) {
+    add(
+      'wildcard-action',
+      SEVERITY_HIGH,
+      `Grants every S3 action with ${formatList(fullWildcards)}, including deleting the bucket and changing its policy`,
+      specific.length > 0
+        ? `Replace ${formatList(fullWildcards)} with the ${specific.length} action${specific.length === 1 ? '' : 's'} you actually listed: ${specific.join(', ')}`
+        : `Replace ${formatList(fullWildcards)} with only the actions this statement needs, e.g. s3:GetObject and s3:ListBucket for read access`
+    );
+  }
+
+  if (partialWildcards.length > 0) {
+    const risky = riskyActionsMatching(partialWildcards, [
+      ...PERMISSION_ACTIONS,
+      ...DESTRUCTIVE_ACTIONS,
+    ]);
+    add(
+      'wildcard-action',
+      risky.length > 0 ? SEVERITY_MEDIUM : SEVERITY_LOW,
+      risky.length > 0
+        ? `${formatList(partialWildcards)} also grants ${risky.join(', ')}`
+        : `${formatList(partialWildcards)} grants every matching action, including ones added to S3 later`,
+      `List the specific actions instead of ${formatList(partialWildcards)}`
+    );
+  }
+
+  // Wildcards were already reported with the risky actions they cover
+  const permission = PERMISSION_ACTIONS.filter((action) => specific.includes(action));
+  if (permission.length > 0) {
+    add(
+      'permission-action',
+      SEVERITY_HIGH,
+      `Can change who has access: ${permission.join(', ')}`,
+      'Grant permission-changing actions only to administrators, in a separate statement limited to their principals'
+    );
+  }
+  const destructive = DESTRUCTIVE_ACTIONS.filter((action) => specific.includes(action));
+  if (destructive.length > 0) {
+    add(
+      'destructive-action',
+      SEVERITY_MEDIUM,
+      `Can delete data or weaken its protection: ${destructive.join(', ')}`,
+      'Move destructive actions into their own statement and limit it with a condition, or drop them if this role only reads and writes'
+    );
+  }
+
+  if (stmt.NotAction !== undefined) {
+    add(
+      'not-action-allow',
+      SEVERITY_HIGH,
+      `Allow with NotAction grants every action except ${formatList(toList(stmt.NotAction))}`,
+      'Use Action with the actions this statement needs instead of NotAction'
+    );
+  }
+}
+
+function checkResources(stmt, add) {
+  const resources = toList(stmt.Resource);
+  // A wildcard in the bucket name reaches buckets other than this one
+  const everything = resources.filter(
+    (resource) => resource === '*' || /^arn:[a-z-]+:s3:::[^/]*[*?]/.test(resource)
+  );
+  const wholeBucket = resources.filter((resource) =>
+    /^arn:[a-z-]+:s3:::[^/*]+\/\*$/.test(resource)
+  );
+
+  if (everything.length > 0) {
+    add(
+      'wildcard-resource',
+      SEVERITY_HIGH,
+      `Applies to every bucket with ${formatList(everything)}`,
+      'Replace it with the ARN of this bucket, e.g. arn:aws:s3:::my-bucket and arn:aws:s3:::my-bucket/*'
+    );
+  } else if (
+    wholeBucket.length > 0 &&
+    toList(stmt.Action).some((a) => !/^s3:(Get|List)/i.test(a))
+  ) {
+    add(
+      'wildcard-resource',
+      SEVERITY_LOW,
+      `Writes are allowed to every object in ${formatList(wholeBucket)}`,
+      'Limit the resource to the prefix this statement writes to, e.g. arn:aws:s3:::my-bucket/uploads/*'
+    );
+  }
+  if (stmt.NotResource !== undefined) {
+    add(
+      'wildcard-resource',
+      SEVERITY_HIGH,
+      `Allow with NotResource applies to every resource except ${formatList(toList(stmt.NotResource))}`,
+      'Use Resource with the ARNs this statement needs instead of NotResource'
+    );
+  }
+}
+
+function analyzeStatement(stmt, idx) {
+  const findings = [];
+  const add = (rule, severity, message, suggestion) =>
+    findings.push({ rule, severity, message, suggestion });
+
+  // Deny statements only ever take access away
+  if (stmt.Effect === 'Allow') {
+    const hasCondition = stmt.Condition && Object.keys(stmt.Condition).length > 0;
+
+    checkActions(stmt, add);
+    checkResources(stmt, add);
+
+    if (isPublicPrincipal(stmt.Principal)) {
+      add(
+        'public-principal',
+        hasCondition ? SEVERITY_MEDIUM : SEVERITY_HIGH,
+        hasCondition
+          ? 'Allows anyone (Principal "*") who meets the condition'
+          : 'Allows anyone on the internet (Principal "*")',
+        'Name the accounts, users or roles that need access, or keep "*" only for intentionally public read access'
+      );
+    }
+    if (!hasCondition) {
+      add(
+        'allow-without-condition',
+        SEVERITY_LOW,
+        'Allow has no conditions, so it applies to every request that matches',
+        'Add a condition such as aws:SourceIp (your office or VPN range) or aws:PrincipalTag to narrow when it applies'
+      );
+    }
+  }
+
+  const score = Math.min(
+    100,
+    findings.reduce((total, finding) => total + SEVERITY_POINTS[finding.severity], 0)
+  );
+  return {
+    index: idx,
+    sid: stmt.Sid || '',
+    effect: stmt.Effect,
+    score,
+    level: getRiskLevel(score),
+    findings,
+  };
+}
+
+// A Deny on aws:SecureTransport = false, or every Allow requiring = true, keeps requests on HTTPS
+function checkSecureTransport(statements) {
+  const allows = statements.filter((stmt) => stmt.Effect === 'Allow');
+  const requiresHttps = (stmt) => {
+    const values = secureTransportValues(stmt.Condition);
+    return values.length > 0 && values.every((value) => value === 'true');
+  };
+  const denied = statements.some(
+    (stmt) => stmt.Effect === 'Deny' && secureTransportValues(stmt.Condition).includes('false')
+  );
+  if (allows.length === 0 || denied || allows.every(requiresHttps)) {
+    return [];
+  }
+  return [
+    {
+      rule: 'missing-secure-transport',
+      severity: SEVERITY_MEDIUM,
+      message: 'Requests over plain HTTP are not denied (no aws:SecureTransport condition)',
+      suggestion:
+        'Add a Deny statement for s3:* on the bucket with the condition Bool aws:SecureTransport = false',
+    },
+  ];
+}
+
+/**
+ * Analyze a policy for access beyond least privilege
+ * @param {Object|string} policy - A parsed bucket policy or its JSON text
+ * @returns {Object} - { isValid, errors, score, level, statements, findings }
+ *   statements: [{ index, sid, effect, score, level, findings: [{ rule, severity, message, suggestion }] }]
+ *   findings: policy-wide findings that belong to no single statement
+ */
+export function analyzePolicy(policy) {
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (e) {
+      return { isValid: false, errors: ['Invalid JSON syntax: ' + e.message] };
+    }
+  }
+  if (!policy || typeof policy !== 'object' || !Array.isArray(policy.Statement)) {
+    return { isValid: false, errors: ['Policy must have a Statement array'] };
+  }
+
+  // Keep each statement's position in the policy so Statement[n] labels point at it
+  const statementList = policy.Statement.filter((stmt) => stmt && typeof stmt === 'object');
+  const statements = policy.Statement.flatMap((stmt, idx) =>
+    stmt && typeof stmt === 'object' ? [analyzeStatement(stmt, idx)] : []
+  );
+  const findings = checkSecureTransport(statementList);
+
+  const highest = statements.reduce((max, stmt) => Math.max(max, stmt.score), 0);
+  const score = Math.min(
+    100,
+    highest + findings.reduce((total, finding) => total + SEVERITY_POINTS[finding.severity], 0)
+  );
+  return { isValid: true, errors: [], score, level: getRiskLevel(score), statements, findings };
+}
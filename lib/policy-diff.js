@@ -0,0 +1,328 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Policy Diff
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Compares two versions of a bucket policy statement by statement.
+    Statements are matched by Sid (statements without a Sid by their order),
+    and every change to the effect, actions, resources, principals and
+    conditions is listed. Changes that grant more access than before - new
+    Allow grants, wildcards, removed Deny statements, removed conditions or
+    condition values that widen an Allow or narrow a Deny - are reported
+    separately so reviewers can check them first.
+*/
+
+import { parseConditionOperator } from './condition-keys.js';
+import { evaluateCondition, ipInCidr } from './policy-simulator.js';
+
+export const STATEMENT_ADDED = 'added';
+export const STATEMENT_REMOVED = 'removed';
+export const STATEMENT_CHANGED = 'changed';
+export const STATEMENT_UNCHANGED = 'unchanged';
+
+// Fields compared as sets of values, in the order they are listed
+const LIST_FIELDS = ['Principal', 'NotPrincipal', 'Action', 'NotAction', 'Resource', 'NotResource'];
+
+function parsePolicy(policy, name, errors) {
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (e) {
+      errors.push(`${name}: Invalid JSON syntax: ` + e.message);
+      return null;
+    }
+  }
+  if (!policy || typeof policy !== 'object' || !Array.isArray(policy.Statement)) {
+    errors.push(`${name}: Must be a policy with a Statement array`);
+    return null;
+  }
+  return policy.Statement.filter((stmt) => stmt && typeof stmt === 'object');
+}
+
+function isWildcard(value) {
+  return value.includes('*') || value.includes('?');
+}
+
+// "*", or "AWS:arn:..." for each principal ID so the principal type is part of the value
+function principalValues(principal) {
+  if (principal === undefined) return [];
+  if (typeof principal !== 'object' || principal === null) return [String(principal)];
+  return Object.entries(principal).flatMap(([type, ids]) =>
+    [].concat(ids).map((id) => `${type}:${id}`)
+  );
+}
+
+function fieldValues(stmt, field) {
+  if (field === 'Principal' || field === 'NotPrincipal') {
+    return principalValues(stmt[field]);
+  }
+  return stmt[field] === undefined ? [] : [].concat(stmt[field]).map(String);
+}
+
+// Map of "Operator key" to its sorted values, e.g. "IpAddress aws:SourceIp" -> ["203.0.113.0/24"]
+function conditionEntries(condition) {
+  const entries = new Map();
+  Object.entries(condition || {}).forEach(([operator, block]) => {
+    Object.entries(block || {}).forEach(([key, values]) => {
+      entries.set(`${operator} ${key}`, [].concat(values).map(String).sort());
+    });
+  });
+  return entries;
+}
+
+// Whether a CIDR block (or single address) lies entirely inside another
+function cidrCovers(outer, inner) {
+  const [network, prefix] = String(inner).split('/');
+  const bits = network.includes(':') ? 128 : 32;
+  const size = (text) => (text === undefined ? bits : Number(text));
+  return ipInCidr(outer, network) && size(prefix) >= size(String(outer).split('/')[1]);
+}
+
+// Whether any of the values already matches everything the given value matches,
+// compared as the operator without its negation - e.g. "home/*" covers "home/docs/*"
+function isCovered(baseOperator, values, value) {
+  const operator = baseOperator.replace('Not', '');
+  if (operator === 'IpAddress') {
+    return values.some((outer) => cidrCovers(outer, value));
+  }
+  return evaluateCondition(operator, 'value', values, { value });
+}
+
+// Values of a changed condition that grant more access than before. An Allow
+// widens when its condition matches more requests, a Deny when it matches fewer.
+function findWidenedValues({ name, before, after }, effect) {
+  const { baseOperator } = parseConditionOperator(name.split(' ')[0]);
+  if (baseOperator === 'Null') return [];
+  const negated = baseOperator.includes('Not');
+  const uncovered = (values, others) =>
+    values.filter((value) => !isCovered(baseOperator, others, value));
+  const describe = (value) => `${isWildcard(value) ? 'wildcard ' : ''}"${value}"`;
+
+  if (effect === 'Deny') {
+    // A negated Deny matches fewer requests when it exempts more values
+    return negated
+      ? uncovered(after, before).map((value) => `now exempts ${describe(value)}`)
+      : uncovered(before, after).map((value) => `no longer applies to "${value}"`);
+  }
+  // A negated Allow matches more requests when a value it excluded is dropped
+  return negated
+    ? uncovered(before, after).map((value) => `no longer excludes "${value}"`)
+    : uncovered(after, before).map((value) => `now accepts ${describe(value)}`);
+}
+
+function formatCondition(name, values) {
+  return `${name} = ${values.join(', ')}`;
+}
+
+function diffLists(before, after) {
+  return {
+    added: after.filter((value) => !before.includes(value)),
+    removed: before.filter((value) => !after.includes(value)),
+  };
+}
+
+function diffConditions(before, after) {
+  const beforeEntries = conditionEntries(before);
+  const afterEntries = conditionEntries(after);
+  const added = [];
+  const removed = [];
+  const removedKeys = [];
+  const addedKeys = [];
+  const changedValues = [];
+
+  beforeEntries.forEach((values, name) => {
+    const afterValues = afterEntries.get(name);
+    if (!afterValues) {
+      removed.push(formatCondition(name, values));
+      removedKeys.push(name);
+    } else if (afterValues.join('\n') !== values.join('\n')) {
+      removed.push(formatCondition(name, values));
+      added.push(formatCondition(name, afterValues));
+      changedValues.push({ name, before: values, after: afterValues });
+    }
+  });
+  afterEntries.forEach((values, name) => {
+    if (!beforeEntries.has(name)) {
+      added.push(formatCondition(name, values));
+      addedKeys.push(name);
+    }
+  });
+
+  return { added, removed, addedKeys, removedKeys, changedValues };
+}
+
+// Work out which changes to a statement grant more access than before
+function findBroadening(label, effectBefore, effectAfter, changes, conditions) {
+  const findings = [];
+  const listChange = (field) => changes.find((change) => change.field === field);
+  const describe = (value) => (isWildcard(value) ? `wildcard "${value}"` : `"${value}"`);
+
+  if (effectBefore === 'Deny' && effectAfter === 'Allow') {
+    findings.push(`${label}: Effect changed from Deny to Allow`);
+    return findings;
+  }
+
+  if (effectAfter === 'Allow') {
+    // More principals, actions or resources - or fewer exclusions - widen an Allow
+    ['Principal', 'Action', 'Resource'].forEach((field) => {
+      const change = listChange(field);
+      if (change) {
+        change.added.forEach((value) =>
+          findings.push(`${label}: Allows new ${field} ${describe(value)}`)
+        );
+      }
+    });
+    ['NotPrincipal', 'NotAction', 'NotResource'].forEach((field) => {
+      const change = listChange(field);
+      if (change) {
+        change.removed.forEach((value) =>
+          findings.push(`${label}: No longer excludes ${field} "${value}"`)
+        );
+      }
+    });
+    conditions.removedKeys.forEach((name) =>
+      findings.push(`${label}: Allow no longer requires condition ${name}`)
+    );
+    conditions.changedValues.forEach((change) =>
+      findWidenedValues(change, 'Allow').forEach((widened) =>
+        findings.push(`${label}: Allow condition ${change.name} ${widened}`)
+      )
+    );
+  } else if (effectAfter === 'Deny') {
+    // Fewer denied principals, actions or resources - or more exclusions - narrow a Deny
+    ['Principal', 'Action', 'Resource'].forEach((field) => {
+      const change = listChange(field);
+      if (change) {
+        change.removed.forEach((value) =>
+          findings.push(`${label}: No longer denies ${field} "${value}"`)
+        );
+      }
+    });
+    ['NotPrincipal', 'NotAction', 'NotResource'].forEach((field) => {
+      const change = listChange(field);
+      if (change) {
+        change.added.forEach((value) =>
+          findings.push(`${label}: Deny now excludes ${field} ${describe(value)}`)
+        );
+      }
+    });
+    conditions.addedKeys.forEach((name) =>
+      findings.push(`${label}: Deny now only applies with condition ${name}`)
+    );
+    conditions.changedValues.forEach((change) =>
+      findWidenedValues(change, 'Deny').forEach((narrowed) =>
+        findings.push(`${label}: Deny condition ${change.name} ${narrowed}`)
+      )
+    );
+  }
+
+  return findings;
+}
+
+// One finding for a whole new Allow statement, naming any wildcards it grants
+function describeNewAllow(label, changes) {
+  const wildcards = changes
+    .filter((change) => ['Principal', 'Action', 'Resource'].includes(change.field))
+    .flatMap((change) => change.added.filter(isWildcard));
+  return wildcards.length > 0
+    ? `${label}: New Allow statement with wildcard ${wildcards.map((w) => `"${w}"`).join(', ')}`
+    : `${label}: New Allow statement`;
+}
+
+function getLabel(stmt, idx) {
+  return stmt.Sid ? `"${stmt.Sid}"` : `Statement[${idx}]`;
+}
+
+function diffStatement(before, after, label) {
+  const changes = [];
+  if (before.Effect !== after.Effect) {
+    changes.push({ field: 'Effect', before: before.Effect, after: after.Effect });
+  }
+  LIST_FIELDS.forEach((field) => {
+    const { added, removed } = diffLists(fieldValues(before, field), fieldValues(after, field));
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ field, added, removed });
+    }
+  });
+  const conditions = diffConditions(before.Condition, after.Condition);
+  if (conditions.added.length > 0 || conditions.removed.length > 0) {
+    changes.push({ field: 'Condition', added: conditions.added, removed: conditions.removed });
+  }
+
+  const broadening = findBroadening(label, before.Effect, after.Effect, changes, conditions);
+  return { changes, broadening };
+}
+
+// Pair statements by Sid; statements without a Sid are paired in the order they appear
+function matchStatements(beforeStatements, afterStatements) {
+  const pairs = [];
+  const unmatched = beforeStatements.map((stmt, idx) => ({ stmt, idx }));
+  const take = (predicate) => {
+    const found = unmatched.findIndex(predicate);
+    return found < 0 ? null : unmatched.splice(found, 1)[0];
+  };
+
+  afterStatements.forEach((stmt, idx) => {
+    const match = stmt.Sid
+      ? take((entry) => entry.stmt.Sid === stmt.Sid)
+      : take((entry) => !entry.stmt.Sid);
+    pairs.push({ before: match, after: { stmt, idx } });
+  });
+  unmatched.forEach((entry) => pairs.push({ before: entry, after: null }));
+  return pairs;
+}
+
+/**
+ * Compare two versions of a policy statement by statement
+ * @param {Object|string} before - The earlier policy (object or JSON text)
+ * @param {Object|string} after - The changed policy (object or JSON text)
+ * @returns {Object} - { isValid, errors, statements, broadening, summary }
+ *   statements: [{ status, label, sid, effect, changes: [{ field, added, removed } | { field: 'Effect', before, after }] }]
+ *   broadening: messages for changes that grant more access than before
+ *   summary: number of added, removed, changed and unchanged statements
+ */
+export function diffPolicies(before, after) {
+  const errors = [];
+  const beforeStatements = parsePolicy(before, 'Earlier policy', errors);
+  const afterStatements = parsePolicy(after, 'Current policy', errors);
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  if (errors.length > 0) {
+    return { isValid: false, errors, statements: [], broadening: [], summary };
+  }
+
+  const statements = [];
+  const broadening = [];
+  matchStatements(beforeStatements, afterStatements).forEach((pair) => {
+    const current = pair.after || pair.before;
+    const label = getLabel(current.stmt, current.idx);
+    let status;
+    let diff;
+
+    // Added and removed statements are compared with an empty statement of the same effect
+    if (!pair.before) {
+      status = STATEMENT_ADDED;
+      diff = diffStatement({ Effect: current.stmt.Effect }, current.stmt, label);
+      diff.broadening =
+        current.stmt.Effect === 'Allow' ? [describeNewAllow(label, diff.changes)] : [];
+    } else if (!pair.after) {
+      status = STATEMENT_REMOVED;
+      diff = diffStatement(current.stmt, { Effect: current.stmt.Effect }, label);
+      diff.broadening =
+        current.stmt.Effect === 'Deny' ? [`${label}: Deny statement was removed`] : [];
+    } else {
+      diff = diffStatement(pair.before.stmt, pair.after.stmt, label);
+      status = diff.changes.length > 0 ? STATEMENT_CHANGED : STATEMENT_UNCHANGED;
+    }
+
+    summary[status]++;
+    broadening.push(...diff.broadening);
+    statements.push({
+      status,
+      label,
+      sid: current.stmt.Sid || '',
+      effect: current.stmt.Effect,
+      changes: diff.changes,
+    });
+  });
+
+  return { isValid: true, errors, statements, broadening, summary };
+}
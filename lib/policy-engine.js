@@ -0,0 +1,981 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Policy Engine
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    UI-free policy generation and validation. Imported by the browser UI
+    (policy-generator.js) and usable from Node build scripts.
+*/
+
+import {
+  getAction,
+  getActionResourceTypes,
+  getArnResourceTypes,
+  RESOURCE_BUCKET,
+  RESOURCE_OBJECT,
+} from './action-catalog.js';
+import { checkConditionEntry } from './condition-keys.js';
+import { validateJsonSchema } from './json-schema.js';
+import {
+  ACTION_LIST_REF,
+  CONDITION_OPERATORS,
+  CONDITION_REF,
+  POLICY_SCHEMA,
+  POLICY_VERSIONS,
+  PRINCIPAL_REF,
+  PRINCIPAL_TYPES,
+  RESOURCE_LIST_REF,
+  STATEMENT_REF,
+} from './policy-schema.js';
+import {
+  getProviderProfile,
+  getResourceArnPrefixes,
+  isActionSupported,
+  isConditionKeySupported,
+} from './providers.js';
+import { normalizeResourcePaths } from './resource-paths.js';
+
+export {
+  PROVIDER_AWS,
+  PROVIDER_GENERIC,
+  PROVIDER_IMPOSSIBLE_CLOUD,
+  PROVIDER_PROFILES,
+  getProviderProfile,
+} from './providers.js';
+
+const [POLICY_VERSION] = POLICY_VERSIONS;
+
+// AWS S3 Bucket Name Validation
+export function validateBucketName(bucketName) {
+  const errors = [];
+
+  // Rule 1: Length must be between 3 and 63 characters
+  if (bucketName.length < 3) {
+    errors.push('Bucket name must be at least 3 characters long');
+  }
+  if (bucketName.length > 63) {
+    errors.push('Bucket name cannot exceed 63 characters');
+  }
+
+  // Rule 2: Can only contain lowercase letters, numbers, dots (.), and hyphens (-)
+  if (!/^[a-z0-9.-]+$/.test(bucketName)) {
+    errors.push(
+      'Bucket name can only contain lowercase letters, numbers, dots (.), and hyphens (-)'
+    );
+  }
+
+  // Rule 3: Must begin and end with a letter or number
+  if (!/^[a-z0-9]/.test(bucketName)) {
+    errors.push('Bucket name must begin with a lowercase letter or number');
+  }
+  if (!/[a-z0-9]$/.test(bucketName)) {
+    errors.push('Bucket name must end with a lowercase letter or number');
+  }
+
+  // Rule 4: Must not be formatted as an IP address
+  if (/^(\d{1,3}\.){3}\d{1,3}$/.test(bucketName)) {
+    errors.push('Bucket name cannot be formatted as an IP address (e.g., 192.168.1.1)');
+  }
+
+  // Rule 5: Must not start with 'xn--'
+  if (bucketName.startsWith('xn--')) {
+    errors.push('Bucket name cannot start with "xn--"');
+  }
+
+  // Rule 6: Must not end with '-s3alias'
+  if (bucketName.endsWith('-s3alias')) {
+    errors.push('Bucket name cannot end with "-s3alias"');
+  }
+
+  // Rule 7: Cannot contain two adjacent periods
+  if (bucketName.includes('..')) {
+    errors.push('Bucket name cannot contain two adjacent periods (..)');
+  }
+
+  // Rule 8: Cannot have a period adjacent to a hyphen
+  if (bucketName.includes('.-') || bucketName.includes('-.')) {
+    errors.push('Bucket name cannot have a period adjacent to a hyphen');
+  }
+
+  // Rule 9: Check for uppercase letters (already covered by regex but good to be explicit)
+  if (/[A-Z]/.test(bucketName)) {
+    errors.push('Bucket name cannot contain uppercase letters');
+  }
+
+  // Rule 10: Check for underscores
+  if (bucketName.includes('_')) {
+    errors.push('Bucket name cannot contain underscores (_)');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors,
+  };
+}
+
+// AWS ARN (Amazon Resource Name) Validation for Principal field
+export function validatePrincipalARN(principal, options = {}) {
+  const profile = getProviderProfile(options.provider);
+  const errors = [];
+  const warnings = [];
+
+  // Allow wildcard for public access
+  if (principal === '*') {
+    warnings.push('Using "*" grants public access - ensure this is intentional for security');
+    return { isValid: true, errors: [], warnings: warnings };
+  }
+
+  // Allow empty (optional field)
+  if (!principal || principal.trim() === '') {
+    return { isValid: true, errors: [], warnings: [] };
+  }
+
+  // Check for canonical user ID (64-character hex string)
+  if (/^[a-f0-9]{64}$/.test(principal)) {
+    return {
+      isValid: true,
+      errors: [],
+      warnings: [`Using canonical user ID - ensure this is a ${profile.name} canonical ID`],
+    };
+  }
+
+  // Check for service principals (e.g., s3.amazonaws.com)
+  if (principal.includes('.amazonaws.com') || principal.includes('.amazon.com')) {
+    if (!principal.match(/^[a-z0-9-]+\.(amazonaws\.com|amazon\.com)$/)) {
+      errors.push('Service principal format should be: service-name.amazonaws.com');
+    } else {
+      if (!profile.supportsServicePrincipals) {
+        warnings.push(
+          `⚠ AWS service principals (*.amazonaws.com) may not be supported by ${profile.name}. Use IAM user/role ARNs instead.`
+        );
+      }
+      return { isValid: true, errors: [], warnings: warnings };
+    }
+  }
+
+  // Validate IAM ARN format
+  if (principal.startsWith('arn:')) {
+    const parts = principal.split(':');
+    const partition = parts[1];
+    const supportsIpcld = profile.principalPartitions.includes('ipcld');
+
+    // Impossible Cloud ARN format: arn:ipcld:iam::CanonicalID:policy/name or user/name
+    if (partition === 'ipcld' && supportsIpcld) {
+      const service = parts[2];
+      const canonicalId = parts[4];
+      const resource = parts.slice(5).join(':');
+
+      if (service !== 'iam') {
+        errors.push(
+          'Impossible Cloud ARNs currently only support IAM service (arn:ipcld:iam::...)'
+        );
+      }
+
+      if (!canonicalId || canonicalId.length === 0) {
+        errors.push(
+          'Impossible Cloud ARN requires a canonical ID (arn:ipcld:iam::YourCanonicalID:...)'
+        );
+      }
+
+      if (!resource || resource.length === 0) {
+        errors.push(
+          'Impossible Cloud ARN requires a resource (e.g., user/username, policy/policyname)'
+        );
+      } else if (!resource.includes('/')) {
+        errors.push(
+          'Impossible Cloud resource must include type/name (e.g., user/username, policy/policyname)'
+        );
+      }
+
+      return {
+        isValid: errors.length === 0,
+        errors: errors,
+        warnings: warnings,
+      };
+    }
+
+    // AWS ARN format: arn:partition:service:region:account-id:resource
+    const arnRegex = /^arn:([a-z-]+):([a-z0-9-]+):([a-z0-9-]*):([0-9]{12}|):(.+)$/;
+
+    if (!arnRegex.test(principal)) {
+      errors.push(
+        'Invalid ARN format. Expected: arn:aws:service:region:account-id:resource' +
+          (supportsIpcld ? ' or arn:ipcld:iam::CanonicalID:resource' : '')
+      );
+    } else {
+      const service = parts[2];
+      const region = parts[3];
+      const accountId = parts[4];
+      const resource = parts.slice(5).join(':');
+
+      // Validate partition against the ones the provider uses
+      if (!profile.principalPartitions.includes(partition)) {
+        errors.push(
+          `Invalid partition "${partition}". ${profile.name} supports: ${profile.principalPartitions.join(', ')}`
+        );
+      }
+
+      // Validate service (for S3 bucket policies, most common are IAM, S3, STS)
+      const validServices = ['iam', 's3', 'sts'];
+      const awsOnlyServices = [
+        'ec2',
+        'lambda',
+        'cloudfront',
+        'elasticloadbalancing',
+        'rds',
+        'dynamodb',
+      ];
+
+      if (!validServices.includes(service) && !awsOnlyServices.includes(service)) {
+        warnings.push(
+          `Service "${service}" is unusual for S3 bucket policies. Common services: iam, s3, sts`
+        );
+      } else if (awsOnlyServices.includes(service) && !profile.supportsServicePrincipals) {
+        warnings.push(
+          `⚠ Service "${service}" is AWS-specific and not supported by ${profile.name}. Use iam, s3, or sts instead.`
+        );
+      }
+
+      // For IAM ARNs, validate account ID
+      if (service === 'iam') {
+        if (!accountId) {
+          errors.push('IAM ARN requires a 12-digit account ID');
+        } else if (!/^\d{12}$/.test(accountId)) {
+          errors.push(`Account ID must be exactly 12 digits, got: ${accountId}`);
+        }
+
+        // Validate resource format
+        if (!resource) {
+          errors.push('IAM ARN requires a resource (e.g., user/username, role/rolename, or root)');
+        } else {
+          const validResourceTypes = [
+            'user',
+            'role',
+            'group',
+            'instance-profile',
+            'root',
+            'federated-user',
+            'assumed-role',
+          ];
+          const resourceType = resource.split('/')[0];
+
+          if (resource !== 'root' && !resource.includes('/')) {
+            errors.push('IAM resource must be "root" or include type/name (e.g., user/username)');
+          } else if (resource !== 'root' && !validResourceTypes.includes(resourceType)) {
+            warnings.push(
+              `Resource type "${resourceType}" may not be valid. Common types: user, role, root`
+            );
+          }
+        }
+
+        // IAM ARNs should not have region
+        if (region && region !== '') {
+          warnings.push('IAM ARNs typically do not specify a region');
+        }
+      }
+
+      // For S3 ARNs
+      if (service === 's3') {
+        if (accountId && accountId !== '') {
+          warnings.push('S3 ARNs typically do not include account ID');
+        }
+        if (region && region !== '') {
+          warnings.push('S3 ARNs typically do not specify a region');
+        }
+      }
+    }
+  } else if (!principal.includes('.')) {
+    // If it's not an ARN and not a service principal, it might be an account ID
+    if (/^\d{12}$/.test(principal)) {
+      warnings.push(
+        'Using just an account ID. Consider using full ARN format: arn:aws:iam::123456789012:root'
+      );
+    } else {
+      errors.push(
+        `Principal must be "*", a valid ARN (${profile.principalPartitions
+          .map((p) => `arn:${p}:...`)
+          .join(
+            ' or '
+          )}), canonical user ID (64-char hex), service principal (service.amazonaws.com), or 12-digit account ID`
+      );
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors,
+    warnings: warnings,
+  };
+}
+
+/**
+ * Build a Principal element from a list of principals
+ * @param {string[]} principals - "*", IAM ARNs, 12-digit account IDs, service principals or canonical user IDs
+ * @param {Object} options - { provider } - the provider whose ARN partitions are accepted
+ * @returns {Object} - { isValid, principal, errors, warnings }
+ */
+export function buildPrincipal(principals, options = {}) {
+  const profile = getProviderProfile(options.provider);
+  const errors = [];
+  const warnings = [];
+  const list = (principals || []).map((p) => String(p).trim()).filter((p) => p);
+
+  if (list.length === 0) {
+    errors.push('At least one principal is required');
+    return { isValid: false, principal: null, errors, warnings };
+  }
+
+  if (list.includes('*')) {
+    if (list.length > 1) {
+      errors.push('Principal "*" (everyone) cannot be combined with other principals');
+      return { isValid: false, principal: null, errors, warnings };
+    }
+    warnings.push('Principal "*" grants public access - ensure this is intentional');
+    return { isValid: true, principal: '*', errors, warnings };
+  }
+  if (profile.principalNote) {
+    warnings.push(profile.principalNote);
+  }
+
+  // Group principals by type: canonical user IDs, service principals, everything else is AWS
+  const grouped = { AWS: [], CanonicalUser: [], Service: [] };
+  list.forEach((principal) => {
+    validatePrincipalARN(principal, options).errors.forEach((error) =>
+      errors.push(`Principal "${principal}": ${error}`)
+    );
+    if (/^[a-f0-9]{64}$/.test(principal)) {
+      grouped.CanonicalUser.push(principal);
+    } else if (/\.amazonaws\.com$/.test(principal)) {
+      grouped.Service.push(principal);
+    } else {
+      grouped.AWS.push(principal);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { isValid: false, principal: null, errors, warnings };
+  }
+
+  const principal = {};
+  Object.keys(grouped).forEach((type) => {
+    if (grouped[type].length > 0) {
+      principal[type] = grouped[type].length === 1 ? grouped[type][0] : grouped[type];
+    }
+  });
+  return { isValid: true, principal, errors, warnings };
+}
+
+/**
+ * Build a single policy statement from a statement configuration
+ * @param {Object} stmt - Statement config: { sid, effect, principals, actions, resourcePath, condition } - resourcePath is one path per line, or an array of paths
+ * @param {string} bucketName - The bucket the statement applies to
+ * @param {Object} options - { provider } - sets the ARN partition, and principals are only emitted for providers that support them
+ * @returns {Object} - { isValid, statement, errors, warnings }
+ */
+export function buildStatement(stmt, bucketName, options = {}) {
+  const profile = getProviderProfile(options.provider);
+  const errors = [];
+  const warnings = [];
+  const sid = stmt.sid ? String(stmt.sid).trim() : '';
+  const effect = stmt.effect || 'Allow';
+  const pathResult = normalizeResourcePaths(stmt.resourcePath);
+  const actions = (stmt.actions || []).map((a) => String(a).trim()).filter((a) => a);
+
+  if (actions.length === 0) {
+    errors.push('At least one action is required');
+  }
+  if (sid && !/^[a-zA-Z0-9]+$/.test(sid)) {
+    errors.push(`Sid "${sid}" must contain only alphanumeric characters`);
+  }
+  if (effect !== 'Allow' && effect !== 'Deny') {
+    errors.push(`Effect must be "Allow" or "Deny", got "${effect}"`);
+  }
+  pathResult.errors.forEach((error) => errors.push(error));
+  pathResult.warnings.forEach((warning) => warnings.push(warning));
+
+  // Condition may be given as an object or as JSON text
+  let condition = stmt.condition;
+  if (typeof condition === 'string') {
+    const conditionText = condition.trim();
+    condition = undefined;
+    if (conditionText) {
+      try {
+        condition = JSON.parse(conditionText);
+      } catch {
+        errors.push('Invalid JSON in Condition field');
+      }
+    }
+  }
+  if (condition && Object.keys(condition).length === 0) {
+    condition = undefined;
+  }
+  if (condition) {
+    validateCondition(condition, 'Condition', errors, warnings, options);
+  }
+  actions
+    .filter((action) => !isActionSupported(profile, action))
+    .forEach((action) => warnings.push(`"${action}" is not supported by ${profile.name}`));
+
+  let principal;
+  const principals = (stmt.principals || []).filter((p) => String(p).trim());
+  if (profile.supportsPrincipals) {
+    const principalResult = buildPrincipal(principals, options);
+    principalResult.errors.forEach((error) => errors.push(error));
+    principalResult.warnings.forEach((warning) => warnings.push(warning));
+    principal = principalResult.principal;
+  } else if (principals.length > 0) {
+    warnings.push(`Principal is not supported by ${profile.name} and was left out`);
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, statement: null, errors, warnings };
+  }
+
+  // Build resources array
+  const [arnPrefix] = getResourceArnPrefixes(profile);
+  const resources = [];
+  // Each action gets the ARN of the resource it applies to; unknown actions get the objects
+  const resourceTypes = new Set(
+    actions.flatMap((action) => {
+      const types = getActionResourceTypes(action);
+      return types.length > 0 ? types : [RESOURCE_OBJECT];
+    })
+  );
+  if (resourceTypes.has(RESOURCE_BUCKET)) {
+    resources.push(`${arnPrefix}${bucketName}`);
+  }
+  if (resourceTypes.has(RESOURCE_OBJECT)) {
+    pathResult.paths.forEach((path) => resources.push(`${arnPrefix}${bucketName}/${path}`));
+  }
+
+  // Build statement (Principal only for providers that support it)
+  const statement = {};
+  if (sid) {
+    statement.Sid = sid;
+  }
+  statement.Effect = effect;
+  if (principal) {
+    statement.Principal = principal;
+  }
+  statement.Action = actions.length === 1 ? actions[0] : actions;
+  statement.Resource = resources.length === 1 ? resources[0] : resources;
+  if (condition) {
+    statement.Condition = condition;
+  }
+
+  return { isValid: true, statement, errors, warnings };
+}
+
+/**
+ * Build a complete bucket policy document
+ * @param {Object} config - { bucketName, provider, statements: [{ sid, effect, principals, actions, resourcePath, condition }] }
+ * @returns {Object} - { isValid, policy, errors, warnings, invalidStatements }
+ */
+export function buildPolicy(config) {
+  const errors = [];
+  const warnings = [];
+  const invalidStatements = [];
+  const bucketName = (config.bucketName || '').trim();
+
+  if (!bucketName) {
+    errors.push('Bucket name is required');
+  } else {
+    validateBucketName(bucketName).errors.forEach((error) => errors.push(`Bucket name: ${error}`));
+  }
+
+  const statements = config.statements || [];
+  if (statements.length === 0) {
+    errors.push('At least one statement is required');
+  }
+
+  const policyStatements = [];
+  statements.forEach((stmt, idx) => {
+    const prefix = `Statement[${idx}]` + (stmt.sid ? ` (${stmt.sid})` : '');
+    const result = buildStatement(stmt, bucketName, { provider: config.provider });
+    result.errors.forEach((error) => errors.push(`${prefix}: ${error}`));
+    result.warnings.forEach((warning) => warnings.push(`${prefix}: ${warning}`));
+    if (result.isValid) {
+      policyStatements.push(result.statement);
+    } else {
+      invalidStatements.push(idx);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { isValid: false, policy: null, errors, warnings, invalidStatements };
+  }
+
+  return {
+    isValid: true,
+    policy: {
+      Version: POLICY_VERSION,
+      Statement: policyStatements,
+    },
+    errors,
+    warnings,
+    invalidStatements,
+  };
+}
+
+/**
+ * Convert a policy document back into a configuration accepted by buildPolicy()
+ * @param {Object} policy - A parsed bucket policy
+ * @param {Object} options - { provider } - sets the accepted ARN partitions and warns about principals the provider ignores
+ * @returns {Object} - { isValid, config, errors, warnings }
+ */
+export function policyToConfig(policy, options = {}) {
+  const profile = getProviderProfile(options.provider);
+  const arnPrefixes = getResourceArnPrefixes(profile);
+  const errors = [];
+  const warnings = [];
+  const bucketNames = new Set();
+
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+    errors.push('Policy must be a JSON object');
+    return { isValid: false, config: null, errors, warnings };
+  }
+  if (!Array.isArray(policy.Statement) || policy.Statement.length === 0) {
+    errors.push('Policy must contain a non-empty "Statement" array');
+    return { isValid: false, config: null, errors, warnings };
+  }
+
+  const statements = [];
+  policy.Statement.forEach((stmt, idx) => {
+    const prefix = `Statement[${idx}]`;
+    if (typeof stmt !== 'object' || stmt === null) {
+      warnings.push(`${prefix}: Not an object - skipped`);
+      return;
+    }
+
+    if (stmt.NotAction) {
+      warnings.push(`${prefix}: NotAction cannot be edited in the form and was not imported`);
+    }
+    if (stmt.NotResource) {
+      warnings.push(`${prefix}: NotResource cannot be edited in the form and was not imported`);
+    }
+    if (stmt.NotPrincipal) {
+      warnings.push(`${prefix}: NotPrincipal cannot be edited in the form and was not imported`);
+    }
+    if (stmt.Principal && !profile.supportsPrincipals) {
+      warnings.push(
+        `${prefix}: Principal is not supported by ${profile.name} - switch to a target provider that supports principals to use it`
+      );
+    }
+
+    // Bucket ARNs give the bucket name, object ARNs give the resource path
+    const objectPaths = [];
+    [].concat(stmt.Resource || []).forEach((resource) => {
+      const arnPrefix = arnPrefixes.find((p) => String(resource).startsWith(p));
+      const match = arnPrefix && /^([^/]+)(?:\/(.*))?$/.exec(resource.substring(arnPrefix.length));
+      if (!match) {
+        warnings.push(`${prefix}: Resource "${resource}" is not an S3 ARN and was not imported`);
+        return;
+      }
+      bucketNames.add(match[1]);
+      if (match[2] !== undefined) {
+        objectPaths.push(match[2]);
+      }
+    });
+
+    // "*" stays as is; typed principals are flattened into one list
+    let principals = [];
+    if (stmt.Principal === '*') {
+      principals = ['*'];
+    } else if (stmt.Principal && typeof stmt.Principal === 'object') {
+      principals = Object.values(stmt.Principal).flatMap((ids) => [].concat(ids).map(String));
+    }
+
+    statements.push({
+      sid: typeof stmt.Sid === 'string' ? stmt.Sid : `Statement${idx + 1}`,
+      effect: stmt.Effect === 'Deny' ? 'Deny' : 'Allow',
+      principals,
+      actions: [].concat(stmt.Action || []).map((action) => String(action)),
+      resourcePath: objectPaths.join('\n'),
+      condition: stmt.Condition || null,
+    });
+  });
+
+  if (statements.length === 0) {
+    errors.push('Policy does not contain any importable statements');
+    return { isValid: false, config: null, errors, warnings };
+  }
+
+  const [bucketName = ''] = bucketNames;
+  if (bucketNames.size > 1) {
+    warnings.push(
+      `Policy references ${bucketNames.size} buckets - using "${bucketName}" as the bucket name`
+    );
+  }
+
+  return { isValid: true, config: { bucketName, statements }, errors, warnings };
+}
+
+// Schema findings that are only warnings: unknown fields are ignored by S3, and 2008-10-17 still works
+const SCHEMA_WARNINGS = ['additionalProperties', 'deprecated'];
+
+// Principals, actions, resources and conditions are checked in code, with provider-specific rules
+const CHECKED_IN_CODE = [PRINCIPAL_REF, ACTION_LIST_REF, RESOURCE_LIST_REF, CONDITION_REF];
+
+function checkSchema(value, schema, path, skipRefs) {
+  return validateJsonSchema(value, schema, { root: POLICY_SCHEMA, path, skipRefs });
+}
+
+/**
+ * Validate a complete policy document
+ * @param {Object|string} policy - A parsed policy, or its JSON text
+ * @param {Object} options - { provider } - the target provider (default Impossible Cloud)
+ * @returns {Object} - { isValid, errors, warnings }
+ */
+export function validatePolicyDocument(policy, options = {}) {
+  const errors = [];
+  const warnings = [];
+
+  // Step 1: Validate JSON syntax
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (e) {
+      errors.push('Invalid JSON syntax: ' + e.message);
+      return { isValid: false, errors, warnings };
+    }
+  }
+
+  // Step 2: Validate the root fields against the policy schema; statements are checked one by one
+  const rootFindings = checkSchema(policy, POLICY_SCHEMA, '', [STATEMENT_REF]);
+  rootFindings.forEach((finding) => {
+    (SCHEMA_WARNINGS.includes(finding.keyword) ? warnings : errors).push(finding.message);
+  });
+  if (rootFindings.some((finding) => finding.path === '' && finding.keyword === 'type')) {
+    return { isValid: false, errors, warnings };
+  }
+
+  // Step 3: Validate each statement
+  if (Array.isArray(policy.Statement)) {
+    policy.Statement.forEach((stmt, idx) => {
+      validateStatement(stmt, idx, errors, warnings, options);
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors,
+    warnings: warnings,
+  };
+}
+
+export function validateStatement(stmt, idx, errors, warnings, options = {}) {
+  const prefix = `Statement[${idx}]`;
+  const profile = getProviderProfile(options.provider);
+
+  // Check the statement's fields, Sid and Effect against the policy schema
+  const findings = checkSchema(stmt, POLICY_SCHEMA.definitions.statement, prefix, CHECKED_IN_CODE);
+  findings.forEach((finding) => {
+    const message = `${prefix}: ${finding.message}`;
+    (SCHEMA_WARNINGS.includes(finding.keyword) ? warnings : errors).push(message);
+  });
+  if (typeof stmt !== 'object' || stmt === null || Array.isArray(stmt)) {
+    return;
+  }
+
+  if (profile.supportsPrincipals) {
+    // AWS bucket policies are resource-based, so every statement needs a principal
+    if (!stmt.Principal && !stmt.NotPrincipal) {
+      errors.push(`${prefix}: Missing "Principal" or "NotPrincipal"`);
+    }
+    if (stmt.Principal && stmt.NotPrincipal) {
+      errors.push(`${prefix}: Cannot have both "Principal" and "NotPrincipal"`);
+    }
+    if (stmt.Principal) {
+      validatePrincipal(stmt.Principal, prefix + '.Principal', errors, warnings, options);
+    }
+    if (stmt.NotPrincipal) {
+      validatePrincipal(stmt.NotPrincipal, prefix + '.NotPrincipal', errors, warnings, options);
+    }
+  } else {
+    // Impossible Cloud bucket policies work without explicit principals
+    // Access control is managed through IAM policies and access keys
+    if (stmt.Principal) {
+      warnings.push(
+        `${prefix}: Principal field is not supported by ${profile.name} and will be ignored`
+      );
+    }
+    if (stmt.NotPrincipal) {
+      warnings.push(
+        `${prefix}: NotPrincipal field is not supported by ${profile.name} and will be ignored`
+      );
+    }
+  }
+
+  // Validate Action/NotAction (one required)
+  if (!stmt.Action && !stmt.NotAction) {
+    errors.push(`${prefix}: Missing "Action" or "NotAction"`);
+  }
+  if (stmt.Action && stmt.NotAction) {
+    errors.push(`${prefix}: Cannot have both "Action" and "NotAction"`);
+  }
+  if (stmt.Action) {
+    validateActions(stmt.Action, prefix + '.Action', errors, warnings, options);
+  }
+  if (stmt.NotAction) {
+    validateActions(stmt.NotAction, prefix + '.NotAction', errors, warnings, options);
+  }
+
+  // Validate Resource/NotResource (one required)
+  if (!stmt.Resource && !stmt.NotResource) {
+    errors.push(`${prefix}: Missing "Resource" or "NotResource"`);
+  }
+  if (stmt.Resource && stmt.NotResource) {
+    errors.push(`${prefix}: Cannot have both "Resource" and "NotResource"`);
+  }
+  if (stmt.Resource) {
+    validateResources(stmt.Resource, prefix + '.Resource', errors, warnings, options);
+  }
+  if (stmt.NotResource) {
+    validateResources(stmt.NotResource, prefix + '.NotResource', errors, warnings, options);
+  }
+  if (stmt.Action && stmt.Resource) {
+    validateActionResources(stmt.Action, stmt.Resource, prefix, errors, warnings);
+  }
+
+  // Validate Condition (optional)
+  if (stmt.Condition) {
+    validateCondition(stmt.Condition, prefix + '.Condition', errors, warnings, options);
+  }
+}
+
+export function validatePrincipal(principal, prefix, errors, warnings, options = {}) {
+  const profile = getProviderProfile(options.provider);
+  const iamPrefixes = profile.principalPartitions.map((partition) => `arn:${partition}:iam::`);
+
+  if (principal === '*') {
+    warnings.push(
+      `${prefix}: Using wildcard (*) grants public access - ensure this is intentional`
+    );
+    return;
+  }
+
+  if (typeof principal === 'string') {
+    errors.push(
+      `${prefix}: String principals other than "*" are not valid. Use {"AWS": "..."} format`
+    );
+    return;
+  }
+
+  if (typeof principal !== 'object' || principal === null) {
+    errors.push(`${prefix}: Must be "*" or an object`);
+    return;
+  }
+
+  Object.keys(principal).forEach((key) => {
+    if (!PRINCIPAL_TYPES.includes(key)) {
+      errors.push(
+        `${prefix}: Unknown principal type "${key}". Valid types: ${PRINCIPAL_TYPES.join(', ')}`
+      );
+    }
+  });
+
+  if (profile.principalNote && ![].concat(principal.AWS).every((p) => p === '*')) {
+    warnings.push(`${prefix}: ${profile.principalNote}`);
+  }
+
+  // Validate AWS principals
+  if (principal.AWS) {
+    const awsPrincipals = Array.isArray(principal.AWS) ? principal.AWS : [principal.AWS];
+    awsPrincipals.forEach((arn, idx) => {
+      if (arn === '*') {
+        warnings.push(`${prefix}.AWS[${idx}]: Using "*" grants public access`);
+      } else if (typeof arn !== 'string') {
+        errors.push(`${prefix}.AWS[${idx}]: Must be a string`);
+      } else if (/^\d{12}$/.test(arn)) {
+        // A bare account ID is shorthand for arn:aws:iam::<account>:root
+      } else if (!iamPrefixes.some((p) => arn.startsWith(p))) {
+        errors.push(`${prefix}.AWS[${idx}]: Invalid ARN format "${arn}"`);
+      } else if (!/^\d{12}$/.test(arn.split('::')[1]?.split(':')[0] || '')) {
+        warnings.push(`${prefix}.AWS[${idx}]: Account ID should be 12 digits`);
+      }
+    });
+  }
+
+  // Validate canonical user IDs
+  if (principal.CanonicalUser) {
+    [].concat(principal.CanonicalUser).forEach((id, idx) => {
+      if (typeof id !== 'string' || !/^[a-f0-9]{64}$/.test(id)) {
+        errors.push(`${prefix}.CanonicalUser[${idx}]: Must be a 64-character hex canonical ID`);
+      }
+    });
+  }
+
+  // Validate Service principals
+  if (principal.Service) {
+    const services = Array.isArray(principal.Service) ? principal.Service : [principal.Service];
+    services.forEach((svc, idx) => {
+      if (typeof svc !== 'string') {
+        errors.push(`${prefix}.Service[${idx}]: Must be a string`);
+      } else if (!svc.includes('.amazonaws.com') && svc !== 's3.amazonaws.com') {
+        warnings.push(
+          `${prefix}.Service[${idx}]: Service principal should typically end with .amazonaws.com`
+        );
+      }
+    });
+  }
+}
+
+export function validateActions(actions, prefix, errors, warnings, options = {}) {
+  const profile = getProviderProfile(options.provider);
+  const actionList = Array.isArray(actions) ? actions : [actions];
+
+  if (actionList.length === 0) {
+    errors.push(`${prefix}: Cannot be empty`);
+    return;
+  }
+
+  actionList.forEach((action, idx) => {
+    if (typeof action !== 'string') {
+      errors.push(`${prefix}[${idx}]: Must be a string`);
+    } else if (!action.includes(':')) {
+      errors.push(`${prefix}[${idx}]: Invalid format "${action}". Must be "service:action"`);
+    } else {
+      const [service, actionName] = action.split(':');
+      if (service !== 's3' && action !== '*') {
+        warnings.push(`${prefix}[${idx}]: "${action}" is not an S3 action`);
+      } else if (service === 's3' && !actionName.includes('*') && !getAction(action)) {
+        warnings.push(`${prefix}[${idx}]: "${action}" may not be a valid S3 action`);
+      } else if (!isActionSupported(profile, action)) {
+        warnings.push(`${prefix}[${idx}]: "${action}" is not supported by ${profile.name}`);
+      }
+    }
+  });
+}
+
+export function validateResources(resources, prefix, errors, warnings, options = {}) {
+  const arnPrefixes = getResourceArnPrefixes(getProviderProfile(options.provider));
+  const resourceList = Array.isArray(resources) ? resources : [resources];
+
+  if (resourceList.length === 0) {
+    errors.push(`${prefix}: Cannot be empty`);
+    return;
+  }
+
+  resourceList.forEach((resource, idx) => {
+    if (typeof resource !== 'string') {
+      errors.push(`${prefix}[${idx}]: Must be a string`);
+    } else if (resource !== '*') {
+      const arnPrefix = arnPrefixes.find((p) => resource.startsWith(p));
+      if (!arnPrefix) {
+        errors.push(
+          `${prefix}[${idx}]: Must be a valid S3 ARN (${arnPrefixes.map((p) => `${p}...`).join(' or ')}) or "*"`
+        );
+        return;
+      }
+      const bucketPart = resource.substring(arnPrefix.length);
+      if (bucketPart === '') {
+        errors.push(`${prefix}[${idx}]: Missing bucket name in ARN`);
+      } else if (bucketPart.includes('//')) {
+        errors.push(`${prefix}[${idx}]: Invalid path - contains double slashes`);
+      }
+
+      // Check if it's a bucket ARN (no /) vs object ARN (has /)
+      const hasPath = bucketPart.includes('/');
+      if (!hasPath && bucketPart.length > 63) {
+        errors.push(`${prefix}[${idx}]: Bucket name too long (max 63 characters)`);
+      }
+      if (!hasPath && !/^[a-z0-9][a-z0-9.-]*[a-z0-9]$/.test(bucketPart)) {
+        warnings.push(`${prefix}[${idx}]: Bucket name may not follow S3 naming rules`);
+      }
+    }
+  });
+}
+
+/**
+ * Check that the actions of a statement and its resources fit together:
+ * bucket actions need the bucket ARN and object actions an object ARN
+ * @param {string|string[]} actions - The statement's Action
+ * @param {string|string[]} resources - The statement's Resource
+ * @param {string} prefix - Path of the statement, e.g. "Statement[0]"
+ */
+export function validateActionResources(actions, resources, prefix, errors, warnings) {
+  const actionList = [].concat(actions).filter((action) => typeof action === 'string');
+  const resourceList = [].concat(resources).filter((resource) => typeof resource === 'string');
+  if (actionList.length === 0 || resourceList.length === 0) {
+    return;
+  }
+
+  const covered = new Set(resourceList.flatMap(getArnResourceTypes));
+  const bucketArn = resourceList[0] === '*' ? null : resourceList[0].split('/')[0];
+  const missing = (type) =>
+    actionList.filter((action) => {
+      const types = getActionResourceTypes(action);
+      return types.length === 1 && types[0] === type && !covered.has(type);
+    });
+
+  const bucketActions = missing(RESOURCE_BUCKET);
+  if (bucketActions.length > 0) {
+    warnings.push(
+      `${prefix}.Resource: Bucket actions ${bucketActions.join(', ')} need the bucket ARN` +
+        (bucketArn ? ` "${bucketArn}"` : '') +
+        ' - they do nothing on object ARNs'
+    );
+  }
+  const objectActions = missing(RESOURCE_OBJECT);
+  if (objectActions.length > 0) {
+    warnings.push(
+      `${prefix}.Resource: Object actions ${objectActions.join(', ')} need an object ARN` +
+        (bucketArn ? ` such as "${bucketArn}/*"` : '') +
+        ' - they do nothing on the bucket ARN'
+    );
+  }
+
+  // A resource no action applies to is only reported when every action is known
+  const actionTypes = actionList.map(getActionResourceTypes);
+  if (actionTypes.some((types) => types.length === 0)) {
+    return;
+  }
+  const used = new Set(actionTypes.flat());
+  resourceList.forEach((resource, idx) => {
+    const types = getArnResourceTypes(resource);
+    if (!types.some((type) => used.has(type))) {
+      warnings.push(
+        `${prefix}.Resource[${idx}]: "${resource}" is ${types[0] === RESOURCE_BUCKET ? 'the bucket' : 'an object ARN'}, but no action in this statement applies to ${types[0] === RESOURCE_BUCKET ? 'buckets' : 'objects'}`
+      );
+    }
+  });
+}
+
+export function validateCondition(condition, prefix, errors, warnings, options = {}) {
+  const profile = getProviderProfile(options.provider);
+  if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
+    errors.push(`${prefix}: Must be an object`);
+    return;
+  }
+
+  Object.keys(condition).forEach((operator) => {
+    // Handle ForAllValues: and ForAnyValue: prefixes (used for set operations)
+    let operatorToCheck = operator;
+    if (operator.startsWith('ForAllValues:') || operator.startsWith('ForAnyValue:')) {
+      operatorToCheck = operator.split(':')[1];
+    }
+
+    if (!CONDITION_OPERATORS.includes(operatorToCheck)) {
+      errors.push(`${prefix}: Unknown condition operator "${operator}"`);
+    }
+
+    const conditionBlock = condition[operator];
+    if (
+      typeof conditionBlock !== 'object' ||
+      conditionBlock === null ||
+      Array.isArray(conditionBlock)
+    ) {
+      errors.push(`${prefix}.${operator}: Must be an object`);
+      return;
+    }
+
+    // Type-check each key's values against the condition key catalog
+    Object.keys(conditionBlock).forEach((key) => {
+      const result = checkConditionEntry(operator, key, conditionBlock[key]);
+      result.errors.forEach((msg) => errors.push(`${prefix}.${operator}.${key}: ${msg}`));
+      result.warnings.forEach((msg) => warnings.push(`${prefix}.${operator}.${key}: ${msg}`));
+      if (!isConditionKeySupported(profile, key)) {
+        warnings.push(`${prefix}.${operator}.${key}: Not supported by ${profile.name}`);
+      }
+    });
+  });
+}
@@ -0,0 +1,258 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Policy Export
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Wraps a policy for infrastructure as code: a Terraform aws_s3_bucket_policy
+    resource, a CloudFormation AWS::S3::BucketPolicy template or a ready-to-run
+    `aws s3api put-bucket-policy` command. Terraform and the CLI command are
+    pointed at the provider's S3 endpoint, so they also apply the policy on
+    Impossible Cloud and other S3-compatible storage.
+*/
+
+import { getProviderProfile } from './providers.js';
+
+export const EXPORT_FORMATS = {
+  json: { id: 'json', name: 'Policy JSON', extension: 'json', mimeType: 'application/json' },
+  terraform: {
+    id: 'terraform',
+    name: 'Terraform (aws_s3_bucket_policy)',
+    extension: 'tf',
+    mimeType: 'text/plain',
+  },
+  cloudformation: {
+    id: 'cloudformation',
+    name: 'CloudFormation (AWS::S3::BucketPolicy)',
+    extension: 'yaml',
+    mimeType: 'application/yaml',
+  },
+  cli: {
+    id: 'cli',
+    name: 'AWS CLI (put-bucket-policy)',
+    extension: 'sh',
+    mimeType: 'text/x-shellscript',
+  },
+};
+
+const DEFAULT_BUCKET_NAME = 'your-bucket-name';
+
+/**
+ * Find the bucket a policy is for from its resource ARNs
+ * @param {Object} policy - A policy document
+ * @returns {string|null} - The first bucket named in a Resource or NotResource, or null
+ */
+export function getPolicyBucketName(policy) {
+  const statements = Array.isArray(policy?.Statement) ? policy.Statement : [];
+  for (const stmt of statements) {
+    const resources = [].concat(stmt?.Resource ?? [], stmt?.NotResource ?? []);
+    for (const resource of resources) {
+      const match = /^arn:[\w-]+:s3:::([^/*?]+)/.exec(resource);
+      if (match) return match[1];
+    }
+  }
+  return null;
+}
+
+// Terraform (HCL)
+
+const HCL_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+// A quoted HCL string; ${ and %{ are escaped so policy variables such as ${aws:username} stay literal
+function hclString(value) {
+  return JSON.stringify(value).replace(/([$%])\{/g, (match, sign) => `${sign}${sign}{`);
+}
+
+// Attribute lines with their "=" aligned as terraform fmt does; a multi-line value ends the group
+function hclAttributes(entries, indent) {
+  const lines = [];
+  let group = [];
+  const flush = () => {
+    const width = Math.max(...group.map(([key]) => key.length));
+    group.forEach(([key, value]) => lines.push(`${indent}${key.padEnd(width)} = ${value}`));
+    group = [];
+  };
+  entries.forEach(([key, value]) => {
+    if (value.includes('\n')) {
+      if (group.length > 0) flush();
+      lines.push(`${indent}${key} = ${value}`);
+    } else {
+      group.push([key, value]);
+    }
+  });
+  if (group.length > 0) flush();
+  return lines.join('\n');
+}
+
+function hclValue(value, indent) {
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.every((item) => typeof item !== 'object' || item === null)) {
+      return `[${value.map((item) => hclValue(item, inner)).join(', ')}]`;
+    }
+    return `[\n${value.map((item) => `${inner}${hclValue(item, inner)},`).join('\n')}\n${indent}]`;
+  }
+  if (typeof value === 'object' && value !== null) {
+    const entries = Object.entries(value).map(([key, item]) => [
+      HCL_IDENTIFIER.test(key) ? key : hclString(key),
+      hclValue(item, inner),
+    ]);
+    return entries.length === 0 ? '{}' : `{\n${hclAttributes(entries, inner)}\n${indent}}`;
+  }
+  return typeof value === 'string' ? hclString(value) : JSON.stringify(value);
+}
+
+function toTerraform(policy, { bucketName, profile, endpoint }) {
+  const blocks = [`# Bucket policy for ${bucketName}`];
+  const resource = [['bucket', hclString(bucketName)]];
+
+  // An aliased provider sends S3 requests to the endpoint; AWS-only checks are switched off
+  if (endpoint) {
+    const alias = profile.endpoint ? profile.id.replace(/-/g, '_') : 'custom_endpoint';
+    const settings = hclAttributes(
+      [
+        ['alias', hclString(alias)],
+        ['region', hclString(profile.region)],
+      ],
+      '  '
+    );
+    const skips = hclAttributes(
+      [
+        ['skip_credentials_validation', 'true'],
+        ['skip_metadata_api_check', 'true'],
+        ['skip_region_validation', 'true'],
+        ['skip_requesting_account_id', 'true'],
+        ['s3_use_path_style', 'true'],
+      ],
+      '  '
+    );
+    blocks.push(
+      `provider "aws" {\n${settings}\n\n  # ${profile.name} is S3-compatible, not AWS\n${skips}\n\n` +
+        `  endpoints {\n    s3 = ${hclString(endpoint)}\n  }\n}`
+    );
+    resource.unshift(['provider', `aws.${alias}`]);
+  }
+
+  const name = bucketName.replace(/[^A-Za-z0-9_]/g, '_').replace(/^(?=\d)/, 'bucket_');
+  resource.push(['policy', `jsonencode(${hclValue(policy, '  ')})`]);
+  blocks.push(
+    `resource "aws_s3_bucket_policy" ${hclString(name)} {\n${hclAttributes(resource, '  ')}\n}`
+  );
+  return blocks.join('\n\n') + '\n';
+}
+
+// CloudFormation (YAML)
+
+const YAML_PLAIN = /^[A-Za-z][\w./:*@+=,-]*$/;
+const YAML_RESERVED = /^(y|n|yes|no|true|false|on|off|null)$/i;
+
+// A scalar that reads back as the same value: plain if safe, else quoted
+function yamlScalar(value) {
+  if (typeof value !== 'string') return JSON.stringify(value);
+  if (YAML_PLAIN.test(value) && !value.endsWith(':') && !YAML_RESERVED.test(value)) return value;
+  if ([...value].some((ch) => ch.charCodeAt(0) < 0x20)) return JSON.stringify(value);
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+const isBlock = (value) =>
+  typeof value === 'object' && value !== null && Object.keys(value).length > 0;
+
+// A mapping or sequence in block style, every line indented by indent
+function yamlBlock(value, indent) {
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => {
+        if (!isBlock(item)) return `${indent}- ${yamlScalar(item)}`;
+        // The item's first line goes after the dash
+        return `${indent}- ${yamlBlock(item, `${indent}  `).slice(indent.length + 2)}`;
+      })
+      .join('\n');
+  }
+  return Object.entries(value)
+    .map(([key, item]) => {
+      if (!isBlock(item)) {
+        const scalar = Array.isArray(item) ? '[]' : typeof item === 'object' && item ? '{}' : null;
+        return `${indent}${yamlScalar(key)}: ${scalar ?? yamlScalar(item)}`;
+      }
+      return `${indent}${yamlScalar(key)}:\n${yamlBlock(item, `${indent}  `)}`;
+    })
+    .join('\n');
+}
+
+function toCloudFormation(policy, { bucketName, profile, endpoint }) {
+  const template = {
+    AWSTemplateFormatVersion: '2010-09-09',
+    Description: `Bucket policy for ${bucketName}`,
+    Resources: {
+      BucketPolicy: {
+        Type: 'AWS::S3::BucketPolicy',
+        Properties: { Bucket: bucketName, PolicyDocument: policy },
+      },
+    },
+  };
+  const note = endpoint
+    ? `# CloudFormation applies policies on AWS S3 only - use the Terraform or AWS CLI export for ${profile.name}\n`
+    : '';
+  return `${note}${yamlBlock(template, '')}\n`;
+}
+
+// AWS CLI
+
+function shellQuote(value) {
+  return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+function toCliCommand(policy, { bucketName, endpoint }) {
+  const lines = [
+    'aws s3api put-bucket-policy',
+    `--bucket ${shellQuote(bucketName)}`,
+    `--policy ${shellQuote(JSON.stringify(policy))}`,
+  ];
+  if (endpoint) lines.push(`--endpoint-url ${shellQuote(endpoint)}`);
+  return lines.join(' \\\n  ') + '\n';
+}
+
+const EXPORTERS = {
+  json: (policy) => JSON.stringify(policy, null, 2),
+  terraform: toTerraform,
+  cloudformation: toCloudFormation,
+  cli: toCliCommand,
+};
+
+/**
+ * Export a policy as JSON, Terraform, CloudFormation or an AWS CLI command
+ * @param {Object|string} policy - A policy, or its JSON text
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @param {Object} options - { bucketName, provider, endpoint } - bucketName defaults to the bucket in the policy's resources, endpoint to the provider profile's (an empty string means AWS's own)
+ * @returns {Object} - { isValid, errors, content, filename }
+ */
+export function exportPolicy(policy, format, options = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(
+      `Unknown export format "${format}". Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    );
+  }
+
+  let document = policy;
+  if (typeof policy === 'string') {
+    try {
+      document = JSON.parse(policy);
+    } catch (e) {
+      return { isValid: false, errors: ['Invalid JSON syntax: ' + e.message], content: '' };
+    }
+  }
+  if (typeof document !== 'object' || document === null || Array.isArray(document)) {
+    return { isValid: false, errors: ['Policy must be a JSON object'], content: '' };
+  }
+
+  const profile = getProviderProfile(options.provider);
+  const bucketName =
+    options.bucketName?.trim() || getPolicyBucketName(document) || DEFAULT_BUCKET_NAME;
+  const endpoint = options.endpoint === undefined ? profile.endpoint : options.endpoint.trim();
+  const content = EXPORTERS[format](document, { bucketName, profile, endpoint });
+  return {
+    isValid: true,
+    errors: [],
+    content,
+    filename: `${bucketName}-policy.${exportFormat.extension}`,
+  };
+}
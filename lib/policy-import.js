@@ -0,0 +1,494 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Policy Import
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Finds the policy documents in Terraform files and CloudFormation
+    templates and converts them to plain policy JSON: jsonencode() values,
+    JSON heredocs and aws_iam_policy_document data sources in Terraform, and
+    PolicyDocument properties in CloudFormation YAML or JSON. References
+    whose value is in the same file (variable defaults, locals, bucket
+    names and ARNs, parameter defaults, !Sub and !Join) are filled in; the
+    rest are kept as ${...} placeholders and listed as warnings.
+*/
+
+import { parseHcl } from './hcl-parser.js';
+import { getLineColumn } from './json-source.js';
+import { parseYaml } from './yaml-parser.js';
+
+export const SOURCE_FORMATS = {
+  json: { id: 'json', name: 'Policy JSON' },
+  terraform: { id: 'terraform', name: 'Terraform' },
+  cloudformation: { id: 'cloudformation', name: 'CloudFormation' },
+};
+
+const DEFAULT_VERSION = '2012-10-17';
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isPolicyDocument = (value) => isObject(value) && 'Statement' in value;
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+// A policy variable such as ${aws:username}, which is kept as it is
+const isPolicyVariable = (expression) => /^[\w-]+:[\w/-]+$/.test(expression);
+
+function placeholder(expression, warnings) {
+  const kept = `\${${expression}}`;
+  warnings.add(`Could not resolve ${expression}; it is kept as "${kept}"`);
+  return kept;
+}
+
+/**
+ * Work out what kind of file some text is
+ * @param {string} text - File contents
+ * @param {string} fileName - The file's name, if known
+ * @returns {string|null} - A key of SOURCE_FORMATS, or null
+ */
+export function detectSourceFormat(text, fileName = '') {
+  const source = String(text);
+  if (/^\s*[{[]/.test(source)) {
+    const value = parseJson(source);
+    if (isObject(value) && ('Resources' in value || 'AWSTemplateFormatVersion' in value)) {
+      return 'cloudformation';
+    }
+    if (value !== undefined || !/\.(tf|ya?ml|template)$/i.test(fileName)) return 'json';
+  }
+  if (/\.tf$/i.test(fileName)) return 'terraform';
+  if (/\.(ya?ml|template)$/i.test(fileName)) return 'cloudformation';
+  if (
+    /^[ \t]*(resource|data|variable|locals|provider|terraform|module|output)\s*["{]/m.test(source)
+  ) {
+    return 'terraform';
+  }
+  if (/jsonencode\s*\(/.test(source)) return 'terraform';
+  if (/^["']?(AWSTemplateFormatVersion|Resources)["']?[ \t]*:/m.test(source)) {
+    return 'cloudformation';
+  }
+  return null;
+}
+
+// Terraform
+
+const TF_REFERENCE = /^[A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)+$/;
+const IAM_POLICY_DOCUMENT = 'aws_iam_policy_document';
+const NOT_MERGED = [
+  'source_policy_documents',
+  'override_policy_documents',
+  'source_json',
+  'override_json',
+];
+
+const attributeNode = (body, name) => body.attributes.find((attr) => attr.name === name)?.value;
+const nestedBlocks = (body, type) => body.blocks.filter((block) => block.type === type);
+
+// Strings in a value with a function applied, e.g. &{aws:username} written back as ${aws:username}
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map((item) => mapStrings(item, fn));
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+  }
+  return value;
+}
+
+// A list of one item is written as the item, as Terraform renders policy documents
+const collapse = (list) => (Array.isArray(list) && list.length === 1 ? list[0] : list);
+
+// Evaluates expressions from the values defined in the same file
+function terraformEvaluator(body, text) {
+  const topBlocks = (type, kind) =>
+    body.blocks.filter((block) => block.type === type && (!kind || block.labels[0] === kind));
+  const variables = new Map(
+    topBlocks('variable').map((block) => [block.labels[0], attributeNode(block.body, 'default')])
+  );
+  const locals = new Map(
+    topBlocks('locals').flatMap((block) => block.body.attributes.map((a) => [a.name, a.value]))
+  );
+  const buckets = new Map(
+    topBlocks('resource', 'aws_s3_bucket').map((block) => [block.labels[1], block])
+  );
+  const documents = new Map(
+    topBlocks('data', IAM_POLICY_DOCUMENT).map((block) => [block.labels[1], block])
+  );
+  const resolving = new Set();
+
+  const resolve = (reference, warnings) => {
+    if (resolving.has(reference)) return placeholder(reference, warnings);
+    const [head, name, attribute, ...rest] = reference.split('.');
+    resolving.add(reference);
+    try {
+      if (head === 'var' && variables.get(name) && !attribute) {
+        return evaluate(variables.get(name), warnings);
+      }
+      if (head === 'local' && locals.has(name) && !attribute) {
+        return evaluate(locals.get(name), warnings);
+      }
+      if (head === 'aws_s3_bucket' && buckets.has(name) && rest.length === 0) {
+        const bucketNode = attributeNode(buckets.get(name).body, 'bucket');
+        const bucket = bucketNode && evaluate(bucketNode, warnings);
+        if (typeof bucket === 'string' && (attribute === 'id' || attribute === 'bucket')) {
+          return bucket;
+        }
+        if (typeof bucket === 'string' && attribute === 'arn') return `arn:aws:s3:::${bucket}`;
+      }
+      if (head === 'data' && name === IAM_POLICY_DOCUMENT && documents.has(attribute)) {
+        if (rest.length === 1 && rest[0] === 'json') {
+          return convertPolicyDocument(documents.get(attribute), warnings);
+        }
+      }
+      return placeholder(reference, warnings);
+    } finally {
+      resolving.delete(reference);
+    }
+  };
+
+  const evaluateCall = (node, warnings) => {
+    if (['jsonencode', 'tolist', 'toset'].includes(node.name) && node.args.length === 1) {
+      return evaluate(node.args[0], warnings);
+    }
+    if (node.name === 'jsondecode' && node.args.length === 1) {
+      const value = evaluate(node.args[0], warnings);
+      const decoded = typeof value === 'string' ? parseJson(value) : undefined;
+      if (decoded !== undefined) return decoded;
+    }
+    if (node.name === 'concat') {
+      const lists = node.args.map((arg) => evaluate(arg, warnings));
+      if (lists.every(Array.isArray)) return lists.flat();
+    }
+    return placeholder(text.slice(node.start, node.end), warnings);
+  };
+
+  const evaluate = (node, warnings) => {
+    switch (node.kind) {
+      case 'literal':
+        return node.value;
+      case 'template':
+        return node.parts
+          .map((part) => {
+            if (typeof part === 'string') return part;
+            if (isPolicyVariable(part.expression)) return `\${${part.expression}}`;
+            const value = TF_REFERENCE.test(part.expression)
+              ? resolve(part.expression, warnings)
+              : placeholder(part.expression, warnings);
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+          })
+          .join('');
+      case 'tuple':
+        return node.items.map((item) => evaluate(item, warnings));
+      case 'object':
+        return Object.fromEntries(
+          node.items.map((item) => [item.key, evaluate(item.value, warnings)])
+        );
+      case 'call':
+        return evaluateCall(node, warnings);
+      case 'reference':
+        return TF_REFERENCE.test(node.text)
+          ? resolve(node.text, warnings)
+          : placeholder(node.text, warnings);
+      default:
+        return placeholder(node.text, warnings);
+    }
+  };
+
+  const value = (blockBody, name, warnings) => {
+    const node = attributeNode(blockBody, name);
+    return node ? evaluate(node, warnings) : undefined;
+  };
+  const list = (blockBody, name, warnings) => {
+    const node = attributeNode(blockBody, name);
+    return node ? [].concat(evaluate(node, warnings)) : null;
+  };
+
+  const principals = (statement, type, warnings) => {
+    const blocks = nestedBlocks(statement.body, type);
+    if (blocks.length === 0) return null;
+    const principal = {};
+    for (const block of blocks) {
+      const kind = value(block.body, 'type', warnings) ?? 'AWS';
+      const identifiers = list(block.body, 'identifiers', warnings) || [];
+      if (kind === '*' && identifiers.every((id) => id === '*')) return '*';
+      principal[kind] = [...(principal[kind] || []), ...identifiers];
+    }
+    return Object.fromEntries(Object.entries(principal).map(([k, ids]) => [k, collapse(ids)]));
+  };
+
+  // An aws_iam_policy_document data source as the JSON document it renders
+  const convertPolicyDocument = (block, warnings) => {
+    const document = block.body;
+    NOT_MERGED.filter((name) => attributeNode(document, name)).forEach((name) =>
+      warnings.add(
+        `${name} is not merged; only the statements written in the data source are imported`
+      )
+    );
+    if (nestedBlocks(document, 'dynamic').length > 0) {
+      warnings.add('Dynamic statement blocks are not expanded');
+    }
+    const policy = { Version: value(document, 'version', warnings) ?? DEFAULT_VERSION };
+    const policyId = value(document, 'policy_id', warnings);
+    if (policyId !== undefined) policy.Id = policyId;
+
+    policy.Statement = nestedBlocks(document, 'statement').map((statement) => {
+      const stmt = {};
+      const sid = value(statement.body, 'sid', warnings);
+      if (sid) stmt.Sid = sid;
+      stmt.Effect = value(statement.body, 'effect', warnings) ?? 'Allow';
+      const principal = principals(statement, 'principals', warnings);
+      const notPrincipal = principals(statement, 'not_principals', warnings);
+      if (principal) stmt.Principal = principal;
+      if (notPrincipal) stmt.NotPrincipal = notPrincipal;
+      [
+        ['actions', 'Action'],
+        ['not_actions', 'NotAction'],
+        ['resources', 'Resource'],
+        ['not_resources', 'NotResource'],
+      ].forEach(([name, field]) => {
+        const items = list(statement.body, name, warnings);
+        if (items) stmt[field] = collapse(items);
+      });
+      const conditions = nestedBlocks(statement.body, 'condition');
+      if (conditions.length > 0) {
+        stmt.Condition = {};
+        conditions.forEach((condition) => {
+          const test = value(condition.body, 'test', warnings);
+          const variable = value(condition.body, 'variable', warnings);
+          stmt.Condition[test] = stmt.Condition[test] || {};
+          stmt.Condition[test][variable] = collapse(list(condition.body, 'values', warnings) || []);
+        });
+      }
+      return stmt;
+    });
+    // Terraform writes policy variables as &{...} so they are not read as interpolations
+    return mapStrings(policy, (value) => value.replace(/&\{/g, '${'));
+  };
+
+  return { evaluate, convertPolicyDocument };
+}
+
+// The Terraform address of a block, e.g. aws_s3_bucket_policy.logs or data.aws_iam_policy_document.read
+function blockAddress(parent, block) {
+  if (parent) return `${parent}.${block.type}`;
+  if (block.type === 'resource') return block.labels.join('.');
+  if (block.type === 'locals') return 'local';
+  if (block.type === 'variable') return `var.${block.labels[0]}`;
+  return [block.type, ...block.labels].join('.');
+}
+
+function findTerraformDocuments(text) {
+  const parsed = parseHcl(text);
+  if (!parsed.isValid) return { documents: [], errors: parsed.errors };
+  const { evaluate, convertPolicyDocument } = terraformEvaluator(parsed.body, text);
+  const found = [];
+
+  const add = (label, node, toPolicy) => {
+    const warnings = new Set();
+    const policy = toPolicy(warnings);
+    if (!isPolicyDocument(policy)) return;
+    const { line } = getLineColumn(text, node.start);
+    found.push({ start: node.start, document: { label, line, policy, warnings: [...warnings] } });
+  };
+
+  // jsonencode() values, and strings (usually heredocs) that hold policy JSON
+  const visitValue = (node, label) => {
+    if (node.kind === 'call' && node.name === 'jsonencode' && node.args.length === 1) {
+      add(label, node, (warnings) => evaluate(node.args[0], warnings));
+    } else if (node.kind === 'literal' || node.kind === 'template') {
+      if (node.kind === 'literal' && typeof node.value !== 'string') return;
+      add(label, node, (warnings) => {
+        const value = evaluate(node, warnings);
+        return /^\s*\{/.test(value) ? parseJson(value) : undefined;
+      });
+    } else if (node.kind === 'tuple' || node.kind === 'call') {
+      (node.items || node.args).forEach((item) => visitValue(item, label));
+    } else if (node.kind === 'object') {
+      node.items.forEach((item) => visitValue(item.value, `${label}.${item.key}`));
+    }
+  };
+
+  const visitBody = (body, address) => {
+    body.attributes.forEach((attr) =>
+      visitValue(attr.value, address ? `${address}.${attr.name}` : attr.name)
+    );
+    body.blocks.forEach((block) => {
+      if (!address && block.type === 'data' && block.labels[0] === IAM_POLICY_DOCUMENT) {
+        add(blockAddress(address, block), block, (warnings) =>
+          convertPolicyDocument(block, warnings)
+        );
+      } else {
+        visitBody(block.body, blockAddress(address, block));
+      }
+    });
+  };
+
+  visitBody(parsed.body, '');
+  found.sort((a, b) => a.start - b.start);
+  return { documents: found.map((entry) => entry.document), errors: [] };
+}
+
+// CloudFormation
+
+const PSEUDO_PARAMETERS = { 'AWS::Partition': 'aws', 'AWS::URLSuffix': 'amazonaws.com' };
+const NO_VALUE = Symbol('AWS::NoValue');
+
+// Fills in intrinsic functions from the template's parameter defaults and bucket names
+function cloudFormationResolver(template) {
+  const parameters = isObject(template.Parameters) ? template.Parameters : {};
+  const resources = template.Resources;
+
+  const bucketName = (logicalId, warnings) => {
+    const resource = resources[logicalId];
+    if (resource?.Type !== 'AWS::S3::Bucket') return null;
+    const name = resolve(resource.Properties?.BucketName, warnings);
+    return typeof name === 'string' ? name : null;
+  };
+
+  const ref = (name, warnings) => {
+    if (name === 'AWS::NoValue') return NO_VALUE;
+    if (Object.hasOwn(PSEUDO_PARAMETERS, name)) return PSEUDO_PARAMETERS[name];
+    if (isObject(parameters[name]) && parameters[name].Default !== undefined) {
+      const { Type: type, Default: value } = parameters[name];
+      return /^(CommaDelimitedList|List<)/.test(type) ? String(value).split(',') : value;
+    }
+    return bucketName(name, warnings) ?? placeholder(name, warnings);
+  };
+
+  const getAtt = (name, attribute, warnings) => {
+    const bucket = attribute === 'Arn' ? bucketName(name, warnings) : null;
+    return bucket ? `arn:aws:s3:::${bucket}` : placeholder(`${name}.${attribute}`, warnings);
+  };
+
+  const sub = (source, variables, warnings) =>
+    source.replace(/\$\{([^}]*)\}/g, (match, name) => {
+      if (name.startsWith('!')) return `\${${name.slice(1)}}`;
+      if (Object.hasOwn(variables, name)) return String(variables[name]);
+      if (isPolicyVariable(name)) return match;
+      const dot = name.indexOf('.');
+      const value =
+        dot === -1
+          ? ref(name, warnings)
+          : getAtt(name.slice(0, dot), name.slice(dot + 1), warnings);
+      return value === NO_VALUE ? '' : String(value);
+    });
+
+  const intrinsics = {
+    Ref: (name, warnings) => ref(name, warnings),
+    'Fn::GetAtt': (args, warnings) => {
+      const [name, attribute] = typeof args === 'string' ? args.split(/\.(.*)/) : args;
+      return getAtt(name, attribute, warnings);
+    },
+    'Fn::Sub': (args, warnings) => {
+      const [source, variables = {}] = [].concat(args);
+      return sub(source, resolve(variables, warnings), warnings);
+    },
+    'Fn::Join': ([separator, items], warnings) => {
+      const values = resolve(items, warnings);
+      return Array.isArray(values) ? values.join(separator) : placeholder('Fn::Join', warnings);
+    },
+    'Fn::Select': ([index, items], warnings) => {
+      const values = resolve(items, warnings);
+      return Array.isArray(values) ? values[Number(index)] : placeholder('Fn::Select', warnings);
+    },
+  };
+
+  const resolve = (value, warnings) => {
+    if (Array.isArray(value)) {
+      return value.map((item) => resolve(item, warnings)).filter((item) => item !== NO_VALUE);
+    }
+    if (!isObject(value)) return value;
+    const keys = Object.keys(value);
+    if (keys.length === 1 && (keys[0] === 'Ref' || keys[0].startsWith('Fn::'))) {
+      const [name] = keys;
+      return intrinsics[name]
+        ? intrinsics[name](value[name], warnings)
+        : placeholder(name, warnings);
+    }
+    const entries = Object.entries(value).map(([k, v]) => [k, resolve(v, warnings)]);
+    return Object.fromEntries(entries.filter(([, v]) => v !== NO_VALUE));
+  };
+
+  return resolve;
+}
+
+function findCloudFormationDocuments(text, template) {
+  if (!isObject(template) || !isObject(template.Resources)) {
+    return { documents: [], errors: ['The CloudFormation template has no Resources section'] };
+  }
+  const resolve = cloudFormationResolver(template);
+  const resourcesAt = Math.max(text.search(/^[ \t]*["']?Resources["']?[ \t]*:/m), 0);
+  const lineOf = (logicalId) => {
+    const escaped = logicalId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`^[ \\t]*["']?${escaped}["']?[ \\t]*:`, 'm').exec(
+      text.slice(resourcesAt)
+    );
+    return getLineColumn(text, resourcesAt + (match ? match.index : 0)).line;
+  };
+
+  const documents = [];
+  Object.entries(template.Resources).forEach(([logicalId, resource]) => {
+    const visit = (value, path) => {
+      if (Array.isArray(value)) {
+        value.forEach((item, idx) => visit(item, `${path}[${idx}]`));
+      } else if (isObject(value)) {
+        Object.entries(value).forEach(([key, item]) => {
+          if (key !== 'PolicyDocument' || !isObject(item)) {
+            visit(item, path ? `${path}.${key}` : key);
+            return;
+          }
+          const warnings = new Set();
+          const policy = resolve(item, warnings);
+          if (!isPolicyDocument(policy)) return;
+          const at = path ? `${logicalId}.${path}.PolicyDocument` : logicalId;
+          documents.push({
+            label: `${at} (${resource.Type})`,
+            line: lineOf(logicalId),
+            policy,
+            warnings: [...warnings],
+          });
+        });
+      }
+    };
+    if (isObject(resource)) visit(resource.Properties, '');
+  });
+  return { documents, errors: [] };
+}
+
+/**
+ * Find the policy documents in a policy JSON file, Terraform file or CloudFormation template
+ * @param {string} text - File contents
+ * @param {string} fileName - The file's name, if known; its extension helps tell the format
+ * @returns {Object} - { format, documents, errors } - format is a key of SOURCE_FORMATS or null; documents are [{ label, line, policy, warnings }] in file order, where label names where the policy was found and warnings list what could not be converted
+ */
+export function findPolicyDocuments(text, fileName = '') {
+  const source = String(text);
+  const format = detectSourceFormat(source, fileName);
+  let result;
+  if (format === 'json') {
+    const policy = parseJson(source);
+    result =
+      policy === undefined
+        ? { documents: [], errors: ['Invalid JSON syntax'] }
+        : { documents: [{ label: 'Policy JSON', line: 1, policy, warnings: [] }], errors: [] };
+  } else if (format === 'terraform') {
+    result = findTerraformDocuments(source);
+  } else if (format === 'cloudformation') {
+    const json = /^\s*\{/.test(source) ? parseJson(source) : undefined;
+    const parsed = json === undefined ? parseYaml(source) : { isValid: true, value: json };
+    result = parsed.isValid
+      ? findCloudFormationDocuments(source, parsed.value)
+      : { documents: [], errors: parsed.errors };
+  } else {
+    return {
+      format,
+      documents: [],
+      errors: ['Not a policy JSON file, Terraform file or CloudFormation template'],
+    };
+  }
+  if (result.errors.length === 0 && result.documents.length === 0) {
+    result.errors.push(`No policy documents found in this ${SOURCE_FORMATS[format].name} file`);
+  }
+  return { format, ...result };
+}
@@ -0,0 +1,243 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Saved Policies
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    A library of named form states plus the autosaved draft, kept in
+    localStorage (or any object with getItem/setItem/removeItem). Each entry
+    stores its form state in the versioned permalink format, so saved
+    policies and exported bundles stay readable by later versions.
+*/
+
+import { decodePermalink, encodePermalink } from './permalink.js';
+
+export const LIBRARY_FORMAT = 'icpolicy-library';
+export const LIBRARY_VERSION = 1;
+export const LIBRARY_STORAGE_KEY = 'icpolicy.library';
+export const DRAFT_STORAGE_KEY = 'icpolicy.draft';
+
+export function createLibrary() {
+  return { format: LIBRARY_FORMAT, version: LIBRARY_VERSION, policies: [] };
+}
+
+function createId(now) {
+  return `p${now.getTime().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function findByName(library, name, exceptId) {
+  const lowerName = name.toLowerCase();
+  return library.policies.find((p) => p.name.toLowerCase() === lowerName && p.id !== exceptId);
+}
+
+// "Name", "Name (2)", "Name (3)", ... - whichever is free first
+function getUniqueName(library, name) {
+  let candidate = name;
+  for (let n = 2; findByName(library, candidate); n++) {
+    candidate = `${name} (${n})`;
+  }
+  return candidate;
+}
+
+/**
+ * Save a form state under a name; saving under an existing name replaces that entry
+ * @param {Object} library - The library
+ * @param {string} name - Name of the saved policy
+ * @param {Object} state - Form state: { provider, bucketName, statements, activeStatementIndex }
+ * @param {Date} now - Save time (default now)
+ * @returns {Object} - { isValid, library, policy, errors }
+ */
+export function saveLibraryPolicy(library, name, state, now = new Date()) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    return { isValid: false, library, policy: null, errors: ['Name is required'] };
+  }
+
+  const existing = findByName(library, trimmed);
+  const policy = {
+    id: existing ? existing.id : createId(now),
+    name: existing ? existing.name : trimmed,
+    savedAt: now.toISOString(),
+    state: encodePermalink(state),
+  };
+  const policies = existing
+    ? library.policies.map((p) => (p.id === existing.id ? policy : p))
+    : [...library.policies, policy];
+  return { isValid: true, library: { ...library, policies }, policy, errors: [] };
+}
+
+/**
+ * Rename a saved policy
+ * @param {Object} library - The library
+ * @param {string} id - ID of the saved policy
+ * @param {string} name - New name
+ * @returns {Object} - { isValid, library, errors }
+ */
+export function renameLibraryPolicy(library, id, name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    return { isValid: false, library, errors: ['Name is required'] };
+  }
+  if (!library.policies.some((p) => p.id === id)) {
+    return { isValid: false, library, errors: ['Saved policy not found'] };
+  }
+  if (findByName(library, trimmed, id)) {
+    return {
+      isValid: false,
+      library,
+      errors: [`A saved policy named "${trimmed}" already exists`],
+    };
+  }
+
+  const policies = library.policies.map((p) => (p.id === id ? { ...p, name: trimmed } : p));
+  return { isValid: true, library: { ...library, policies }, errors: [] };
+}
+
+/**
+ * Copy a saved policy directly below the original
+ * @param {Object} library - The library
+ * @param {string} id - ID of the saved policy
+ * @param {Date} now - Save time of the copy (default now)
+ * @returns {Object} - { isValid, library, policy, errors }
+ */
+export function duplicateLibraryPolicy(library, id, now = new Date()) {
+  const idx = library.policies.findIndex((p) => p.id === id);
+  if (idx < 0) {
+    return { isValid: false, library, policy: null, errors: ['Saved policy not found'] };
+  }
+
+  const original = library.policies[idx];
+  const policy = {
+    ...original,
+    id: createId(now),
+    name: getUniqueName(library, `${original.name} (copy)`),
+    savedAt: now.toISOString(),
+  };
+  const policies = [...library.policies];
+  policies.splice(idx + 1, 0, policy);
+  return { isValid: true, library: { ...library, policies }, policy, errors: [] };
+}
+
+export function deleteLibraryPolicy(library, id) {
+  return { ...library, policies: library.policies.filter((p) => p.id !== id) };
+}
+
+/**
+ * Decode the form state of a saved policy
+ * @param {Object} policy - A library entry
+ * @returns {Object} - { isValid, state, errors } as returned by decodePermalink()
+ */
+export function getLibraryPolicyState(policy) {
+  return decodePermalink(policy.state);
+}
+
+export function exportLibrary(library) {
+  return JSON.stringify(library, null, 2);
+}
+
+/**
+ * Merge an exported bundle into a library; names that are taken get a " (2)" suffix
+ * @param {string} text - Bundle JSON as written by exportLibrary()
+ * @param {Object} library - The library to merge into
+ * @param {Date} now - Import time, used for new IDs (default now)
+ * @returns {Object} - { isValid, library, imported, errors, warnings }
+ */
+export function importLibrary(text, library, now = new Date()) {
+  const errors = [];
+  const warnings = [];
+
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    errors.push('Invalid JSON syntax: ' + e.message);
+    return { isValid: false, library, imported: 0, errors, warnings };
+  }
+  if (!bundle || bundle.format !== LIBRARY_FORMAT || !Array.isArray(bundle.policies)) {
+    errors.push('Not a saved policies bundle');
+    return { isValid: false, library, imported: 0, errors, warnings };
+  }
+  if (bundle.version > LIBRARY_VERSION) {
+    errors.push(`Bundle version ${bundle.version} is not supported by this version`);
+    return { isValid: false, library, imported: 0, errors, warnings };
+  }
+
+  let merged = library;
+  bundle.policies.forEach((entry, idx) => {
+    const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+    const decoded = entry ? decodePermalink(entry.state) : { isValid: false, errors: [] };
+    if (!name || !decoded.isValid) {
+      warnings.push(`Policy ${idx + 1}${name ? ` "${name}"` : ''} is damaged and was skipped`);
+      return;
+    }
+
+    const policy = {
+      id: createId(now),
+      name: getUniqueName(merged, name),
+      savedAt: typeof entry.savedAt === 'string' ? entry.savedAt : now.toISOString(),
+      state: entry.state,
+    };
+    if (policy.name !== name) {
+      warnings.push(`"${name}" already exists and was imported as "${policy.name}"`);
+    }
+    merged = { ...merged, policies: [...merged.policies, policy] };
+  });
+
+  const imported = merged.policies.length - library.policies.length;
+  return { isValid: true, library: merged, imported, errors, warnings };
+}
+
+function readJson(storage, key) {
+  try {
+    const text = storage.getItem(key);
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Storage may be full or disabled (private browsing) - saving then fails quietly
+function writeJson(storage, key, value) {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function readLibrary(storage) {
+  const library = readJson(storage, LIBRARY_STORAGE_KEY);
+  if (!library || library.format !== LIBRARY_FORMAT || !Array.isArray(library.policies)) {
+    return createLibrary();
+  }
+  return library;
+}
+
+export function writeLibrary(storage, library) {
+  return writeJson(storage, LIBRARY_STORAGE_KEY, library);
+}
+
+/**
+ * Read the autosaved draft
+ * @param {Object} storage - localStorage or a compatible object
+ * @returns {Object|null} - { state, savedAt } or null when there is no usable draft
+ */
+export function readDraft(storage) {
+  const draft = readJson(storage, DRAFT_STORAGE_KEY);
+  const decoded = draft ? decodePermalink(draft.state) : null;
+  return decoded && decoded.isValid ? { state: decoded.state, savedAt: draft.savedAt } : null;
+}
+
+export function writeDraft(storage, state, now = new Date()) {
+  return writeJson(storage, DRAFT_STORAGE_KEY, {
+    savedAt: now.toISOString(),
+    state: encodePermalink(state),
+  });
+}
+
+export function clearDraft(storage) {
+  try {
+    storage.removeItem(DRAFT_STORAGE_KEY);
+  } catch {
+    // Nothing to clear
+  }
+}
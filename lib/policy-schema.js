@@ -0,0 +1,227 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Policy JSON Schema
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    The fields, versions and formats a bucket policy may use, and the JSON
+    Schema (draft-07) built from them. validatePolicyDocument() checks the
+    policy and statement structure against this schema, the editor offers
+    completions from it, and `icpolicy schema` writes it out for editors such
+    as VS Code (schema/bucket-policy.schema.json).
+*/
+
+import { S3_ACTIONS } from './action-catalog.js';
+import { CONDITION_OPERATOR_GROUPS } from './condition-builder.js';
+import { CONDITION_KEYS } from './condition-keys.js';
+
+// The first version is the current one; the second is accepted but deprecated
+export const POLICY_VERSIONS = ['2012-10-17', '2008-10-17'];
+export const POLICY_FIELDS = ['Version', 'Id', 'Statement'];
+export const STATEMENT_FIELDS = [
+  'Sid',
+  'Effect',
+  'Principal',
+  'NotPrincipal',
+  'Action',
+  'NotAction',
+  'Resource',
+  'NotResource',
+  'Condition',
+];
+export const EFFECTS = ['Allow', 'Deny'];
+export const SID_PATTERN = '^[a-zA-Z0-9]+$';
+export const PRINCIPAL_TYPES = ['AWS', 'Service', 'Federated', 'CanonicalUser'];
+
+// Every operator the builder offers, and its IfExists form (Null has none)
+const BASE_OPERATORS = Object.values(CONDITION_OPERATOR_GROUPS).flat();
+export const CONDITION_OPERATORS = [
+  ...BASE_OPERATORS,
+  ...BASE_OPERATORS.filter((operator) => operator !== 'Null').map((op) => `${op}IfExists`),
+];
+export const CONDITION_SET_QUALIFIERS = ['ForAllValues', 'ForAnyValue'];
+
+// Definitions whose contents validatePolicyDocument() checks in code, with provider-specific rules
+export const PRINCIPAL_REF = '#/definitions/principal';
+export const ACTION_LIST_REF = '#/definitions/actionList';
+export const RESOURCE_LIST_REF = '#/definitions/resourceList';
+export const CONDITION_REF = '#/definitions/condition';
+export const STATEMENT_REF = '#/definitions/statement';
+
+const [CURRENT_VERSION, DEPRECATED_VERSION] = POLICY_VERSIONS;
+
+function stringList(description, examples) {
+  return {
+    description,
+    anyOf: [
+      { type: 'string', ...(examples && { examples }) },
+      { type: 'array', minItems: 1, items: { type: 'string', ...(examples && { examples }) } },
+    ],
+  };
+}
+
+// Keys such as aws:RequestTag/* take a suffix, so they are matched by prefix
+function conditionKeyPattern(key) {
+  return `^${key.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}.+$`;
+}
+
+const conditionKeys = Object.entries(CONDITION_KEYS);
+
+export const POLICY_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Impossible Cloud bucket policy',
+  description:
+    'An S3 bucket policy for Impossible Cloud and other S3-compatible storage, as checked by the Impossible Cloud Bucket Policy Generator.',
+  type: 'object',
+  required: ['Version', 'Statement'],
+  properties: {
+    Version: {
+      description: `Policy language version. Use "${CURRENT_VERSION}".`,
+      type: 'string',
+      enum: POLICY_VERSIONS,
+      default: CURRENT_VERSION,
+      if: { const: DEPRECATED_VERSION },
+      then: {
+        deprecationMessage: `Version "${DEPRECATED_VERSION}" is deprecated. Use "${CURRENT_VERSION}"`,
+      },
+      errorMessage: {
+        type: 'Version must be a string',
+        enum: `Invalid Version: "{value}". Must be ${POLICY_VERSIONS.map((v) => `"${v}"`).join(' or ')}`,
+      },
+    },
+    Id: {
+      description: 'Optional identifier of the policy.',
+      type: 'string',
+      errorMessage: { type: 'Id field must be a string' },
+    },
+    Statement: {
+      description: 'The statements of the policy; each allows or denies some requests.',
+      type: 'array',
+      minItems: 1,
+      items: { $ref: STATEMENT_REF },
+      errorMessage: {
+        type: 'Statement must be an array',
+        minItems: 'Statement array cannot be empty',
+      },
+    },
+  },
+  additionalProperties: false,
+  errorMessage: {
+    type: 'Policy must be a JSON object',
+    required: 'Missing required field: {property}',
+    additionalProperties: 'Unknown root-level field: "{property}"',
+  },
+  definitions: {
+    statement: {
+      type: 'object',
+      required: ['Effect'],
+      properties: {
+        Sid: {
+          description: 'Optional label of the statement, letters and digits only.',
+          type: 'string',
+          pattern: SID_PATTERN,
+          errorMessage: {
+            type: 'Sid must be a string',
+            pattern: 'Sid must contain only alphanumeric characters',
+          },
+        },
+        Effect: {
+          description: 'Whether the statement allows or denies the requests it matches.',
+          enum: EFFECTS,
+          errorMessage: {
+            enum: `Effect must be ${EFFECTS.map((e) => `"${e}"`).join(' or ')}, got "{value}"`,
+          },
+        },
+        Principal: {
+          $ref: PRINCIPAL_REF,
+          description: 'Who the statement applies to. Impossible Cloud ignores principals.',
+        },
+        NotPrincipal: { $ref: PRINCIPAL_REF, description: 'Who the statement does not apply to.' },
+        Action: { $ref: ACTION_LIST_REF, description: 'The S3 actions the statement covers.' },
+        NotAction: { $ref: ACTION_LIST_REF, description: 'The S3 actions the statement excludes.' },
+        Resource: { $ref: RESOURCE_LIST_REF, description: 'The bucket and object ARNs covered.' },
+        NotResource: { $ref: RESOURCE_LIST_REF, description: 'The ARNs the statement excludes.' },
+        Condition: { $ref: CONDITION_REF },
+      },
+      additionalProperties: false,
+      errorMessage: {
+        type: 'Must be an object',
+        required: 'Missing required field "{property}"',
+        additionalProperties: 'Unknown field "{property}"',
+      },
+    },
+    principal: {
+      anyOf: [
+        { const: '*' },
+        {
+          type: 'object',
+          properties: Object.fromEntries(
+            PRINCIPAL_TYPES.map((type) => [type, stringList(`${type} principals.`)])
+          ),
+          additionalProperties: false,
+        },
+      ],
+      errorMessage: { anyOf: 'Must be "*" or an object' },
+    },
+    action: {
+      description: 'An S3 action such as s3:GetObject, or a pattern such as s3:Get*.',
+      anyOf: [
+        {
+          enum: S3_ACTIONS.map((action) => action.name),
+          enumDescriptions: S3_ACTIONS.map((action) => action.description),
+        },
+        { type: 'string', pattern: ':' },
+      ],
+      errorMessage: { anyOf: 'Must be "service:action"' },
+    },
+    actionList: {
+      anyOf: [
+        { $ref: '#/definitions/action' },
+        { type: 'array', minItems: 1, items: { $ref: '#/definitions/action' } },
+      ],
+    },
+    resourceList: stringList('S3 ARNs, e.g. arn:aws:s3:::my-bucket or arn:aws:s3:::my-bucket/*.', [
+      'arn:aws:s3:::your-bucket-name',
+      'arn:aws:s3:::your-bucket-name/*',
+    ]),
+    condition: {
+      description: 'Conditions that must all match, grouped by operator.',
+      type: 'object',
+      properties: Object.fromEntries(
+        CONDITION_OPERATORS.map((operator) => [operator, { $ref: '#/definitions/conditionBlock' }])
+      ),
+      patternProperties: {
+        [`^(${CONDITION_SET_QUALIFIERS.join('|')}):(${CONDITION_OPERATORS.join('|')})$`]: {
+          $ref: '#/definitions/conditionBlock',
+        },
+      },
+      additionalProperties: false,
+      errorMessage: { additionalProperties: 'Unknown condition operator "{property}"' },
+    },
+    conditionBlock: {
+      description: 'Condition keys and the values to compare them with.',
+      type: 'object',
+      properties: Object.fromEntries(
+        conditionKeys
+          .filter(([key]) => !key.endsWith('/*'))
+          .map(([key, entry]) => [
+            key,
+            { $ref: '#/definitions/conditionValue', description: entry.description },
+          ])
+      ),
+      patternProperties: Object.fromEntries(
+        conditionKeys
+          .filter(([key]) => key.endsWith('/*'))
+          .map(([key, entry]) => [
+            conditionKeyPattern(key),
+            { $ref: '#/definitions/conditionValue', description: entry.description },
+          ])
+      ),
+      additionalProperties: { $ref: '#/definitions/conditionValue' },
+    },
+    conditionValue: {
+      anyOf: [
+        { type: ['string', 'number', 'boolean'] },
+        { type: 'array', minItems: 1, items: { type: ['string', 'number', 'boolean'] } },
+      ],
+    },
+  },
+};
@@ -0,0 +1,334 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Policy Simulator
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Evaluates a single request against a bucket policy using IAM evaluation
+    logic: an explicit Deny always wins, otherwise a matching Allow allows,
+    and anything not allowed is implicitly denied.
+*/
+
+import { parseConditionOperator } from './condition-keys.js';
+
+export { parseConditionOperator };
+
+export const DECISION_ALLOWED = 'allowed';
+export const DECISION_EXPLICIT_DENY = 'explicitDeny';
+export const DECISION_IMPLICIT_DENY = 'implicitDeny';
+
+/**
+ * Test a value against an IAM wildcard pattern (* = any sequence, ? = any single character)
+ * @param {string} pattern - The pattern from the policy
+ * @param {string} value - The value from the request
+ * @param {boolean} ignoreCase - Compare case-insensitively (used for actions)
+ * @returns {boolean} - Whether the value matches
+ */
+export function matchesWildcard(pattern, value, ignoreCase = false) {
+  const regex = new RegExp(
+    '^' +
+      String(pattern)
+        .split('')
+        .map((ch) => {
+          if (ch === '*') return '.*';
+          if (ch === '?') return '.';
+          return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('') +
+      '$',
+    ignoreCase ? 'is' : 's'
+  );
+  return regex.test(String(value));
+}
+
+/**
+ * Build the S3 ARN for a bucket or an object key
+ * @param {string} bucketName - The bucket name
+ * @param {string} key - Optional object key (empty for the bucket itself)
+ * @returns {string} - The resource ARN
+ */
+export function toResourceArn(bucketName, key) {
+  const trimmedKey = (key || '').replace(/^\/+/, '');
+  return trimmedKey ? `arn:aws:s3:::${bucketName}/${trimmedKey}` : `arn:aws:s3:::${bucketName}`;
+}
+
+// Parse an IPv4 or IPv6 address into an array of bits, or null if invalid
+function parseIpBits(address) {
+  const value = String(address).trim();
+  if (value.includes(':')) {
+    const parts = value.split('::');
+    if (parts.length > 2) return null;
+    const [head, tail] = parts;
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    if (tail === undefined ? missing !== 0 : missing < 1) return null;
+    const groups = [
+      ...headParts,
+      ...Array(tail === undefined ? 0 : missing).fill('0'),
+      ...tailParts,
+    ];
+    if (!groups.every((group) => /^[0-9a-fA-F]{1,4}$/.test(group))) return null;
+    return groups.flatMap((group) => parseInt(group, 16).toString(2).padStart(16, '0').split(''));
+  }
+
+  const octets = value.split('.');
+  if (octets.length !== 4 || !octets.every((octet) => /^\d{1,3}$/.test(octet) && +octet <= 255)) {
+    return null;
+  }
+  return octets.flatMap((octet) => Number(octet).toString(2).padStart(8, '0').split(''));
+}
+
+/**
+ * Test whether an IP address falls inside a CIDR block (IPv4 or IPv6)
+ * @param {string} cidr - CIDR block such as 203.0.113.0/24, or a single address
+ * @param {string} address - The IP address to test
+ * @returns {boolean} - Whether the address is in the block
+ */
+export function ipInCidr(cidr, address) {
+  const [network, prefixText] = String(cidr).split('/');
+  const networkBits = parseIpBits(network);
+  const addressBits = parseIpBits(address);
+  if (!networkBits || !addressBits || networkBits.length !== addressBits.length) {
+    return false;
+  }
+  const prefix = prefixText === undefined ? networkBits.length : Number(prefixText);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > networkBits.length) {
+    return false;
+  }
+  return networkBits.slice(0, prefix).join('') === addressBits.slice(0, prefix).join('');
+}
+
+function parseDate(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000; // Epoch seconds
+  return Date.parse(text);
+}
+
+// Compare one request value against one policy value for a base operator
+function compareValue(baseOperator, policyValue, requestValue) {
+  switch (baseOperator) {
+    case 'StringEquals':
+    case 'StringNotEquals':
+    case 'BinaryEquals':
+      return String(requestValue) === String(policyValue);
+    case 'StringEqualsIgnoreCase':
+    case 'StringNotEqualsIgnoreCase':
+      return String(requestValue).toLowerCase() === String(policyValue).toLowerCase();
+    case 'StringLike':
+    case 'StringNotLike':
+    case 'ArnLike':
+    case 'ArnNotLike':
+    case 'ArnEquals':
+    case 'ArnNotEquals':
+      return matchesWildcard(policyValue, requestValue);
+    case 'Bool':
+      return String(requestValue).toLowerCase() === String(policyValue).toLowerCase();
+    case 'IpAddress':
+    case 'NotIpAddress':
+      return ipInCidr(policyValue, requestValue);
+    case 'NumericEquals':
+    case 'NumericNotEquals':
+      return Number(requestValue) === Number(policyValue);
+    case 'NumericLessThan':
+      return Number(requestValue) < Number(policyValue);
+    case 'NumericLessThanEquals':
+      return Number(requestValue) <= Number(policyValue);
+    case 'NumericGreaterThan':
+      return Number(requestValue) > Number(policyValue);
+    case 'NumericGreaterThanEquals':
+      return Number(requestValue) >= Number(policyValue);
+    case 'DateEquals':
+    case 'DateNotEquals':
+      return parseDate(requestValue) === parseDate(policyValue);
+    case 'DateLessThan':
+      return parseDate(requestValue) < parseDate(policyValue);
+    case 'DateLessThanEquals':
+      return parseDate(requestValue) <= parseDate(policyValue);
+    case 'DateGreaterThan':
+      return parseDate(requestValue) > parseDate(policyValue);
+    case 'DateGreaterThanEquals':
+      return parseDate(requestValue) >= parseDate(policyValue);
+    default:
+      return false;
+  }
+}
+
+const NEGATED_OPERATORS = [
+  'StringNotEquals',
+  'StringNotEqualsIgnoreCase',
+  'StringNotLike',
+  'NumericNotEquals',
+  'DateNotEquals',
+  'NotIpAddress',
+  'ArnNotEquals',
+  'ArnNotLike',
+];
+
+// Look up a context key case-insensitively, as IAM does for condition key names
+function getContextValues(context, key) {
+  const match = Object.keys(context).find((name) => name.toLowerCase() === key.toLowerCase());
+  if (match === undefined) return null;
+  const value = context[match];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * Evaluate one operator/key pair of a Condition block against the request context
+ * @param {string} operator - Condition operator, including any qualifier or IfExists suffix
+ * @param {string} key - Condition key, e.g. aws:SourceIp
+ * @param {*} policyValues - Value or array of values from the policy
+ * @param {Object} context - Request context keys and values
+ * @returns {boolean} - Whether this condition is satisfied
+ */
+export function evaluateCondition(operator, key, policyValues, context) {
+  const { qualifier, baseOperator, ifExists } = parseConditionOperator(operator);
+  const values = [].concat(policyValues);
+  const requestValues = getContextValues(context, key);
+
+  if (baseOperator === 'Null') {
+    const isNull = requestValues === null || requestValues.length === 0;
+    return values.some((value) => String(value).toLowerCase() === String(isNull));
+  }
+
+  const negated = NEGATED_OPERATORS.includes(baseOperator);
+  const matchesAny = (requestValue) =>
+    values.some((value) => compareValue(baseOperator, value, requestValue));
+  const matchesValue = (requestValue) =>
+    negated ? !matchesAny(requestValue) : matchesAny(requestValue);
+
+  if (requestValues === null || requestValues.length === 0) {
+    // ForAllValues is vacuously true for a missing key; negated operators also match
+    if (ifExists || qualifier === 'ForAllValues') return true;
+    if (qualifier === 'ForAnyValue') return false;
+    return negated;
+  }
+
+  if (qualifier === 'ForAllValues') return requestValues.every(matchesValue);
+  if (qualifier === 'ForAnyValue') return requestValues.some(matchesValue);
+  return negated ? requestValues.every(matchesValue) : requestValues.some(matchesValue);
+}
+
+function matchesPrincipal(principal, requestPrincipal) {
+  if (principal === '*') return true;
+  if (typeof principal !== 'object' || principal === null) return false;
+  return Object.values(principal).some((ids) =>
+    [].concat(ids).some((id) => id === '*' || matchesWildcard(id, requestPrincipal))
+  );
+}
+
+// Work out whether a single statement applies to the request, and why not if it doesn't
+function evaluateStatement(stmt, request) {
+  const context = request.context || {};
+  const actionMatches = (patterns) =>
+    [].concat(patterns).some((pattern) => matchesWildcard(pattern, request.action, true));
+  const resourceMatches = (patterns) =>
+    [].concat(patterns).some((pattern) => matchesWildcard(pattern, request.resource));
+
+  if (stmt.Action !== undefined && !actionMatches(stmt.Action)) {
+    return { applies: false, reason: `Action "${request.action}" is not in Action` };
+  }
+  if (stmt.NotAction !== undefined && actionMatches(stmt.NotAction)) {
+    return { applies: false, reason: `Action "${request.action}" is excluded by NotAction` };
+  }
+  if (stmt.Resource !== undefined && !resourceMatches(stmt.Resource)) {
+    return { applies: false, reason: `Resource "${request.resource}" is not in Resource` };
+  }
+  if (stmt.NotResource !== undefined && resourceMatches(stmt.NotResource)) {
+    return { applies: false, reason: `Resource "${request.resource}" is excluded by NotResource` };
+  }
+
+  // Principals are only compared when the request names one
+  if (request.principal) {
+    if (stmt.Principal !== undefined && !matchesPrincipal(stmt.Principal, request.principal)) {
+      return { applies: false, reason: `Principal "${request.principal}" is not in Principal` };
+    }
+    if (stmt.NotPrincipal !== undefined && matchesPrincipal(stmt.NotPrincipal, request.principal)) {
+      return {
+        applies: false,
+        reason: `Principal "${request.principal}" is excluded by NotPrincipal`,
+      };
+    }
+  }
+
+  // Every operator and every key inside it must be satisfied
+  const condition = stmt.Condition || {};
+  for (const operator of Object.keys(condition)) {
+    const block = condition[operator] || {};
+    for (const key of Object.keys(block)) {
+      if (!evaluateCondition(operator, key, block[key], context)) {
+        const requestValues = getContextValues(context, key);
+        const actual = requestValues === null ? 'not present' : `"${requestValues.join(', ')}"`;
+        return {
+          applies: false,
+          reason: `Condition ${operator} on ${key} is not met (request value ${actual})`,
+        };
+      }
+    }
+  }
+
+  return { applies: true, reason: 'Statement matches the request' };
+}
+
+/**
+ * Parse request context text with one key=value pair per line
+ * @param {string} text - Context text; repeated keys become multi-valued
+ * @returns {Object} - { isValid, context, errors }
+ */
+export function parseRequestContext(text) {
+  const context = {};
+  const errors = [];
+
+  String(text || '')
+    .split('\n')
+    .forEach((rawLine, idx) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+
+      const separator = line.indexOf('=');
+      if (separator <= 0) {
+        errors.push(`Line ${idx + 1}: Expected key=value, got "${line}"`);
+        return;
+      }
+
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      if (context[key] === undefined) {
+        context[key] = value;
+      } else {
+        context[key] = [].concat(context[key], value);
+      }
+    });
+
+  return { isValid: errors.length === 0, context, errors };
+}
+
+/**
+ * Evaluate a request against a policy
+ * @param {Object} policy - A parsed bucket policy
+ * @param {Object} request - { action, resource, principal, context }
+ * @returns {Object} - { decision, decidingStatement, evaluations }
+ */
+export function simulateRequest(policy, request) {
+  const statements = policy && Array.isArray(policy.Statement) ? policy.Statement : [];
+
+  const evaluations = statements.map((stmt, index) => {
+    const { applies, reason } =
+      typeof stmt === 'object' && stmt !== null
+        ? evaluateStatement(stmt, request)
+        : { applies: false, reason: 'Statement is not an object' };
+    return { index, sid: stmt && stmt.Sid, effect: stmt && stmt.Effect, applies, reason };
+  });
+
+  const deny = evaluations.find((evaluation) => evaluation.applies && evaluation.effect === 'Deny');
+  if (deny) {
+    return { decision: DECISION_EXPLICIT_DENY, decidingStatement: deny, evaluations };
+  }
+
+  const allow = evaluations.find(
+    (evaluation) => evaluation.applies && evaluation.effect === 'Allow'
+  );
+  if (allow) {
+    return { decision: DECISION_ALLOWED, decidingStatement: allow, evaluations };
+  }
+
+  return { decision: DECISION_IMPLICIT_DENY, decidingStatement: null, evaluations };
+}
@@ -0,0 +1,584 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Policy Templates
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Quick templates as data. A template holds one or more statements in the
+    buildPolicy() statement format, with conditions, and may use parameter
+    placeholders such as {{cidrs}} or {{prefix}} that are filled in when the
+    template is loaded. Each template declares the parameters it uses, with a
+    type that decides how the template wizard asks for and validates them.
+    Templates that reproduce a file in examples/ name it, and the unit tests
+    check that they stay in step. Templates that grant access to named
+    principals only work with providers whose bucket policies have them.
+*/
+
+import { validateBucketName, validatePrincipalARN } from './policy-engine.js';
+import { checkConditionValue } from './condition-keys.js';
+import { getProviderProfile } from './providers.js';
+import { normalizeResourcePath } from './resource-paths.js';
+
+// A placeholder is the whole of a string or part of it, e.g. "{{prefix}}*"
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+// Parameter types whose value is a list of strings
+const LIST_TYPES = ['cidrList', 'prefixList', 'principalList'];
+
+// Object Lock retention is limited to 100 years
+const MAX_RETENTION_DAYS = 36500;
+
+// The parameter every template has
+const BUCKET_PARAMETER = {
+  name: 'bucketName',
+  label: 'S3 Bucket Name',
+  type: 'bucketName',
+  default: 'your-bucket-name',
+  help: 'The bucket this policy is attached to',
+};
+
+export const POLICY_TEMPLATES = [
+  {
+    id: 'publicRead',
+    name: 'Public Read Access',
+    description: 'Public read access for all objects, e.g. for static website hosting',
+    example: 'public-read.json',
+    statements: [
+      { sid: 'PublicReadAccess', effect: 'Allow', actions: ['s3:GetObject'], resourcePath: '*' },
+    ],
+  },
+  {
+    id: 'privateReadWrite',
+    name: 'Private Read/Write',
+    description: 'Read/write access for the IAM users with access keys for this bucket',
+    example: 'private-read-write.json',
+    statements: [
+      {
+        sid: 'PrivateReadWriteAccess',
+        effect: 'Allow',
+        actions: ['s3:GetObject', 's3:PutObject', 's3:DeleteObject', 's3:ListBucket'],
+        resourcePath: '*',
+      },
+    ],
+  },
+  {
+    id: 'readOnly',
+    name: 'Read-Only Access',
+    description: 'List the bucket and read its objects',
+    example: 'read-only.json',
+    statements: [
+      {
+        sid: 'ReadOnlyAccess',
+        effect: 'Allow',
+        actions: ['s3:GetObject', 's3:ListBucket', 's3:GetObjectAttributes'],
+        resourcePath: '*',
+      },
+    ],
+  },
+  {
+    id: 'crossAccount',
+    name: 'Cross-Account Access',
+    description: 'Read access for other AWS accounts, users or roles',
+    requiresPrincipals: true,
+    parameters: [
+      {
+        name: 'principals',
+        label: 'Accounts, users or roles',
+        type: 'principalList',
+        default: ['111122223333'],
+        help: 'One 12-digit account ID or IAM user or role ARN per line',
+      },
+    ],
+    statements: [
+      {
+        sid: 'CrossAccountRead',
+        effect: 'Allow',
+        principals: ['{{principals}}'],
+        actions: ['s3:GetObject', 's3:ListBucket'],
+        resourcePath: '*',
+      },
+    ],
+  },
+  {
+    id: 'ipRestricted',
+    name: 'IP-Restricted Access',
+    description: 'Read/write access only from your office or VPN address ranges',
+    example: 'ip-restricted.json',
+    parameters: [
+      {
+        name: 'cidrs',
+        label: 'Allowed IP ranges',
+        type: 'cidrList',
+        default: ['203.0.113.0/24', '198.51.100.0/24'],
+        help: 'One IP address or CIDR block per line, e.g. 203.0.113.0/24',
+      },
+    ],
+    statements: [
+      {
+        sid: 'IPRestrictedAccess',
+        effect: 'Allow',
+        actions: ['s3:GetObject', 's3:PutObject', 's3:ListBucket'],
+        resourcePath: '*',
+        condition: { IpAddress: { 'aws:SourceIp': ['{{cidrs}}'] } },
+      },
+    ],
+  },
+  {
+    id: 'encryptedUploads',
+    name: 'Encrypted Uploads Only',
+    description: 'Deny uploads that do not ask for server-side encryption',
+    example: 'encrypted-uploads-only.json',
+    parameters: [
+      {
+        name: 'encryption',
+        label: 'Required encryption header',
+        type: 'choice',
+        options: ['AES256', 'aws:kms'],
+        default: 'AES256',
+        help: 'The x-amz-server-side-encryption value every upload must send',
+      },
+    ],
+    statements: [
+      {
+        sid: 'DenyUnencryptedObjectUploads',
+        effect: 'Deny',
+        actions: ['s3:PutObject'],
+        resourcePath: '*',
+        condition: { StringNotEquals: { 's3:x-amz-server-side-encryption': '{{encryption}}' } },
+      },
+      {
+        sid: 'AllowEncryptedOperations',
+        effect: 'Allow',
+        actions: ['s3:GetObject', 's3:PutObject', 's3:ListBucket'],
+        resourcePath: '*',
+      },
+    ],
+  },
+  {
+    id: 'prefixBased',
+    name: 'Prefix-Based Access',
+    description: 'Read/write in one folder, read-only in another',
+    example: 'prefix-based-access.json',
+    parameters: [
+      {
+        name: 'readWritePrefix',
+        label: 'Read/write folder',
+        type: 'prefix',
+        default: 'documents/',
+        help: 'Objects under this folder can be read, written and deleted',
+      },
+      {
+        name: 'readOnlyPrefix',
+        label: 'Read-only folder',
+        type: 'prefix',
+        default: 'images/',
+        help: 'Objects under this folder can only be read',
+      },
+    ],
+    statements: [
+      {
+        sid: 'ListBucketAccess',
+        effect: 'Allow',
+        actions: ['s3:ListBucket'],
+        resourcePath: '*',
+        condition: {
+          StringLike: { 's3:prefix': ['{{readWritePrefix}}*', '{{readOnlyPrefix}}*'] },
+        },
+      },
+      {
+        sid: 'ReadWriteDocuments',
+        effect: 'Allow',
+        actions: ['s3:GetObject', 's3:PutObject', 's3:DeleteObject'],
+        resourcePath: '{{readWritePrefix}}*',
+      },
+      {
+        sid: 'ReadOnlyImages',
+        effect: 'Allow',
+        actions: ['s3:GetObject'],
+        resourcePath: '{{readOnlyPrefix}}*',
+      },
+    ],
+  },
+  {
+    id: 'loggingBucket',
+    name: 'Logging Bucket',
+    description: 'Write access logs under a prefix and manage the logging settings',
+    example: 'logging-bucket.json',
+    parameters: [
+      {
+        name: 'prefix',
+        label: 'Log folder',
+        type: 'prefix',
+        default: 'logs/',
+        help: 'Access logs are written under this folder',
+      },
+    ],
+    statements: [
+      {
+        sid: 'S3ServerAccessLogsPolicy',
+        effect: 'Allow',
+        actions: ['s3:PutObject'],
+        resourcePath: '{{prefix}}*',
+      },
+      {
+        sid: 'AllowLoggingServiceToPutObjects',
+        effect: 'Allow',
+        actions: ['s3:GetBucketLogging', 's3:PutBucketLogging'],
+        resourcePath: '*',
+      },
+    ],
+  },
+  {
+    id: 'teamFolders',
+    name: 'Team Folders',
+    description: 'Each team reads and writes in its own folder',
+    parameters: [
+      {
+        name: 'teamPrefixes',
+        label: 'Team folders',
+        type: 'prefixList',
+        default: ['team-a/', 'team-b/'],
+        help: 'One folder per line - each gets its own statement, so you can add the team members',
+      },
+    ],
+    statements: [
+      {
+        sid: 'ListTeamFolders',
+        effect: 'Allow',
+        actions: ['s3:ListBucket'],
+        resourcePath: '*',
+        condition: { StringLike: { 's3:prefix': ['{{teamPrefixes}}*'] } },
+      },
+      {
+        // One statement per team: TeamFolder1, TeamFolder2, ...
+        sid: 'TeamFolder',
+        forEach: 'teamPrefixes',
+        effect: 'Allow',
+        actions: ['s3:GetObject', 's3:PutObject', 's3:DeleteObject'],
+        resourcePath: '{{teamPrefixes}}*',
+      },
+    ],
+  },
+  {
+    id: 'cors',
+    name: 'CORS Configuration',
+    description: 'Read/write objects and manage the CORS configuration for browser uploads',
+    example: 'cors-enabled.json',
+    statements: [
+      {
+        sid: 'CORSConfiguration',
+        effect: 'Allow',
+        actions: [
+          's3:GetObject',
+          's3:PutObject',
+          's3:GetBucketCORS',
+          's3:PutBucketCORS',
+          's3:DeleteBucketCORS',
+        ],
+        resourcePath: '*',
+      },
+    ],
+  },
+  {
+    id: 'objectLockVersioning',
+    name: 'Object Lock & Versioning',
+    description: 'Enable object lock and versioning with read/write access',
+    example: 'object-lock-versioning.json',
+    statements: [
+      {
+        sid: 'ObjectLockVersioningAccess',
+        effect: 'Allow',
+        actions: [
+          // Basic read/write permissions
+          's3:GetObject',
+          's3:PutObject',
+          's3:DeleteObject',
+          's3:ListBucket',
+          's3:GetObjectAttributes',
+          // Object Lock specific permissions
+          's3:GetObjectLockConfiguration',
+          's3:PutObjectLockConfiguration',
+          's3:BypassGovernanceRetention',
+          // Versioning permissions
+          's3:GetBucketVersioning',
+          's3:PutBucketVersioning',
+          's3:ListBucketVersions',
+          's3:GetObjectVersion',
+          's3:DeleteObjectVersion',
+          's3:GetObjectVersionAttributes',
+        ],
+        resourcePath: '*',
+      },
+    ],
+  },
+  {
+    id: 'retentionLimit',
+    name: 'Object Lock Retention Limit',
+    description: 'Set Object Lock retention on objects, up to a maximum number of days',
+    parameters: [
+      {
+        name: 'retentionDays',
+        label: 'Maximum retention (days)',
+        type: 'days',
+        default: 30,
+        help: 'Requests that set a longer retention period are denied',
+      },
+    ],
+    statements: [
+      {
+        sid: 'AllowObjectRetention',
+        effect: 'Allow',
+        actions: ['s3:GetObjectRetention', 's3:PutObjectRetention'],
+        resourcePath: '*',
+      },
+      {
+        sid: 'DenyLongRetention',
+        effect: 'Deny',
+        actions: ['s3:PutObjectRetention'],
+        resourcePath: '*',
+        condition: {
+          NumericGreaterThan: { 's3:object-lock-remaining-retention-days': '{{retentionDays}}' },
+        },
+      },
+    ],
+  },
+];
+
+/**
+ * Look up a template
+ * @param {string} id - Template ID, e.g. "ipRestricted"
+ * @returns {Object|null} - The template, or null if there is none with that ID
+ */
+export function getTemplate(id) {
+  return POLICY_TEMPLATES.find((template) => template.id === id) || null;
+}
+
+/**
+ * Check whether a template can be used with a provider
+ * @param {Object} template - A template from POLICY_TEMPLATES
+ * @param {string} provider - Provider ID (default Impossible Cloud)
+ * @returns {boolean} - false for templates that need principals the provider does not have
+ */
+export function isTemplateSupported(template, provider) {
+  return !template.requiresPrincipals || getProviderProfile(provider).supportsPrincipals;
+}
+
+/**
+ * The parameters a template uses, the bucket name first
+ * @param {Object} template - A template from POLICY_TEMPLATES
+ * @returns {Object[]} - [{ name, label, type, default, help, options? }]
+ */
+export function getTemplateParameters(template) {
+  return [BUCKET_PARAMETER, ...(template.parameters || [])];
+}
+
+/**
+ * The default value of each parameter a template uses
+ * @param {Object} template - A template from POLICY_TEMPLATES
+ * @returns {Object} - Parameter name to default value (a string, number or list of strings)
+ */
+export function getTemplateDefaults(template) {
+  return Object.fromEntries(getTemplateParameters(template).map((p) => [p.name, p.default]));
+}
+
+// A list is typed one entry per line or separated by commas
+function parseList(value) {
+  return (Array.isArray(value) ? value : String(value ?? '').split(/[\n,]/))
+    .map((entry) => String(entry).trim())
+    .filter((entry) => entry);
+}
+
+// A folder prefix such as "reports/2025/" - without wildcards, ending in "/"
+function normalizePrefix(prefix, errors) {
+  let normalized = prefix.replace(/^\/+/, '');
+  if (/[*?]/.test(normalized)) {
+    errors.push(`"${prefix}" contains a wildcard - enter the folder name only`);
+    return normalized;
+  }
+  if (!normalized.endsWith('/')) {
+    normalized += '/';
+  }
+  normalizeResourcePath(normalized + '*').errors.forEach((error) =>
+    errors.push(`"${prefix}": ${error}`)
+  );
+  return normalized;
+}
+
+/**
+ * Validate and normalize the value of one template parameter
+ * @param {Object} parameter - A parameter from getTemplateParameters()
+ * @param {*} value - The value as typed (lists may be one entry per line) or as stored
+ * @param {Object} options - { provider } the principals are checked for
+ * @returns {Object} - { isValid, value, errors, warnings } - value is normalized, e.g. "logs" becomes "logs/"
+ */
+export function validateTemplateValue(parameter, value, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const text = String(value ?? '').trim();
+  let normalized = text;
+
+  if (LIST_TYPES.includes(parameter.type)) {
+    normalized = parseList(value);
+    if (normalized.length === 0) {
+      errors.push('Enter at least one value');
+    }
+  } else if (!text) {
+    errors.push('Enter a value');
+    return { isValid: false, value: text, errors, warnings };
+  }
+
+  switch (parameter.type) {
+    case 'bucketName':
+      errors.push(...validateBucketName(text).errors);
+      break;
+    case 'cidrList':
+      normalized.forEach((cidr) => {
+        const error = checkConditionValue('IPAddress', cidr);
+        if (error) {
+          errors.push(error);
+        } else if (/^(0\.0\.0\.0|::)\/0$/.test(cidr)) {
+          warnings.push(`"${cidr}" allows every IP address`);
+        }
+      });
+      break;
+    case 'principalList':
+      normalized.forEach((principal) => {
+        // "*" would make the bucket public rather than share it with someone
+        if (principal === '*') {
+          errors.push('Enter the accounts to grant access to - "*" is everyone');
+          return;
+        }
+        const result = validatePrincipalARN(principal, options);
+        errors.push(...result.errors.map((error) => `"${principal}": ${error}`));
+        warnings.push(...result.warnings.map((warning) => `"${principal}": ${warning}`));
+      });
+      break;
+    case 'prefix':
+      normalized = normalizePrefix(text, errors);
+      break;
+    case 'prefixList':
+      normalized = [...new Set(normalized.map((prefix) => normalizePrefix(prefix, errors)))];
+      break;
+    case 'days':
+      if (!/^\d+$/.test(text) || Number(text) < 1 || Number(text) > MAX_RETENTION_DAYS) {
+        errors.push(`Enter a whole number of days from 1 to ${MAX_RETENTION_DAYS}`);
+      } else {
+        normalized = Number(text);
+      }
+      break;
+    case 'choice':
+      if (!parameter.options.includes(text)) {
+        errors.push(`Must be one of: ${parameter.options.join(', ')}`);
+      }
+      break;
+    default:
+      break;
+  }
+
+  return { isValid: errors.length === 0, value: normalized, errors, warnings };
+}
+
+/**
+ * Validate the values given for a template's parameters
+ * @param {Object} template - A template from POLICY_TEMPLATES
+ * @param {Object} values - Parameter values; parameters without one are not checked
+ * @param {Object} options - { provider } the principals are checked for
+ * @returns {Object} - { isValid, values, errors, warnings } - values are normalized, messages start with the parameter label
+ */
+export function validateTemplateValues(template, values = {}, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const normalizedValues = {};
+  getTemplateParameters(template).forEach((parameter) => {
+    if (values[parameter.name] === undefined) return;
+    const result = validateTemplateValue(parameter, values[parameter.name], options);
+    result.errors.forEach((error) => errors.push(`${parameter.label}: ${error}`));
+    result.warnings.forEach((warning) => warnings.push(`${parameter.label}: ${warning}`));
+    normalizedValues[parameter.name] = result.value;
+  });
+  return { isValid: errors.length === 0, values: normalizedValues, errors, warnings };
+}
+
+// Replace placeholders in a value; an array item with a list placeholder becomes one item per entry
+function fillValue(value, values, errors) {
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      const listName =
+        typeof item === 'string' &&
+        [...item.matchAll(PLACEHOLDER)].map((m) => m[1]).find((n) => Array.isArray(values[n]));
+      if (listName) {
+        return values[listName].map((entry) =>
+          fillValue(item, { ...values, [listName]: entry }, errors)
+        );
+      }
+      return [fillValue(item, values, errors)];
+    });
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fillValue(item, values, errors)])
+    );
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(PLACEHOLDER, (placeholder, name) => {
+    if (values[name] === undefined) {
+      if (!errors.includes(`Template parameter "${name}" has no value`)) {
+        errors.push(`Template parameter "${name}" has no value`);
+      }
+      return placeholder;
+    }
+    return [].concat(values[name]).join(',');
+  });
+}
+
+// A statement with forEach is repeated for each entry of that list parameter
+function fillStatement(stmt, values, errors) {
+  if (stmt.forEach) {
+    return []
+      .concat(values[stmt.forEach])
+      .flatMap((entry, idx) =>
+        fillStatement(
+          { ...stmt, forEach: undefined, sid: `${stmt.sid || 'Statement'}${idx + 1}` },
+          { ...values, [stmt.forEach]: entry },
+          errors
+        )
+      );
+  }
+  const resourcePath = fillValue(stmt.resourcePath || '*', values, errors);
+  return [
+    {
+      sid: stmt.sid || '',
+      effect: stmt.effect,
+      principals: stmt.principals ? fillValue(stmt.principals, values, errors) : [],
+      actions: [...stmt.actions],
+      resourcePath: [].concat(resourcePath).join('\n'),
+      condition: stmt.condition ? fillValue(stmt.condition, values, errors) : undefined,
+    },
+  ];
+}
+
+/**
+ * Validate the parameter values and fill in a template's placeholders
+ * @param {Object} template - A template from POLICY_TEMPLATES
+ * @param {Object} values - Parameter values; missing ones use the template defaults
+ * @param {Object} options - { provider } the policy is for; without one the provider is not checked
+ * @returns {Object} - { isValid, errors, warnings, bucketName, statements } - statements are buildPolicy() statement configs
+ */
+export function fillTemplate(template, values = {}, options = {}) {
+  const validation = validateTemplateValues(template, values, options);
+  const errors = [...validation.errors];
+  if (options.provider && !isTemplateSupported(template, options.provider)) {
+    errors.unshift(
+      `${template.name} grants access to named accounts, and ${getProviderProfile(options.provider).name} bucket policies have no Principal`
+    );
+  }
+  const allValues = { ...getTemplateDefaults(template), ...values, ...validation.values };
+  const statements = template.statements.flatMap((stmt) => fillStatement(stmt, allValues, errors));
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings: validation.warnings,
+    bucketName: allValues.bucketName,
+    statements,
+  };
+}
@@ -0,0 +1,132 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Provider Profiles
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Each S3 provider the generator targets is described by a profile: the
+    ARN partitions it uses, which actions and condition keys it supports and
+    whether bucket policies name principals. The endpoint and region are the
+    defaults for exported Terraform and AWS CLI commands (null is AWS's own).
+*/
+
+import { S3_ACTIONS } from './action-catalog.js';
+import { getConditionKey } from './condition-keys.js';
+
+export const PROVIDER_IMPOSSIBLE_CLOUD = 'impossible-cloud';
+export const PROVIDER_AWS = 'aws';
+export const PROVIDER_GENERIC = 'generic';
+
+// Features that only exist on AWS S3 itself
+const AWS_ONLY_ACTIONS = S3_ACTIONS.filter((entry) => entry.awsOnly).map((entry) => entry.name);
+
+// Condition keys that depend on AWS infrastructure (VPCs, Organizations, KMS, MFA, AWS services)
+const AWS_ONLY_CONDITION_KEYS = [
+  'aws:VpcSourceIp',
+  'aws:SourceVpc',
+  'aws:SourceVpce',
+  'aws:PrincipalOrgID',
+  'aws:PrincipalOrgPaths',
+  'aws:SourceOrgID',
+  'aws:ResourceOrgID',
+  'aws:PrincipalIsAWSService',
+  'aws:PrincipalServiceName',
+  'aws:CalledVia',
+  'aws:ViaAWSService',
+  'aws:RequestedRegion',
+  'aws:MultiFactorAuthPresent',
+  'aws:MultiFactorAuthAge',
+  's3:x-amz-server-side-encryption-aws-kms-key-id',
+];
+
+export const PROVIDER_PROFILES = {
+  [PROVIDER_IMPOSSIBLE_CLOUD]: {
+    id: PROVIDER_IMPOSSIBLE_CLOUD,
+    name: 'Impossible Cloud',
+    description:
+      'Impossible Cloud bucket policies have no Principal - access is granted to IAM users through their access keys.',
+    resourcePartitions: ['aws'],
+    principalPartitions: ['ipcld', 'aws'],
+    supportsPrincipals: false,
+    supportsServicePrincipals: false,
+    unsupportedActions: AWS_ONLY_ACTIONS,
+    unsupportedConditionKeys: AWS_ONLY_CONDITION_KEYS,
+    principalNote: null,
+    endpoint: 'https://eu-central-2.storage.impossibleapi.net',
+    region: 'eu-central-2',
+  },
+  [PROVIDER_AWS]: {
+    id: PROVIDER_AWS,
+    name: 'AWS S3',
+    description: 'AWS S3 bucket policies name the principals each statement applies to.',
+    resourcePartitions: ['aws', 'aws-cn', 'aws-us-gov'],
+    principalPartitions: ['aws', 'aws-cn', 'aws-us-gov'],
+    supportsPrincipals: true,
+    supportsServicePrincipals: true,
+    unsupportedActions: [],
+    unsupportedConditionKeys: [],
+    principalNote: null,
+    endpoint: null,
+    region: 'us-east-1',
+  },
+  [PROVIDER_GENERIC]: {
+    id: PROVIDER_GENERIC,
+    name: 'Generic S3 (MinIO)',
+    description:
+      'S3-compatible servers such as MinIO use AWS-style bucket policies with a Principal, but only support the core S3 features.',
+    resourcePartitions: ['aws'],
+    principalPartitions: ['aws'],
+    supportsPrincipals: true,
+    supportsServicePrincipals: false,
+    unsupportedActions: AWS_ONLY_ACTIONS,
+    unsupportedConditionKeys: AWS_ONLY_CONDITION_KEYS,
+    principalNote:
+      'S3-compatible servers usually only honour "*" principals in bucket policies - grant per-user access with IAM policies instead',
+    endpoint: 'http://localhost:9000',
+    region: 'us-east-1',
+  },
+};
+
+/**
+ * Look up a provider profile
+ * @param {string} id - Provider ID (default Impossible Cloud)
+ * @returns {Object} - The provider profile
+ */
+export function getProviderProfile(id) {
+  const profile = PROVIDER_PROFILES[id || PROVIDER_IMPOSSIBLE_CLOUD];
+  if (!profile) {
+    throw new Error(
+      `Unknown provider "${id}". Must be one of: ${Object.keys(PROVIDER_PROFILES).join(', ')}`
+    );
+  }
+  return profile;
+}
+
+/**
+ * Get the S3 ARN prefixes a provider accepts for resources
+ * @param {Object} profile - A provider profile
+ * @returns {string[]} - e.g. ["arn:aws:s3:::"]
+ */
+export function getResourceArnPrefixes(profile) {
+  return profile.resourcePartitions.map((partition) => `arn:${partition}:s3:::`);
+}
+
+/**
+ * Check whether a provider supports an action
+ * @param {Object} profile - A provider profile
+ * @param {string} action - e.g. "s3:GetObject"
+ * @returns {boolean} - false only for actions the provider is known not to support
+ */
+export function isActionSupported(profile, action) {
+  const name = String(action).toLowerCase();
+  return !profile.unsupportedActions.some((unsupported) => unsupported.toLowerCase() === name);
+}
+
+/**
+ * Check whether a provider supports a condition key
+ * @param {Object} profile - A provider profile
+ * @param {string} key - e.g. "aws:SourceVpce" or "aws:RequestTag/team"
+ * @returns {boolean} - false only for catalog keys the provider is known not to support
+ */
+export function isConditionKeySupported(profile, key) {
+  const entry = getConditionKey(key);
+  return !entry || !profile.unsupportedConditionKeys.includes(entry.key);
+}
@@ -0,0 +1,112 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Resource Paths
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Validates and normalizes the object-key patterns typed into Resource Path
+    before they become arn:aws:s3:::bucket/<path> ARNs, and previews which
+    object keys a set of patterns matches. In a policy "*" matches any
+    sequence of characters (including "/") and "?" any single character.
+*/
+
+import { matchesWildcard } from './policy-simulator.js';
+
+function hasWildcard(path) {
+  return path.includes('*') || path.includes('?');
+}
+
+/**
+ * Validate and normalize a single object-key pattern
+ * @param {string} path - Pattern as typed, e.g. "/reports/" or "reports/*"
+ * @returns {Object} - { isValid, path, errors, warnings } - path is the normalized pattern ("*" when empty)
+ */
+export function normalizeResourcePath(path) {
+  const errors = [];
+  const warnings = [];
+  let normalized = String(path || '').trim();
+
+  if (/^arn:/i.test(normalized)) {
+    errors.push('Enter a path inside the bucket, not a full ARN');
+    return { isValid: false, path: normalized, errors, warnings };
+  }
+
+  // Object keys never start with "/", so "/reports/*" would match nothing
+  if (normalized.startsWith('/')) {
+    normalized = normalized.replace(/^\/+/, '');
+    warnings.push('Leading "/" removed - object keys do not start with "/"');
+  }
+  if (!normalized) {
+    return { isValid: true, path: '*', errors, warnings };
+  }
+
+  if (normalized.includes('//')) {
+    errors.push('Contains "//" - use a single "/" between folder names');
+  }
+  if ([...normalized].some((ch) => ch.charCodeAt(0) < 32 || ch.charCodeAt(0) === 127)) {
+    errors.push('Contains control characters');
+  }
+  if (normalized.includes('?')) {
+    warnings.push('"?" matches any single character - it is not a literal question mark');
+  }
+  if (normalized.includes(' ')) {
+    warnings.push('Contains spaces - they only match keys with the same spaces');
+  }
+
+  // Without a wildcard the pattern matches exactly one key
+  if (!hasWildcard(normalized)) {
+    const lastSegment = normalized.split('/').pop();
+    if (normalized.endsWith('/')) {
+      warnings.push(
+        `"${normalized}" only matches the folder placeholder itself - use "${normalized}*" to match the objects in it`
+      );
+    } else if (!lastSegment.includes('.')) {
+      warnings.push(
+        `"${normalized}" only matches an object named exactly "${normalized}" - use "${normalized}/*" if it is a prefix`
+      );
+    }
+  }
+
+  return { isValid: errors.length === 0, path: normalized, errors, warnings };
+}
+
+/**
+ * Validate and normalize the resource paths of a statement
+ * @param {string|string[]} paths - One path per line, or an array of paths
+ * @returns {Object} - { isValid, paths, errors, warnings } - duplicate paths are dropped, and no paths give ["*"]
+ */
+export function normalizeResourcePaths(paths) {
+  const list = (Array.isArray(paths) ? paths : String(paths || '').split('\n'))
+    .map((path) => String(path).trim())
+    .filter((path) => path);
+  const errors = [];
+  const warnings = [];
+  const normalizedPaths = [];
+
+  list.forEach((path) => {
+    const result = normalizeResourcePath(path);
+    result.errors.forEach((error) => errors.push(`Resource path "${path}": ${error}`));
+    result.warnings.forEach((warning) => warnings.push(`Resource path "${path}": ${warning}`));
+    if (!normalizedPaths.includes(result.path)) {
+      normalizedPaths.push(result.path);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    paths: normalizedPaths.length > 0 ? normalizedPaths : ['*'],
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Check which sample keys the paths match
+ * @param {string[]} paths - Normalized paths, as returned by normalizeResourcePaths()
+ * @param {string[]} keys - Sample object keys
+ * @returns {Object[]} - [{ key, path }] - path is the first matching path, or null
+ */
+export function matchSampleKeys(paths, keys) {
+  return keys.map((key) => ({
+    key,
+    path: paths.find((path) => matchesWildcard(path, key)) || null,
+  }));
+}
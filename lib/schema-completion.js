@@ -0,0 +1,198 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Schema Completions
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Suggests keys and values for the policy editor from the policy JSON
+    Schema. Works on the tokens of the text, so the document can be
+    incomplete while it is being typed.
+*/
+
+import { tokenizeJson } from './json-source.js';
+import { resolveSchema } from './json-schema.js';
+import { POLICY_SCHEMA } from './policy-schema.js';
+
+// The text of a string or key token, also while its closing quote is missing
+function tokenText(text, token) {
+  const raw = text.slice(token.start, token.end);
+  if (!raw.startsWith('"')) return raw;
+  const body = raw.length > 1 && raw.endsWith('"') ? raw.slice(1, -1) : raw.slice(1);
+  try {
+    return JSON.parse(`"${body}"`);
+  } catch {
+    return body;
+  }
+}
+
+// A token the caret is typing in; a closed string only counts while the caret is inside its quotes
+function isEditedToken(text, token, offset) {
+  if (token.type === 'punctuation' || offset <= token.start || offset > token.end) return false;
+  if (offset < token.end) return true;
+  const raw = text.slice(token.start, token.end);
+  return !(raw.startsWith('"') && raw.length > 1 && raw.endsWith('"'));
+}
+
+// Schemas a value may have to match: $ref is followed and anyOf is split into its branches
+function expand(schema, root) {
+  const node = resolveSchema(schema, root);
+  if (!node.anyOf) return [node];
+  return node.anyOf.flatMap((branch) => expand(branch, root));
+}
+
+// Schemas of the member or item a path segment leads to
+function childSchemas(schemas, segment, root) {
+  return schemas.flatMap((schema) =>
+    expand(schema, root).flatMap((node) => {
+      if (typeof segment === 'number') return node.items ? [node.items] : [];
+      if (node.properties && Object.hasOwn(node.properties, segment)) {
+        return [node.properties[segment]];
+      }
+      const patterns = Object.entries(node.patternProperties || {})
+        .filter(([pattern]) => new RegExp(pattern).test(segment))
+        .map(([, child]) => child);
+      if (patterns.length > 0) return patterns;
+      return typeof node.additionalProperties === 'object' ? [node.additionalProperties] : [];
+    })
+  );
+}
+
+// Walk the tokens before the caret, tracking the open objects and arrays and whether the
+// current member or item already has its value
+function findContext(text, tokens, end) {
+  const stack = [];
+  for (const token of tokens) {
+    if (token.end > end) break;
+    const frame = stack[stack.length - 1];
+    const ch = text[token.start];
+    if (token.type === 'punctuation' && (ch === '{' || ch === '[')) {
+      const segment = frame ? (frame.type === 'object' ? frame.key : frame.index) : null;
+      const type = ch === '{' ? 'object' : 'array';
+      stack.push({
+        type,
+        segment,
+        open: token.start,
+        expectKey: type === 'object',
+        key: null,
+        index: 0,
+        hasValue: false,
+      });
+    } else if (token.type === 'punctuation' && (ch === '}' || ch === ']')) {
+      stack.pop();
+      if (stack.length > 0) stack[stack.length - 1].hasValue = true;
+    } else if (!frame) {
+      continue;
+    } else if (ch === ':' && token.type === 'punctuation') {
+      frame.expectKey = false;
+    } else if (ch === ',' && token.type === 'punctuation') {
+      frame.hasValue = false;
+      if (frame.type === 'object') {
+        frame.expectKey = true;
+        frame.key = null;
+      } else {
+        frame.index++;
+      }
+    } else if (frame.type === 'object' && frame.expectKey) {
+      frame.key = tokenText(text, token);
+    } else {
+      frame.hasValue = true;
+    }
+  }
+  return stack;
+}
+
+// Keys already used in the object that opens at an offset
+function objectKeys(text, tokens, open) {
+  const keys = new Set();
+  let depth = 0;
+  for (const token of tokens) {
+    if (token.start < open) continue;
+    const ch = text[token.start];
+    if (token.type === 'punctuation' && (ch === '{' || ch === '[')) depth++;
+    else if (token.type === 'punctuation' && (ch === '}' || ch === ']')) depth--;
+    else if (token.type === 'key' && depth === 1) keys.add(tokenText(text, token));
+    if (depth === 0) break;
+  }
+  return keys;
+}
+
+function keyItems(schemas, usedKeys, followedByColon, root) {
+  return schemas.flatMap((schema) =>
+    expand(schema, root).flatMap((node) =>
+      Object.entries(node.properties || {})
+        .filter(([key]) => !usedKeys.has(key))
+        .map(([key, child]) => ({
+          label: key,
+          insertText: followedByColon ? JSON.stringify(key) : `${JSON.stringify(key)}: `,
+          detail: child.description || resolveSchema(child, root).description || '',
+          kind: 'property',
+        }))
+    )
+  );
+}
+
+function valueItems(schemas, root) {
+  return schemas.flatMap((schema) =>
+    expand(schema, root).flatMap((node) => {
+      const values = [
+        ...(node.enum || []).map((value, idx) => [value, node.enumDescriptions?.[idx]]),
+        ...('const' in node ? [[node.const]] : []),
+        ...(node.examples || []).map((value) => [value]),
+      ];
+      return values.map(([value, detail]) => ({
+        label: typeof value === 'string' ? value : JSON.stringify(value),
+        insertText: JSON.stringify(value),
+        detail: detail || node.description || resolveSchema(schema, root).description || '',
+        kind: 'value',
+      }));
+    })
+  );
+}
+
+/**
+ * Suggest keys or values at the caret from a JSON Schema
+ * @param {string} text - JSON text, complete or not
+ * @param {number} offset - Caret offset
+ * @param {Object} schema - The schema (default the bucket policy schema)
+ * @returns {Object} - { from, to, prefix, items } - replacing [from, to) with an item's insertText accepts it; items are [{ label, insertText, detail, kind }] that start with the prefix typed so far, kind is "property" or "value"
+ */
+export function getSchemaCompletions(text, offset, schema = POLICY_SCHEMA) {
+  const tokens = tokenizeJson(text);
+  const edited = tokens.find((token) => isEditedToken(text, token, offset));
+  const from = edited ? edited.start : offset;
+  const to = edited ? edited.end : offset;
+  const prefix = edited ? tokenText(text, { start: edited.start, end: offset }) : '';
+  const empty = { from, to, prefix, items: [] };
+
+  const stack = findContext(text, tokens, from);
+  const frame = stack[stack.length - 1];
+  if (!frame || frame.hasValue) return empty;
+
+  // The schemas of the innermost object or array, found by following the path from the root
+  const schemas = stack
+    .slice(1)
+    .reduce((current, { segment }) => childSchemas(current, segment, schema), [schema]);
+
+  let items;
+  if (frame.type === 'object' && frame.expectKey) {
+    const usedKeys = objectKeys(text, tokens, frame.open);
+    if (edited) usedKeys.delete(tokenText(text, edited));
+    const followedByColon = text.slice(to).trimStart().startsWith(':');
+    items = keyItems(schemas, usedKeys, followedByColon, schema);
+  } else {
+    const segment = frame.type === 'object' ? frame.key : frame.index;
+    if (segment === null) return empty;
+    items = valueItems(childSchemas(schemas, segment, schema), schema);
+  }
+
+  const seen = new Set();
+  const needle = prefix.toLowerCase();
+  return {
+    from,
+    to,
+    prefix,
+    items: items.filter((item) => {
+      if (seen.has(item.label) || !item.label.toLowerCase().startsWith(needle)) return false;
+      seen.add(item.label);
+      return true;
+    }),
+  };
+}
@@ -0,0 +1,77 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Undo History
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    A linear undo/redo history of snapshots. Each step stores a copy of the
+    snapshot it was recorded with, so later edits to the form cannot change
+    the history. Recording a new step drops any steps that were undone.
+*/
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Create an empty history
+ * @param {number} limit - Maximum number of steps kept; the oldest are dropped first
+ * @returns {Object} - { steps, index, limit }
+ */
+export function createHistory(limit = DEFAULT_HISTORY_LIMIT) {
+  return { steps: [], index: -1, limit };
+}
+
+export function getCurrentStep(history) {
+  return history.index >= 0 ? history.steps[history.index] : null;
+}
+
+export function canUndo(history) {
+  return history.index > 0;
+}
+
+export function canRedo(history) {
+  return history.index < history.steps.length - 1;
+}
+
+/**
+ * Record a step after a change
+ * @param {Object} history - The history
+ * @param {string} label - Short description shown in the history panel
+ * @param {Object} snapshot - JSON-serializable state after the change
+ * @param {Date} now - Time of the change (default now)
+ * @returns {Object} - { history, recorded } - nothing is recorded when the snapshot has not changed
+ */
+export function recordStep(history, label, snapshot, now = new Date()) {
+  const text = JSON.stringify(snapshot);
+  const current = getCurrentStep(history);
+  if (current && current.text === text) {
+    return { history, recorded: false };
+  }
+
+  const steps = [
+    ...history.steps.slice(0, history.index + 1),
+    { label, time: now.toISOString(), text },
+  ].slice(-history.limit);
+  return { history: { ...history, steps, index: steps.length - 1 }, recorded: true };
+}
+
+/**
+ * Move to any recorded step
+ * @param {Object} history - The history
+ * @param {number} index - Index of the step
+ * @returns {Object} - { history, snapshot } - snapshot is null when the index is out of range
+ */
+export function jumpToStep(history, index) {
+  if (index < 0 || index >= history.steps.length) {
+    return { history, snapshot: null };
+  }
+  return {
+    history: { ...history, index },
+    snapshot: JSON.parse(history.steps[index].text),
+  };
+}
+
+export function undoStep(history) {
+  return canUndo(history) ? jumpToStep(history, history.index - 1) : { history, snapshot: null };
+}
+
+export function redoStep(history) {
+  return canRedo(history) ? jumpToStep(history, history.index + 1) : { history, snapshot: null };
+}
@@ -0,0 +1,285 @@
+/*
+    Impossible Cloud Bucket Policy Generator - Validation Report
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Turns the messages of validatePolicyDocument() into findings with a rule
+    ID, the JSON path they point at and a short explanation, grouped by
+    severity and statement for the validation report panel, and places them
+    in the policy text as markers for the JSON editor.
+*/
+
+import { locateJsonValues, resolveJsonPath } from './json-source.js';
+import { validatePolicyDocument } from './policy-engine.js';
+
+export const SEVERITY_ERROR = 'error';
+export const SEVERITY_WARNING = 'warning';
+
+// Rules are matched in order against the message text after its path;
+// field gives the path of messages about the whole policy, member the
+// field inside the statement that a message is about
+export const VALIDATION_RULES = [
+  {
+    id: 'invalid-json',
+    pattern: /^Invalid JSON syntax/,
+    explanation: 'The text is not valid JSON, so nothing else could be checked.',
+  },
+  {
+    id: 'version',
+    field: () => 'Version',
+    pattern: /^(Missing required field: Version|Version must|Invalid Version|Version "2008)/,
+    explanation:
+      'Version must be "2012-10-17". Older versions do not support policy variables such as ${aws:username}.',
+  },
+  {
+    id: 'policy-structure',
+    field: (message) => (message.startsWith('Id') ? 'Id' : 'Statement'),
+    pattern:
+      /^(Policy must be a JSON object|Missing required field: Statement|Statement must be|Statement array|Id field)/,
+    explanation: 'A policy is an object with a Version and a non-empty Statement array.',
+  },
+  {
+    id: 'unknown-field',
+    pattern: /^Unknown (root-level )?field/,
+    explanation: 'Fields the policy language does not define are rejected or ignored by S3.',
+  },
+  {
+    id: 'sid-format',
+    member: () => 'Sid',
+    pattern: /^Sid must/,
+    explanation: 'A Sid is an optional label made of letters and digits only.',
+  },
+  {
+    id: 'effect',
+    member: (message) => (message.startsWith('Effect must') ? 'Effect' : null),
+    pattern: /^(Missing required field "Effect"|Effect must)/,
+    explanation: 'Every statement needs an Effect of "Allow" or "Deny".',
+  },
+  {
+    id: 'principal-unsupported',
+    pattern: /Principal field is not supported/,
+    explanation:
+      'This provider grants access through IAM users and their access keys, so a Principal in a bucket policy has no effect.',
+  },
+  {
+    id: 'principal-missing',
+    pattern: /"(Not)?Principal"/,
+    explanation: 'Bucket policies on this provider need exactly one of Principal or NotPrincipal.',
+  },
+  {
+    id: 'public-principal',
+    pattern: /grants public access/,
+    explanation:
+      'A "*" principal lets anyone on the internet make the request unless a condition limits it.',
+  },
+  {
+    id: 'principal-format',
+    pattern:
+      /^(String principals|Unknown principal type|Invalid ARN format|Account ID|Service principal)|canonical ID|honour "\*" principals/,
+    explanation:
+      'Principals are {"AWS": ...}, {"Service": ...}, {"Federated": ...} or {"CanonicalUser": ...} with valid ARNs or IDs.',
+  },
+  {
+    id: 'action-missing',
+    pattern: /"(Not)?Action"/,
+    explanation: 'Every statement needs exactly one of Action or NotAction.',
+  },
+  {
+    id: 'action-format',
+    pattern: /Must be "service:action"/,
+    explanation: 'Actions are written as service:Action, e.g. s3:GetObject.',
+  },
+  {
+    id: 'action-not-s3',
+    pattern: /is not an S3 action/,
+    explanation: 'A bucket policy can only grant S3 actions; other services ignore it.',
+  },
+  {
+    id: 'action-unknown',
+    pattern: /may not be a valid S3 action/,
+    explanation:
+      'The action is not in the action catalog. Check the spelling - an unknown action grants nothing.',
+  },
+  {
+    id: 'action-resource-mismatch',
+    pattern: /need the bucket ARN|need an object ARN|no action in this statement applies/,
+    explanation:
+      'Bucket actions only work on the bucket ARN and object actions only on object ARNs, so a mismatch silently grants nothing.',
+  },
+  {
+    id: 'resource-missing',
+    pattern: /"(Not)?Resource"/,
+    explanation: 'Every statement needs exactly one of Resource or NotResource.',
+  },
+  {
+    id: 'resource-bucket-name',
+    pattern: /Bucket name/,
+    explanation: 'The bucket name in the ARN does not follow the S3 bucket naming rules.',
+  },
+  {
+    id: 'resource-format',
+    pattern: /S3 ARN|bucket name in ARN|double slashes/,
+    explanation:
+      'Resources are S3 ARNs such as arn:aws:s3:::my-bucket or arn:aws:s3:::my-bucket/*.',
+  },
+  {
+    id: 'condition-operator',
+    pattern: /Unknown condition operator/,
+    explanation: 'S3 rejects a policy with a condition operator it does not know.',
+  },
+  {
+    id: 'condition-key-unknown',
+    pattern: /Unknown condition key/,
+    explanation:
+      'The key is not in the condition key catalog. A misspelled key is never present, so the condition never matches.',
+  },
+  {
+    id: 'condition-key-type',
+    pattern: /should be used with/,
+    explanation:
+      'The operator compares a different type of value than the key holds, e.g. a string operator on an IP address key.',
+  },
+  {
+    id: 'condition-value',
+    pattern:
+      /not a valid IP|not an ISO 8601 date|is not a number|must be "true" or "false"|is not an ARN|at least one value|^Value \d+/,
+    explanation: 'The value does not have the form its operator expects.',
+  },
+  {
+    id: 'action-unsupported',
+    pattern: /^"[^"]+" is not supported by/,
+    explanation: 'The target provider does not implement this action, so it grants nothing there.',
+  },
+  {
+    id: 'condition-key-unsupported',
+    pattern: /^Not supported by/,
+    explanation:
+      'The target provider never sets this condition key, so the condition cannot match.',
+  },
+  {
+    id: 'wrong-type',
+    pattern: /^Must be (a string|an object|"\*" or an object)|^Cannot be empty/,
+    explanation: 'The value has the wrong JSON type, or is an empty list.',
+  },
+];
+
+const OTHER_RULE = { id: 'other', explanation: 'See the message for details.' };
+
+// "Statement[0].Condition.IpAddress.aws:SourceIp: message" - the path ends at the first ": "
+const PATH_PREFIX = /^(Statement\[(\d+)\][^ ]*?): ([\s\S]*)$/;
+
+/**
+ * Turn one validator message into a finding
+ * @param {string} text - A message from validatePolicyDocument()
+ * @param {string} severity - SEVERITY_ERROR or SEVERITY_WARNING
+ * @returns {Object} - { rule, severity, path, statement, message, explanation } - statement is the index, or null for the whole policy
+ */
+export function parseFinding(text, severity) {
+  const match = PATH_PREFIX.exec(text);
+  const message = match ? match[3] : text;
+  const rule = VALIDATION_RULES.find((r) => r.pattern.test(message)) || OTHER_RULE;
+
+  let path = match ? match[1] : rule.field ? rule.field(message) : null;
+  // Point unknown fields and operators, and a bad Sid or Effect, at themselves rather than at their parent
+  const unknown = /^Unknown (?:root-level field:|field|condition operator) "([^"]+)"$/.exec(
+    message
+  );
+  const member = unknown ? unknown[1] : rule.member?.(message);
+  if (member) {
+    path = path ? `${path}.${member}` : member;
+  }
+
+  return {
+    rule: rule.id,
+    severity,
+    path,
+    statement: match ? Number(match[2]) : null,
+    message,
+    explanation: rule.explanation,
+  };
+}
+
+/**
+ * Group the result of validatePolicyDocument() for display
+ * @param {Object} result - { errors, warnings } from validatePolicyDocument()
+ * @param {Object} policy - The validated policy, used for statement Sids (optional)
+ * @returns {Object} - { isValid, errorCount, warningCount, findings, groups } - groups are [{ severity, statements: [{ statement, label, findings }] }], errors first and the whole policy before its statements
+ */
+export function createValidationReport(result, policy = null) {
+  const findings = [
+    ...result.errors.map((text) => parseFinding(text, SEVERITY_ERROR)),
+    ...result.warnings.map((text) => parseFinding(text, SEVERITY_WARNING)),
+  ];
+  const statementList = Array.isArray(policy?.Statement) ? policy.Statement : [];
+
+  const groups = [SEVERITY_ERROR, SEVERITY_WARNING]
+    .map((severity) => {
+      const byStatement = new Map();
+      findings
+        .filter((finding) => finding.severity === severity)
+        .sort((a, b) => (a.statement ?? -1) - (b.statement ?? -1))
+        .forEach((finding) => {
+          if (!byStatement.has(finding.statement)) {
+            const sid = statementList[finding.statement]?.Sid;
+            let label = 'Whole policy';
+            if (finding.statement !== null) {
+              label =
+                `Statement[${finding.statement}]` +
+                (typeof sid === 'string' && sid ? ` (${sid})` : '');
+            }
+            byStatement.set(finding.statement, {
+              statement: finding.statement,
+              label,
+              findings: [],
+            });
+          }
+          byStatement.get(finding.statement).findings.push(finding);
+        });
+      return { severity, statements: [...byStatement.values()] };
+    })
+    .filter((group) => group.statements.length > 0);
+
+  return {
+    isValid: result.errors.length === 0,
+    errorCount: result.errors.length,
+    warningCount: result.warnings.length,
+    findings,
+    groups,
+  };
+}
+
+// A marker covers one character at a syntax error or at a finding about the whole document
+function pointMarker(text, offset) {
+  const start = Math.max(0, Math.min(offset, text.length - 1));
+  return { start, end: start + 1 };
+}
+
+function markerInfo(finding) {
+  return { severity: finding.severity, rule: finding.rule, message: finding.message };
+}
+
+/**
+ * Validate policy text and place every finding in it
+ * @param {string} text - Policy JSON text
+ * @param {Object} options - Options for validatePolicyDocument(), e.g. { provider }
+ * @returns {Object} - { report, syntaxErrorPosition, markers } - markers are [{ start, end, severity, rule, message }], one per finding; syntaxErrorPosition is null for valid JSON
+ */
+export function lintPolicyText(text, options = {}) {
+  const located = locateJsonValues(text);
+  if (!located.isValid) {
+    const report = createValidationReport({ errors: located.errors, warnings: [] });
+    const markers = text
+      ? [{ ...pointMarker(text, located.position), ...markerInfo(report.findings[0]) }]
+      : [];
+    return { report, syntaxErrorPosition: located.position, markers };
+  }
+
+  const result = validatePolicyDocument(located.value, options);
+  const report = createValidationReport(result, located.value);
+  const markers = report.findings.map((finding) => {
+    const target = resolveJsonPath(located.locations, finding.path);
+    // A finding about the whole document marks its opening brace rather than all of it
+    const range = target.path ? target : pointMarker(text, target.start);
+    return { start: range.start, end: range.end, ...markerInfo(finding) };
+  });
+  return { report, syntaxErrorPosition: null, markers };
+}
@@ -0,0 +1,439 @@
+/*
+    Impossible Cloud Bucket Policy Generator - YAML Parser
+    Copyright (c) 2025 Darren Soothill. All rights reserved.
+
+    Reads the part of YAML that CloudFormation templates are written in:
+    block and flow mappings and sequences, plain, quoted and block scalars,
+    comments and CloudFormation's short-form tags. A tag is read as its long
+    form, as CloudFormation does: !Ref Bucket becomes { "Ref": "Bucket" } and
+    !Sub "..." becomes { "Fn::Sub": "..." }. Anchors, aliases and multiple
+    documents are not supported.
+*/
+
+import { getLineColumn } from './json-source.js';
+
+class YamlSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+const TAG = /!!?[\w:.-]*/y;
+const NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+const ESCAPES = {
+  0: '\0',
+  a: '\x07',
+  b: '\b',
+  t: '\t',
+  '\t': '\t',
+  n: '\n',
+  v: '\v',
+  f: '\f',
+  r: '\r',
+  e: '\x1b',
+  ' ': ' ',
+  '"': '"',
+  '/': '/',
+  '\\': '\\',
+  N: '\u0085',
+  _: ' ',
+};
+const HEX_ESCAPES = { x: 2, u: 4, U: 8 };
+
+// The value of a plain scalar, as in the YAML 1.2 core schema
+function resolvePlain(text) {
+  if (/^(?:null|Null|NULL|~|)$/.test(text)) return null;
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  return NUMBER.test(text) ? Number(text) : text;
+}
+
+// The long form of a tagged value; !GetAtt Bucket.Arn is { "Fn::GetAtt": ["Bucket", "Arn"] }
+function applyTag(tag, value) {
+  if (tag === '!Ref' || tag === '!Condition') return { [tag.slice(1)]: value };
+  if (tag === '!GetAtt' && typeof value === 'string') {
+    const dot = value.indexOf('.');
+    return { 'Fn::GetAtt': dot === -1 ? [value] : [value.slice(0, dot), value.slice(dot + 1)] };
+  }
+  if (tag.startsWith('!!')) return tag === '!!str' && value !== null ? String(value) : value;
+  return { [`Fn::${tag.slice(1)}`]: value };
+}
+
+// Lines of a folded block scalar: the break between two lines of text becomes a space and
+// each empty line a "\n"; more-indented lines keep their breaks
+function foldLines(lines) {
+  let result = '';
+  let previous = null;
+  let empty = 0;
+  for (const line of lines) {
+    if (line === '') {
+      empty++;
+      continue;
+    }
+    if (previous === null) {
+      result += '\n'.repeat(empty);
+    } else {
+      const joined = !/^[ \t]/.test(previous) && !/^[ \t]/.test(line);
+      result += joined && empty === 0 ? ' ' : '\n'.repeat(joined ? empty : empty + 1);
+    }
+    result += line;
+    previous = line;
+    empty = 0;
+  }
+  return result;
+}
+
+function parseYamlText(text) {
+  let pos = 0;
+
+  const fail = (message, at = pos) => {
+    throw new YamlSyntaxError(message, at);
+  };
+  const column = (at) => at - (text.lastIndexOf('\n', at - 1) + 1);
+  const isSpace = (ch) => ch === ' ' || ch === '\t';
+  const isBreakOrSpace = (ch) => ch === undefined || /[ \t\r\n]/.test(ch);
+
+  const skipSpaces = () => {
+    while (isSpace(text[pos])) pos++;
+  };
+  const atLineEnd = () => pos >= text.length || /[\r\n#]/.test(text[pos]);
+
+  // Skip spaces, comments and line breaks up to the next content
+  const skipBlank = () => {
+    for (;;) {
+      skipSpaces();
+      if (text[pos] === '#') {
+        while (pos < text.length && text[pos] !== '\n') pos++;
+      }
+      if (text[pos] !== '\n' && text[pos] !== '\r') return;
+      pos++;
+    }
+  };
+
+  const isSequenceItem = () => text[pos] === '-' && isBreakOrSpace(text[pos + 1]);
+  const isDocumentMarker = () =>
+    column(pos) === 0 &&
+    (text.startsWith('---', pos) || text.startsWith('...', pos)) &&
+    isBreakOrSpace(text[pos + 3]);
+
+  const parseQuoted = () => {
+    const start = pos;
+    const quote = text[pos++];
+    let value = '';
+    for (;;) {
+      if (pos >= text.length) fail('Unterminated string', start);
+      const ch = text[pos];
+      if (ch === quote) {
+        pos++;
+        if (quote === "'" && text[pos] === "'") {
+          value += "'";
+          pos++;
+          continue;
+        }
+        return value;
+      }
+      if (ch === '\n' || ch === '\r') {
+        // A line break folds into a space, or into a "\n" per empty line that follows it
+        let breaks = 0;
+        value = value.replace(/[ \t]+$/, '');
+        while (isBreakOrSpace(text[pos]) && pos < text.length) {
+          if (text[pos] === '\n') breaks++;
+          pos++;
+        }
+        value += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+      } else if (quote === '"' && ch === '\\') {
+        const escape = text[pos + 1];
+        if (escape === '\n' || escape === '\r') {
+          pos += text.startsWith('\r\n', pos + 1) ? 3 : 2;
+          skipSpaces();
+        } else if (HEX_ESCAPES[escape]) {
+          const digits = text.slice(pos + 2, pos + 2 + HEX_ESCAPES[escape]);
+          if (!/^[0-9a-fA-F]+$/.test(digits) || digits.length !== HEX_ESCAPES[escape]) {
+            fail('Invalid escape in string');
+          }
+          value += String.fromCodePoint(parseInt(digits, 16));
+          pos += 2 + digits.length;
+        } else if (Object.hasOwn(ESCAPES, escape)) {
+          value += ESCAPES[escape];
+          pos += 2;
+        } else {
+          fail('Invalid escape in string');
+        }
+      } else {
+        value += ch;
+        pos++;
+      }
+    }
+  };
+
+  // A plain scalar's text on this line; in flow context it also ends at , [ ] { or }
+  const readPlain = (flow) => {
+    const start = pos;
+    while (pos < text.length && text[pos] !== '\n' && text[pos] !== '\r') {
+      const ch = text[pos];
+      if (
+        ch === ':' &&
+        (isBreakOrSpace(text[pos + 1]) || (flow && /[,[\]{}]/.test(text[pos + 1])))
+      ) {
+        break;
+      }
+      if (flow && /[,[\]{}]/.test(ch)) break;
+      if (ch === '#' && isSpace(text[pos - 1])) break;
+      pos++;
+    }
+    return text.slice(start, pos).replace(/[ \t]+$/, '');
+  };
+
+  // A mapping key and its ":", or null (with nothing read) when there is none
+  const readKey = (flow) => {
+    const start = pos;
+    let key;
+    let quoted = false;
+    if (text[pos] === '"' || text[pos] === "'") {
+      key = parseQuoted();
+      quoted = true;
+    } else {
+      if (/[[\]{}#&*!|>%@`,]/.test(text[pos]) || isSequenceItem()) return null;
+      key = readPlain(flow);
+    }
+    skipSpaces();
+    const next = text[pos + 1];
+    const separated =
+      isBreakOrSpace(next) || (flow && (quoted || /[,\]}]/.test(next))) || pos + 1 >= text.length;
+    if (text[pos] !== ':' || !key || !separated) {
+      pos = start;
+      return null;
+    }
+    pos++;
+    return { key };
+  };
+
+  const readTag = () => {
+    TAG.lastIndex = pos;
+    const tag = TAG.exec(text)[0];
+    pos += tag.length;
+    return tag;
+  };
+
+  const checkNotAlias = () => {
+    if (text[pos] === '&' || text[pos] === '*') fail('Anchors and aliases are not supported');
+  };
+
+  const parseFlowValue = () => {
+    if (text[pos] === '!') {
+      const tag = readTag();
+      skipBlank();
+      return applyTag(tag, /[,\]}]/.test(text[pos]) ? null : parseFlowValue());
+    }
+    if (text[pos] === '[' || text[pos] === '{') return parseFlow();
+    if (text[pos] === '"' || text[pos] === "'") return parseQuoted();
+    checkNotAlias();
+    const value = readPlain(true);
+    if (!value) fail(`Unexpected "${text[pos]}"`);
+    return resolvePlain(value);
+  };
+
+  const parseFlow = () => {
+    const start = pos;
+    const close = text[pos] === '[' ? ']' : '}';
+    const result = close === ']' ? [] : {};
+    pos++;
+    for (;;) {
+      skipBlank();
+      if (pos >= text.length) fail(`Expected "${close}"`, start);
+      if (text[pos] === close) break;
+      if (close === '}') {
+        const entry = readKey(true);
+        if (!entry) fail('Expected a mapping key');
+        skipBlank();
+        result[entry.key] = /[,}]/.test(text[pos]) ? null : parseFlowValue();
+      } else {
+        result.push(parseFlowValue());
+      }
+      skipBlank();
+      if (text[pos] === ',') pos++;
+      else if (text[pos] !== close) fail(`Expected "," or "${close}"`);
+    }
+    pos++;
+    return result;
+  };
+
+  // | or >: the more-indented lines that follow, with the header's chomping
+  const parseBlockScalar = (indent) => {
+    const folded = text[pos++] === '>';
+    const header = /(?:([-+])([1-9])?|([1-9])([-+])?)?/y;
+    header.lastIndex = pos;
+    const [found, chompFirst, digitLast, digitFirst, chompLast] = header.exec(text);
+    pos += found.length;
+    skipSpaces();
+    if (!atLineEnd()) fail('Expected the end of the line');
+    while (pos < text.length && text[pos] !== '\n') pos++;
+    pos++;
+
+    const chomping = chompFirst || chompLast;
+    const digit = digitFirst || digitLast;
+    let contentIndent = digit ? Math.max(indent, 0) + Number(digit) : null;
+    const lines = [];
+    while (pos < text.length) {
+      const end = text.indexOf('\n', pos) === -1 ? text.length : text.indexOf('\n', pos);
+      const line = text.slice(pos, end).replace(/\r$/, '');
+      const lead = /^ */.exec(line)[0].length;
+      if (line.trim() !== '') {
+        if (contentIndent === null) contentIndent = lead;
+        if (lead < contentIndent || lead <= indent) break;
+      }
+      lines.push(line.trim() === '' ? '' : line.slice(contentIndent));
+      pos = Math.min(end + 1, text.length);
+    }
+
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+    if (lines.length === 0) return chomping === '+' ? '\n'.repeat(trailing) : '';
+    const body = folded ? foldLines(lines) : lines.join('\n');
+    if (chomping === '-') return body;
+    return body + '\n' + (chomping === '+' ? '\n'.repeat(trailing) : '');
+  };
+
+  // A plain scalar that may go on over more-indented lines, which fold into spaces
+  const parsePlainBlock = (indent) => {
+    let value = readPlain(false);
+    for (;;) {
+      const save = pos;
+      skipSpaces();
+      let breaks = 0;
+      while (pos < text.length && isBreakOrSpace(text[pos])) {
+        if (text[pos] === '\n') breaks++;
+        pos++;
+      }
+      if (breaks === 0 || pos >= text.length || column(pos) <= indent || text[pos] === '#') {
+        pos = save;
+        break;
+      }
+      const line = readPlain(false);
+      if (!line || isDocumentMarker()) {
+        pos = save;
+        break;
+      }
+      value += (breaks > 1 ? '\n'.repeat(breaks - 1) : ' ') + line;
+    }
+    return resolvePlain(value);
+  };
+
+  // The node on the lines after a "key:" or "- " with nothing after it; a sequence may sit at
+  // the key's own indent
+  const parseBlock = (indent, sequenceAtIndent) => {
+    skipBlank();
+    const col = column(pos);
+    if (pos >= text.length || isDocumentMarker()) return null;
+    if (isSequenceItem()) {
+      return col > indent || (sequenceAtIndent && col === indent) ? parseSequence(col) : null;
+    }
+    if (col <= indent) return null;
+    const start = pos;
+    if (readKey(false)) {
+      pos = start;
+      return parseMapping(col);
+    }
+    return parseValue(indent, false, false);
+  };
+
+  // A value after "key:" or "- "; compact allows "- key: value" and "- - item"
+  const parseValue = (indent, compact, sequenceAtIndent) => {
+    skipSpaces();
+    if (text[pos] === '!') {
+      const tag = readTag();
+      skipSpaces();
+      return applyTag(tag, parseValue(indent, false, sequenceAtIndent));
+    }
+    if (atLineEnd()) return parseBlock(indent, sequenceAtIndent);
+    if (text[pos] === '|' || text[pos] === '>') return parseBlockScalar(indent);
+    if (compact) {
+      if (isSequenceItem()) return parseSequence(column(pos));
+      const start = pos;
+      if (readKey(false)) {
+        pos = start;
+        return parseMapping(column(pos));
+      }
+    }
+    let value;
+    if (text[pos] === '[' || text[pos] === '{') {
+      value = parseFlow();
+    } else if (text[pos] === '"' || text[pos] === "'") {
+      value = parseQuoted();
+    } else {
+      checkNotAlias();
+      value = parsePlainBlock(indent);
+    }
+    skipSpaces();
+    if (!atLineEnd()) fail('Expected the end of the line');
+    return value;
+  };
+
+  const parseMapping = (indent) => {
+    const mapping = {};
+    for (;;) {
+      skipBlank();
+      if (pos >= text.length || isDocumentMarker() || column(pos) < indent) break;
+      if (column(pos) > indent) fail('Unexpected indentation');
+      const entry = readKey(false);
+      if (!entry) fail(isSequenceItem() ? 'Unexpected sequence item' : 'Expected a mapping key');
+      mapping[entry.key] = parseValue(indent, false, true);
+    }
+    return mapping;
+  };
+
+  const parseSequence = (indent) => {
+    const items = [];
+    for (;;) {
+      skipBlank();
+      if (pos >= text.length || isDocumentMarker() || column(pos) < indent) break;
+      if (column(pos) > indent) fail('Unexpected indentation');
+      if (!isSequenceItem()) break;
+      pos++;
+      items.push(parseValue(indent, true, false));
+    }
+    return items;
+  };
+
+  skipBlank();
+  while (text[pos] === '%') {
+    while (pos < text.length && text[pos] !== '\n') pos++;
+    skipBlank();
+  }
+  if (text.startsWith('---', pos) && isDocumentMarker()) pos += 3;
+  const value = parseBlock(-1, false);
+  skipBlank();
+  if (text.startsWith('...', pos) && isDocumentMarker()) {
+    pos += 3;
+    skipBlank();
+  }
+  if (text.startsWith('---', pos) && isDocumentMarker()) {
+    fail('Only one YAML document is supported');
+  }
+  if (pos < text.length) fail(`Unexpected "${text[pos]}"`);
+  return value;
+}
+
+/**
+ * Parse YAML text such as a CloudFormation template
+ * @param {string} text - YAML text
+ * @returns {Object} - { isValid, errors, value, position } - short-form tags are read as their long form; position is where a syntax error was found
+ */
+export function parseYaml(text) {
+  try {
+    return { isValid: true, errors: [], value: parseYamlText(String(text)), position: null };
+  } catch (e) {
+    if (!(e instanceof YamlSyntaxError)) throw e;
+    const { line, column } = getLineColumn(String(text), e.position);
+    return {
+      isValid: false,
+      errors: [`Invalid YAML syntax: ${e.message} at line ${line}, column ${column}`],
+      value: null,
+      position: e.position,
+    };
+  }
+}
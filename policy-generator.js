@@ -3,8 +3,114 @@
     Copyright (c) 2025 Darren Soothill. All rights reserved.
 */
 
+import {
+  buildPolicy,
+  policyToConfig,
+  validateBucketName,
+  validatePrincipalARN,
+} from './lib/policy-engine.js';
+import {
+  CONDITION_OPERATOR_GROUPS,
+  CONDITION_QUALIFIERS,
+  conditionToRows,
+  createConditionRow,
+  getRowOperator,
+  rowsToCondition,
+} from './lib/condition-builder.js';
+import { CONDITION_KEYS, checkConditionEntry } from './lib/condition-keys.js';
+import {
+  PROVIDER_PROFILES,
+  getProviderProfile,
+  isActionSupported,
+  isConditionKeySupported,
+} from './lib/providers.js';
+import {
+  ACTION_CATEGORIES,
+  expandActionPattern,
+  getAction,
+  getCategoryActions,
+  searchActions,
+  splitKnownActions,
+} from './lib/action-catalog.js';
+import { decodePermalink, encodePermalink } from './lib/permalink.js';
+import {
+  findJsonPath,
+  findMatchingBracket,
+  getLineColumn,
+  locateJsonValues,
+} from './lib/json-source.js';
+import { getLineMarkers, renderJsonHtml } from './lib/json-highlight.js';
+import { lintPolicyText } from './lib/validation-report.js';
+import { getSchemaCompletions } from './lib/schema-completion.js';
+import { EXPORT_FORMATS, exportPolicy } from './lib/policy-export.js';
+import { SOURCE_FORMATS, detectSourceFormat, findPolicyDocuments } from './lib/policy-import.js';
+import {
+  clearDraft,
+  createLibrary,
+  deleteLibraryPolicy,
+  duplicateLibraryPolicy,
+  exportLibrary,
+  getLibraryPolicyState,
+  importLibrary,
+  readDraft,
+  readLibrary,
+  renameLibraryPolicy,
+  saveLibraryPolicy,
+  writeDraft,
+  writeLibrary,
+} from './lib/policy-library.js';
+import { diffPolicies } from './lib/policy-diff.js';
+import {
+  POLICY_TEMPLATES,
+  fillTemplate,
+  getTemplate,
+  getTemplateDefaults,
+  getTemplateParameters,
+  isTemplateSupported,
+  validateTemplateValue,
+} from './lib/policy-templates.js';
+import { matchSampleKeys, normalizeResourcePaths } from './lib/resource-paths.js';
+import { analyzePolicy } from './lib/policy-analyzer.js';
+import {
+  DECISION_ALLOWED,
+  DECISION_EXPLICIT_DENY,
+  parseRequestContext,
+  simulateRequest,
+  toResourceArn,
+} from './lib/policy-simulator.js';
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  jumpToStep,
+  recordStep,
+  redoStep,
+  undoStep,
+} from './lib/undo-history.js';
+
 let currentPolicy = null;
 
+// Policies found in the last Terraform file or CloudFormation template imported
+let importedDocuments = [];
+
+// Statements being edited in the form; the form controls always show the active one
+let statements = [];
+let activeStatementIndex = 0;
+
+// Named policies saved in this browser
+let library = createLibrary();
+
+// Undo/redo steps of the form and the policy output, plus the label of typing not yet recorded
+let undoHistory = createHistory();
+let pendingStepLabel = null;
+
+// Decorations of the policy output editor, in offsets of its text
+let editorMarkers = [];
+let editorBrackets = [];
+let editorHighlight = null;
+// Open list of schema completions in the editor: { from, to, items, selected }
+let editorCompletion = null;
+
 /**
  * Debounce function to limit how often a function can be called
  * @param {Function} func - The function to debounce
@@ -29,72 +135,228 @@ function toggleCategory(headerElement) {
   category.classList.toggle('collapsed');
 }
 
-// AWS S3 Bucket Name Validation
-function validateBucketName(bucketName) {
-  const errors = [];
+function getActionCheckboxId(action) {
+  return 'action_' + action.replace(':', '_').replace('*', 'All');
+}
 
-  // Rule 1: Length must be between 3 and 63 characters
-  if (bucketName.length < 3) {
-    errors.push('Bucket name must be at least 3 characters long');
-  }
-  if (bucketName.length > 63) {
-    errors.push('Bucket name cannot exceed 63 characters');
-  }
+// Render the action checkboxes from the catalog; only the first category starts expanded
+function renderActionCategories() {
+  const container = document.getElementById('actionCategories');
+  container.innerHTML = '';
+  ACTION_CATEGORIES.forEach((category, idx) => {
+    const section = document.createElement('div');
+    section.className = 'action-category';
+    section.dataset.category = category.id;
+    if (idx > 0) section.classList.add('collapsed');
+
+    const header = document.createElement('div');
+    header.className = 'category-header';
+    header.addEventListener('click', () => toggleCategory(header));
+    const title = document.createElement('h4');
+    title.textContent = category.name;
+    const toggle = document.createElement('span');
+    toggle.className = 'category-toggle';
+    toggle.textContent = '▼';
+
+    // Selected count and select all / none, without toggling the category
+    const tools = document.createElement('span');
+    tools.className = 'category-tools';
+    const count = document.createElement('span');
+    count.className = 'category-count';
+    tools.appendChild(count);
+    [
+      ['All', true],
+      ['None', false],
+    ].forEach(([text, checked]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'category-select-btn';
+      button.textContent = text;
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        selectCategoryActions(category, checked);
+      });
+      tools.appendChild(button);
+    });
 
-  // Rule 2: Can only contain lowercase letters, numbers, dots (.), and hyphens (-)
-  if (!/^[a-z0-9.-]+$/.test(bucketName)) {
-    errors.push(
-      'Bucket name can only contain lowercase letters, numbers, dots (.), and hyphens (-)'
-    );
-  }
+    header.appendChild(title);
+    header.appendChild(tools);
+    header.appendChild(toggle);
+
+    const content = document.createElement('div');
+    content.className = 'category-content';
+    getCategoryActions(category.id).forEach((action) => {
+      const group = document.createElement('div');
+      group.className = 'checkbox-group';
+      group.title = action.description;
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = getActionCheckboxId(action.name);
+      checkbox.value = action.name;
+      checkbox.className = 's3-action';
+      const label = document.createElement('label');
+      label.htmlFor = checkbox.id;
+      const labelText = action.label || action.name.replace(/^s3:/, '');
+      if (action.name === 's3:*') {
+        const strong = document.createElement('strong');
+        strong.textContent = labelText;
+        label.appendChild(strong);
+      } else {
+        label.textContent = labelText;
+      }
+      group.appendChild(checkbox);
+      group.appendChild(label);
+      content.appendChild(group);
+    });
 
-  // Rule 3: Must begin and end with a letter or number
-  if (!/^[a-z0-9]/.test(bucketName)) {
-    errors.push('Bucket name must begin with a lowercase letter or number');
-  }
-  if (!/[a-z0-9]$/.test(bucketName)) {
-    errors.push('Bucket name must end with a lowercase letter or number');
-  }
+    section.appendChild(header);
+    section.appendChild(content);
+    container.appendChild(section);
+  });
+}
 
-  // Rule 4: Must not be formatted as an IP address
-  if (/^(\d{1,3}\.){3}\d{1,3}$/.test(bucketName)) {
-    errors.push('Bucket name cannot be formatted as an IP address (e.g., 192.168.1.1)');
-  }
+function updateActionCounts() {
+  document.querySelectorAll('.action-category').forEach((section) => {
+    const count = section.querySelectorAll('input.s3-action:checked').length;
+    section.querySelector('.category-count').textContent = count > 0 ? `${count} selected` : '';
+  });
+}
 
-  // Rule 5: Must not start with 'xn--'
-  if (bucketName.startsWith('xn--')) {
-    errors.push('Bucket name cannot start with "xn--"');
-  }
+// Checkboxes changed by code rather than by a click: keep the statement and history in step
+function applyActionSelection(label) {
+  updateActionCounts();
+  saveActiveStatement();
+  renderStatementList();
+  recordHistory(label);
+}
 
-  // Rule 6: Must not end with '-s3alias'
-  if (bucketName.endsWith('-s3alias')) {
-    errors.push('Bucket name cannot end with "-s3alias"');
-  }
+function checkActions(actions) {
+  actions.forEach((action) => {
+    document.getElementById(getActionCheckboxId(action)).checked = true;
+  });
+}
 
-  // Rule 7: Cannot contain two adjacent periods
-  if (bucketName.includes('..')) {
-    errors.push('Bucket name cannot contain two adjacent periods (..)');
-  }
+// Select all / none only touches the actions the search currently shows
+function selectCategoryActions(category, checked) {
+  commitPendingStep();
+  document
+    .querySelectorAll(
+      `.action-category[data-category="${category.id}"] .checkbox-group:not([hidden]) input.s3-action`
+    )
+    .forEach((cb) => (cb.checked = checked));
+  const name = category.name.replace(/^\S+\s+/, '');
+  applyActionSelection(`${checked ? 'Select all' : 'Clear'} ${name}`);
+}
 
-  // Rule 8: Cannot have a period adjacent to a hyphen
-  if (bucketName.includes('.-') || bucketName.includes('-.')) {
-    errors.push('Bucket name cannot have a period adjacent to a hyphen');
+// List the actions a pattern covers, with a button that checks them
+function renderPatternPreview(container, pattern, buttonText, onExpand) {
+  const actions = expandActionPattern(pattern);
+  const line = document.createElement('div');
+  if (actions.length === 0) {
+    line.textContent = `"${pattern}" matches no known action`;
+    container.appendChild(line);
+    return;
   }
+  line.textContent = `"${pattern}" covers ${actions.length} action${actions.length === 1 ? '' : 's'}:`;
+  const list = document.createElement('span');
+  list.className = 'action-pattern-list';
+  list.textContent = actions.join(', ');
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'statement-btn';
+  button.textContent = buttonText;
+  button.addEventListener('click', () => onExpand(actions));
+  line.appendChild(list);
+  line.appendChild(button);
+  container.appendChild(line);
+}
 
-  // Rule 9: Check for uppercase letters (already covered by regex but good to be explicit)
-  if (/[A-Z]/.test(bucketName)) {
-    errors.push('Bucket name cannot contain uppercase letters');
-  }
+// Search box: show only matching actions, opening every category that has one
+function filterActions() {
+  const query = document.getElementById('actionSearch').value.trim();
+  const matches = searchActions(query).map((entry) => entry.name);
+  document.querySelectorAll('.action-category').forEach((section) => {
+    let visible = 0;
+    section.querySelectorAll('input.s3-action').forEach((cb) => {
+      const show = matches.includes(cb.value);
+      cb.closest('.checkbox-group').hidden = !show;
+      if (show) visible++;
+    });
+    section.hidden = visible === 0;
+    if (query && visible > 0) {
+      section.classList.remove('collapsed');
+    }
+  });
 
-  // Rule 10: Check for underscores
-  if (bucketName.includes('_')) {
-    errors.push('Bucket name cannot contain underscores (_)');
+  const preview = document.getElementById('actionSearchPreview');
+  preview.innerHTML = '';
+  if (!query) return;
+  if (query.includes('*') || query.includes('?')) {
+    renderPatternPreview(preview, query, `✓ Select all ${matches.length}`, (actions) => {
+      commitPendingStep();
+      checkActions(actions);
+      applyActionSelection(`Select ${query}`);
+      showNotification(`Selected ${actions.length} actions matching ${query}`);
+    });
+  } else {
+    preview.textContent =
+      matches.length > 0
+        ? `${matches.length} action${matches.length === 1 ? '' : 's'} found`
+        : `No actions match "${query}" - add it under Additional Actions if it is a valid S3 action`;
   }
+}
 
-  return {
-    isValid: errors.length === 0,
-    errors: errors,
-  };
+function getCustomActionLines() {
+  return document
+    .getElementById('customActions')
+    .value.split('\n')
+    .map((a) => a.trim())
+    .filter((a) => a);
+}
+
+// Patterns typed as custom actions can be expanded into the actions they cover
+function renderCustomActionsPreview() {
+  const preview = document.getElementById('customActionsPreview');
+  preview.innerHTML = '';
+  getCustomActionLines()
+    .filter((action) => action.includes('*') || action.includes('?'))
+    .filter((action) => action !== 's3:*')
+    .forEach((pattern) => {
+      renderPatternPreview(preview, pattern, 'Expand', (actions) => {
+        commitPendingStep();
+        checkActions(actions);
+        document.getElementById('customActions').value = getCustomActionLines()
+          .filter((action) => action !== pattern)
+          .join('\n');
+        renderCustomActionsPreview();
+        applyActionSelection(`Expand ${pattern}`);
+        showNotification(`Expanded ${pattern} into ${actions.length} actions`);
+      });
+    });
+}
+
+// Custom actions that have a checkbox are moved to it once the field is left
+function moveKnownCustomActions() {
+  const { known, custom } = splitKnownActions(getCustomActionLines());
+  if (known.length === 0) return;
+  commitPendingStep();
+  checkActions(known);
+  document.getElementById('customActions').value = custom.join('\n');
+  renderCustomActionsPreview();
+  applyActionSelection('Move custom actions to checkboxes');
+  showNotification(`Moved to checkboxes: ${known.join(', ')}`);
+}
+
+// Strike through the actions the selected provider does not support
+function updateActionSupport(profile) {
+  document.querySelectorAll('input.s3-action').forEach((checkbox) => {
+    const group = checkbox.closest('.checkbox-group');
+    const supported = isActionSupported(profile, checkbox.value);
+    group.classList.toggle('unsupported', !supported);
+    group.title = supported
+      ? getAction(checkbox.value).description
+      : `${getAction(checkbox.value).description} - not supported by ${profile.name}`;
+  });
 }
 
 function updateBucketNameValidation() {
@@ -121,196 +383,21 @@ function updateBucketNameValidation() {
   } else {
     bucketNameInput.classList.add('invalid');
     validationDiv.className = 'validation-message error';
-    validationDiv.innerHTML = '✗ ' + validation.errors.join('<br>✗ ');
+    showMessageLines(validationDiv, '✗', validation.errors);
   }
 
   return validation;
 }
 
-// AWS ARN (Amazon Resource Name) Validation for Principal field
-function validatePrincipalARN(principal) {
-  const errors = [];
-  const warnings = [];
-
-  // Allow wildcard for public access
-  if (principal === '*') {
-    warnings.push('Using "*" grants public access - ensure this is intentional for security');
-    return { isValid: true, errors: [], warnings: warnings };
-  }
-
-  // Allow empty (optional field)
-  if (!principal || principal.trim() === '') {
-    return { isValid: true, errors: [], warnings: [] };
-  }
-
-  // Check for canonical user ID (64-character hex string)
-  if (/^[a-f0-9]{64}$/.test(principal)) {
-    return {
-      isValid: true,
-      errors: [],
-      warnings: ['Using canonical user ID - ensure this is an Impossible Cloud canonical ID'],
-    };
-  }
-
-  // Check for service principals (e.g., s3.amazonaws.com)
-  if (principal.includes('.amazonaws.com') || principal.includes('.amazon.com')) {
-    if (!principal.match(/^[a-z0-9-]+\.(amazonaws\.com|amazon\.com)$/)) {
-      errors.push('Service principal format should be: service-name.amazonaws.com');
-    } else {
-      warnings.push(
-        '⚠ AWS service principals (*.amazonaws.com) may not be supported by Impossible Cloud. Use IAM user/role ARNs instead.'
-      );
-      return { isValid: true, errors: [], warnings: warnings };
-    }
-  }
-
-  // Validate IAM ARN format
-  if (principal.startsWith('arn:')) {
-    const parts = principal.split(':');
-    const partition = parts[1];
-
-    // Impossible Cloud ARN format: arn:ipcld:iam::CanonicalID:policy/name or user/name
-    if (partition === 'ipcld') {
-      const service = parts[2];
-      const canonicalId = parts[4];
-      const resource = parts.slice(5).join(':');
-
-      if (service !== 'iam') {
-        errors.push(
-          'Impossible Cloud ARNs currently only support IAM service (arn:ipcld:iam::...)'
-        );
-      }
-
-      if (!canonicalId || canonicalId.length === 0) {
-        errors.push(
-          'Impossible Cloud ARN requires a canonical ID (arn:ipcld:iam::YourCanonicalID:...)'
-        );
-      }
-
-      if (!resource || resource.length === 0) {
-        errors.push(
-          'Impossible Cloud ARN requires a resource (e.g., user/username, policy/policyname)'
-        );
-      } else if (!resource.includes('/')) {
-        errors.push(
-          'Impossible Cloud resource must include type/name (e.g., user/username, policy/policyname)'
-        );
-      }
-
-      return {
-        isValid: errors.length === 0,
-        errors: errors,
-        warnings: warnings,
-      };
-    }
-
-    // AWS ARN format: arn:partition:service:region:account-id:resource
-    const arnRegex = /^arn:(aws|aws-cn|aws-us-gov):([a-z0-9-]+):([a-z0-9-]*):([0-9]{12}|):(.+)$/;
-
-    if (!arnRegex.test(principal)) {
-      errors.push(
-        'Invalid ARN format. Expected: arn:aws:service:region:account-id:resource or arn:ipcld:iam::CanonicalID:resource'
-      );
-    } else {
-      const service = parts[2];
-      const region = parts[3];
-      const accountId = parts[4];
-      const resource = parts.slice(5).join(':');
-
-      // Validate partition
-      if (!['aws', 'aws-cn', 'aws-us-gov'].includes(partition)) {
-        errors.push(
-          `Invalid partition "${partition}". Must be: aws, aws-cn, aws-us-gov, or ipcld (Impossible Cloud)`
-        );
-      }
-
-      // Validate service (for S3 bucket policies, most common are IAM, S3, STS)
-      const validServices = ['iam', 's3', 'sts'];
-      const awsOnlyServices = [
-        'ec2',
-        'lambda',
-        'cloudfront',
-        'elasticloadbalancing',
-        'rds',
-        'dynamodb',
-      ];
-
-      if (!validServices.includes(service) && !awsOnlyServices.includes(service)) {
-        warnings.push(
-          `Service "${service}" is unusual for S3 bucket policies. Common services: iam, s3, sts`
-        );
-      } else if (awsOnlyServices.includes(service)) {
-        warnings.push(
-          `⚠ Service "${service}" is AWS-specific and not supported by Impossible Cloud. Use iam, s3, or sts instead.`
-        );
-      }
-
-      // For IAM ARNs, validate account ID
-      if (service === 'iam') {
-        if (!accountId) {
-          errors.push('IAM ARN requires a 12-digit account ID');
-        } else if (!/^\d{12}$/.test(accountId)) {
-          errors.push(`Account ID must be exactly 12 digits, got: ${accountId}`);
-        }
-
-        // Validate resource format
-        if (!resource) {
-          errors.push('IAM ARN requires a resource (e.g., user/username, role/rolename, or root)');
-        } else {
-          const validResourceTypes = [
-            'user',
-            'role',
-            'group',
-            'instance-profile',
-            'root',
-            'federated-user',
-            'assumed-role',
-          ];
-          const resourceType = resource.split('/')[0];
-
-          if (resource !== 'root' && !resource.includes('/')) {
-            errors.push('IAM resource must be "root" or include type/name (e.g., user/username)');
-          } else if (resource !== 'root' && !validResourceTypes.includes(resourceType)) {
-            warnings.push(
-              `Resource type "${resourceType}" may not be valid. Common types: user, role, root`
-            );
-          }
-        }
-
-        // IAM ARNs should not have region
-        if (region && region !== '') {
-          warnings.push('IAM ARNs typically do not specify a region');
-        }
-      }
-
-      // For S3 ARNs
-      if (service === 's3') {
-        if (accountId && accountId !== '') {
-          warnings.push('S3 ARNs typically do not include account ID');
-        }
-        if (region && region !== '') {
-          warnings.push('S3 ARNs typically do not specify a region');
-        }
-      }
-    }
-  } else if (!principal.includes('.')) {
-    // If it's not an ARN and not a service principal, it might be an account ID
-    if (/^\d{12}$/.test(principal)) {
-      warnings.push(
-        'Using just an account ID. Consider using full ARN format: arn:aws:iam::123456789012:root'
-      );
-    } else {
-      errors.push(
-        'Principal must be "*", a valid ARN (arn:aws:... or arn:ipcld:...), canonical user ID (64-char hex), service principal (service.amazonaws.com), or 12-digit account ID'
-      );
-    }
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors: errors,
-    warnings: warnings,
-  };
+// Validator messages quote the input back, so each one is its own element filled as text
+function showMessageLines(container, symbol, messages) {
+  container.replaceChildren(
+    ...messages.map((message) => {
+      const line = document.createElement('div');
+      line.textContent = `${symbol} ${message}`;
+      return line;
+    })
+  );
 }
 
 function getARNSuggestion(principal) {
@@ -729,17 +816,27 @@ function getARNSuggestion(principal) {
 function updatePrincipalValidation() {
   const principalInput = document.getElementById('principal');
   const validationDiv = document.getElementById('principalValidation');
-  const principal = principalInput.value.trim();
+
+  // With several principals, report the first invalid one, otherwise check the last one as it's typed
+  const principals = principalInput.value
+    .split('\n')
+    .map((p) => p.trim())
+    .filter((p) => p);
+  const invalidIndex = principals
+    .slice(0, -1)
+    .findIndex((p) => !validatePrincipalARN(p, { provider: getProvider() }).isValid);
+  const principal = invalidIndex >= 0 ? principals[invalidIndex] : principals.at(-1) || '';
 
   // Clear previous validation state
   principalInput.classList.remove('valid', 'invalid');
   validationDiv.className = 'validation-message';
   validationDiv.textContent = '';
 
-  // Don't validate if empty (optional field)
+  // Don't validate if empty - generation reports missing principals
   if (!principal) {
     validationDiv.className = 'validation-message hint';
-    validationDiv.innerHTML = '💡 Optional: Use <code>*</code> for public access, or enter an ARN';
+    validationDiv.innerHTML =
+      '💡 Required for AWS S3: Use <code>*</code> for public access, or enter an ARN';
     return { isValid: true, errors: [], warnings: [] };
   }
 
@@ -774,7 +871,7 @@ function updatePrincipalValidation() {
   }
 
   // Fall back to full validation for complete entries
-  const validation = validatePrincipalARN(principal);
+  const validation = validatePrincipalARN(principal, { provider: getProvider() });
 
   if (validation.isValid && validation.warnings.length === 0) {
     principalInput.classList.add('valid');
@@ -787,687 +884,2072 @@ function updatePrincipalValidation() {
     validationDiv.style.background = '#fff8e1';
     validationDiv.style.borderLeft = '3px solid #ff9800';
     validationDiv.style.color = '#f57c00';
-    validationDiv.innerHTML = '⚠ ' + validation.warnings.join('<br>⚠ ');
+    showMessageLines(validationDiv, '⚠', validation.warnings);
   } else {
     principalInput.classList.add('invalid');
     validationDiv.className = 'validation-message error';
-    validationDiv.innerHTML = '✗ ' + validation.errors.join('<br>✗ ');
+    showMessageLines(validationDiv, '✗', validation.errors);
   }
 
   return validation;
 }
 
-function loadTemplate(templateName) {
-  const templates = {
-    publicRead: {
-      effect: 'Allow',
-      actions: ['s3:GetObject'],
-      resourcePath: '*',
-      description: 'Public read access for all objects',
-    },
-    privateReadWrite: {
-      effect: 'Allow',
-      actions: ['s3:GetObject', 's3:PutObject', 's3:DeleteObject', 's3:ListBucket'],
-      resourcePath: '*',
-      description: 'Private read/write access for specific IAM user',
-    },
-    crossAccount: {
-      effect: 'Allow',
-      actions: ['s3:GetObject', 's3:ListBucket'],
-      resourcePath: '*',
-      description: 'Cross-account access',
-    },
-    objectLockVersioning: {
-      effect: 'Allow',
-      actions: [
-        // Basic read/write permissions
-        's3:GetObject',
-        's3:PutObject',
-        's3:DeleteObject',
-        's3:ListBucket',
-        's3:GetObjectAttributes',
-        // Object Lock specific permissions
-        's3:GetObjectLockConfiguration',
-        's3:PutObjectLockConfiguration',
-        's3:BypassGovernanceRetention',
-        // Versioning permissions
-        's3:GetBucketVersioning',
-        's3:PutBucketVersioning',
-        's3:ListBucketVersions',
-        's3:GetObjectVersion',
-        's3:DeleteObjectVersion',
-        's3:GetObjectVersionAttributes',
-      ],
-      resourcePath: '*',
-      description: 'Enable object lock and versioning with read/write access',
-    },
-  };
+function renderTemplateButtons() {
+  const container = document.getElementById('templateButtons');
+  container.innerHTML = '';
+  POLICY_TEMPLATES.forEach((template) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'template-btn';
+    button.dataset.template = template.id;
+    button.textContent = template.name;
+    button.title = template.description;
+    // Templates with parameters ask for their values first
+    button.addEventListener('click', () =>
+      template.parameters ? openTemplateWizard(template.id) : loadTemplate(template.id)
+    );
+    container.appendChild(button);
+  });
+}
 
-  const template = templates[templateName];
-  if (!template) return;
+// Templates that need principals are disabled for providers without them
+function updateTemplateSupport(profile) {
+  document.querySelectorAll('#templateButtons .template-btn').forEach((button) => {
+    const template = getTemplate(button.dataset.template);
+    const supported = isTemplateSupported(template, profile.id);
+    button.disabled = !supported;
+    button.title = supported
+      ? template.description
+      : `${template.description} - not available for ${profile.name}, whose bucket policies have no Principal`;
+  });
+}
 
-  // Preserve user's bucket name - don't overwrite with template default
-  document.getElementById('policyEffect').value = template.effect;
-  // Principal field not set - not supported by Impossible Cloud
-  document.getElementById('resourcePath').value = template.resourcePath;
+// A template's statements take the place of the selected statement (or of all statements); the others are kept
+function loadTemplate(templateName, values = {}, { replaceAll = false } = {}) {
+  const template = getTemplate(templateName);
+  if (!template) return;
 
-  // Clear all checkboxes first
-  document.querySelectorAll('input[type="checkbox"]').forEach((cb) => (cb.checked = false));
+  // Templates never change the bucket name field - the wizard sets it before loading
+  const filled = fillTemplate(template, values, { provider: getProvider() });
+  if (!filled.isValid) {
+    showNotification('❌ ' + filled.errors[0], 'error');
+    return;
+  }
+  commitPendingStep();
+  saveActiveStatement();
 
-  // Check the template actions
-  template.actions.forEach((action) => {
-    const checkbox = document.querySelector(`input[value="${action}"]`);
-    if (checkbox) checkbox.checked = true;
-  });
+  const templateStatements = filled.statements.map(configToFormStatement);
+  if (replaceAll) {
+    statements = templateStatements;
+    activeStatementIndex = 0;
+  } else {
+    statements.splice(activeStatementIndex, 1, ...templateStatements);
+  }
+  writeStatementForm(statements[activeStatementIndex]);
 
   // Expand categories that have checked checkboxes
-  const checkedCheckboxes = document.querySelectorAll('input[type="checkbox"]:checked.s3-action');
-  const categoriesToExpand = new Set();
-  checkedCheckboxes.forEach((checkbox) => {
+  document.querySelectorAll('input[type="checkbox"]:checked.s3-action').forEach((checkbox) => {
     const category = checkbox.closest('.action-category');
-    if (category && category.classList.contains('collapsed')) {
-      categoriesToExpand.add(category);
+    if (category) {
+      category.classList.remove('collapsed');
     }
   });
-  categoriesToExpand.forEach((category) => {
-    category.classList.remove('collapsed');
-  });
+  renderStatementList();
 
   // Validate the loaded bucket name and principal
   updateBucketNameValidation();
   updatePrincipalValidation();
+  recordHistory(`Load template ${templateName}`);
 
-  showNotification(`Template loaded: ${templateName}`);
-}
-
-function generatePolicy() {
-  const bucketName = document.getElementById('bucketName').value.trim();
-  if (!bucketName) {
-    showNotification('Please enter a bucket name', 'error');
-    return;
-  }
-
-  // Validate bucket name against AWS standards
-  const bucketValidation = validateBucketName(bucketName);
-  if (!bucketValidation.isValid) {
-    updateBucketNameValidation(); // Show validation errors
+  // Every template action should be in the catalog; the rest end up as custom actions
+  const unknownActions = templateStatements.flatMap((stmt) =>
+    stmt.customActions.split('\n').filter((a) => a)
+  );
+  if (unknownActions.length > 0) {
     showNotification(
-      'Invalid bucket name. Please fix the errors shown below the bucket name field.',
-      'error'
+      `Template loaded: ${templateName} - not in the action catalog: ${unknownActions.join(', ')}`,
+      'warning'
     );
-    // Scroll to bucket name field
-    document.getElementById('bucketName').scrollIntoView({ behavior: 'smooth', block: 'center' });
-    return;
+  } else if (templateStatements.length > 1) {
+    showNotification(
+      `Template loaded: ${templateName} - ${templateStatements.length} statements added`
+    );
+  } else {
+    showNotification(`Template loaded: ${templateName}`);
   }
+}
 
-  const effect = document.getElementById('policyEffect').value;
-  // Principal field not used - not supported by Impossible Cloud
-  const resourcePath = document.getElementById('resourcePath').value.trim() || '*';
-  const customActions = document.getElementById('customActions').value.trim();
-  const conditionText = document.getElementById('condition').value.trim();
+// Template wizard: one step per template parameter, then a review of the finished policy
+let wizard = null; // { template, step, values }
 
-  // Collect checked actions
-  const actions = [];
-  document.querySelectorAll('input[type="checkbox"]:checked').forEach((cb) => {
-    actions.push(cb.value);
-  });
+function openTemplateWizard(templateName) {
+  const template = getTemplate(templateName);
+  if (!template) return;
 
-  // Add custom actions
-  if (customActions) {
-    customActions.split('\n').forEach((action) => {
-      const trimmedAction = action.trim();
-      if (trimmedAction) actions.push(trimmedAction);
-    });
+  const values = getTemplateDefaults(template);
+  const bucketName = document.getElementById('bucketName').value.trim();
+  if (bucketName) {
+    values.bucketName = bucketName;
   }
+  wizard = { template, step: 0, values };
+  document.getElementById('templateWizard').hidden = false;
+  renderWizardStep();
+}
 
-  if (actions.length === 0) {
-    showNotification('Please select at least one action', 'error');
-    return;
+function closeTemplateWizard() {
+  wizard = null;
+  document.getElementById('templateWizard').hidden = true;
+}
+
+function createWizardInput(parameter, value) {
+  let input;
+  if (parameter.type === 'choice') {
+    input = document.createElement('select');
+    parameter.options.forEach((option) => {
+      input.appendChild(new Option(option, option));
+    });
+  } else if (['cidrList', 'prefixList', 'principalList'].includes(parameter.type)) {
+    input = document.createElement('textarea');
+    input.rows = 4;
+  } else {
+    input = document.createElement('input');
+    input.type = parameter.type === 'days' ? 'number' : 'text';
+    if (parameter.type === 'days') {
+      input.min = '1';
+    }
+    // Enter moves on, as the Next button does
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        wizardNext();
+      }
+    });
   }
+  input.id = 'wizardInput';
+  input.value = Array.isArray(value) ? value.join('\n') : String(value ?? '');
+  return input;
+}
 
-  // Build resources array
-  const resources = [];
-  const needsBucketResource = actions.some(
-    (a) => a === 's3:ListBucket' || a.startsWith('s3:GetBucket') || a.startsWith('s3:PutBucket')
-  );
-  const needsObjectResource = actions.some((a) => a.includes('Object'));
+function showWizardMessages(className, messages) {
+  const validationDiv = document.getElementById('wizardValidation');
+  validationDiv.className = messages.length > 0 ? `validation-message ${className}` : '';
+  validationDiv.textContent = messages
+    .map((message) => (className === 'error' ? '✗ ' : '⚠️ ') + message)
+    .join('\n');
+}
 
-  if (needsBucketResource) {
-    resources.push(`arn:aws:s3:::${bucketName}`);
-  }
-  if (needsObjectResource) {
-    resources.push(`arn:aws:s3:::${bucketName}/${resourcePath}`);
-  }
-  if (resources.length === 0) {
-    resources.push(`arn:aws:s3:::${bucketName}/*`);
+function renderWizardStep() {
+  const parameters = getTemplateParameters(wizard.template);
+  const isReview = wizard.step === parameters.length;
+  const parameter = parameters[wizard.step];
+
+  document.getElementById('wizardTitle').textContent = `🧙 ${wizard.template.name}`;
+  document.getElementById('wizardProgress').textContent = `Step ${wizard.step + 1} of ${
+    parameters.length + 1
+  }`;
+  document.getElementById('wizardLabel').textContent = isReview ? 'Review' : parameter.label;
+  document.getElementById('wizardHelp').textContent = isReview
+    ? 'This policy replaces all statements in the form. You can still edit it afterwards.'
+    : parameter.help;
+
+  const field = document.getElementById('wizardField');
+  field.innerHTML = '';
+  if (!isReview) {
+    field.appendChild(createWizardInput(parameter, wizard.values[parameter.name]));
+  }
+  showWizardMessages('error', []);
+
+  const preview = document.getElementById('wizardPreview');
+  preview.hidden = !isReview;
+  preview.textContent = '';
+  if (isReview) {
+    const filled = fillTemplate(wizard.template, wizard.values, { provider: getProvider() });
+    const result = buildPolicy({
+      bucketName: filled.bucketName,
+      provider: getProvider(),
+      statements: filled.statements,
+    });
+    if (result.isValid) {
+      preview.textContent = JSON.stringify(result.policy, null, 2);
+      showWizardMessages('warning', result.warnings);
+    } else {
+      showWizardMessages('error', result.errors);
+    }
   }
 
-  // Build statement (Principal omitted - not supported by Impossible Cloud)
-  const statement = {
-    Sid: 'GeneratedPolicy' + Date.now(),
-    Effect: effect,
-    Action: actions.length === 1 ? actions[0] : actions,
-    Resource: resources.length === 1 ? resources[0] : resources,
-  };
+  document.getElementById('wizardBack').disabled = wizard.step === 0;
+  document.getElementById('wizardNext').textContent = isReview ? '✓ Create Policy' : 'Next →';
+}
 
-  // Add condition if provided
-  if (conditionText) {
-    try {
-      statement.Condition = JSON.parse(conditionText);
-    } catch (e) {
-      showNotification('Invalid JSON in Condition field', 'error');
-      return;
-    }
+function wizardNext() {
+  if (!wizard) return;
+  const parameters = getTemplateParameters(wizard.template);
+  if (wizard.step === parameters.length) {
+    finishTemplateWizard();
+    return;
   }
 
-  // Build full policy
-  const policy = {
-    Version: '2012-10-17',
-    Statement: [statement],
-  };
+  const parameter = parameters[wizard.step];
+  const result = validateTemplateValue(parameter, document.getElementById('wizardInput').value, {
+    provider: getProvider(),
+  });
+  if (!result.isValid) {
+    showWizardMessages('error', result.errors);
+    document.getElementById('wizardInput').focus();
+    return;
+  }
+  wizard.values[parameter.name] = result.value;
+  wizard.step++;
+  renderWizardStep();
+  if (result.warnings.length > 0) {
+    showNotification(`⚠️ ${parameter.label}: ${result.warnings.join('\n')}`, 'warning');
+  }
+}
 
-  currentPolicy = policy;
-  document.getElementById('policyOutput').textContent = JSON.stringify(policy, null, 2);
-  showNotification('Policy generated successfully!');
+function wizardBack() {
+  if (!wizard || wizard.step === 0) return;
+  wizard.step--;
+  renderWizardStep();
 }
 
-function copyPolicy() {
-  const policyText = document.getElementById('policyOutput').textContent;
-  navigator.clipboard
-    .writeText(policyText)
-    .then(() => {
-      showNotification('Policy copied to clipboard!');
-    })
-    .catch(() => {
-      showNotification('Failed to copy policy', 'error');
-    });
+function finishTemplateWizard() {
+  const { template, values } = wizard;
+  commitPendingStep();
+  document.getElementById('bucketName').value = values.bucketName;
+  closeTemplateWizard();
+  loadTemplate(template.id, values, { replaceAll: true });
+  generatePolicy();
 }
 
-function downloadPolicy() {
-  const policyText = document.getElementById('policyOutput').textContent;
-  const bucketName = document.getElementById('bucketName').value.trim() || 'bucket';
-  const blob = new Blob([policyText], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `${bucketName}-policy.json`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
-  showNotification('Policy downloaded!');
+// Target provider: its profile decides whether principals are edited and which condition keys are offered
+function getProvider() {
+  return document.getElementById('targetProvider').value;
 }
 
-function clearForm() {
-  if (confirm('Are you sure you want to clear the form?')) {
-    document.getElementById('bucketName').value = '';
-    document.getElementById('policyEffect').value = 'Allow';
-    document.getElementById('principal').value = '';
-    document.getElementById('resourcePath').value = '';
-    document.getElementById('customActions').value = '';
-    document.getElementById('condition').value = '';
-    document.querySelectorAll('input[type="checkbox"]').forEach((cb) => (cb.checked = false));
-    document.getElementById('policyOutput').textContent =
-      '{\n  "Version": "2012-10-17",\n  "Statement": []\n}\n\nClick "Generate Policy" to create your bucket policy...';
-    currentPolicy = null;
+function updateProviderMode() {
+  const profile = getProviderProfile(getProvider());
+  document.getElementById('providerDescription').textContent = profile.description;
 
-    // Clear validation messages
-    document.getElementById('bucketName').classList.remove('valid', 'invalid');
-    document.getElementById('bucketNameValidation').className = 'validation-message';
-    document.getElementById('bucketNameValidation').textContent = '';
-    document.getElementById('principal').classList.remove('valid', 'invalid');
-    document.getElementById('principalValidation').className = 'validation-message';
-    document.getElementById('principalValidation').textContent = '';
+  updateActionSupport(profile);
+  updateTemplateSupport(profile);
 
-    showNotification('Form cleared');
+  const principalGroup = document.getElementById('principalGroup');
+  principalGroup.hidden = !profile.supportsPrincipals;
+  if (!principalGroup.hidden) {
+    updatePrincipalValidation();
   }
+
+  // Keys that take a suffix are offered without the wildcard, e.g. aws:RequestTag/
+  document.getElementById('conditionKeyList').replaceChildren(
+    ...Object.entries(CONDITION_KEYS)
+      .filter(([key]) => isConditionKeySupported(profile, key))
+      .map(
+        ([key, entry]) => new Option(`${entry.type} - ${entry.description}`, key.replace(/\*$/, ''))
+      )
+  );
+  updateConditionRowMessages();
 }
 
-function validatePolicy() {
-  const policyText = document.getElementById('policyOutput').textContent;
-  const errors = [];
-  const warnings = [];
+// Statement list management
+// Convert a buildPolicy() statement config into the form's statement model
+function configToFormStatement(stmt) {
+  // Actions that match a checkbox are checked, everything else becomes a custom action
+  const { known, custom } = splitKnownActions(stmt.actions);
+  return {
+    sid: stmt.sid,
+    effect: stmt.effect,
+    principals: stmt.principals,
+    actions: known,
+    customActions: custom.join('\n'),
+    resourcePath: stmt.resourcePath,
+    conditions: conditionToRows(stmt.condition),
+  };
+}
 
-  // Step 1: Validate JSON syntax
-  let policy;
-  try {
-    policy = JSON.parse(policyText);
-  } catch (e) {
-    showNotification('❌ Invalid JSON syntax: ' + e.message, 'error');
-    return;
-  }
+function createEmptyStatement() {
+  return {
+    sid: getNextStatementSid(),
+    effect: 'Allow',
+    actions: [],
+    customActions: '',
+    principals: [],
+    resourcePath: '',
+    conditions: [],
+  };
+}
 
-  // Step 2: Validate root policy structure
-  if (typeof policy !== 'object' || policy === null) {
-    errors.push('Policy must be a JSON object');
+function getNextStatementSid() {
+  const usedSids = new Set(statements.map((stmt) => stmt.sid));
+  let n = statements.length + 1;
+  while (usedSids.has(`Statement${n}`)) {
+    n++;
   }
+  return `Statement${n}`;
+}
 
-  // Step 3: Validate Version field
-  if (!policy.Version) {
-    errors.push('Missing required field: Version');
-  } else if (typeof policy.Version !== 'string') {
-    errors.push('Version must be a string');
-  } else if (policy.Version !== '2012-10-17' && policy.Version !== '2008-10-17') {
-    errors.push(`Invalid Version: "${policy.Version}". Must be "2012-10-17" or "2008-10-17"`);
-  } else if (policy.Version === '2008-10-17') {
-    warnings.push('Version "2008-10-17" is deprecated. Use "2012-10-17"');
-  }
+// Read the statement fields of the form into a statement object
+function readStatementForm() {
+  const actions = [];
+  document.querySelectorAll('input[type="checkbox"].s3-action:checked').forEach((cb) => {
+    actions.push(cb.value);
+  });
 
-  // Step 4: Validate Statement array
-  if (!policy.Statement) {
-    errors.push('Missing required field: Statement');
-  } else if (!Array.isArray(policy.Statement)) {
-    errors.push('Statement must be an array');
-  } else if (policy.Statement.length === 0) {
-    errors.push('Statement array cannot be empty');
-  } else {
-    // Validate each statement
-    policy.Statement.forEach((stmt, idx) => {
-      validateStatement(stmt, idx, errors, warnings);
-    });
-  }
+  return {
+    sid: document.getElementById('statementSid').value.trim(),
+    effect: document.getElementById('policyEffect').value,
+    principals: document
+      .getElementById('principal')
+      .value.split('\n')
+      .map((p) => p.trim())
+      .filter((p) => p),
+    actions: actions,
+    customActions: document.getElementById('customActions').value,
+    resourcePath: document.getElementById('resourcePath').value,
+    conditions: readConditionRows(),
+  };
+}
 
-  // Step 5: Check for unknown root-level fields
-  const validRootFields = ['Version', 'Id', 'Statement'];
-  Object.keys(policy).forEach((key) => {
-    if (!validRootFields.includes(key)) {
-      warnings.push(`Unknown root-level field: "${key}"`);
-    }
+// Populate the statement fields of the form from a statement object
+function writeStatementForm(stmt) {
+  document.getElementById('statementSid').value = stmt.sid;
+  document.getElementById('policyEffect').value = stmt.effect;
+  document.getElementById('principal').value = stmt.principals.join('\n');
+  document.getElementById('customActions').value = stmt.customActions;
+  document.getElementById('resourcePath').value = stmt.resourcePath;
+  renderConditionRows(stmt.conditions);
+  document.querySelectorAll('input[type="checkbox"].s3-action').forEach((cb) => {
+    cb.checked = stmt.actions.includes(cb.value);
   });
+  updateActionCounts();
+  renderCustomActionsPreview();
+  updateResourcePathValidation();
+}
 
-  // Step 6: Validate Id field if present
-  if (policy.Id && typeof policy.Id !== 'string') {
-    errors.push('Id field must be a string');
-  }
+// Resource paths: report typos live and preview which sample keys the paths match
+function updateResourcePathValidation() {
+  const input = document.getElementById('resourcePath');
+  const validationDiv = document.getElementById('resourcePathValidation');
+  const result = normalizeResourcePaths(input.value);
+  // One line per message, without the "Resource path" prefix the field label already gives
+  const showMessages = (className, symbol, messages) => {
+    validationDiv.className = `validation-message ${className}`;
+    messages.forEach((message, idx) => {
+      if (idx > 0) validationDiv.appendChild(document.createElement('br'));
+      validationDiv.append(`${symbol} ${message.replace(/^Resource path /, '')}`);
+    });
+  };
 
-  // Display results
-  if (errors.length > 0) {
-    const errorMsg = '❌ Validation failed:\n• ' + errors.join('\n• ');
-    showNotification(errorMsg, 'error');
-  } else if (warnings.length > 0) {
-    const warnMsg = '⚠️ Policy is valid but has warnings:\n• ' + warnings.join('\n• ');
-    showNotification(warnMsg, 'warning');
-  } else {
-    showNotification('✅ Policy is valid and follows AWS best practices!', 'success');
+  input.classList.remove('valid', 'invalid');
+  validationDiv.className = 'validation-message';
+  validationDiv.textContent = '';
+  if (!result.isValid) {
+    input.classList.add('invalid');
+    showMessages('error', '✗', result.errors);
+  } else if (result.warnings.length > 0) {
+    showMessages('warning', '⚠', result.warnings);
+  }
+
+  const keys = document
+    .getElementById('sampleKeys')
+    .value.split('\n')
+    .map((key) => key.trim())
+    .filter((key) => key);
+  const preview = document.getElementById('resourcePathPreview');
+  preview.innerHTML = '';
+  matchSampleKeys(result.paths, keys).forEach(({ key, path }) => {
+    const item = document.createElement('li');
+    item.className = path ? 'matched' : '';
+    item.textContent = path ? `✓ ${key} - matches ${path}` : `✗ ${key}`;
+    preview.appendChild(item);
+  });
+  return result;
+}
+
+function saveActiveStatement() {
+  if (statements.length === 0) {
+    statements.push(createEmptyStatement());
+    activeStatementIndex = 0;
   }
+  statements[activeStatementIndex] = readStatementForm();
+}
+
+function renderStatementList() {
+  const list = document.getElementById('statementList');
+  if (!list) return;
+
+  list.innerHTML = '';
+  statements.forEach((stmt, idx) => {
+    const actionCount =
+      stmt.actions.length + stmt.customActions.split('\n').filter((a) => a.trim()).length;
+    const item = document.createElement('div');
+    item.className = 'statement-item' + (idx === activeStatementIndex ? ' active' : '');
+    item.dataset.index = idx;
+
+    const title = document.createElement('span');
+    title.className = 'statement-title';
+    title.textContent = `${idx + 1}. ${stmt.sid || '(no Sid)'}`;
+
+    const summary = document.createElement('span');
+    summary.className = 'statement-summary ' + stmt.effect.toLowerCase();
+    summary.textContent = `${stmt.effect} · ${actionCount} action${actionCount === 1 ? '' : 's'}`;
+
+    item.appendChild(title);
+    item.appendChild(summary);
+    item.addEventListener('click', () => selectStatement(idx));
+    list.appendChild(item);
+  });
+
+  // Every statement change re-renders the list, so the draft is saved from here
+  scheduleDraftSave();
+}
+
+function selectStatement(idx) {
+  if (idx < 0 || idx >= statements.length) return;
+  saveActiveStatement();
+  activeStatementIndex = idx;
+  writeStatementForm(statements[idx]);
+  renderStatementList();
+}
+
+function addStatement() {
+  commitPendingStep();
+  saveActiveStatement();
+  statements.push(createEmptyStatement());
+  activeStatementIndex = statements.length - 1;
+  writeStatementForm(statements[activeStatementIndex]);
+  renderStatementList();
+  recordHistory('Add statement');
+  showNotification(`Added ${statements[activeStatementIndex].sid}`);
+}
+
+function duplicateStatement() {
+  commitPendingStep();
+  saveActiveStatement();
+  const copy = {
+    ...statements[activeStatementIndex],
+    actions: [...statements[activeStatementIndex].actions],
+    principals: [...statements[activeStatementIndex].principals],
+    conditions: statements[activeStatementIndex].conditions.map(createConditionRow),
+    sid: getNextStatementSid(),
+  };
+  statements.splice(activeStatementIndex + 1, 0, copy);
+  activeStatementIndex++;
+  writeStatementForm(copy);
+  renderStatementList();
+  recordHistory('Duplicate statement');
+  showNotification(`Duplicated statement as ${copy.sid}`);
 }
 
-function validateStatement(stmt, idx, errors, warnings) {
-  const prefix = `Statement[${idx}]`;
+function moveStatement(offset) {
+  commitPendingStep();
+  saveActiveStatement();
+  const target = activeStatementIndex + offset;
+  if (target < 0 || target >= statements.length) return;
+
+  const [stmt] = statements.splice(activeStatementIndex, 1);
+  statements.splice(target, 0, stmt);
+  activeStatementIndex = target;
+  renderStatementList();
+  recordHistory('Move statement');
+}
 
-  // Check if statement is an object
-  if (typeof stmt !== 'object' || stmt === null) {
-    errors.push(`${prefix}: Must be an object`);
+function deleteStatement() {
+  commitPendingStep();
+  saveActiveStatement();
+  // Always keep one statement to edit - deleting the last one just resets it
+  if (statements.length === 1) {
+    statements = [];
+    statements.push(createEmptyStatement());
+    activeStatementIndex = 0;
+    writeStatementForm(statements[0]);
+    renderStatementList();
+    recordHistory('Reset statement');
+    showNotification('Statement reset');
     return;
   }
 
-  // Validate Sid (optional)
-  if (stmt.Sid !== undefined) {
-    if (typeof stmt.Sid !== 'string') {
-      errors.push(`${prefix}: Sid must be a string`);
-    } else if (!/^[a-zA-Z0-9]+$/.test(stmt.Sid)) {
-      errors.push(`${prefix}: Sid must contain only alphanumeric characters`);
+  const [removed] = statements.splice(activeStatementIndex, 1);
+  activeStatementIndex = Math.min(activeStatementIndex, statements.length - 1);
+  writeStatementForm(statements[activeStatementIndex]);
+  renderStatementList();
+  recordHistory('Delete statement');
+  showNotification(`Deleted ${removed.sid || 'statement'}`);
+}
+
+// Convert a form statement into the statement config accepted by buildPolicy()
+function statementToConfig(stmt) {
+  const customActions = stmt.customActions
+    .split('\n')
+    .map((action) => action.trim())
+    .filter((action) => action);
+
+  return {
+    sid: stmt.sid,
+    effect: stmt.effect,
+    principals: stmt.principals,
+    actions: [...stmt.actions, ...customActions],
+    resourcePath: stmt.resourcePath,
+    condition: rowsToCondition(stmt.conditions).condition,
+  };
+}
+
+// Visual condition builder: one row per operator/key pair in the active statement
+function createConditionRowElement(row) {
+  const element = document.createElement('div');
+  element.className = 'condition-row';
+
+  const qualifier = document.createElement('select');
+  qualifier.className = 'condition-qualifier';
+  qualifier.title = 'How multi-valued request keys are compared';
+  [['', 'Single value'], ...CONDITION_QUALIFIERS.map((name) => [name, name])].forEach(
+    ([value, label]) => qualifier.add(new Option(label, value))
+  );
+  qualifier.value = row.qualifier;
+
+  const operator = document.createElement('select');
+  operator.className = 'condition-operator';
+  Object.entries(CONDITION_OPERATOR_GROUPS).forEach(([family, operators]) => {
+    const group = document.createElement('optgroup');
+    group.label = family;
+    operators.forEach((name) => group.appendChild(new Option(name, name)));
+    operator.appendChild(group);
+  });
+  operator.value = row.operator;
+
+  const ifExistsLabel = document.createElement('label');
+  ifExistsLabel.className = 'condition-ifexists';
+  const ifExists = document.createElement('input');
+  ifExists.type = 'checkbox';
+  ifExists.checked = row.ifExists;
+  ifExistsLabel.append(ifExists, ' IfExists');
+
+  const key = document.createElement('input');
+  key.type = 'text';
+  key.className = 'condition-key';
+  key.placeholder = 'aws:SourceIp';
+  key.setAttribute('list', 'conditionKeyList');
+  key.value = row.key;
+
+  const values = document.createElement('textarea');
+  values.className = 'condition-values';
+  values.placeholder = 'One value per line';
+  values.rows = Math.max(1, row.values.length);
+  values.value = row.values.join('\n');
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'condition-remove';
+  remove.title = 'Remove condition';
+  remove.textContent = '✕';
+  remove.addEventListener('click', () => removeConditionRow(element));
+
+  const operatorName = document.createElement('code');
+  operatorName.className = 'condition-operator-name';
+
+  const message = document.createElement('div');
+  message.className = 'condition-message';
+
+  element.append(qualifier, operator, ifExistsLabel, key, values, remove, operatorName, message);
+  return element;
+}
+
+function readConditionRow(element) {
+  return createConditionRow({
+    qualifier: element.querySelector('.condition-qualifier').value,
+    operator: element.querySelector('.condition-operator').value,
+    ifExists: element.querySelector('.condition-ifexists input').checked,
+    key: element.querySelector('.condition-key').value.trim(),
+    values: element
+      .querySelector('.condition-values')
+      .value.split('\n')
+      .map((value) => value.trim())
+      .filter((value) => value),
+  });
+}
+
+function readConditionRows() {
+  return Array.from(document.querySelectorAll('#conditionRows .condition-row')).map(
+    readConditionRow
+  );
+}
+
+function renderConditionRows(rows) {
+  const container = document.getElementById('conditionRows');
+  container.innerHTML = '';
+  rows.forEach((row) => container.appendChild(createConditionRowElement(row)));
+  updateConditionRowMessages();
+}
+
+// Show each row's full operator name and any type problems with its key or values
+function updateConditionRowMessages() {
+  document.querySelectorAll('#conditionRows .condition-row').forEach((element) => {
+    const row = readConditionRow(element);
+    const operatorName = getRowOperator(row);
+    element.querySelector('.condition-operator-name').textContent = operatorName;
+
+    const message = element.querySelector('.condition-message');
+    const problems = row.key ? checkConditionEntry(operatorName, row.key, row.values) : null;
+    const profile = getProviderProfile(getProvider());
+    if (problems && !isConditionKeySupported(profile, row.key)) {
+      problems.warnings.push(`${row.key} is not supported by ${profile.name}`);
     }
-  }
+    if (problems && row.values.length > 0 && problems.errors.length > 0) {
+      message.className = 'condition-message validation-message error';
+      message.textContent = problems.errors.join('; ');
+    } else if (problems && problems.warnings.length > 0) {
+      message.className = 'condition-message validation-message hint';
+      message.textContent = problems.warnings.join('; ');
+    } else {
+      message.className = 'condition-message';
+      message.textContent = '';
+    }
+  });
+}
+
+function addConditionRow() {
+  commitPendingStep();
+  const element = createConditionRowElement(createConditionRow());
+  document.getElementById('conditionRows').appendChild(element);
+  updateConditionRowMessages();
+  saveActiveStatement();
+  recordHistory('Add condition');
+  element.querySelector('.condition-key').focus();
+}
 
-  // Validate Effect (required)
-  if (!stmt.Effect) {
-    errors.push(`${prefix}: Missing required field "Effect"`);
-  } else if (stmt.Effect !== 'Allow' && stmt.Effect !== 'Deny') {
-    errors.push(`${prefix}: Effect must be "Allow" or "Deny", got "${stmt.Effect}"`);
+function removeConditionRow(element) {
+  commitPendingStep();
+  element.remove();
+  saveActiveStatement();
+  renderStatementList();
+  recordHistory('Remove condition');
+}
+
+function generatePolicy() {
+  commitPendingStep();
+  const bucketName = document.getElementById('bucketName').value.trim();
+  if (!bucketName) {
+    showNotification('Please enter a bucket name', 'error');
+    return;
   }
 
-  // Principal/NotPrincipal validation disabled - not supported by Impossible Cloud
-  // Impossible Cloud bucket policies work without explicit principals
-  // Access control is managed through IAM policies and access keys
-  if (stmt.Principal) {
-    warnings.push(
-      `${prefix}: Principal field is not supported by Impossible Cloud and will be ignored`
+  // Validate bucket name against AWS standards
+  const bucketValidation = validateBucketName(bucketName);
+  if (!bucketValidation.isValid) {
+    updateBucketNameValidation(); // Show validation errors
+    showNotification(
+      'Invalid bucket name. Please fix the errors shown below the bucket name field.',
+      'error'
     );
+    // Scroll to bucket name field
+    document.getElementById('bucketName').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return;
   }
-  if (stmt.NotPrincipal) {
-    warnings.push(
-      `${prefix}: NotPrincipal field is not supported by Impossible Cloud and will be ignored`
-    );
+
+  saveActiveStatement();
+
+  // Incomplete condition rows are reported before anything is built
+  for (let idx = 0; idx < statements.length; idx++) {
+    const conditionResult = rowsToCondition(statements[idx].conditions);
+    if (!conditionResult.isValid) {
+      selectStatement(idx);
+      const label = statements[idx].sid ? ` (${statements[idx].sid})` : '';
+      showNotification(`Statement[${idx}]${label}: ` + conditionResult.errors.join('\n'), 'error');
+      return;
+    }
   }
 
-  // Validate Action/NotAction (one required)
-  if (!stmt.Action && !stmt.NotAction) {
-    errors.push(`${prefix}: Missing "Action" or "NotAction"`);
+  const result = buildPolicy({
+    bucketName: bucketName,
+    provider: getProvider(),
+    statements: statements.map(statementToConfig),
+  });
+  if (!result.isValid) {
+    selectStatement(result.invalidStatements.length > 0 ? result.invalidStatements[0] : 0);
+    showNotification(result.errors.join('\n'), 'error');
+    return;
   }
-  if (stmt.Action && stmt.NotAction) {
-    errors.push(`${prefix}: Cannot have both "Action" and "NotAction"`);
+
+  const policy = result.policy;
+  currentPolicy = policy;
+  setPolicyOutput(JSON.stringify(policy, null, 2));
+  recordHistory('Generate policy');
+  if (result.warnings.length > 0) {
+    showNotification(
+      '⚠️ Policy generated with warnings:\n• ' + result.warnings.join('\n• '),
+      'warning'
+    );
+  } else {
+    showNotification('Policy generated successfully!');
+  }
+}
+
+function copyPolicy() {
+  const policyText = document.getElementById('policyOutput').textContent;
+  navigator.clipboard
+    .writeText(policyText)
+    .then(() => {
+      showNotification('Policy copied to clipboard!');
+    })
+    .catch(() => {
+      showNotification('Failed to copy policy', 'error');
+    });
+}
+
+// Save text as a file through a temporary download link
+function downloadText(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function downloadPolicy() {
+  const policyText = document.getElementById('policyOutput').textContent;
+  const bucketName = document.getElementById('bucketName').value.trim() || 'bucket';
+  downloadText(policyText, `${bucketName}-policy.json`, 'application/json');
+  showNotification('Policy downloaded!');
+}
+
+// Export: the policy shown above wrapped for Terraform, CloudFormation or the AWS CLI
+function getPolicyExport() {
+  const policyText = document.getElementById('policyOutput').textContent;
+  if (policyText === OUTPUT_PLACEHOLDER) {
+    return { isValid: false, errors: ['Generate or paste a policy first'], content: '' };
   }
-  if (stmt.Action) {
-    validateActions(stmt.Action, prefix + '.Action', errors, warnings);
+  return exportPolicy(policyText, document.getElementById('exportFormat').value, {
+    bucketName: document.getElementById('bucketName').value,
+    provider: getProvider(),
+    endpoint: document.getElementById('exportEndpoint').value.trim() || undefined,
+  });
+}
+
+function updateExportPreview() {
+  const format = document.getElementById('exportFormat').value;
+  // Only Terraform and the CLI command talk to an endpoint; the placeholder is the provider's
+  document.getElementById('exportEndpointGroup').hidden = !['terraform', 'cli'].includes(format);
+  document.getElementById('exportEndpoint').placeholder =
+    getProviderProfile(getProvider()).endpoint || 'AWS default endpoint';
+
+  const result = getPolicyExport();
+  const preview = document.getElementById('exportPreview');
+  preview.classList.toggle('error', !result.isValid);
+  preview.textContent = result.isValid ? result.content : `❌ ${result.errors[0]}`;
+}
+
+function copyExport() {
+  updateExportPreview();
+  const result = getPolicyExport();
+  if (!result.isValid) {
+    showNotification('❌ Cannot export: ' + result.errors[0], 'error');
+    return;
   }
-  if (stmt.NotAction) {
-    validateActions(stmt.NotAction, prefix + '.NotAction', errors, warnings);
+  const format = EXPORT_FORMATS[document.getElementById('exportFormat').value];
+  navigator.clipboard
+    .writeText(result.content)
+    .then(() => {
+      showNotification(`${format.name} copied to clipboard!`);
+    })
+    .catch(() => {
+      showNotification('Failed to copy export', 'error');
+    });
+}
+
+function downloadExport() {
+  updateExportPreview();
+  const result = getPolicyExport();
+  if (!result.isValid) {
+    showNotification('❌ Cannot export: ' + result.errors[0], 'error');
+    return;
   }
+  const format = EXPORT_FORMATS[document.getElementById('exportFormat').value];
+  downloadText(result.content, result.filename, format.mimeType);
+  showNotification(`Downloaded ${result.filename}`);
+}
 
-  // Validate Resource/NotResource (one required)
-  if (!stmt.Resource && !stmt.NotResource) {
-    errors.push(`${prefix}: Missing "Resource" or "NotResource"`);
+// Parse policy JSON text and load it into the form controls
+function importPolicyText(policyText) {
+  let policy;
+  try {
+    policy = JSON.parse(policyText);
+  } catch (e) {
+    showNotification('❌ Cannot import - invalid JSON syntax: ' + e.message, 'error');
+    return false;
   }
-  if (stmt.Resource && stmt.NotResource) {
-    errors.push(`${prefix}: Cannot have both "Resource" and "NotResource"`);
+
+  const result = policyToConfig(policy, { provider: getProvider() });
+  if (!result.isValid) {
+    showNotification('❌ Cannot import: ' + result.errors[0], 'error');
+    return false;
   }
-  if (stmt.Resource) {
-    validateResources(stmt.Resource, prefix + '.Resource', errors, warnings);
+  commitPendingStep();
+
+  const { bucketName, statements: configStatements } = result.config;
+  if (bucketName) {
+    document.getElementById('bucketName').value = bucketName;
+    updateBucketNameValidation();
   }
-  if (stmt.NotResource) {
-    validateResources(stmt.NotResource, prefix + '.NotResource', errors, warnings);
+  statements = configStatements.map(configToFormStatement);
+  activeStatementIndex = 0;
+  writeStatementForm(statements[0]);
+  renderStatementList();
+
+  currentPolicy = policy;
+  setPolicyOutput(JSON.stringify(policy, null, 2));
+  recordHistory('Import policy');
+
+  const count = statements.length;
+  const summary = `Imported ${count} statement${count === 1 ? '' : 's'} into the form`;
+  if (result.warnings.length > 0) {
+    showNotification(`⚠️ ${summary} with warnings:\n• ` + result.warnings.join('\n• '), 'warning');
+  } else {
+    showNotification(summary);
   }
+  return true;
+}
+
+// Load policy JSON into the form, or list the policies in a Terraform file or CloudFormation template
+function importPolicySource(text, fileName = '') {
+  const format = detectSourceFormat(text, fileName);
+  if (format !== 'terraform' && format !== 'cloudformation') return importPolicyText(text);
 
-  // Validate Condition (optional)
-  if (stmt.Condition) {
-    validateCondition(stmt.Condition, prefix + '.Condition', errors, warnings);
+  const result = findPolicyDocuments(text, fileName);
+  if (result.errors.length > 0) {
+    showNotification('❌ Cannot import: ' + result.errors[0], 'error');
+    return false;
   }
+  renderImportChooser(result, fileName);
+  return true;
+}
 
-  // Check for unknown statement fields
-  const validStmtFields = [
-    'Sid',
-    'Effect',
-    'Principal',
-    'NotPrincipal',
-    'Action',
-    'NotAction',
-    'Resource',
-    'NotResource',
-    'Condition',
-  ];
-  Object.keys(stmt).forEach((key) => {
-    if (!validStmtFields.includes(key)) {
-      warnings.push(`${prefix}: Unknown field "${key}"`);
+function renderImportChooser(result, fileName) {
+  importedDocuments = result.documents;
+  const section = document.getElementById('importSection');
+  const list = document.getElementById('importDocuments');
+  section.hidden = false;
+  list.innerHTML = '';
+
+  const count = result.documents.length;
+  const source = fileName || `the ${SOURCE_FORMATS[result.format].name} text`;
+  document.getElementById('importSummary').textContent =
+    `${count} polic${count === 1 ? 'y' : 'ies'} found in ${source} - choose one to load it into the editor`;
+
+  result.documents.forEach((found, idx) => {
+    const item = document.createElement('li');
+    item.className = 'import-document';
+    item.tabIndex = 0;
+    item.setAttribute('role', 'button');
+
+    const label = document.createElement('code');
+    label.textContent = found.label;
+    const statementCount = Array.isArray(found.policy.Statement)
+      ? found.policy.Statement.length
+      : 0;
+    const details = [
+      `line ${found.line}`,
+      `${statementCount} statement${statementCount === 1 ? '' : 's'}`,
+    ];
+    if (found.warnings.length > 0) {
+      details.push(`⚠️ ${found.warnings.length} warning${found.warnings.length === 1 ? '' : 's'}`);
     }
+    const meta = document.createElement('small');
+    meta.textContent = details.join(' · ');
+    item.append(label, meta);
+
+    const choose = () => loadImportedDocument(idx);
+    item.addEventListener('click', choose);
+    item.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') choose();
+    });
+    list.appendChild(item);
   });
 }
 
-function validatePrincipal(principal, prefix, errors, warnings) {
-  if (principal === '*') {
-    warnings.push(
-      `${prefix}: Using wildcard (*) grants public access - ensure this is intentional`
-    );
+function closeImportChooser() {
+  document.getElementById('importSection').hidden = true;
+  importedDocuments = [];
+}
+
+// Put a policy found by the importer into the editor, where it is checked like any other
+function loadImportedDocument(index) {
+  const found = importedDocuments[index];
+  if (!found) return;
+  closeImportChooser();
+
+  currentPolicy = found.policy;
+  setPolicyOutput(JSON.stringify(found.policy, null, 2));
+  recordHistory(`Import ${found.label}`);
+
+  const summary = `Loaded ${found.label} into the editor - click 📥 Import into Form to edit it`;
+  if (found.warnings.length > 0) {
+    showNotification(`⚠️ ${summary}. Warnings:\n• ` + found.warnings.join('\n• '), 'warning');
+  } else {
+    showNotification(summary);
+  }
+}
+
+function importPolicyFromOutput() {
+  importPolicySource(document.getElementById('policyOutput').textContent);
+}
+
+function openPolicyFile() {
+  document.getElementById('importFile').click();
+}
+
+function importPolicyFile(file) {
+  if (!file) return;
+  file
+    .text()
+    .then((text) => importPolicySource(text, file.name))
+    .catch(() => showNotification(`Failed to read ${file.name}`, 'error'));
+}
+
+// Form state: everything needed to rebuild the form, used by permalinks
+function getFormState() {
+  saveActiveStatement();
+  return {
+    provider: getProvider(),
+    bucketName: document.getElementById('bucketName').value.trim(),
+    statements: statements,
+    activeStatementIndex: activeStatementIndex,
+  };
+}
+
+function applyFormState(state) {
+  if (PROVIDER_PROFILES[state.provider]) {
+    document.getElementById('targetProvider').value = state.provider;
+  }
+  updateProviderMode();
+  document.getElementById('bucketName').value = state.bucketName;
+  if (state.bucketName) {
+    updateBucketNameValidation();
+  }
+
+  statements = state.statements;
+  activeStatementIndex = state.activeStatementIndex;
+  writeStatementForm(statements[activeStatementIndex]);
+  renderStatementList();
+  updatePrincipalValidation();
+}
+
+// Copy a link that opens the generator with the current form state
+function copyLink() {
+  const hash = encodePermalink(getFormState());
+  const url = `${location.href.split('#')[0]}#${hash}`;
+  history.replaceState(null, '', `#${hash}`);
+  navigator.clipboard
+    .writeText(url)
+    .then(() => {
+      showNotification('Link copied to clipboard!');
+    })
+    .catch(() => {
+      showNotification('Failed to copy link', 'error');
+    });
+}
+
+function restoreFromLink() {
+  if (!location.hash || location.hash === '#') return;
+
+  const result = decodePermalink(location.hash);
+  if (!result.isValid) {
+    showNotification('❌ Cannot open link: ' + result.errors[0], 'error');
     return;
   }
+  applyFormState(result.state);
+  const count = result.state.statements.length;
+  showNotification(`Opened shared link with ${count} statement${count === 1 ? '' : 's'}`);
+}
 
-  if (typeof principal === 'string') {
-    errors.push(
-      `${prefix}: String principals other than "*" are not valid. Use {"AWS": "..."} format`
-    );
+// Autosaved draft: the form is written to localStorage shortly after each change
+const scheduleDraftSave = debounce(saveDraft, 500);
+
+function saveDraft() {
+  const state = getFormState();
+  const [first] = state.statements;
+  const isEmpty =
+    !state.bucketName &&
+    state.statements.length === 1 &&
+    first.actions.length === 0 &&
+    !first.customActions.trim() &&
+    !first.resourcePath &&
+    first.principals.length === 0 &&
+    first.conditions.length === 0;
+
+  // An empty form needs no draft - this also drops the draft after Clear Form
+  if (isEmpty) {
+    clearDraft(localStorage);
+  } else if (writeDraft(localStorage, state)) {
+    document.getElementById('draftStatus').textContent =
+      `Draft saved in this browser at ${new Date().toLocaleTimeString()}`;
+  }
+}
+
+function restoreDraft() {
+  const draft = readDraft(localStorage);
+  if (!draft) return;
+
+  applyFormState(draft.state);
+  showNotification(`Restored your draft from ${new Date(draft.savedAt).toLocaleString()}`);
+}
+
+// Undo history: each step is the form state plus the text of the policy output
+function getSnapshot() {
+  return { form: getFormState(), output: document.getElementById('policyOutput').textContent };
+}
+
+function applySnapshot(snapshot) {
+  applyFormState(snapshot.form);
+  setPolicyOutput(snapshot.output);
+  try {
+    currentPolicy = JSON.parse(snapshot.output);
+  } catch {
+    currentPolicy = null;
+  }
+}
+
+function recordHistory(label) {
+  pendingStepLabel = null;
+  const result = recordStep(undoHistory, label, getSnapshot());
+  if (result.recorded) {
+    undoHistory = result.history;
+    renderHistoryList();
+  }
+}
+
+// Typing in the form or the policy output becomes one step once it pauses
+const recordPendingStep = debounce(commitPendingStep, 700);
+
+function scheduleHistoryStep(label) {
+  pendingStepLabel = label;
+  recordPendingStep();
+}
+
+// Record typing that has not paused yet, so it stays a step of its own before the next change
+function commitPendingStep() {
+  if (pendingStepLabel) {
+    recordHistory(pendingStepLabel);
+  }
+}
+
+function moveInHistory(result, message) {
+  undoHistory = result.history;
+  applySnapshot(result.snapshot);
+  renderHistoryList();
+  showNotification(message);
+}
+
+function undo() {
+  commitPendingStep();
+  const undone = undoHistory.steps[undoHistory.index];
+  const result = undoStep(undoHistory);
+  if (!result.snapshot) {
+    showNotification('Nothing to undo', 'warning');
     return;
   }
+  moveInHistory(result, `Undid: ${undone.label}`);
+}
 
-  if (typeof principal !== 'object' || principal === null) {
-    errors.push(`${prefix}: Must be "*" or an object`);
+function redo() {
+  commitPendingStep();
+  const result = redoStep(undoHistory);
+  if (!result.snapshot) {
+    showNotification('Nothing to redo', 'warning');
     return;
   }
+  moveInHistory(result, `Redid: ${undoHistory.steps[result.history.index].label}`);
+}
 
-  const validPrincipalKeys = ['AWS', 'Service', 'Federated', 'CanonicalUser'];
-  Object.keys(principal).forEach((key) => {
-    if (!validPrincipalKeys.includes(key)) {
-      errors.push(
-        `${prefix}: Unknown principal type "${key}". Valid types: ${validPrincipalKeys.join(', ')}`
-      );
-    }
+function jumpToHistoryStep(index) {
+  commitPendingStep();
+  const result = jumpToStep(undoHistory, index);
+  if (!result.snapshot || index === undoHistory.index) return;
+  moveInHistory(result, `Went back to: ${undoHistory.steps[index].label}`);
+}
+
+function renderHistoryList() {
+  const list = document.getElementById('historyList');
+  list.innerHTML = '';
+  // Newest step first; steps after the current one can still be redone
+  undoHistory.steps.forEach((step, idx) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'history-item';
+    if (idx === undoHistory.index) item.classList.add('current');
+    if (idx > undoHistory.index) item.classList.add('undone');
+
+    const label = document.createElement('span');
+    label.className = 'history-item-label';
+    label.textContent = step.label;
+    const time = document.createElement('span');
+    time.className = 'history-item-time';
+    time.textContent = new Date(step.time).toLocaleTimeString();
+
+    item.appendChild(label);
+    item.appendChild(time);
+    item.addEventListener('click', () => jumpToHistoryStep(idx));
+    list.prepend(item);
   });
 
-  // Validate AWS principals
-  if (principal.AWS) {
-    const awsPrincipals = Array.isArray(principal.AWS) ? principal.AWS : [principal.AWS];
-    awsPrincipals.forEach((arn, idx) => {
-      if (arn === '*') {
-        warnings.push(`${prefix}.AWS[${idx}]: Using "*" grants public access`);
-      } else if (typeof arn !== 'string') {
-        errors.push(`${prefix}.AWS[${idx}]: Must be a string`);
-      } else if (!arn.startsWith('arn:aws:iam::') && arn !== '*') {
-        errors.push(`${prefix}.AWS[${idx}]: Invalid ARN format "${arn}"`);
-      } else if (!/^\d{12}$/.test(arn.split('::')[1]?.split(':')[0] || '')) {
-        warnings.push(`${prefix}.AWS[${idx}]: Account ID should be 12 digits`);
-      }
-    });
+  document.getElementById('undoBtn').disabled = !canUndo(undoHistory);
+  document.getElementById('redoBtn').disabled = !canRedo(undoHistory);
+  renderCompareSources();
+}
+
+// Saved policies library
+function setLibrary(updated) {
+  library = updated;
+  if (!writeLibrary(localStorage, library)) {
+    showNotification('Saved policies could not be stored in this browser', 'warning');
   }
+  renderLibraryList();
+}
 
-  // Validate Service principals
-  if (principal.Service) {
-    const services = Array.isArray(principal.Service) ? principal.Service : [principal.Service];
-    services.forEach((svc, idx) => {
-      if (typeof svc !== 'string') {
-        errors.push(`${prefix}.Service[${idx}]: Must be a string`);
-      } else if (!svc.includes('.amazonaws.com') && svc !== 's3.amazonaws.com') {
-        warnings.push(
-          `${prefix}.Service[${idx}]: Service principal should typically end with .amazonaws.com`
-        );
-      }
+function renderLibraryList() {
+  const list = document.getElementById('libraryList');
+  list.innerHTML = '';
+  library.policies.forEach((policy) => {
+    const { state } = getLibraryPolicyState(policy);
+    const count = state ? state.statements.length : 0;
+
+    const item = document.createElement('div');
+    item.className = 'library-item';
+    item.dataset.id = policy.id;
+
+    const info = document.createElement('div');
+    const name = document.createElement('span');
+    name.className = 'library-item-name';
+    name.textContent = policy.name;
+    const summary = document.createElement('span');
+    summary.className = 'library-item-summary';
+    summary.textContent =
+      `${(state && state.bucketName) || '(no bucket)'} · ` +
+      `${count} statement${count === 1 ? '' : 's'} · ` +
+      new Date(policy.savedAt).toLocaleDateString();
+    info.append(name, summary);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-item-actions';
+    [
+      ['Open', 'library-open', () => openSavedPolicy(policy.id)],
+      ['Rename', 'library-rename', () => renameSavedPolicy(policy.id)],
+      ['Duplicate', 'library-duplicate', () => duplicateSavedPolicy(policy.id)],
+      ['Delete', 'library-delete', () => deleteSavedPolicy(policy.id)],
+    ].forEach(([label, className, handler]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
     });
+
+    item.append(info, actions);
+    list.appendChild(item);
+  });
+  renderCompareSources();
+}
+
+function saveToLibrary() {
+  const nameInput = document.getElementById('libraryName');
+  const name = nameInput.value.trim();
+  const existing = library.policies.find((p) => p.name.toLowerCase() === name.toLowerCase());
+  if (existing && !confirm(`Replace the saved policy "${existing.name}"?`)) {
+    return;
   }
+
+  const result = saveLibraryPolicy(library, name, getFormState());
+  if (!result.isValid) {
+    showNotification('❌ Cannot save: ' + result.errors[0], 'error');
+    return;
+  }
+  setLibrary(result.library);
+  nameInput.value = result.policy.name;
+  showNotification(`Saved "${result.policy.name}"`);
 }
 
-function validateActions(actions, prefix, errors, warnings) {
-  const actionList = Array.isArray(actions) ? actions : [actions];
+function openSavedPolicy(id) {
+  const policy = library.policies.find((p) => p.id === id);
+  const result = policy ? getLibraryPolicyState(policy) : null;
+  if (!result || !result.isValid) {
+    showNotification('❌ Cannot open the saved policy - it is damaged', 'error');
+    return;
+  }
+  commitPendingStep();
+  applyFormState(result.state);
+  document.getElementById('libraryName').value = policy.name;
+  recordHistory(`Open "${policy.name}"`);
+  showNotification(`Opened "${policy.name}"`);
+}
+
+function renameSavedPolicy(id) {
+  const policy = library.policies.find((p) => p.id === id);
+  const name = policy ? prompt('New name for the saved policy:', policy.name) : null;
+  if (name === null) return;
 
-  if (actionList.length === 0) {
-    errors.push(`${prefix}: Cannot be empty`);
+  const result = renameLibraryPolicy(library, id, name);
+  if (!result.isValid) {
+    showNotification('❌ Cannot rename: ' + result.errors[0], 'error');
     return;
   }
+  setLibrary(result.library);
+  showNotification(`Renamed to "${name.trim()}"`);
+}
 
-  const validS3Actions = [
-    's3:*',
-    's3:GetObject',
-    's3:PutObject',
-    's3:DeleteObject',
-    's3:GetObjectVersion',
-    's3:DeleteObjectVersion',
-    's3:GetObjectAcl',
-    's3:PutObjectAcl',
-    's3:GetObjectVersionAcl',
-    's3:PutObjectVersionAcl',
-    's3:GetObjectAttributes',
-    's3:GetObjectVersionAttributes',
-    's3:GetObjectTagging',
-    's3:PutObjectTagging',
-    's3:DeleteObjectTagging',
-    's3:GetObjectVersionTagging',
-    's3:PutObjectVersionTagging',
-    's3:DeleteObjectVersionTagging',
-    's3:GetObjectTorrent',
-    's3:GetObjectVersionTorrent',
-    's3:GetObjectAttributes',
-    's3:GetObjectVersionAttributes',
-    's3:ListBucket',
-    's3:ListBucketVersions',
-    's3:ListBucketMultipartUploads',
-    's3:GetBucketLocation',
-    's3:GetBucketVersioning',
-    's3:PutBucketVersioning',
-    's3:GetBucketAcl',
-    's3:PutBucketAcl',
-    's3:GetBucketCORS',
-    's3:PutBucketCORS',
-    's3:DeleteBucketCORS',
-    's3:GetBucketWebsite',
-    's3:PutBucketWebsite',
-    's3:DeleteBucketWebsite',
-    's3:GetBucketLogging',
-    's3:PutBucketLogging',
-    's3:GetBucketNotification',
-    's3:PutBucketNotification',
-    's3:GetBucketPolicy',
-    's3:PutBucketPolicy',
-    's3:DeleteBucketPolicy',
-    's3:GetBucketRequestPayment',
-    's3:PutBucketRequestPayment',
-    's3:GetBucketTagging',
-    's3:PutBucketTagging',
-    's3:DeleteBucketTagging',
-    's3:GetReplicationConfiguration',
-    's3:PutReplicationConfiguration',
-    's3:GetAccelerateConfiguration',
-    's3:PutAccelerateConfiguration',
-    's3:GetEncryptionConfiguration',
-    's3:PutEncryptionConfiguration',
-    's3:GetBucketObjectLockConfiguration',
-    's3:PutBucketObjectLockConfiguration',
-    's3:GetObjectLockConfiguration',
-    's3:PutObjectLockConfiguration',
-    's3:GetBucketPublicAccessBlock',
-    's3:PutBucketPublicAccessBlock',
-    's3:GetObjectLegalHold',
-    's3:PutObjectLegalHold',
-    's3:GetObjectRetention',
-    's3:PutObjectRetention',
-    's3:BypassGovernanceRetention',
-    's3:AbortMultipartUpload',
-    's3:ListMultipartUploadParts',
-    's3:RestoreObject',
-  ];
-
-  actionList.forEach((action, idx) => {
-    if (typeof action !== 'string') {
-      errors.push(`${prefix}[${idx}]: Must be a string`);
-    } else if (!action.includes(':')) {
-      errors.push(`${prefix}[${idx}]: Invalid format "${action}". Must be "service:action"`);
-    } else {
-      const [service, actionName] = action.split(':');
-      if (service !== 's3' && action !== '*') {
-        warnings.push(`${prefix}[${idx}]: "${action}" is not an S3 action`);
-      } else if (
-        service === 's3' &&
-        actionName !== '*' &&
-        !validS3Actions.includes(action) &&
-        !actionName.includes('*')
-      ) {
-        warnings.push(`${prefix}[${idx}]: "${action}" may not be a valid S3 action`);
-      }
+function duplicateSavedPolicy(id) {
+  const result = duplicateLibraryPolicy(library, id);
+  if (result.isValid) {
+    setLibrary(result.library);
+    showNotification(`Duplicated as "${result.policy.name}"`);
+  }
+}
+
+function deleteSavedPolicy(id) {
+  const policy = library.policies.find((p) => p.id === id);
+  if (policy && confirm(`Delete the saved policy "${policy.name}"?`)) {
+    setLibrary(deleteLibraryPolicy(library, id));
+    showNotification(`Deleted "${policy.name}"`);
+  }
+}
+
+function exportSavedPolicies() {
+  if (library.policies.length === 0) {
+    showNotification('There are no saved policies to export', 'warning');
+    return;
+  }
+  downloadText(exportLibrary(library), 'saved-policies.json', 'application/json');
+  showNotification(`Exported ${library.policies.length} saved policies`);
+}
+
+function openSavedPoliciesFile() {
+  document.getElementById('libraryFile').click();
+}
+
+function importSavedPolicies(text) {
+  const result = importLibrary(text, library);
+  if (!result.isValid) {
+    showNotification('❌ Cannot import saved policies: ' + result.errors[0], 'error');
+    return false;
+  }
+  setLibrary(result.library);
+
+  const summary = `Imported ${result.imported} saved polic${result.imported === 1 ? 'y' : 'ies'}`;
+  if (result.warnings.length > 0) {
+    showNotification(`⚠️ ${summary} with warnings:\n• ` + result.warnings.join('\n• '), 'warning');
+  } else {
+    showNotification(summary);
+  }
+  return true;
+}
+
+function clearForm() {
+  if (confirm('Are you sure you want to clear the form?')) {
+    commitPendingStep();
+    document.getElementById('bucketName').value = '';
+    document.getElementById('policyEffect').value = 'Allow';
+    document.getElementById('principal').value = '';
+    document.getElementById('resourcePath').value = '';
+    document.getElementById('customActions').value = '';
+    renderConditionRows([]);
+    document.querySelectorAll('input[type="checkbox"]').forEach((cb) => (cb.checked = false));
+    statements = [];
+    statements.push(createEmptyStatement());
+    activeStatementIndex = 0;
+    writeStatementForm(statements[0]);
+    renderStatementList();
+    setPolicyOutput(OUTPUT_PLACEHOLDER);
+    currentPolicy = null;
+
+    // Clear validation messages
+    document.getElementById('bucketName').classList.remove('valid', 'invalid');
+    document.getElementById('bucketNameValidation').className = 'validation-message';
+    document.getElementById('bucketNameValidation').textContent = '';
+    document.getElementById('principal').classList.remove('valid', 'invalid');
+    document.getElementById('principalValidation').className = 'validation-message';
+    document.getElementById('principalValidation').textContent = '';
+    recordHistory('Clear form');
+
+    showNotification('Form cleared');
+  }
+}
+
+// Policy output editor: the text is re-rendered as highlighted HTML, so its textContent is always the JSON
+const OUTPUT_PLACEHOLDER =
+  '{\n  "Version": "2012-10-17",\n  "Statement": []\n}\n\nClick "Generate Policy" to create your bucket policy...';
+
+// Offset of the caret in the text of an element, or null if the selection is elsewhere
+function getCaretOffset(element) {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) return null;
+  const range = selection.getRangeAt(0);
+  if (!element.contains(range.endContainer)) return null;
+  const before = document.createRange();
+  before.selectNodeContents(element);
+  before.setEnd(range.endContainer, range.endOffset);
+  return before.toString().length;
+}
+
+// The text node and offset in it of an offset in the text of an element
+function findTextPosition(element, offset) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  let node;
+  while ((node = walker.nextNode())) {
+    if (remaining <= node.textContent.length) {
+      return { node, offset: remaining };
     }
+    remaining -= node.textContent.length;
+  }
+  return { node: element, offset: element.childNodes.length };
+}
+
+function setCaretOffset(element, offset) {
+  const { node, offset: nodeOffset } = findTextPosition(element, offset);
+  window.getSelection().collapse(node, nodeOffset);
+}
+
+function selectTextRange(element, start, end) {
+  const from = findTextPosition(element, start);
+  const to = findTextPosition(element, end);
+  const range = document.createRange();
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+function renderPolicyEditor() {
+  const output = document.getElementById('policyOutput');
+  const text = output.textContent;
+  const caret = getCaretOffset(output);
+  output.innerHTML = renderJsonHtml(text, {
+    markers: editorMarkers,
+    brackets: editorBrackets,
+    highlight: editorHighlight,
   });
+  if (caret !== null) {
+    setCaretOffset(output, caret);
+  }
+  renderEditorGutter();
 }
 
-function validateResources(resources, prefix, errors, warnings) {
-  const resourceList = Array.isArray(resources) ? resources : [resources];
+// Line numbers, with an icon on lines that have a finding
+function renderEditorGutter() {
+  const text = document.getElementById('policyOutput').textContent;
+  const gutter = document.getElementById('policyGutter');
+  gutter.innerHTML = '';
+  getLineMarkers(text, editorMarkers).forEach((entry) => {
+    const line = document.createElement('div');
+    line.className = entry.severity ? `gutter-line ${entry.severity}` : 'gutter-line';
+    line.textContent = entry.line;
+    if (entry.messages.length > 0) {
+      line.title = entry.messages.join('\n');
+    }
+    gutter.appendChild(line);
+  });
+}
 
-  if (resourceList.length === 0) {
-    errors.push(`${prefix}: Cannot be empty`);
+// Validate the output as it is and mark every finding in it; the placeholder is not checked
+function lintPolicyOutput() {
+  const text = document.getElementById('policyOutput').textContent;
+  const status = document.getElementById('editorLint');
+  status.className = '';
+  if (!text.trim() || text === OUTPUT_PLACEHOLDER) {
+    editorMarkers = [];
+    status.textContent = '';
+    renderPolicyEditor();
+    updateExportPreview();
     return;
   }
 
-  resourceList.forEach((resource, idx) => {
-    if (typeof resource !== 'string') {
-      errors.push(`${prefix}[${idx}]: Must be a string`);
-    } else if (!resource.startsWith('arn:aws:s3:::') && resource !== '*') {
-      errors.push(`${prefix}[${idx}]: Must be a valid S3 ARN (arn:aws:s3:::...) or "*"`);
-    } else if (resource.startsWith('arn:aws:s3:::')) {
-      const bucketPart = resource.substring(13); // Remove 'arn:aws:s3:::'
-      if (bucketPart === '') {
-        errors.push(`${prefix}[${idx}]: Missing bucket name in ARN`);
-      } else if (bucketPart.includes('//')) {
-        errors.push(`${prefix}[${idx}]: Invalid path - contains double slashes`);
-      }
+  const { report, markers } = lintPolicyText(text, { provider: getProvider() });
+  editorMarkers = markers;
+  const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+  if (report.findings[0]?.rule === 'invalid-json') {
+    status.className = 'error';
+    status.textContent = '❌ ' + report.findings[0].message;
+  } else if (report.findings.length > 0) {
+    status.className = report.errorCount > 0 ? 'error' : 'warning';
+    status.textContent = `${report.errorCount > 0 ? '❌' : '⚠️'} ${count(report.errorCount, 'error')}, ${count(report.warningCount, 'warning')} - hover an underline for details`;
+  } else {
+    status.textContent = '✅ No errors or warnings';
+  }
+  renderPolicyEditor();
+  updateExportPreview();
+}
 
-      // Check if it's a bucket ARN (no /) vs object ARN (has /)
-      const hasPath = bucketPart.includes('/');
-      if (!hasPath && bucketPart.length > 63) {
-        errors.push(`${prefix}[${idx}]: Bucket name too long (max 63 characters)`);
-      }
-      if (!hasPath && !/^[a-z0-9][a-z0-9.-]*[a-z0-9]$/.test(bucketPart)) {
-        warnings.push(`${prefix}[${idx}]: Bucket name may not follow S3 naming rules`);
-      }
+const scheduleLint = debounce(lintPolicyOutput, 400);
+
+function setPolicyOutput(text) {
+  document.getElementById('policyOutput').textContent = text;
+  editorBrackets = [];
+  editorHighlight = null;
+  lintPolicyOutput();
+}
+
+// Typing keeps the old colours and markers until the debounced lint re-renders the text
+function handleEditorInput() {
+  editorHighlight = null;
+  renderEditorGutter();
+  scheduleLint();
+  scheduleHistoryStep('Edit JSON');
+}
+
+// Replace the selection in the output with plain text and treat it as typing
+function insertEditorText(text) {
+  const output = document.getElementById('policyOutput');
+  const selection = window.getSelection();
+  const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+  if (!range || !output.contains(range.commonAncestorContainer)) return;
+  range.deleteContents();
+  const node = document.createTextNode(text);
+  range.insertNode(node);
+  range.setStartAfter(node);
+  range.collapse(true);
+  selection.removeAllRanges();
+  selection.addRange(range);
+  handleEditorInput();
+}
+
+// Suggest keys and values from the policy schema; typing only opens the list inside a word or string
+function showEditorCompletions(explicit) {
+  const output = document.getElementById('policyOutput');
+  const caret = getCaretOffset(output);
+  const completion = caret === null ? null : getSchemaCompletions(output.textContent, caret);
+  const isTyping = completion && completion.from !== completion.to;
+  const onlyTyped =
+    completion?.items.length === 1 && completion.items[0].label === completion.prefix;
+  if (!completion || completion.items.length === 0 || (!explicit && (!isTyping || onlyTyped))) {
+    closeEditorCompletions();
+    return;
+  }
+  editorCompletion = { ...completion, selected: 0 };
+  renderEditorCompletions();
+}
+
+function renderEditorCompletions() {
+  const output = document.getElementById('policyOutput');
+  const list = document.getElementById('editorCompletions');
+  list.innerHTML = '';
+  editorCompletion.items.forEach((item, idx) => {
+    const option = document.createElement('li');
+    option.id = `editorCompletion${idx}`;
+    option.className =
+      idx === editorCompletion.selected ? 'completion-item selected' : 'completion-item';
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', String(idx === editorCompletion.selected));
+    const label = document.createElement('span');
+    label.className = `completion-label ${item.kind}`;
+    label.textContent = item.label;
+    option.appendChild(label);
+    if (item.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'completion-detail';
+      detail.textContent = item.detail;
+      option.appendChild(detail);
     }
+    // Mousedown would move the focus and the caret out of the editor before the click
+    option.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      acceptEditorCompletion(idx);
+    });
+    list.appendChild(option);
   });
+
+  // Open the list under the caret
+  const selection = window.getSelection();
+  const rect = selection.rangeCount > 0 ? selection.getRangeAt(0).getBoundingClientRect?.() : null;
+  if (rect) {
+    const editorRect = list.parentElement.getBoundingClientRect();
+    list.style.left = `${rect.left - editorRect.left}px`;
+    list.style.top = `${rect.bottom - editorRect.top}px`;
+  }
+  list.hidden = false;
+  output.setAttribute('aria-expanded', 'true');
+  output.setAttribute('aria-activedescendant', `editorCompletion${editorCompletion.selected}`);
+  list.children[editorCompletion.selected].scrollIntoView?.({ block: 'nearest' });
+}
+
+function closeEditorCompletions() {
+  editorCompletion = null;
+  const list = document.getElementById('editorCompletions');
+  list.hidden = true;
+  list.innerHTML = '';
+  const output = document.getElementById('policyOutput');
+  output.setAttribute('aria-expanded', 'false');
+  output.removeAttribute('aria-activedescendant');
+}
+
+// Replace what was typed with the completion; after a key, the values it takes are offered
+function acceptEditorCompletion(idx) {
+  const { from, to, items } = editorCompletion;
+  const item = items[idx];
+  closeEditorCompletions();
+  selectTextRange(document.getElementById('policyOutput'), from, to);
+  insertEditorText(item.insertText);
+  if (item.kind === 'property') {
+    showEditorCompletions(true);
+  }
+}
+
+// Arrows move through the open list, Enter or Tab accepts and Escape closes it
+function handleCompletionKeydown(event) {
+  const count = editorCompletion.items.length;
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    editorCompletion.selected = (editorCompletion.selected + step + count) % count;
+    renderEditorCompletions();
+  } else if (event.key === 'Enter' || event.key === 'Tab') {
+    event.preventDefault();
+    acceptEditorCompletion(editorCompletion.selected);
+  } else if (event.key === 'Escape') {
+    event.preventDefault();
+    closeEditorCompletions();
+  } else if (['ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'].includes(event.key)) {
+    closeEditorCompletions();
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// Enter keeps the indentation of the line, one level deeper after "{" or "["; Tab indents; Ctrl+Space suggests
+function handleEditorKeydown(event) {
+  if (event.ctrlKey && event.key === ' ') {
+    event.preventDefault();
+    showEditorCompletions(true);
+    return;
+  }
+  if (editorCompletion && handleCompletionKeydown(event)) return;
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  const output = document.getElementById('policyOutput');
+  if (event.key === 'Tab' && !event.shiftKey) {
+    event.preventDefault();
+    insertEditorText('  ');
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    const text = output.textContent;
+    const caret = getCaretOffset(output) ?? text.length;
+    const line = text.slice(text.lastIndexOf('\n', caret - 1) + 1, caret);
+    const indent = /^\s*/.exec(line)[0] + (/[{[]\s*$/.test(line) ? '  ' : '');
+    insertEditorText('\n' + indent);
+  }
+}
+
+// Mark the bracket at the caret and its partner, and show where the caret is
+function updateEditorCaret() {
+  const output = document.getElementById('policyOutput');
+  const caret = getCaretOffset(output);
+  const text = output.textContent;
+  const position = document.getElementById('editorPosition');
+  if (caret === null) {
+    position.textContent = '';
+  } else {
+    const { line, column } = getLineColumn(text, caret);
+    position.textContent = `Ln ${line}, Col ${column}`;
+  }
+
+  const match = caret === null ? null : findMatchingBracket(text, caret);
+  const brackets = match
+    ? [match.open, match.close]
+        .filter((offset) => offset !== null)
+        .map((offset) => ({ offset, matched: match.matched }))
+    : [];
+  const key = (list) => list.map(({ offset, matched }) => `${offset}${matched}`).join();
+  if (key(brackets) !== key(editorBrackets)) {
+    editorBrackets = brackets;
+    renderPolicyEditor();
+  }
+}
+
+function validatePolicy() {
+  // Check the syntax, then the policy structure, statements and best practices
+  const policyText = document.getElementById('policyOutput').textContent;
+  const { report, syntaxErrorPosition } = lintPolicyText(policyText, { provider: getProvider() });
+  renderValidationReport(report, syntaxErrorPosition);
+  if (syntaxErrorPosition !== null) {
+    showNotification('❌ ' + report.findings[0].message, 'error');
+    return;
+  }
+
+  // Display results
+  const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+  if (report.errorCount > 0) {
+    showNotification(
+      `❌ Validation failed: ${count(report.errorCount, 'error')} and ${count(report.warningCount, 'warning')} - see the Validation Report`,
+      'error'
+    );
+  } else if (report.warningCount > 0) {
+    showNotification(
+      `⚠️ Policy is valid but has ${count(report.warningCount, 'warning')} - see the Validation Report`,
+      'warning'
+    );
+  } else {
+    showNotification('✅ Policy is valid and follows AWS best practices!', 'success');
+  }
 }
 
-function validateCondition(condition, prefix, errors, warnings) {
-  if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
-    errors.push(`${prefix}: Must be an object`);
+// Validation report: findings stay listed until the next validation
+function renderValidationReport(report, syntaxErrorPosition = null) {
+  const section = document.getElementById('validationSection');
+  const summary = document.getElementById('validationSummary');
+  const container = document.getElementById('validationReport');
+  section.hidden = false;
+  container.innerHTML = '';
+
+  if (report.findings.length === 0) {
+    summary.textContent = '✅ No errors or warnings';
     return;
   }
+  const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+  summary.textContent = `${count(report.errorCount, 'error')}, ${count(report.warningCount, 'warning')} - click a finding to show it in the policy`;
+
+  report.groups.forEach((group) => {
+    const groupBox = document.createElement('div');
+    groupBox.className = `validation-group ${group.severity}`;
+    const heading = document.createElement('h4');
+    const total = group.statements.reduce((sum, stmt) => sum + stmt.findings.length, 0);
+    heading.textContent = `${group.severity === 'error' ? '❌ Errors' : '⚠️ Warnings'} (${total})`;
+    groupBox.appendChild(heading);
+
+    group.statements.forEach((stmt) => {
+      const title = document.createElement('div');
+      title.className = 'validation-statement-title';
+      title.textContent = stmt.label;
+      const list = document.createElement('ul');
+      stmt.findings.forEach((finding) => {
+        const item = document.createElement('li');
+        item.className = 'validation-finding';
+        item.tabIndex = 0;
+        item.setAttribute('role', 'button');
+
+        const rule = document.createElement('span');
+        rule.className = 'validation-rule';
+        rule.textContent = finding.rule;
+        const message = document.createElement('span');
+        message.textContent = ' ' + finding.message;
+        item.append(rule, message);
+        if (finding.path) {
+          const path = document.createElement('code');
+          path.className = 'validation-path';
+          path.textContent = finding.path;
+          item.appendChild(path);
+        }
+        const explanation = document.createElement('span');
+        explanation.className = 'validation-explanation';
+        explanation.textContent = finding.explanation;
+        item.appendChild(explanation);
+
+        const jump = () => jumpToFinding(finding, syntaxErrorPosition);
+        item.addEventListener('click', jump);
+        item.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter') jump();
+        });
+        list.appendChild(item);
+      });
+      groupBox.append(title, list);
+    });
+    container.appendChild(groupBox);
+  });
+}
+
+// Wrap [start, end) of the output text in a <mark> until the text is edited
+function highlightOutputRange(start, end) {
+  editorHighlight = { start, end };
+  renderPolicyEditor();
+  const mark = document.querySelector('#policyOutput mark.json-highlight');
+  mark?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+}
+
+// Form fields for findings about a whole statement, and for paths inside one
+const FINDING_RULE_FIELDS = {
+  'sid-format': 'statementSid',
+  effect: 'policyEffect',
+  'principal-missing': 'principal',
+  'principal-unsupported': 'principal',
+  'action-missing': 'actionCategories',
+  'resource-missing': 'resourcePath',
+  'resource-bucket-name': 'bucketName',
+};
+const FINDING_PATH_FIELDS = [
+  [/^\.(Not)?Principal/, 'principal'],
+  [/^\.(Not)?Action/, 'actionCategories'],
+  [/^\.(Not)?Resource/, 'resourcePath'],
+  [/^\.Condition/, 'conditionRows'],
+];
+
+function getFindingField(finding, actionValue) {
+  const subPath = finding.path.slice(`Statement[${finding.statement}]`.length);
+  // A single action points at its checkbox, or at Additional Actions if it has none
+  if (/^\.(Not)?Action\[\d+\]$/.test(subPath) && typeof actionValue === 'string') {
+    const entry = getAction(actionValue);
+    const checkbox = entry && document.getElementById(getActionCheckboxId(entry.name));
+    return checkbox
+      ? checkbox.closest('.checkbox-group')
+      : document.getElementById('customActions');
+  }
+  const id =
+    FINDING_RULE_FIELDS[finding.rule] ||
+    FINDING_PATH_FIELDS.find(([pattern]) => pattern.test(subPath))?.[1];
+  return id ? document.getElementById(id) : null;
+}
 
-  const validConditionOperators = [
-    // String operators
-    'StringEquals',
-    'StringNotEquals',
-    'StringLike',
-    'StringNotLike',
-    'StringEqualsIgnoreCase',
-    'StringNotEqualsIgnoreCase',
-    // String operators with IfExists
-    'StringEqualsIfExists',
-    'StringNotEqualsIfExists',
-    'StringLikeIfExists',
-    'StringNotLikeIfExists',
-    'StringEqualsIgnoreCaseIfExists',
-    'StringNotEqualsIgnoreCaseIfExists',
-    // Numeric operators
-    'NumericEquals',
-    'NumericNotEquals',
-    'NumericLessThan',
-    'NumericLessThanEquals',
-    'NumericGreaterThan',
-    'NumericGreaterThanEquals',
-    // Numeric operators with IfExists
-    'NumericEqualsIfExists',
-    'NumericNotEqualsIfExists',
-    'NumericLessThanIfExists',
-    'NumericLessThanEqualsIfExists',
-    'NumericGreaterThanIfExists',
-    'NumericGreaterThanEqualsIfExists',
-    // Date operators
-    'DateEquals',
-    'DateNotEquals',
-    'DateLessThan',
-    'DateLessThanEquals',
-    'DateGreaterThan',
-    'DateGreaterThanEquals',
-    // Date operators with IfExists
-    'DateEqualsIfExists',
-    'DateNotEqualsIfExists',
-    'DateLessThanIfExists',
-    'DateLessThanEqualsIfExists',
-    'DateGreaterThanIfExists',
-    'DateGreaterThanEqualsIfExists',
-    // Boolean and Binary
-    'Bool',
-    'BinaryEquals',
-    'BoolIfExists',
-    'BinaryEqualsIfExists',
-    // IP Address operators
-    'IpAddress',
-    'NotIpAddress',
-    'IpAddressIfExists',
-    'NotIpAddressIfExists',
-    // ARN operators
-    'ArnEquals',
-    'ArnLike',
-    'ArnNotEquals',
-    'ArnNotLike',
-    'ArnEqualsIfExists',
-    'ArnLikeIfExists',
-    'ArnNotEqualsIfExists',
-    'ArnNotLikeIfExists',
-    // Null check
-    'Null',
-  ];
-
-  Object.keys(condition).forEach((operator) => {
-    // Handle ForAllValues: and ForAnyValue: prefixes (used for set operations)
-    let operatorToCheck = operator;
-    if (operator.startsWith('ForAllValues:') || operator.startsWith('ForAnyValue:')) {
-      operatorToCheck = operator.split(':')[1];
+function jumpToFinding(finding, syntaxErrorPosition = null) {
+  const text = document.getElementById('policyOutput').textContent;
+  if (finding.rule === 'invalid-json') {
+    if (syntaxErrorPosition !== null) {
+      highlightOutputRange(syntaxErrorPosition, Math.min(syntaxErrorPosition + 1, text.length));
     }
+    return;
+  }
 
-    if (!validConditionOperators.includes(operatorToCheck)) {
-      errors.push(`${prefix}: Unknown condition operator "${operator}"`);
+  const located = locateJsonValues(text);
+  const target = findJsonPath(text, finding.path);
+  if (target) {
+    highlightOutputRange(target.start, target.end);
+  }
+
+  // The form can only show statements it has, e.g. not after statements were added to the JSON
+  document.querySelectorAll('.field-highlight').forEach((element) => {
+    element.classList.remove('field-highlight');
+  });
+  if (finding.statement === null || finding.statement >= statements.length) return;
+  selectStatement(finding.statement);
+  const actionValue = target && located.isValid ? pathValue(located.value, finding.path) : null;
+  const field = getFindingField(finding, actionValue);
+  if (field && !field.closest('[hidden]')) {
+    const category = field.closest('.action-category');
+    if (category) {
+      category.classList.remove('collapsed');
     }
+    field.classList.add('field-highlight');
+    field.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+  }
+}
 
-    const conditionBlock = condition[operator];
-    if (
-      typeof conditionBlock !== 'object' ||
-      conditionBlock === null ||
-      Array.isArray(conditionBlock)
-    ) {
-      errors.push(`${prefix}.${operator}: Must be an object`);
+// Value at a path such as "Statement[0].Action[1]" in a parsed policy, or undefined
+function pathValue(value, path) {
+  return path
+    .split(/\.|(?=\[)/)
+    .filter((segment) => segment)
+    .reduce((current, segment) => {
+      if (current === undefined || current === null) return undefined;
+      const index = /^\[(\d+)\]$/.exec(segment);
+      if (!index) return current[segment];
+      // The validator treats a single value as a list of one, e.g. "Action": "s3:GetObject"
+      return Array.isArray(current) ? current[Number(index[1])] : [current][Number(index[1])];
+    }, value);
+}
+
+// Work out the bucket to simulate against: the form first, then the policy's own resources
+function getSimulationBucket(policy) {
+  const bucketName = document.getElementById('bucketName').value.trim();
+  if (bucketName) return bucketName;
+
+  const policyStatements = Array.isArray(policy.Statement) ? policy.Statement : [];
+  for (const stmt of policyStatements) {
+    for (const resource of [].concat(stmt.Resource || [])) {
+      const match = /^arn:aws:s3:::([^/*?]+)/.exec(resource);
+      if (match) return match[1];
     }
+  }
+  return '';
+}
+
+function simulatePolicy() {
+  const resultBox = document.getElementById('simulationResult');
+  resultBox.className = 'simulation-result';
+  resultBox.innerHTML = '';
+
+  let policy;
+  try {
+    policy = JSON.parse(document.getElementById('policyOutput').textContent);
+  } catch (e) {
+    showNotification('❌ Cannot simulate - invalid JSON syntax: ' + e.message, 'error');
+    return;
+  }
+
+  const action = document.getElementById('simAction').value.trim();
+  if (!action) {
+    showNotification('Please enter an action to simulate, e.g. s3:GetObject', 'error');
+    return;
+  }
+
+  const resourceInput = document.getElementById('simResource').value.trim();
+  let resource = resourceInput;
+  if (!resourceInput.startsWith('arn:')) {
+    const bucketName = getSimulationBucket(policy);
+    if (!bucketName) {
+      showNotification('Please enter a bucket name or a full resource ARN', 'error');
+      return;
+    }
+    resource = toResourceArn(bucketName, resourceInput);
+  }
+
+  const contextResult = parseRequestContext(document.getElementById('simContext').value);
+  if (!contextResult.isValid) {
+    showNotification(
+      '❌ Invalid request context:\n• ' + contextResult.errors.join('\n• '),
+      'error'
+    );
+    return;
+  }
+
+  const result = simulateRequest(policy, { action, resource, context: contextResult.context });
+  const describe = (evaluation) =>
+    evaluation.sid
+      ? `Statement[${evaluation.index}] (${evaluation.sid})`
+      : `Statement[${evaluation.index}]`;
+
+  let summary;
+  if (result.decision === DECISION_ALLOWED) {
+    resultBox.classList.add('allowed');
+    summary = `✅ Allowed by ${describe(result.decidingStatement)}`;
+  } else if (result.decision === DECISION_EXPLICIT_DENY) {
+    resultBox.classList.add('denied');
+    summary = `⛔ Explicitly denied by ${describe(result.decidingStatement)}`;
+  } else {
+    resultBox.classList.add('denied');
+    summary = '🚫 Implicitly denied - no statement allows this request';
+  }
+
+  const heading = document.createElement('div');
+  heading.className = 'simulation-decision';
+  heading.textContent = summary;
+  const request = document.createElement('div');
+  request.className = 'simulation-request';
+  request.textContent = `${action} on ${resource}`;
+  const list = document.createElement('ul');
+  result.evaluations.forEach((evaluation) => {
+    const item = document.createElement('li');
+    item.className = evaluation.applies ? 'applies' : '';
+    item.textContent = `${describe(evaluation)} ${evaluation.effect}: ${evaluation.reason}`;
+    list.appendChild(item);
   });
+  resultBox.append(heading, request, list);
+}
+
+// Least-privilege check of the policy output, one box per statement with findings
+function analyzePolicyRisk() {
+  const resultBox = document.getElementById('analysisResult');
+  resultBox.innerHTML = '';
+
+  const result = analyzePolicy(document.getElementById('policyOutput').textContent);
+  if (!result.isValid) {
+    showNotification('❌ Cannot analyze: ' + result.errors[0], 'error');
+    return;
+  }
+
+  const score = document.createElement('div');
+  score.className = 'analysis-score';
+  score.textContent =
+    result.level === 'none'
+      ? '✅ Risk score 0/100 - no least-privilege issues found'
+      : `Risk score ${result.score}/100 (${result.level})`;
+  resultBox.appendChild(score);
+
+  const addBox = (level, titleText, findings) => {
+    const box = document.createElement('div');
+    box.className = `analysis-statement ${level}`;
+    const title = document.createElement('div');
+    title.className = 'analysis-statement-title';
+    title.textContent = titleText;
+    const list = document.createElement('ul');
+    findings.forEach((finding) => {
+      const item = document.createElement('li');
+      item.textContent = `[${finding.rule}] ${finding.message}`;
+      const suggestion = document.createElement('span');
+      suggestion.className = 'analysis-suggestion';
+      suggestion.textContent = `💡 ${finding.suggestion}`;
+      item.appendChild(suggestion);
+      list.appendChild(item);
+    });
+    box.append(title, list);
+    resultBox.appendChild(box);
+  };
+
+  result.statements
+    .filter((stmt) => stmt.findings.length > 0)
+    .forEach((stmt) => {
+      const label = stmt.sid
+        ? `Statement[${stmt.index}] (${stmt.sid})`
+        : `Statement[${stmt.index}]`;
+      addBox(
+        stmt.level,
+        `${label} ${stmt.effect} - score ${stmt.score} (${stmt.level})`,
+        stmt.findings
+      );
+    });
+  if (result.findings.length > 0) {
+    addBox(result.findings[0].severity, 'Whole policy', result.findings);
+  }
+}
+
+// Compare mode: the earlier version is pasted, opened, an earlier history step or a saved policy
+function getHistoryOutput(idx) {
+  const { output } = JSON.parse(undoHistory.steps[idx].text);
+  try {
+    JSON.parse(output);
+    return output;
+  } catch {
+    return null;
+  }
+}
+
+function renderCompareSources() {
+  const select = document.getElementById('compareSource');
+  const selected = select.value;
+  select.innerHTML = '';
+  select.appendChild(new Option('Pasted or opened policy', 'paste'));
+
+  // Newest first, one entry per distinct policy output
+  const historyGroup = document.createElement('optgroup');
+  historyGroup.label = 'History';
+  const seen = new Set([document.getElementById('policyOutput').textContent]);
+  for (let idx = undoHistory.steps.length - 1; idx >= 0; idx--) {
+    const output = getHistoryOutput(idx);
+    if (output === null || seen.has(output)) continue;
+    seen.add(output);
+    const step = undoHistory.steps[idx];
+    const time = new Date(step.time).toLocaleTimeString();
+    historyGroup.appendChild(new Option(`${step.label} · ${time}`, `history:${idx}`));
+  }
+
+  const libraryGroup = document.createElement('optgroup');
+  libraryGroup.label = 'Saved Policies';
+  library.policies.forEach((policy) => {
+    libraryGroup.appendChild(new Option(policy.name, `library:${policy.id}`));
+  });
+
+  [historyGroup, libraryGroup].forEach((group) => {
+    if (group.children.length > 0) select.appendChild(group);
+  });
+  select.value = selected;
+  if (!select.value) select.value = 'paste';
+  updateCompareSource();
+}
+
+function updateCompareSource() {
+  const isPaste = document.getElementById('compareSource').value === 'paste';
+  document.getElementById('compareTextGroup').style.display = isPaste ? '' : 'none';
+}
+
+// The earlier policy as { name, policy }, or null after reporting why it is not available
+function getComparePolicy() {
+  const source = document.getElementById('compareSource').value;
+
+  if (source.startsWith('history:')) {
+    const idx = Number(source.slice('history:'.length));
+    return { name: undoHistory.steps[idx].label, policy: getHistoryOutput(idx) };
+  }
+
+  if (source.startsWith('library:')) {
+    const saved = library.policies.find((p) => p.id === source.slice('library:'.length));
+    const decoded = saved ? getLibraryPolicyState(saved) : null;
+    if (!decoded || !decoded.isValid) {
+      showNotification('❌ Cannot compare - the saved policy is damaged', 'error');
+      return null;
+    }
+    const result = buildPolicy({
+      bucketName: decoded.state.bucketName,
+      provider: decoded.state.provider,
+      statements: decoded.state.statements.map(statementToConfig),
+    });
+    if (!result.isValid) {
+      showNotification(`❌ Cannot compare with "${saved.name}": ` + result.errors[0], 'error');
+      return null;
+    }
+    return { name: `"${saved.name}"`, policy: result.policy };
+  }
+
+  const text = document.getElementById('compareText').value.trim();
+  if (!text) {
+    showNotification('Paste or open the earlier policy to compare with', 'error');
+    return null;
+  }
+  return { name: 'the pasted policy', policy: text };
+}
+
+function comparePolicies() {
+  const resultBox = document.getElementById('compareResult');
+  resultBox.innerHTML = '';
+
+  const earlier = getComparePolicy();
+  if (!earlier) return;
+
+  const result = diffPolicies(earlier.policy, document.getElementById('policyOutput').textContent);
+  if (!result.isValid) {
+    showNotification('❌ Cannot compare:\n• ' + result.errors.join('\n• '), 'error');
+    return;
+  }
+
+  const { added, removed, changed, unchanged } = result.summary;
+  const summary = document.createElement('div');
+  summary.className = 'compare-summary';
+  summary.textContent =
+    added + removed + changed === 0
+      ? `No differences from ${earlier.name}`
+      : `Compared with ${earlier.name}: ${added} added, ${removed} removed, ` +
+        `${changed} changed, ${unchanged} unchanged statements`;
+  resultBox.appendChild(summary);
+
+  if (result.broadening.length > 0) {
+    const warning = document.createElement('div');
+    warning.className = 'compare-broadening';
+    warning.textContent = '⚠️ These changes broaden access:';
+    const list = document.createElement('ul');
+    result.broadening.forEach((message) => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    warning.appendChild(list);
+    resultBox.appendChild(warning);
+  }
+
+  const signs = { added: '+', removed: '−', changed: '~' };
+  result.statements
+    .filter((stmt) => stmt.status !== 'unchanged')
+    .forEach((stmt) => {
+      const box = document.createElement('div');
+      box.className = `compare-statement ${stmt.status}`;
+      const title = document.createElement('div');
+      title.className = 'compare-statement-title';
+      title.textContent = `${signs[stmt.status]} ${stmt.label} (${stmt.effect}) - ${stmt.status}`;
+
+      const list = document.createElement('ul');
+      const addLine = (className, text) => {
+        const item = document.createElement('li');
+        item.className = className;
+        item.textContent = text;
+        list.appendChild(item);
+      };
+      stmt.changes.forEach((change) => {
+        if (change.field === 'Effect') {
+          addLine('', `Effect: ${change.before} → ${change.after}`);
+          return;
+        }
+        change.removed.forEach((value) => addLine('diff-removed', `− ${change.field}: ${value}`));
+        change.added.forEach((value) => addLine('diff-added', `+ ${change.field}: ${value}`));
+      });
+
+      box.append(title, list);
+      resultBox.appendChild(box);
+    });
+
+  if (result.broadening.length > 0) {
+    const count = result.broadening.length;
+    showNotification(`⚠️ ${count} change${count === 1 ? '' : 's'} broaden access`, 'warning');
+  }
+}
+
+function openCompareFile() {
+  document.getElementById('compareFile').click();
 }
 
 function showNotification(message, type = 'success') {
@@ -1494,6 +2976,45 @@ function showNotification(message, type = 'success') {
 
 // Initialize with default empty policy
 window.onload = function () {
+  renderActionCategories();
+  renderTemplateButtons();
+
+  // Start with a single empty statement and keep the statement list in sync with the form
+  statements = [createEmptyStatement()];
+  activeStatementIndex = 0;
+  writeStatementForm(statements[0]);
+  renderStatementList();
+
+  const syncActiveStatement = function () {
+    saveActiveStatement();
+    renderStatementList();
+    scheduleHistoryStep('Edit form');
+  };
+  ['statementSid', 'policyEffect', 'principal', 'customActions', 'resourcePath'].forEach((id) => {
+    document.getElementById(id).addEventListener('input', syncActiveStatement);
+  });
+  document.getElementById('targetProvider').addEventListener('change', updateProviderMode);
+  updateProviderMode();
+  ['resourcePath', 'sampleKeys'].forEach((id) => {
+    document.getElementById(id).addEventListener('input', updateResourcePathValidation);
+  });
+
+  // Condition rows are created dynamically, so listen on their container
+  const conditionList = document.getElementById('conditionRows');
+  conditionList.addEventListener('input', updateConditionRowMessages);
+  conditionList.addEventListener('input', syncActiveStatement);
+  conditionList.addEventListener('change', updateConditionRowMessages);
+  conditionList.addEventListener('change', syncActiveStatement);
+  document.getElementById('policyEffect').addEventListener('change', syncActiveStatement);
+  document.querySelectorAll('input[type="checkbox"].s3-action').forEach((cb) => {
+    cb.addEventListener('change', syncActiveStatement);
+    cb.addEventListener('change', updateActionCounts);
+  });
+  document.getElementById('actionSearch').addEventListener('input', filterActions);
+  const customActionsInput = document.getElementById('customActions');
+  customActionsInput.addEventListener('input', renderCustomActionsPreview);
+  customActionsInput.addEventListener('change', moveKnownCustomActions);
+
   // Add real-time validation for bucket name with debouncing
   const bucketNameInput = document.getElementById('bucketName');
 
@@ -1542,8 +3063,107 @@ window.onload = function () {
     }
   });
 
+  // Import existing policies from a file picker or by dropping a file onto the output
+  const importFileInput = document.getElementById('importFile');
+  importFileInput.addEventListener('change', function () {
+    importPolicyFile(this.files[0]);
+    this.value = '';
+  });
+
+  const policyOutput = document.getElementById('policyOutput');
+  policyOutput.addEventListener('dragover', function (event) {
+    event.preventDefault();
+    this.classList.add('drag-over');
+  });
+  policyOutput.addEventListener('dragleave', function () {
+    this.classList.remove('drag-over');
+  });
+  policyOutput.addEventListener('drop', function (event) {
+    event.preventDefault();
+    this.classList.remove('drag-over');
+    if (event.dataTransfer && event.dataTransfer.files.length > 0) {
+      importPolicyFile(event.dataTransfer.files[0]);
+    }
+  });
+
+  // The output is a JSON editor: plain-text paste, indentation, bracket matching and live checks
+  policyOutput.addEventListener('input', handleEditorInput);
+  policyOutput.addEventListener('input', () => showEditorCompletions(false));
+  policyOutput.addEventListener('keydown', handleEditorKeydown);
+  policyOutput.addEventListener('blur', closeEditorCompletions);
+  policyOutput.addEventListener('mousedown', closeEditorCompletions);
+  policyOutput.addEventListener('paste', function (event) {
+    event.preventDefault();
+    const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+    insertEditorText(text.replace(/\r\n?/g, '\n'));
+  });
+  document.addEventListener('selectionchange', updateEditorCaret);
+
+  // Export formats follow the policy output, bucket name and target provider
+  const exportFormat = document.getElementById('exportFormat');
+  exportFormat.replaceChildren(
+    ...Object.values(EXPORT_FORMATS).map((format) => new Option(format.name, format.id))
+  );
+  exportFormat.value = 'terraform';
+  exportFormat.addEventListener('change', updateExportPreview);
+  document.getElementById('exportEndpoint').addEventListener('input', updateExportPreview);
+  document.getElementById('bucketName').addEventListener('input', updateExportPreview);
+  document.getElementById('targetProvider').addEventListener('change', updateExportPreview);
+  setPolicyOutput(OUTPUT_PLACEHOLDER);
+
+  // Saved policies, then the form from a shared link or else the autosaved draft
+  library = readLibrary(localStorage);
+  renderLibraryList();
+  document.getElementById('libraryFile').addEventListener('change', function () {
+    const [file] = this.files;
+    if (file) {
+      file
+        .text()
+        .then((text) => importSavedPolicies(text))
+        .catch(() => showNotification(`Failed to read ${file.name}`, 'error'));
+    }
+    this.value = '';
+  });
+  document.getElementById('bucketName').addEventListener('input', scheduleDraftSave);
+  document.getElementById('targetProvider').addEventListener('change', scheduleDraftSave);
+  if (location.hash && location.hash !== '#') {
+    restoreFromLink();
+  } else {
+    restoreDraft();
+  }
+
+  // Undo history starts from the form as loaded
+  undoHistory = createHistory();
+  pendingStepLabel = null;
+  recordHistory('Start');
+  ['bucketName', 'targetProvider'].forEach((id) => {
+    document.getElementById(id).addEventListener('input', () => scheduleHistoryStep('Edit form'));
+  });
+
+  // Compare mode reads a file into the paste box
+  document.getElementById('compareSource').addEventListener('change', updateCompareSource);
+  document.getElementById('compareFile').addEventListener('change', function () {
+    const [file] = this.files;
+    if (file) {
+      file
+        .text()
+        .then((text) => {
+          document.getElementById('compareText').value = text;
+          document.getElementById('compareSource').value = 'paste';
+          updateCompareSource();
+        })
+        .catch(() => showNotification(`Failed to read ${file.name}`, 'error'));
+    }
+    this.value = '';
+  });
+
   // Add keyboard shortcuts
   document.addEventListener('keydown', function (event) {
+    // Copy and paste keep their usual meaning in text fields and the policy editor
+    const isEditingText =
+      ['INPUT', 'TEXTAREA'].includes(event.target.tagName) ||
+      Boolean(event.target.closest?.('[contenteditable="true"]'));
+
     // Ctrl/Cmd + S: Download policy
     if ((event.ctrlKey || event.metaKey) && event.key === 's') {
       event.preventDefault();
@@ -1555,8 +3175,8 @@ window.onload = function () {
       }
     }
 
-    // Ctrl/Cmd + V: Validate policy
-    if ((event.ctrlKey || event.metaKey) && event.key === 'v') {
+    // Ctrl/Cmd + V: Validate policy (when not editing text)
+    if ((event.ctrlKey || event.metaKey) && event.key === 'v' && !isEditingText) {
       event.preventDefault();
       if (currentPolicy) {
         validatePolicy();
@@ -1565,12 +3185,8 @@ window.onload = function () {
       }
     }
 
-    // Ctrl/Cmd + C: Copy policy (when not in input field)
-    if (
-      (event.ctrlKey || event.metaKey) &&
-      event.key === 'c' &&
-      !['INPUT', 'TEXTAREA'].includes(event.target.tagName)
-    ) {
+    // Ctrl/Cmd + C: Copy policy (when not editing text)
+    if ((event.ctrlKey || event.metaKey) && event.key === 'c' && !isEditingText) {
       if (currentPolicy) {
         copyPolicy();
       }
@@ -1582,6 +3198,19 @@ window.onload = function () {
       generatePolicy();
     }
 
+    // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z: Redo - text fields keep their own undo
+    const isTextField =
+      event.target.tagName === 'TEXTAREA' ||
+      (event.target.tagName === 'INPUT' && !['checkbox', 'file'].includes(event.target.type));
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z' && !isTextField) {
+      event.preventDefault();
+      if (event.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    }
+
     // Ctrl/Cmd + K: Clear form
     if ((event.ctrlKey || event.metaKey) && event.key === 'k') {
       event.preventDefault();
@@ -1595,12 +3224,49 @@ window.onload = function () {
         'Keyboard Shortcuts:\n' +
           '• Ctrl/Cmd + G: Generate Policy\n' +
           '• Ctrl/Cmd + S: Download Policy\n' +
-          '• Ctrl/Cmd + C: Copy Policy\n' +
-          '• Ctrl/Cmd + V: Validate Policy\n' +
+          '• Ctrl/Cmd + C: Copy Policy (outside text fields)\n' +
+          '• Ctrl/Cmd + V: Validate Policy (outside text fields)\n' +
           '• Ctrl/Cmd + K: Clear Form\n' +
+          '• Ctrl/Cmd + Z: Undo\n' +
+          '• Ctrl/Cmd + Shift + Z: Redo\n' +
           '• Ctrl/Cmd + /: Show This Help',
         'success'
       );
     }
   });
 };
+
+// Expose the handlers referenced by inline onclick attributes in index.html
+Object.assign(window, {
+  toggleCategory,
+  loadTemplate,
+  openTemplateWizard,
+  closeTemplateWizard,
+  wizardNext,
+  wizardBack,
+  addStatement,
+  duplicateStatement,
+  moveStatement,
+  deleteStatement,
+  generatePolicy,
+  copyPolicy,
+  downloadPolicy,
+  copyExport,
+  downloadExport,
+  clearForm,
+  validatePolicy,
+  importPolicyFromOutput,
+  openPolicyFile,
+  closeImportChooser,
+  copyLink,
+  undo,
+  redo,
+  saveToLibrary,
+  exportSavedPolicies,
+  openSavedPoliciesFile,
+  analyzePolicyRisk,
+  comparePolicies,
+  openCompareFile,
+  simulatePolicy,
+  addConditionRow,
+});
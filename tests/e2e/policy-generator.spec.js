@@ -3,6 +3,7 @@
  * Tests the full UI functionality and user workflows
  */
 
+import { Buffer } from 'buffer';
 import { test, expect } from '@playwright/test';
 
 test.describe('Policy Generator - Page Load', () => {
@@ -20,7 +21,7 @@ test.describe('Policy Generator - Page Load', () => {
     await expect(page.locator('#policyEffect')).toBeVisible();
     await expect(page.locator('#resourcePath')).toBeVisible();
     await expect(page.locator('#customActions')).toBeVisible();
-    await expect(page.locator('#condition')).toBeVisible();
+    await expect(page.locator('button:has-text("Add Condition")')).toBeVisible();
     await expect(page.locator('.generate-btn')).toBeVisible();
   });
 
@@ -125,6 +126,43 @@ test.describe('Policy Generator - Category Toggle', () => {
     // Should be collapsed again
     await expect(bucketOpsCategory).toHaveClass(/collapsed/);
   });
+
+  test('should render every category of the action catalog', async ({ page }) => {
+    await page.goto('/');
+
+    await expect(page.locator('.action-category')).toHaveCount(10);
+    await expect(page.locator('.action-category h4').last()).toHaveText('🚀 Advanced');
+
+    const configuration = page.locator('.action-category:has-text("Bucket Configuration")');
+    await configuration.locator('.category-header').click();
+    await expect(configuration.locator('#action_s3_PutLifecycleConfiguration')).toBeVisible();
+  });
+});
+
+test.describe('Policy Generator - Action Picker', () => {
+  test('should filter actions and select a pattern', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#actionSearch').fill('s3:*BucketTagging');
+    await expect(page.locator('#actionSearchPreview')).toContainText('covers 3 actions');
+    await expect(page.locator('#action_s3_GetObject')).toBeHidden();
+
+    await page.locator('#actionSearchPreview button').click();
+    await expect(page.locator('#action_s3_PutBucketTagging')).toBeChecked();
+    await expect(
+      page.locator('.action-category:has-text("Bucket Tagging") .category-count')
+    ).toHaveText('3 selected');
+  });
+
+  test('should move a known custom action to its checkbox', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#customActions').fill('s3:ListMultipartUploadParts');
+    await page.locator('#resourcePath').click();
+
+    await expect(page.locator('#action_s3_ListMultipartUploadParts')).toBeChecked();
+    await expect(page.locator('#customActions')).toHaveValue('');
+  });
 });
 
 test.describe('Policy Generator - Template Loading', () => {
@@ -168,6 +206,64 @@ test.describe('Policy Generator - Template Loading', () => {
     await expect(page.locator('#action_s3_GetBucketVersioning')).toBeChecked();
     await expect(page.locator('#action_s3_PutBucketVersioning')).toBeChecked();
   });
+
+  test('should load every statement of a multi-statement template', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('test-bucket');
+    await page.locator('.template-btn', { hasText: 'Prefix-Based Access' }).click();
+
+    // Accept the bucket name and both folders, then create the policy
+    for (let step = 0; step < 4; step++) {
+      await page.locator('#wizardNext').click();
+    }
+    await expect(page.locator('.statement-item')).toHaveCount(3);
+
+    const policy = JSON.parse(await page.locator('#policyOutput').textContent());
+    expect(policy.Statement[0].Condition.StringLike['s3:prefix']).toEqual([
+      'documents/*',
+      'images/*',
+    ]);
+    expect(policy.Statement[2].Resource).toBe('arn:aws:s3:::test-bucket/images/*');
+  });
+});
+
+test.describe('Policy Generator - Template Wizard', () => {
+  test('should ask for the allowed IP ranges', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('.template-btn', { hasText: 'IP-Restricted Access' }).click();
+    await expect(page.locator('#wizardProgress')).toHaveText('Step 1 of 3');
+    await page.locator('#wizardInput').fill('office-bucket');
+    await page.locator('#wizardInput').press('Enter');
+
+    await expect(page.locator('#wizardLabel')).toHaveText('Allowed IP ranges');
+    await page.locator('#wizardInput').fill('10.0.0.300/8');
+    await page.locator('#wizardNext').click();
+    await expect(page.locator('#wizardValidation')).toContainText('is not a valid IP address');
+
+    await page.locator('#wizardInput').fill('10.1.0.0/16');
+    await page.locator('#wizardNext').click();
+    await expect(page.locator('#wizardPreview')).toContainText('10.1.0.0/16');
+    await page.locator('#wizardNext').click();
+
+    await expect(page.locator('#templateWizard')).toBeHidden();
+    await expect(page.locator('#policyOutput')).toContainText('"aws:SourceIp": "10.1.0.0/16"');
+  });
+
+  test('should give each team its own statement', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('.template-btn', { hasText: 'Team Folders' }).click();
+    await page.locator('#wizardInput').fill('test-bucket');
+    await page.locator('#wizardNext').click();
+    await page.locator('#wizardInput').fill('marketing\nfinance\nsales');
+    await page.locator('#wizardNext').click();
+    await page.locator('#wizardNext').click();
+
+    await expect(page.locator('.statement-item')).toHaveCount(4);
+    await expect(page.locator('#policyOutput')).toContainText('test-bucket/sales/*');
+  });
 });
 
 test.describe('Policy Generator - Policy Generation', () => {
@@ -274,6 +370,21 @@ test.describe('Policy Generator - Policy Generation', () => {
 
     expect(policyText).toContain('documents/*');
   });
+
+  test('should give bucket-level actions the bucket ARN', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('locked-bucket');
+    await page
+      .locator('.action-category:has-text("Object Lock & Compliance") .category-header')
+      .click();
+    await page.locator('#action_s3_PutObjectLockConfiguration').check();
+
+    await page.locator('.generate-btn').click();
+
+    const policy = JSON.parse(await page.locator('#policyOutput').textContent());
+    expect(policy.Statement[0].Resource).toBe('arn:aws:s3:::locked-bucket');
+  });
 });
 
 test.describe('Policy Generator - Policy Validation', () => {
@@ -315,6 +426,101 @@ test.describe('Policy Generator - Policy Validation', () => {
     await expect(notification).toBeVisible();
     await expect(notification).toContainText('Invalid JSON');
   });
+
+  test('should list findings in the validation report', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('test-bucket');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('#customActions').fill('s3:GetObjct');
+    await page.locator('.generate-btn').click();
+    await page.locator('.validate-btn').click();
+
+    const report = page.locator('#validationSection');
+    await expect(report).toBeVisible();
+    const finding = report.locator('.validation-finding', { hasText: 's3:GetObjct' });
+    await expect(finding.locator('.validation-rule')).toHaveText('action-unknown');
+
+    // The report stays after the notification has gone, and points into the JSON
+    await finding.click();
+    await expect(page.locator('#policyOutput mark.json-highlight')).toHaveText('"s3:GetObjct"');
+    await expect(page.locator('#customActions')).toHaveClass(/field-highlight/);
+  });
+});
+
+test.describe('Policy Generator - JSON Editor', () => {
+  test('should highlight the policy and mark problems while typing', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('test-bucket');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('.generate-btn').click();
+
+    const output = page.locator('#policyOutput');
+    await expect(output.locator('.json-key').first()).toHaveText('"Version"');
+    await expect(page.locator('#editorLint')).toHaveText('✅ No errors or warnings');
+
+    await output.fill('{\n  "Version": "2012-10-17",\n  "Statement": [,]\n}');
+    await expect(output.locator('.json-marker.error')).toHaveText(',');
+    await expect(page.locator('#policyGutter .gutter-line.error')).toHaveText('3');
+    await expect(page.locator('#editorLint')).toContainText('line 3, column 17');
+  });
+
+  test('should indent new lines and match brackets', async ({ page }) => {
+    await page.goto('/');
+
+    const output = page.locator('#policyOutput');
+    await output.fill('');
+    await output.click();
+    await page.keyboard.type('{');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('"Statement": [');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('1]');
+    await expect(output).toHaveText('{\n  "Statement": [\n    1]');
+
+    // The caret is after "]", so it and its "[" are marked
+    await expect(output.locator('.json-bracket-match')).toHaveText(['[', ']']);
+    await expect(page.locator('#editorPosition')).toHaveText('Ln 3, Col 7');
+  });
+
+  test('should paste plain text', async ({ page, context }) => {
+    await context.grantPermissions(['clipboard-read', 'clipboard-write']);
+    await page.goto('/');
+
+    await page.evaluate(() => navigator.clipboard.writeText('{ "pasted": true }'));
+    const output = page.locator('#policyOutput');
+    await output.fill('');
+    await output.click();
+    await page.keyboard.press('ControlOrMeta+v');
+
+    await expect(output).toHaveText('{ "pasted": true }');
+    await expect(page.locator('#notification')).not.toContainText('Validat');
+  });
+
+  test('should suggest keys and values from the policy schema', async ({ page }) => {
+    await page.goto('/');
+
+    const output = page.locator('#policyOutput');
+    const suggestions = page.locator('#editorCompletions');
+    await output.fill('');
+    await output.click();
+    await page.keyboard.type('{"Statement": [{"Eff');
+    await expect(suggestions.locator('.completion-label')).toHaveText(['Effect']);
+
+    await page.keyboard.press('Enter');
+    await expect(suggestions.locator('.completion-label')).toHaveText(['Allow', 'Deny']);
+    await page.keyboard.press('ArrowDown');
+    await page.keyboard.press('Enter');
+    await expect(output).toHaveText('{"Statement": [{"Effect": "Deny"');
+    await expect(suggestions).toBeHidden();
+
+    await page.keyboard.type(', ');
+    await page.keyboard.press('Control+Space');
+    await expect(suggestions.locator('.completion-label').first()).toHaveText('Sid');
+    await page.keyboard.press('Escape');
+    await expect(suggestions).toBeHidden();
+  });
 });
 
 test.describe('Policy Generator - Copy and Download', () => {
@@ -364,6 +570,36 @@ test.describe('Policy Generator - Copy and Download', () => {
   });
 });
 
+test.describe('Policy Generator - Export', () => {
+  test('should export the policy as Terraform, CloudFormation or a CLI command', async ({
+    page,
+  }) => {
+    await page.goto('/');
+    await page.locator('#bucketName').fill('export-bucket');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('.generate-btn').click();
+
+    const preview = page.locator('#exportPreview');
+    await expect(preview).toContainText('resource "aws_s3_bucket_policy" "export_bucket"');
+    await expect(preview).toContainText('storage.impossibleapi.net');
+
+    await page.locator('#exportFormat').selectOption('cloudformation');
+    await expect(preview).toContainText('Type: AWS::S3::BucketPolicy');
+    await expect(page.locator('#exportEndpoint')).toBeHidden();
+
+    await page.locator('#exportFormat').selectOption('cli');
+    await expect(preview).toContainText('aws s3api put-bucket-policy');
+
+    const downloadPromise = page.waitForEvent('download');
+    await page
+      .locator('.export-section')
+      .getByRole('button', { name: /Download/ })
+      .click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('export-bucket-policy.sh');
+  });
+});
+
 test.describe('Policy Generator - Clear Form', () => {
   test('should clear form when confirmed', async ({ page }) => {
     await page.goto('/');
@@ -461,3 +697,416 @@ test.describe('Policy Generator - Custom Actions', () => {
     expect(policyText).toContain('s3:PutObjectAcl');
   });
 });
+
+test.describe('Policy Generator - Multiple Statements', () => {
+  test('should assemble several statements into one policy', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('test-bucket');
+    await page.locator('#action_s3_GetObject').check();
+
+    // Add a second statement that denies uploads
+    await page.locator('.statement-btn:has-text("Add")').click();
+    await page.locator('#policyEffect').selectOption('Deny');
+    await page.locator('#action_s3_PutObject').check();
+
+    await page.locator('.generate-btn').click();
+    await page.waitForTimeout(500);
+
+    const policy = JSON.parse(await page.locator('#policyOutput').textContent());
+    expect(policy.Statement).toHaveLength(2);
+    expect(policy.Statement[0].Effect).toBe('Allow');
+    expect(policy.Statement[0].Action).toBe('s3:GetObject');
+    expect(policy.Statement[1].Effect).toBe('Deny');
+    expect(policy.Statement[1].Action).toBe('s3:PutObject');
+  });
+
+  test('should keep each statement form state separately', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('.statement-btn:has-text("Add")').click();
+    await expect(page.locator('#action_s3_GetObject')).not.toBeChecked();
+
+    // Switch back to the first statement
+    await page.locator('.statement-item').first().click();
+    await expect(page.locator('#action_s3_GetObject')).toBeChecked();
+  });
+
+  test('should duplicate, reorder and delete statements', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#statementSid').fill('ReadAccess');
+    await page.locator('.statement-btn:has-text("Duplicate")').click();
+    await expect(page.locator('.statement-item')).toHaveCount(2);
+
+    await page.locator('.statement-btn:has-text("Up")').click();
+    await expect(page.locator('.statement-item').first()).toHaveClass(/active/);
+
+    await page.locator('.statement-btn:has-text("Delete")').click();
+    await expect(page.locator('.statement-item')).toHaveCount(1);
+    await expect(page.locator('.statement-item').first()).toContainText('ReadAccess');
+  });
+});
+
+test.describe('Policy Generator - Import Policy', () => {
+  test('should import pasted policy JSON into the form', async ({ page }) => {
+    await page.goto('/');
+
+    const policy = {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Sid: 'ReadDocuments',
+          Effect: 'Allow',
+          Action: ['s3:GetObject', 's3:GetObjectAcl'],
+          Resource: 'arn:aws:s3:::imported-bucket/documents/*',
+        },
+        {
+          Sid: 'DenyInsecure',
+          Effect: 'Deny',
+          Action: 's3:PutObject',
+          Resource: 'arn:aws:s3:::imported-bucket/*',
+          Condition: { Bool: { 'aws:SecureTransport': 'false' } },
+        },
+      ],
+    };
+    await page.locator('#policyOutput').fill(JSON.stringify(policy));
+    await page.locator('.import-btn').click();
+
+    await expect(page.locator('#bucketName')).toHaveValue('imported-bucket');
+    await expect(page.locator('.statement-item')).toHaveCount(2);
+    await expect(page.locator('#statementSid')).toHaveValue('ReadDocuments');
+    await expect(page.locator('#action_s3_GetObject')).toBeChecked();
+    await expect(page.locator('#customActions')).toHaveValue('s3:GetObjectAcl');
+    await expect(page.locator('#resourcePath')).toHaveValue('documents/*');
+
+    await page.locator('.statement-item').nth(1).click();
+    await expect(page.locator('#policyEffect')).toHaveValue('Deny');
+    await expect(page.locator('#conditionRows .condition-key')).toHaveValue('aws:SecureTransport');
+  });
+
+  test('should import a policy file from examples', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#importFile').setInputFiles('examples/prefix-based-access.json');
+
+    await expect(page.locator('#bucketName')).toHaveValue('your-bucket-name');
+    await expect(page.locator('.statement-item')).toHaveCount(3);
+  });
+
+  test('should import a policy from a Terraform file', async ({ page }) => {
+    await page.goto('/');
+
+    const terraform = [
+      'resource "aws_s3_bucket" "data" {',
+      '  bucket = "terraform-bucket"',
+      '}',
+      'data "aws_iam_policy_document" "read" {',
+      '  statement {',
+      '    sid       = "ReadObjects"',
+      '    actions   = ["s3:GetObject"]',
+      '    resources = ["${aws_s3_bucket.data.arn}/*"]',
+      '  }',
+      '}',
+    ].join('\n');
+    await page.locator('#importFile').setInputFiles({
+      name: 'main.tf',
+      mimeType: 'text/plain',
+      buffer: Buffer.from(terraform),
+    });
+
+    const found = page.locator('#importDocuments .import-document');
+    await expect(found).toHaveCount(1);
+    await expect(found).toContainText('data.aws_iam_policy_document.read');
+    await found.click();
+
+    await expect(page.locator('#importSection')).toBeHidden();
+    await expect(page.locator('#policyOutput')).toContainText('arn:aws:s3:::terraform-bucket/*');
+
+    await page.locator('.import-btn').click();
+    await expect(page.locator('#bucketName')).toHaveValue('terraform-bucket');
+    await expect(page.locator('#statementSid')).toHaveValue('ReadObjects');
+  });
+});
+
+test.describe('Policy Generator - Target Provider', () => {
+  test('should add principals when targeting AWS S3', async ({ page }) => {
+    await page.goto('/');
+
+    await expect(page.locator('#principal')).toBeHidden();
+    await page.locator('#targetProvider').selectOption('aws');
+    await expect(page.locator('#principal')).toBeVisible();
+
+    await page.locator('#bucketName').fill('aws-bucket');
+    await page.locator('#principal').fill('arn:aws:iam::123456789012:root');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('.generate-btn').click();
+
+    const policy = JSON.parse(await page.locator('#policyOutput').textContent());
+    expect(policy.Statement[0].Principal).toEqual({ AWS: 'arn:aws:iam::123456789012:root' });
+  });
+
+  test('should warn about AWS-only actions for a MinIO target', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#targetProvider').selectOption('generic');
+    await expect(page.locator('#providerDescription')).toContainText('MinIO');
+
+    await page.locator('#bucketName').fill('minio-bucket');
+    await page.locator('#principal').fill('*');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('#customActions').fill('s3:PutBucketWebsite');
+    await page.locator('.generate-btn').click();
+
+    await expect(page.locator('#notification')).toContainText(
+      '"s3:PutBucketWebsite" is not supported by Generic S3 (MinIO)'
+    );
+  });
+});
+
+test.describe('Policy Generator - Condition Builder', () => {
+  test('should build a condition from rows', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('condition-bucket');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('button:has-text("Add Condition")').click();
+
+    const row = page.locator('#conditionRows .condition-row').first();
+    await row.locator('.condition-operator').selectOption('IpAddress');
+    await row.locator('.condition-key').fill('aws:SourceIp');
+    await row.locator('.condition-values').fill('203.0.113.0/24\n198.51.100.0/24');
+    await expect(row.locator('.condition-operator-name')).toHaveText('IpAddress');
+
+    await page.locator('.generate-btn').click();
+
+    const policy = JSON.parse(await page.locator('#policyOutput').textContent());
+    expect(policy.Statement[0].Condition).toEqual({
+      IpAddress: { 'aws:SourceIp': ['203.0.113.0/24', '198.51.100.0/24'] },
+    });
+  });
+
+  test('should show type errors on a row', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('button:has-text("Add Condition")').click();
+    const row = page.locator('#conditionRows .condition-row').first();
+    await row.locator('.condition-operator').selectOption('DateLessThan');
+    await row.locator('.condition-key').fill('aws:CurrentTime');
+    await row.locator('.condition-values').fill('yesterday');
+
+    await expect(row.locator('.condition-message')).toContainText('ISO 8601');
+  });
+});
+
+test.describe('Policy Generator - Policy Simulator', () => {
+  test('should show which statement allows a request', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('sim-bucket');
+    await page.locator('#statementSid').fill('ReadAll');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('.generate-btn').click();
+
+    await page.locator('#simAction').fill('s3:GetObject');
+    await page.locator('#simResource').fill('docs/readme.txt');
+    await page.locator('.simulate-btn').click();
+
+    await expect(page.locator('#simulationResult')).toHaveClass(/allowed/);
+    await expect(page.locator('#simulationResult')).toContainText('Statement[0] (ReadAll)');
+  });
+
+  test('should apply conditions from the request context', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#importFile').setInputFiles('examples/encrypted-uploads-only.json');
+    await page.locator('#simAction').fill('s3:PutObject');
+    await page.locator('#simResource').fill('a.txt');
+    await page.locator('.simulate-btn').click();
+
+    await expect(page.locator('#simulationResult')).toHaveClass(/denied/);
+    await expect(page.locator('#simulationResult')).toContainText('DenyUnencryptedObjectUploads');
+
+    await page.locator('#simContext').fill('s3:x-amz-server-side-encryption=AES256');
+    await page.locator('.simulate-btn').click();
+
+    await expect(page.locator('#simulationResult')).toHaveClass(/allowed/);
+    await expect(page.locator('#simulationResult')).toContainText('AllowEncryptedOperations');
+  });
+});
+
+test.describe('Policy Generator - Shareable Links', () => {
+  test('should reopen the form from a copied link', async ({ page, context }) => {
+    await context.grantPermissions(['clipboard-read', 'clipboard-write']);
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('shared-bucket');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('#resourcePath').fill('reports/*');
+    await page.locator('button:has-text("Add")').first().click();
+    await page.locator('#policyEffect').selectOption('Deny');
+    await page.locator('#action_s3_DeleteObject').check();
+
+    await page.locator('.link-btn').click();
+    await expect(page.locator('#notification')).toContainText('Link copied');
+    const link = await page.evaluate(() => navigator.clipboard.readText());
+    expect(link).toContain('#v1.');
+
+    const shared = await context.newPage();
+    await shared.goto(link);
+
+    await expect(shared.locator('#bucketName')).toHaveValue('shared-bucket');
+    await expect(shared.locator('.statement-item')).toHaveCount(2);
+    await expect(shared.locator('#policyEffect')).toHaveValue('Deny');
+    await shared.locator('.statement-item').first().click();
+    await expect(shared.locator('#resourcePath')).toHaveValue('reports/*');
+    await expect(shared.locator('#action_s3_GetObject')).toBeChecked();
+  });
+});
+
+test.describe('Policy Generator - Saved Policies', () => {
+  test('should keep the draft across a reload', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('draft-bucket');
+    await page.locator('#action_s3_GetObject').check();
+    await expect(page.locator('#draftStatus')).toContainText('Draft saved');
+
+    await page.reload();
+    await expect(page.locator('#bucketName')).toHaveValue('draft-bucket');
+    await expect(page.locator('#action_s3_GetObject')).toBeChecked();
+  });
+
+  test('should save, duplicate and reopen named policies', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('uploads-bucket');
+    await page.locator('#action_s3_PutObject').check();
+    await page.locator('#libraryName').fill('Uploads');
+    await page.locator('button:has-text("💾 Save")').click();
+    await page.locator('.library-item .library-duplicate').click();
+    await expect(page.locator('.library-item-name')).toHaveText(['Uploads', 'Uploads (copy)']);
+
+    page.once('dialog', (dialog) => dialog.accept());
+    await page.locator('.clear-btn').click();
+    await expect(page.locator('#bucketName')).toHaveValue('');
+
+    await page.locator('.library-item .library-open').first().click();
+    await expect(page.locator('#bucketName')).toHaveValue('uploads-bucket');
+    await expect(page.locator('#action_s3_PutObject')).toBeChecked();
+  });
+
+  test('should export saved policies as one bundle', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('uploads-bucket');
+    await page.locator('#libraryName').fill('Uploads');
+    await page.locator('button:has-text("💾 Save")').click();
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('button:has-text("Export All")').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('saved-policies.json');
+  });
+});
+
+test.describe('Policy Generator - Undo History', () => {
+  test('should undo generating over a manual JSON edit', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('test-bucket');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('.generate-btn').click();
+
+    const output = page.locator('#policyOutput');
+    await output.evaluate((el) => {
+      el.textContent = '{ "edited": true }';
+      el.dispatchEvent(new Event('input'));
+    });
+    await page.locator('.generate-btn').click();
+    await expect(output).toContainText('2012-10-17');
+
+    await page.locator('h2:has-text("Generated Policy")').click();
+    await page.keyboard.press('Control+z');
+    await expect(output).toHaveText('{ "edited": true }');
+
+    await page.keyboard.press('Control+Shift+z');
+    await expect(output).toContainText('2012-10-17');
+  });
+
+  test('should jump back to an earlier step from the history panel', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('button:has-text("➕ Add")').click();
+    await page.locator('button:has-text("➕ Add")').click();
+    await expect(page.locator('.statement-item')).toHaveCount(3);
+
+    await page.locator('.history-item:has-text("Start")').click();
+    await expect(page.locator('.statement-item')).toHaveCount(1);
+    await expect(page.locator('.history-item.undone')).toHaveCount(2);
+  });
+});
+
+test.describe('Policy Generator - Compare Versions', () => {
+  test('should show what changed since a pasted policy', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('test-bucket');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('.generate-btn').click();
+    const earlier = await page.locator('#policyOutput').textContent();
+
+    await page.locator('#action_s3_PutObject').check();
+    await page.locator('.generate-btn').click();
+
+    await page.locator('#compareText').fill(earlier);
+    await page.locator('button:has-text("🔍 Compare")').click();
+
+    await expect(page.locator('.compare-summary')).toContainText('1 changed');
+    await expect(page.locator('.compare-statement li.diff-added')).toHaveText(
+      '+ Action: s3:PutObject'
+    );
+    await expect(page.locator('.compare-broadening')).toContainText('broaden access');
+  });
+});
+
+test.describe('Policy Generator - Least-Privilege Check', () => {
+  test('should score a wildcard policy as high risk', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('test-bucket');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('#customActions').fill('s3:*');
+    await page.locator('.generate-btn').click();
+    await page.locator('.analyze-btn').click();
+
+    await expect(page.locator('.analysis-score')).toContainText('(high)');
+    await expect(page.locator('.analysis-statement.high')).toContainText(
+      'you actually listed: s3:GetObject'
+    );
+  });
+});
+
+test.describe('Policy Generator - Resource Paths', () => {
+  test('should generate one ARN per path and preview matching keys', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#bucketName').fill('test-bucket');
+    await page.locator('#action_s3_GetObject').check();
+    await page.locator('#resourcePath').fill('reports\nuploads/*');
+    await expect(page.locator('#resourcePathValidation')).toContainText('use "reports/*"');
+
+    await page.locator('.path-preview summary').click();
+    await expect(page.locator('#resourcePathPreview li.matched')).toHaveText([
+      '✓ uploads/photo.jpg - matches uploads/*',
+    ]);
+
+    await page.locator('.generate-btn').click();
+    const policy = JSON.parse(await page.locator('#policyOutput').textContent());
+    expect(policy.Statement[0].Resource).toEqual([
+      'arn:aws:s3:::test-bucket/reports',
+      'arn:aws:s3:::test-bucket/uploads/*',
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the S3 action catalog
+ * Tests the resource types of actions and ARNs from lib/action-catalog.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  ACTION_CATEGORIES,
+  S3_ACTIONS,
+  RESOURCE_BUCKET,
+  RESOURCE_OBJECT,
+  expandActionPattern,
+  getAction,
+  getActionResourceTypes,
+  getCategoryActions,
+  searchActions,
+  splitKnownActions,
+  getArnResourceTypes,
+} from '../../lib/action-catalog.js';
+
+describe('Action Catalog', () => {
+  test('should list every action once', () => {
+    const names = S3_ACTIONS.map((entry) => entry.name);
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  test('should describe every action completely', () => {
+    const categoryIds = ACTION_CATEGORIES.map((category) => category.id);
+    S3_ACTIONS.forEach((entry) => {
+      expect(entry.name).toMatch(/^s3:[A-Za-z*]+$/);
+      expect(categoryIds).toContain(entry.category);
+      expect(['high', 'medium', 'low']).toContain(entry.risk);
+      expect(entry.description).toBeTruthy();
+      if (entry.name !== 's3:*') {
+        expect([RESOURCE_BUCKET, RESOURCE_OBJECT]).toContain(entry.resourceType);
+      }
+    });
+    categoryIds.forEach((id) => expect(getCategoryActions(id).length).toBeGreaterThan(0));
+  });
+
+  test('should rate actions that change access or delete data as risky', () => {
+    expect(getAction('s3:PutBucketPolicy').risk).toBe('high');
+    expect(getAction('s3:DeleteObjectVersion').risk).toBe('medium');
+    expect(getAction('s3:GetObject').risk).toBe('low');
+    expect(getAction('s3:GetBucketWebsite').awsOnly).toBe(true);
+  });
+
+  test('should look up actions case-insensitively', () => {
+    expect(getAction('S3:getobject').name).toBe('s3:GetObject');
+    expect(getAction('s3:Unknown')).toBeNull();
+  });
+
+  test('should not guess resource types from action names', () => {
+    expect(getActionResourceTypes('s3:PutObjectLockConfiguration')).toEqual([RESOURCE_BUCKET]);
+    expect(getActionResourceTypes('s3:ListBucketVersions')).toEqual([RESOURCE_BUCKET]);
+    expect(getActionResourceTypes('s3:ListBucketMultipartUploads')).toEqual([RESOURCE_BUCKET]);
+    expect(getActionResourceTypes('s3:ListMultipartUploadParts')).toEqual([RESOURCE_OBJECT]);
+    expect(getActionResourceTypes('s3:BypassGovernanceRetention')).toEqual([RESOURCE_OBJECT]);
+  });
+
+  test('should combine the resource types of the actions a wildcard covers', () => {
+    expect(getActionResourceTypes('s3:*')).toEqual([RESOURCE_BUCKET, RESOURCE_OBJECT]);
+    expect(getActionResourceTypes('s3:List*')).toEqual([RESOURCE_BUCKET, RESOURCE_OBJECT]);
+    expect(getActionResourceTypes('s3:GetObjectVersion*')).toEqual([RESOURCE_OBJECT]);
+    expect(getActionResourceTypes('s3:Unknown*')).toEqual([]);
+  });
+
+  test('should tell bucket ARNs from object ARNs', () => {
+    expect(getArnResourceTypes('arn:aws:s3:::b1')).toEqual([RESOURCE_BUCKET]);
+    expect(getArnResourceTypes('arn:aws:s3:::b1/docs/*')).toEqual([RESOURCE_OBJECT]);
+    expect(getArnResourceTypes('arn:aws:s3:::logs-*')).toEqual([RESOURCE_BUCKET, RESOURCE_OBJECT]);
+    expect(getArnResourceTypes('*')).toEqual([RESOURCE_BUCKET, RESOURCE_OBJECT]);
+  });
+});
+
+describe('Action Search', () => {
+  const names = (entries) => entries.map((entry) => entry.name);
+
+  test('should find actions by words in their name or description', () => {
+    expect(names(searchActions('multipart'))).toEqual([
+      's3:ListBucketMultipartUploads',
+      's3:AbortMultipartUpload',
+      's3:ListMultipartUploadParts',
+    ]);
+    expect(names(searchActions('legal hold'))).toEqual([
+      's3:GetObjectLegalHold',
+      's3:PutObjectLegalHold',
+    ]);
+    expect(searchActions('  ')).toHaveLength(S3_ACTIONS.length);
+    expect(searchActions('nothing like this')).toEqual([]);
+  });
+
+  test('should expand patterns into the concrete actions they cover', () => {
+    expect(expandActionPattern('s3:GetObjectVersion*')).toEqual([
+      's3:GetObjectVersion',
+      's3:GetObjectVersionAttributes',
+      's3:GetObjectVersionTagging',
+      's3:GetObjectVersionTorrent',
+      's3:GetObjectVersionAcl',
+    ]);
+    expect(expandActionPattern('*BucketTagging')).toEqual([
+      's3:GetBucketTagging',
+      's3:PutBucketTagging',
+      's3:DeleteBucketTagging',
+    ]);
+    expect(expandActionPattern('s3:*')).not.toContain('s3:*');
+    expect(names(searchActions('s3:Abort*'))).toEqual(['s3:AbortMultipartUpload']);
+  });
+
+  test('should split typed actions into catalog actions and the rest', () => {
+    expect(
+      splitKnownActions(['s3:getobject', 's3:GetObject', 's3:Get*', 's3:GetInventoryConfiguration'])
+    ).toEqual({
+      known: ['s3:GetObject'],
+      custom: ['s3:Get*', 's3:GetInventoryConfiguration'],
+    });
+  });
+});
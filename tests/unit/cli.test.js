@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the icpolicy command line interface
+ * Uses the policies in examples/ as a test corpus
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { readdirSync } from 'fs';
+import { runCli, EXIT_OK, EXIT_INVALID, EXIT_USAGE } from '../../lib/cli.js';
+import { POLICY_SCHEMA } from '../../lib/policy-schema.js';
+
+const examples = readdirSync('./examples')
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => `examples/${file}`);
+
+const policies = {
+  'invalid.json': JSON.stringify({
+    Version: '2012-10-17',
+    Statement: [{ Effect: 'Allow', Action: 's3:GetObject', Resource: 'my-bucket' }],
+  }),
+  'warning.json': JSON.stringify({
+    Version: '2008-10-17',
+    Statement: [{ Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::b1/*' }],
+  }),
+  'syntax.json': '{ not json',
+};
+
+function run(args, readFile) {
+  const output = [];
+  const errors = [];
+  const code = runCli(args, {
+    stdout: (line) => output.push(line),
+    stderr: (line) => errors.push(line),
+    readFile,
+  });
+  return { code, output: output.join('\n'), errors: errors.join('\n') };
+}
+
+function readFixture(file) {
+  if (!(file in policies)) throw new Error(`ENOENT: ${file}`);
+  return policies[file];
+}
+
+describe('icpolicy validate', () => {
+  test('should pass every example policy in strict mode', () => {
+    const result = run(['validate', '--strict', ...examples]);
+    expect(result.code).toBe(EXIT_OK);
+    expect(result.output).toContain(`${examples.length} files checked: 0 errors, 0 warnings`);
+  });
+
+  test('should exit non-zero and print file and statement paths on errors', () => {
+    const result = run(['validate', 'invalid.json'], readFixture);
+    expect(result.code).toBe(EXIT_INVALID);
+    expect(result.output).toContain(
+      'invalid.json: error: Statement[0].Resource[0]: Must be a valid S3 ARN'
+    );
+  });
+
+  test('should pass warnings unless --strict is given', () => {
+    expect(run(['validate', 'warning.json'], readFixture).code).toBe(EXIT_OK);
+
+    const strict = run(['validate', '--strict', 'warning.json'], readFixture);
+    expect(strict.code).toBe(EXIT_INVALID);
+    expect(strict.output).toContain('warning.json: warning: Version "2008-10-17" is deprecated');
+  });
+
+  test('should report JSON syntax errors and unreadable files', () => {
+    const result = run(['validate', 'syntax.json', 'missing.json'], readFixture);
+    expect(result.code).toBe(EXIT_INVALID);
+    expect(result.output).toContain('syntax.json: error: Invalid JSON syntax');
+    expect(result.output).toContain('missing.json: error: Cannot read file');
+  });
+
+  test('should validate against the provider given with --provider', () => {
+    expect(run(['validate', 'invalid.json'], readFixture).output).not.toContain('Principal');
+
+    const result = run(['validate', '--provider', 'aws', 'invalid.json'], readFixture);
+    expect(result.output).toContain('invalid.json: error: Statement[0]: Missing "Principal"');
+    expect(run(['validate', '--provider', 'gcs', 'a.json']).errors).toContain(
+      'Unknown provider "gcs"'
+    );
+  });
+
+  test('should print the policy JSON Schema', () => {
+    const result = run(['schema']);
+    expect(result.code).toBe(EXIT_OK);
+    expect(JSON.parse(result.output)).toEqual(POLICY_SCHEMA);
+    expect(run(['schema', 'out.json']).code).toBe(EXIT_USAGE);
+  });
+
+  test('should report usage errors', () => {
+    expect(run([]).code).toBe(EXIT_USAGE);
+    expect(run(['lint', 'a.json']).code).toBe(EXIT_USAGE);
+    expect(run(['validate']).code).toBe(EXIT_USAGE);
+    expect(run(['validate', '--fix', 'a.json']).errors).toContain('Unknown option "--fix"');
+  });
+});
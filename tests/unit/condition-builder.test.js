@@ -0,0 +1,101 @@
+/**
+ * Unit tests for the visual condition builder model
+ * Tests conditionToRows and rowsToCondition from lib/condition-builder.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  conditionToRows,
+  createConditionRow,
+  getRowOperator,
+  rowsToCondition,
+} from '../../lib/condition-builder.js';
+
+describe('Condition Rows', () => {
+  test('should build the full operator name from a row', () => {
+    expect(getRowOperator(createConditionRow({ operator: 'StringLike' }))).toBe('StringLike');
+    expect(
+      getRowOperator(
+        createConditionRow({ qualifier: 'ForAllValues', operator: 'StringEquals', ifExists: true })
+      )
+    ).toBe('ForAllValues:StringEqualsIfExists');
+    expect(getRowOperator(createConditionRow({ operator: 'Null', ifExists: true }))).toBe('Null');
+  });
+
+  test('should serialize rows, grouping keys under their operator', () => {
+    const result = rowsToCondition([
+      createConditionRow({ operator: 'IpAddress', key: 'aws:SourceIp', values: ['10.0.0.0/8'] }),
+      createConditionRow({
+        operator: 'IpAddress',
+        key: 'aws:VpcSourceIp',
+        values: ['10.1.0.0/16'],
+      }),
+      createConditionRow({ operator: 'StringLike', key: 's3:prefix', values: ['a/', ' b/ '] }),
+    ]);
+    expect(result.isValid).toBe(true);
+    expect(result.condition).toEqual({
+      IpAddress: { 'aws:SourceIp': '10.0.0.0/8', 'aws:VpcSourceIp': '10.1.0.0/16' },
+      StringLike: { 's3:prefix': ['a/', 'b/'] },
+    });
+  });
+
+  test('should ignore empty rows and return null when nothing is set', () => {
+    expect(rowsToCondition([createConditionRow()])).toEqual({
+      isValid: true,
+      condition: null,
+      errors: [],
+    });
+  });
+
+  test('should report incomplete and duplicate rows', () => {
+    const result = rowsToCondition([
+      createConditionRow({ key: 'aws:Referer' }),
+      createConditionRow({ values: ['x'] }),
+      createConditionRow({ key: 's3:prefix', values: ['a/'] }),
+      createConditionRow({ key: 's3:prefix', values: ['b/'] }),
+    ]);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'Condition 1: At least one value is required for aws:Referer',
+      'Condition 2: Condition key is required',
+      'Condition 4: s3:prefix is already used with StringEquals',
+    ]);
+  });
+
+  test('should load an existing Condition into rows', () => {
+    const rows = conditionToRows({
+      'ForAnyValue:StringLikeIfExists': { 'aws:TagKeys': ['team', 'env'] },
+      Bool: { 'aws:SecureTransport': true },
+    });
+    expect(rows).toEqual([
+      {
+        qualifier: 'ForAnyValue',
+        operator: 'StringLike',
+        ifExists: true,
+        key: 'aws:TagKeys',
+        values: ['team', 'env'],
+      },
+      {
+        qualifier: '',
+        operator: 'Bool',
+        ifExists: false,
+        key: 'aws:SecureTransport',
+        values: ['true'],
+      },
+    ]);
+    expect(conditionToRows(null)).toEqual([]);
+  });
+
+  test('should round-trip a condition through rows', () => {
+    const condition = {
+      StringNotEquals: { 's3:x-amz-server-side-encryption': 'AES256' },
+      NotIpAddress: { 'aws:SourceIp': ['203.0.113.0/24', '2001:db8::/32'] },
+      'ForAllValues:StringEquals': { 'aws:TagKeys': ['team'] },
+    };
+    const result = rowsToCondition(conditionToRows(condition));
+    expect(result.condition).toEqual({
+      ...condition,
+      'ForAllValues:StringEquals': { 'aws:TagKeys': 'team' },
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for the condition key catalog
+ * Tests key lookup, operator families and value type checks from lib/condition-keys.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  checkConditionEntry,
+  checkConditionValue,
+  getConditionKey,
+  getOperatorFamily,
+} from '../../lib/condition-keys.js';
+import { validatePolicyDocument } from '../../lib/policy-engine.js';
+
+function policyWithCondition(condition) {
+  return {
+    Version: '2012-10-17',
+    Statement: [
+      {
+        Effect: 'Allow',
+        Action: 's3:GetObject',
+        Resource: 'arn:aws:s3:::my-bucket/*',
+        Condition: condition,
+      },
+    ],
+  };
+}
+
+describe('Condition Key Catalog', () => {
+  test('should look up global and S3 keys case-insensitively', () => {
+    expect(getConditionKey('aws:SourceIp').type).toBe('IPAddress');
+    expect(getConditionKey('AWS:SOURCEIP').key).toBe('aws:SourceIp');
+    expect(getConditionKey('s3:max-keys').type).toBe('Numeric');
+  });
+
+  test('should match keys that take a tag suffix', () => {
+    expect(getConditionKey('aws:RequestTag/team').key).toBe('aws:RequestTag/*');
+    expect(getConditionKey('s3:ExistingObjectTag/classification').type).toBe('String');
+    expect(getConditionKey('aws:RequestTag/')).toBeNull();
+  });
+
+  test('should return null for unknown keys', () => {
+    expect(getConditionKey('aws:NotAKey')).toBeNull();
+  });
+
+  test('should work out operator families', () => {
+    expect(getOperatorFamily('StringNotLikeIfExists')).toBe('String');
+    expect(getOperatorFamily('ForAnyValue:StringEquals')).toBe('String');
+    expect(getOperatorFamily('NotIpAddress')).toBe('IPAddress');
+    expect(getOperatorFamily('ArnLike')).toBe('ARN');
+    expect(getOperatorFamily('DateGreaterThan')).toBe('Date');
+    expect(getOperatorFamily('Null')).toBe('Null');
+    expect(getOperatorFamily('Bogus')).toBeNull();
+  });
+});
+
+describe('Condition Value Types', () => {
+  test('should accept IPv4 and IPv6 addresses and CIDR blocks', () => {
+    ['203.0.113.0/24', '10.0.0.1', '2001:db8::/32', '::1'].forEach((value) => {
+      expect(checkConditionValue('IPAddress', value)).toBeNull();
+    });
+  });
+
+  test('should reject invalid IP addresses', () => {
+    [
+      'not-an-ip',
+      '256.0.0.1/8',
+      '10.0.0.0/33',
+      '2001:db8::/129',
+      '10.0.0',
+      '1:2:3:4::5:6:7:8',
+    ].forEach((value) => {
+      expect(checkConditionValue('IPAddress', value)).toMatch(/not a valid IP address/);
+    });
+  });
+
+  test('should accept ISO 8601 dates and epoch seconds', () => {
+    ['2025-12-31', '2025-12-31T23:59:59Z', '2025-12-31T23:59:59.000+01:00', '1735689599'].forEach(
+      (value) => {
+        expect(checkConditionValue('Date', value)).toBeNull();
+      }
+    );
+  });
+
+  test('should reject values that are not dates', () => {
+    expect(checkConditionValue('Date', 'yesterday')).toMatch(/ISO 8601/);
+    expect(checkConditionValue('Date', '2025-13-45')).toMatch(/ISO 8601/);
+  });
+
+  test('should check numeric, boolean and null values', () => {
+    expect(checkConditionValue('Numeric', '100')).toBeNull();
+    expect(checkConditionValue('Numeric', 1.2)).toBeNull();
+    expect(checkConditionValue('Numeric', 'ten')).toMatch(/not a number/);
+    expect(checkConditionValue('Bool', 'true')).toBeNull();
+    expect(checkConditionValue('Bool', false)).toBeNull();
+    expect(checkConditionValue('Bool', 'yes')).toMatch(/"true" or "false"/);
+    expect(checkConditionValue('Bool', 'True')).toBeNull();
+    expect(checkConditionValue('Null', 'FALSE')).toBeNull();
+    expect(checkConditionValue('Null', 'truthy')).toMatch(/"true" or "false"/);
+  });
+
+  test('should skip policy variables', () => {
+    expect(checkConditionValue('ARN', '${aws:PrincipalArn}')).toBeNull();
+  });
+});
+
+describe('Condition Entries', () => {
+  test('should warn when a key is used with an incompatible operator family', () => {
+    const result = checkConditionEntry('StringEquals', 'aws:SourceIp', '203.0.113.1');
+    expect(result.errors).toHaveLength(0);
+    expect(result.warnings[0]).toMatch(/IPAddress values .* IPAddress operators, not StringEquals/);
+  });
+
+  test('should allow String operators on ARN keys and Null on any key', () => {
+    expect(checkConditionEntry('StringLike', 'aws:PrincipalArn', 'arn:*').warnings).toHaveLength(0);
+    expect(checkConditionEntry('Null', 'aws:SourceIp', 'true').warnings).toHaveLength(0);
+    expect(
+      checkConditionEntry('NumericLessThan', 'aws:EpochTime', '1735689599').warnings
+    ).toHaveLength(0);
+  });
+
+  test('should warn about unknown aws: and s3: keys only', () => {
+    expect(checkConditionEntry('StringEquals', 's3:made-up', 'x').warnings[0]).toMatch(
+      /Unknown condition key/
+    );
+    expect(checkConditionEntry('StringEquals', 'kms:ViaService', 'x').warnings).toHaveLength(0);
+  });
+
+  test('should check every value in a list', () => {
+    const result = checkConditionEntry('IpAddress', 'aws:SourceIp', ['10.0.0.0/8', 'bad']);
+    expect(result.errors).toEqual(['"bad" is not a valid IP address or CIDR block']);
+  });
+
+  test('should reject empty and nested values', () => {
+    expect(checkConditionEntry('StringEquals', 's3:prefix', []).errors[0]).toMatch(/at least one/);
+    expect(checkConditionEntry('StringEquals', 's3:prefix', [{}]).errors[0]).toMatch(/Value 1/);
+  });
+});
+
+describe('Policy Condition Validation', () => {
+  test('should report invalid values with their path', () => {
+    const result = validatePolicyDocument(
+      policyWithCondition({ IpAddress: { 'aws:SourceIp': 'not-an-ip' } })
+    );
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain(
+      'Statement[0].Condition.IpAddress.aws:SourceIp: "not-an-ip" is not a valid IP address or CIDR block'
+    );
+  });
+
+  test('should reject dates that are not ISO 8601', () => {
+    const result = validatePolicyDocument(
+      policyWithCondition({ DateLessThan: { 'aws:CurrentTime': 'yesterday' } })
+    );
+    expect(result.isValid).toBe(false);
+  });
+
+  test('should warn about mismatched operator families', () => {
+    const result = validatePolicyDocument(
+      policyWithCondition({ StringEquals: { 'aws:SourceIp': '203.0.113.1' } })
+    );
+    expect(result.isValid).toBe(true);
+    expect(result.warnings.some((w) => w.includes('not StringEquals'))).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the HCL parser
+ * Tests reading Terraform attributes, blocks and expressions with lib/hcl-parser.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseHcl } from '../../lib/hcl-parser.js';
+
+// Nodes without their offsets, for comparing shapes
+function strip(value) {
+  if (Array.isArray(value)) return value.map(strip);
+  if (typeof value !== 'object' || value === null) return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => key !== 'start' && key !== 'end')
+      .map(([key, item]) => [key, strip(item)])
+  );
+}
+
+describe('HCL Parser', () => {
+  test('should read blocks with labels, attributes and comments', () => {
+    const { isValid, body } = parseHcl(
+      [
+        '# The bucket',
+        'resource "aws_s3_bucket" "data" {',
+        '  bucket = "team-data" // its name',
+        '  /* tags */',
+        '  tags = { Team = "data", "cost-center" : 42 }',
+        '  lifecycle {',
+        '    prevent_destroy = true',
+        '  }',
+        '}',
+      ].join('\n')
+    );
+
+    expect(isValid).toBe(true);
+    expect(strip(body.blocks)).toEqual([
+      {
+        type: 'resource',
+        labels: ['aws_s3_bucket', 'data'],
+        body: {
+          attributes: [
+            { name: 'bucket', value: { kind: 'literal', value: 'team-data' } },
+            {
+              name: 'tags',
+              value: {
+                kind: 'object',
+                items: [
+                  { key: 'Team', value: { kind: 'literal', value: 'data' } },
+                  { key: 'cost-center', value: { kind: 'literal', value: 42 } },
+                ],
+              },
+            },
+          ],
+          blocks: [
+            {
+              type: 'lifecycle',
+              labels: [],
+              body: {
+                attributes: [{ name: 'prevent_destroy', value: { kind: 'literal', value: true } }],
+                blocks: [],
+              },
+            },
+          ],
+        },
+      },
+    ]);
+  });
+
+  test('should keep interpolations apart from literal text and unescape $${', () => {
+    const { body } = parseHcl('arn = "${aws_s3_bucket.data.arn}/home/$${aws:username}/\\u00e9"\n');
+
+    expect(strip(body.attributes[0].value)).toEqual({
+      kind: 'template',
+      parts: [
+        { expression: 'aws_s3_bucket.data.arn', directive: false },
+        '/home/${aws:username}/é',
+      ],
+    });
+  });
+
+  test('should read function calls, tuples, references and heredocs', () => {
+    const { body } = parseHcl(
+      [
+        'policy = jsonencode({',
+        '  Action = ["s3:GetObject", var.extra_action]',
+        '})',
+        'doc = <<-EOT',
+        '    {',
+        '      "a": 1',
+        '    }',
+        '  EOT',
+      ].join('\n')
+    );
+
+    expect(strip(body.attributes[0].value)).toEqual({
+      kind: 'call',
+      name: 'jsonencode',
+      args: [
+        {
+          kind: 'object',
+          items: [
+            {
+              key: 'Action',
+              value: {
+                kind: 'tuple',
+                items: [
+                  { kind: 'literal', value: 's3:GetObject' },
+                  { kind: 'reference', text: 'var.extra_action' },
+                ],
+              },
+            },
+          ],
+        },
+      ],
+    });
+    expect(body.attributes[1].value.value).toBe('{\n  "a": 1\n}\n');
+  });
+
+  test('should keep operators and for expressions as raw expressions', () => {
+    const { body } = parseHcl(
+      ['count = var.enabled ? 1 : 0', 'names = [for b in var.buckets : upper(b)]'].join('\n')
+    );
+
+    expect(strip(body.attributes.map((attr) => attr.value))).toEqual([
+      { kind: 'expression', text: 'var.enabled ? 1 : 0' },
+      { kind: 'expression', text: '[for b in var.buckets : upper(b)]' },
+    ]);
+  });
+
+  test('should report syntax errors with their line and column', () => {
+    expect(parseHcl('resource "a" "b" {\n  bucket = "x\n}').errors).toEqual([
+      'Invalid HCL syntax: Unterminated string at line 2, column 12',
+    ]);
+    const unclosed = parseHcl('locals {\n  a = 1\n');
+    expect(unclosed.isValid).toBe(false);
+    expect(unclosed.errors[0]).toBe('Invalid HCL syntax: Expected "}" at line 3, column 1');
+    expect(unclosed.position).toBe(17);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for JSON highlighting
+ * Tests the editor HTML and gutter markers from lib/json-highlight.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { getLineMarkers, renderJsonHtml } from '../../lib/json-highlight.js';
+
+// Parse rendered HTML so its spans can be queried
+function rendered(html) {
+  const box = document.createElement('div');
+  box.innerHTML = html;
+  return box;
+}
+
+describe('JSON Highlighting', () => {
+  test('should colour tokens and keep the text unchanged', () => {
+    const text = '{\n  "Sid": "<Reads & Writes>",\n  "n": [1, true]\n}';
+    const box = rendered(renderJsonHtml(text));
+
+    expect(box.textContent).toBe(text);
+    expect(box.querySelector('.json-key').textContent).toBe('"Sid"');
+    expect(box.querySelector('.json-string').textContent).toBe('"<Reads & Writes>"');
+    expect(box.querySelector('.json-number').textContent).toBe('1');
+    expect(box.querySelector('.json-literal').textContent).toBe('true');
+    expect(box.querySelectorAll('.json-punctuation')).toHaveLength(8);
+  });
+
+  test('should underline markers with their messages', () => {
+    const text = '{"Effect": "Maybe"}';
+    const box = rendered(
+      renderJsonHtml(text, {
+        markers: [
+          { start: 1, end: 18, severity: 'warning', message: 'Wide "warning"' },
+          { start: 11, end: 18, severity: 'error', message: 'Effect must be "Allow" or "Deny"' },
+        ],
+      })
+    );
+
+    const marked = [...box.querySelectorAll('.json-marker')];
+    expect(marked.map((span) => span.textContent).join('')).toBe('"Effect": "Maybe"');
+    expect(marked[0].className).toBe('json-key json-marker warning');
+    const value = box.querySelector('.json-string');
+    expect(value.className).toBe('json-string json-marker error');
+    expect(value.title).toBe('Wide "warning"\nEffect must be "Allow" or "Deny"');
+  });
+
+  test('should mark brackets and wrap the highlight', () => {
+    const text = '{"a": [1]}';
+    const box = rendered(
+      renderJsonHtml(text, {
+        brackets: [
+          { offset: 6, matched: true },
+          { offset: 8, matched: true },
+        ],
+        highlight: { start: 1, end: 9 },
+      })
+    );
+
+    expect([...box.querySelectorAll('.json-bracket-match')].map((b) => b.textContent)).toEqual([
+      '[',
+      ']',
+    ]);
+    expect(box.querySelector('mark.json-highlight').textContent).toBe('"a": [1]');
+    expect(box.textContent).toBe(text);
+  });
+
+  test('should collect markers by line for the gutter', () => {
+    const text = '{\n  "a": 1,\n  "b": 2\n}';
+    const lines = getLineMarkers(text, [
+      { start: 4, severity: 'warning', message: 'First' },
+      { start: 4, severity: 'error', message: 'Second' },
+      { start: 15, severity: 'warning', message: 'Third' },
+    ]);
+
+    expect(lines.map((line) => line.severity)).toEqual([null, 'error', 'warning', null]);
+    expect(lines[1]).toEqual({ line: 2, severity: 'error', messages: ['First', 'Second'] });
+  });
+});
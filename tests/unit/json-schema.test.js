@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the JSON Schema validator
+ * Tests the keywords lib/json-schema.js supports and its messages
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { resolveSchema, validateJsonSchema } from '../../lib/json-schema.js';
+
+const schema = {
+  type: 'object',
+  required: ['name', 'items'],
+  properties: {
+    name: { type: 'string', pattern: '^[a-z]+$' },
+    kind: { enum: ['a', 'b'], errorMessage: { enum: 'Kind "{value}" is not a or b' } },
+    items: { type: 'array', minItems: 1, items: { $ref: '#/definitions/item' } },
+    old: { const: true, deprecationMessage: 'old is deprecated' },
+  },
+  patternProperties: { '^x-': { type: 'number' } },
+  additionalProperties: false,
+  errorMessage: { additionalProperties: 'No field "{property}" here' },
+  definitions: {
+    item: { anyOf: [{ type: 'string' }, { type: 'object', required: ['id'] }] },
+  },
+};
+
+describe('JSON Schema Validation', () => {
+  test('should accept a value that matches', () => {
+    const value = { name: 'abc', kind: 'a', items: ['x', { id: 1 }], 'x-extra': 2 };
+    expect(validateJsonSchema(value, schema)).toEqual([]);
+  });
+
+  test('should report each failed keyword with its path', () => {
+    const value = { name: 'ABC', kind: 'c', items: [3], 'x-extra': 'two', other: 1 };
+    expect(validateJsonSchema(value, schema)).toEqual([
+      { path: 'name', keyword: 'pattern', message: 'Does not match the pattern ^[a-z]+$' },
+      { path: 'kind', keyword: 'enum', message: 'Kind "c" is not a or b' },
+      { path: 'items[0]', keyword: 'anyOf', message: 'Does not match any of the allowed forms' },
+      { path: 'x-extra', keyword: 'type', message: 'Must be of type number' },
+      { path: '', keyword: 'additionalProperties', message: 'No field "other" here' },
+    ]);
+  });
+
+  test('should stop at a wrong type and report missing fields and short arrays', () => {
+    expect(validateJsonSchema([], schema)).toEqual([
+      { path: '', keyword: 'type', message: 'Must be of type object' },
+    ]);
+    expect(validateJsonSchema({ items: [] }, schema, { path: 'doc' })).toEqual([
+      { path: 'doc', keyword: 'required', message: 'Missing required field "name"' },
+      { path: 'doc.items', keyword: 'minItems', message: 'Must have at least 1 item(s)' },
+    ]);
+  });
+
+  test('should apply if/then and report deprecations', () => {
+    const version = { enum: ['1', '2'], if: { const: '1' }, then: { deprecationMessage: 'Use 2' } };
+    expect(validateJsonSchema('2', version)).toEqual([]);
+    expect(validateJsonSchema('1', version)).toEqual([
+      { path: '', keyword: 'deprecated', message: 'Use 2' },
+    ]);
+    expect(validateJsonSchema({ name: 'a', items: ['x'], old: true }, schema)).toEqual([
+      { path: 'old', keyword: 'deprecated', message: 'old is deprecated' },
+    ]);
+  });
+
+  test('should not follow skipped references', () => {
+    const value = { name: 'abc', items: [3] };
+    expect(validateJsonSchema(value, schema, { skipRefs: ['#/definitions/item'] })).toEqual([]);
+    expect(resolveSchema({ $ref: '#/definitions/item' }, schema)).toBe(schema.definitions.item);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for JSON source locations
+ * Tests locating policy paths and tokenizing JSON text with lib/json-source.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  findJsonPath,
+  findMatchingBracket,
+  getLineColumn,
+  locateJsonValues,
+  resolveJsonPath,
+  tokenizeJson,
+} from '../../lib/json-source.js';
+
+const policyText = JSON.stringify(
+  {
+    Version: '2012-10-17',
+    Statement: [
+      {
+        Effect: 'Allow',
+        Action: ['s3:GetObject', 's3:PutObject'],
+        Resource: 'arn:aws:s3:::my-bucket/*',
+        Condition: { IpAddress: { 'aws:SourceIp': '203.0.113.0/24' } },
+      },
+    ],
+  },
+  null,
+  2
+);
+
+function textAt(path) {
+  const { start, end } = findJsonPath(policyText, path);
+  return policyText.slice(start, end);
+}
+
+describe('JSON Source Locations', () => {
+  test('should parse the same value as JSON.parse', () => {
+    const text = '{"a\\u0041": ["x\\n\\"y\\"", -1.5e3, true, null, {}], "b": []}';
+    expect(locateJsonValues(text).value).toEqual(JSON.parse(text));
+    expect(locateJsonValues(policyText).value).toEqual(JSON.parse(policyText));
+  });
+
+  test('should locate array items, and members together with their key', () => {
+    expect(textAt('Statement[0].Action[1]')).toBe('"s3:PutObject"');
+    expect(textAt('Version')).toBe('"Version": "2012-10-17"');
+    expect(textAt('Statement[0].Condition.IpAddress.aws:SourceIp')).toBe(
+      '"aws:SourceIp": "203.0.113.0/24"'
+    );
+    expect(locateJsonValues(policyText).locations['']).toEqual({
+      start: 0,
+      end: policyText.length,
+    });
+  });
+
+  test('should fall back to the nearest enclosing value', () => {
+    expect(textAt('Statement[0].Resource[0]')).toBe('"Resource": "arn:aws:s3:::my-bucket/*"');
+    expect(findJsonPath(policyText, 'Statement[4].Sid').path).toBe('Statement');
+    expect(findJsonPath(policyText, 'constructor').path).toBe('');
+  });
+
+  test('should report where a syntax error is', () => {
+    const result = locateJsonValues('{\n  "Version": "2012-10-17",\n  "Statement": [,]\n}');
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(['Invalid JSON syntax: Unexpected "," at line 3, column 17']);
+    expect(
+      getLineColumn('{\n  "Version": "2012-10-17",\n  "Statement": [,]\n}', result.position)
+    ).toEqual({ line: 3, column: 17 });
+
+    expect(locateJsonValues('{"a": 1} x').errors[0]).toMatch(/after the end of the document/);
+    expect(locateJsonValues('{"a": "b').errors[0]).toMatch(/Expected """ at line 1/);
+    expect(findJsonPath('{', 'Version')).toBeNull();
+  });
+});
+
+describe('JSON Tokens', () => {
+  function tokens(text) {
+    return tokenizeJson(text).map((token) => [token.type, text.slice(token.start, token.end)]);
+  }
+
+  test('should split JSON into keys, values and punctuation', () => {
+    expect(tokens('{"a": ["x\\"y", -1.5e3, true, null]}')).toEqual([
+      ['punctuation', '{'],
+      ['key', '"a"'],
+      ['punctuation', ':'],
+      ['punctuation', '['],
+      ['string', '"x\\"y"'],
+      ['punctuation', ','],
+      ['number', '-1.5e3'],
+      ['punctuation', ','],
+      ['literal', 'true'],
+      ['punctuation', ','],
+      ['literal', 'null'],
+      ['punctuation', ']'],
+      ['punctuation', '}'],
+    ]);
+  });
+
+  test('should keep tokenizing text that is not valid JSON', () => {
+    expect(tokens('{"Effect": Allow, "Sid": "open\n}')).toEqual([
+      ['punctuation', '{'],
+      ['key', '"Effect"'],
+      ['punctuation', ':'],
+      ['invalid', 'Allow'],
+      ['punctuation', ','],
+      ['key', '"Sid"'],
+      ['punctuation', ':'],
+      ['string', '"open'],
+      ['punctuation', '}'],
+    ]);
+  });
+
+  test('should find the bracket that matches the one at the caret', () => {
+    const text = '{"a": ["]", {}]}';
+    expect(findMatchingBracket(text, 1)).toEqual({ open: 0, close: 15, matched: true });
+    expect(findMatchingBracket(text, 6)).toEqual({ open: 6, close: 14, matched: true });
+    expect(findMatchingBracket(text, text.length)).toEqual({ open: 0, close: 15, matched: true });
+    expect(findMatchingBracket(text, 3)).toBeNull();
+
+    expect(findMatchingBracket('[1}', 1)).toEqual({ open: 0, close: 2, matched: false });
+    expect(findMatchingBracket('{[]', 1)).toEqual({ open: 0, close: null, matched: false });
+  });
+
+  test('should resolve paths against located values', () => {
+    const { locations } = locateJsonValues(policyText);
+    expect(resolveJsonPath(locations, 'Statement[0].Effect').path).toBe('Statement[0].Effect');
+    expect(resolveJsonPath(locations, 'Statement[0].NotAction[2]').path).toBe('Statement[0]');
+    expect(resolveJsonPath(locations, null)).toEqual({
+      path: '',
+      start: 0,
+      end: policyText.length,
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for permalinks
+ * Tests encoding and decoding of the form state from lib/permalink.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { PERMALINK_VERSION, decodePermalink, encodePermalink } from '../../lib/permalink.js';
+
+const state = {
+  provider: 'aws',
+  bucketName: 'shared-bucket',
+  activeStatementIndex: 1,
+  statements: [
+    {
+      sid: 'ReadReports',
+      effect: 'Allow',
+      principals: ['arn:aws:iam::123456789012:user/alice'],
+      actions: ['s3:GetObject', 's3:ListBucket'],
+      customActions: 's3:GetObjectAcl',
+      resourcePath: 'reports/ä-ü/*',
+      conditions: [
+        {
+          qualifier: '',
+          operator: 'IpAddress',
+          ifExists: false,
+          key: 'aws:SourceIp',
+          values: ['203.0.113.0/24', '198.51.100.0/24'],
+        },
+      ],
+    },
+    {
+      sid: 'DenyDeletes',
+      effect: 'Deny',
+      principals: ['*'],
+      actions: ['s3:DeleteObject'],
+      customActions: '',
+      resourcePath: '',
+      conditions: [],
+    },
+  ],
+};
+
+describe('Permalinks', () => {
+  test('should round-trip the full form state', () => {
+    const hash = encodePermalink(state);
+    expect(hash.startsWith(`v${PERMALINK_VERSION}.`)).toBe(true);
+    expect(hash).toMatch(/^v1\.[A-Za-z0-9_-]+$/);
+
+    const result = decodePermalink(`#${hash}`);
+    expect(result.isValid).toBe(true);
+    expect(result.state).toEqual(state);
+  });
+
+  test('should keep links compact by leaving out defaults', () => {
+    const minimal = {
+      bucketName: 'b',
+      activeStatementIndex: 0,
+      statements: [{ sid: 'S1', effect: 'Allow', principals: [], actions: ['s3:GetObject'] }],
+    };
+    const json = atob(encodePermalink(minimal).slice(3).replace(/-/g, '+').replace(/_/g, '/'));
+    expect(JSON.parse(json)).toEqual({ b: 'b', s: [{ i: 'S1', a: ['GetObject'] }] });
+  });
+
+  test('should fill in defaults for missing fields', () => {
+    const result = decodePermalink(encodePermalink({ statements: [{}] }));
+    expect(result.state).toEqual({
+      provider: '',
+      bucketName: '',
+      activeStatementIndex: 0,
+      statements: [
+        {
+          sid: '',
+          effect: 'Allow',
+          principals: [],
+          actions: [],
+          customActions: '',
+          resourcePath: '',
+          conditions: [],
+        },
+      ],
+    });
+  });
+
+  test('should reject unknown versions and damaged links', () => {
+    expect(decodePermalink('#v9.e30').errors[0]).toMatch(/version 9 is not supported/);
+    expect(decodePermalink('#section-2').errors[0]).toBe('Not a policy generator link');
+    expect(decodePermalink('#v1.bm90LWpzb24').errors[0]).toMatch(/Link is damaged/);
+    expect(decodePermalink('#v1.e30').errors[0]).toMatch(/does not contain any statements/);
+  });
+});
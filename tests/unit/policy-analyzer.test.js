@@ -0,0 +1,207 @@
+/**
+ * Unit tests for the least-privilege analyzer
+ * Tests risk findings and scoring from lib/policy-analyzer.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { analyzePolicy, getRiskLevel } from '../../lib/policy-analyzer.js';
+
+const denyInsecure = {
+  Sid: 'DenyInsecure',
+  Effect: 'Deny',
+  Action: 's3:*',
+  Resource: 'arn:aws:s3:::my-bucket/*',
+  Condition: { Bool: { 'aws:SecureTransport': 'false' } },
+};
+
+function analyze(...statements) {
+  return analyzePolicy({ Version: '2012-10-17', Statement: statements });
+}
+
+function rules(statementResult) {
+  return statementResult.findings.map((finding) => `${finding.rule}:${finding.severity}`);
+}
+
+describe('Least-Privilege Analyzer', () => {
+  test('should not flag a narrow read statement', () => {
+    const result = analyze(
+      {
+        Effect: 'Allow',
+        Action: ['s3:GetObject', 's3:ListBucket'],
+        Resource: ['arn:aws:s3:::my-bucket', 'arn:aws:s3:::my-bucket/reports/*'],
+        Condition: { IpAddress: { 'aws:SourceIp': '203.0.113.0/24' } },
+      },
+      denyInsecure
+    );
+    expect(result.isValid).toBe(true);
+    expect(result.score).toBe(0);
+    expect(result.level).toBe('none');
+  });
+
+  test('should suggest replacing s3:* with the actions already listed', () => {
+    const result = analyze(
+      {
+        Effect: 'Allow',
+        Action: ['s3:*', 's3:GetObject', 's3:PutObject'],
+        Resource: 'arn:aws:s3:::my-bucket/uploads/*',
+        Condition: { IpAddress: { 'aws:SourceIp': '203.0.113.0/24' } },
+      },
+      denyInsecure
+    );
+    const [finding] = result.statements[0].findings;
+    expect(finding).toMatchObject({ rule: 'wildcard-action', severity: 'high' });
+    expect(finding.suggestion).toBe(
+      'Replace "s3:*" with the 2 actions you actually listed: s3:GetObject, s3:PutObject'
+    );
+  });
+
+  test('should name the risky actions a partial wildcard covers', () => {
+    const result = analyze({ ...denyInsecure, Effect: 'Allow', Action: 's3:Delete*' });
+    expect(result.statements[0].findings[0].message).toBe(
+      '"s3:Delete*" also grants s3:DeleteBucketPolicy, s3:DeleteObject, s3:DeleteObjectVersion, s3:DeleteBucket'
+    );
+  });
+
+  test('should flag permission-changing actions on every resource', () => {
+    const result = analyze(
+      { Effect: 'Allow', Action: ['s3:PutBucketAcl', 's3:DeleteBucketPolicy'], Resource: '*' },
+      denyInsecure
+    );
+    expect(rules(result.statements[0])).toEqual([
+      'permission-action:high',
+      'wildcard-resource:high',
+      'allow-without-condition:low',
+    ]);
+    expect(result.statements[0].score).toBe(90);
+    expect(result.level).toBe('high');
+  });
+
+  test('should treat a wildcard in the bucket name as every bucket', () => {
+    const result = analyze(
+      { Effect: 'Allow', Action: 's3:PutObject', Resource: 'arn:aws:s3:::*/*' },
+      denyInsecure
+    );
+    expect(rules(result.statements[0])).toEqual([
+      'wildcard-resource:high',
+      'allow-without-condition:low',
+    ]);
+
+    const logs = analyze(
+      { Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::logs-*/*' },
+      denyInsecure
+    );
+    expect(logs.statements[0].findings[0]).toMatchObject({
+      rule: 'wildcard-resource',
+      severity: 'high',
+      message: 'Applies to every bucket with "arn:aws:s3:::logs-*/*"',
+    });
+  });
+
+  test('should flag destructive actions and writes to the whole bucket', () => {
+    const result = analyze(
+      {
+        Effect: 'Allow',
+        Action: ['s3:PutObject', 's3:DeleteObject'],
+        Resource: 'arn:aws:s3:::my-bucket/*',
+      },
+      denyInsecure
+    );
+    expect(rules(result.statements[0])).toEqual([
+      'destructive-action:medium',
+      'wildcard-resource:low',
+      'allow-without-condition:low',
+    ]);
+  });
+
+  test('should flag public principals, less so with a condition', () => {
+    const publicRead = {
+      Effect: 'Allow',
+      Principal: { AWS: '*' },
+      Action: 's3:GetObject',
+      Resource: 'arn:aws:s3:::my-bucket/*',
+    };
+    expect(rules(analyze(publicRead, denyInsecure).statements[0])).toEqual([
+      'public-principal:high',
+      'allow-without-condition:low',
+    ]);
+
+    const conditional = { ...publicRead, Condition: { IpAddress: { 'aws:SourceIp': '1.2.3.4' } } };
+    expect(rules(analyze(conditional, denyInsecure).statements[0])).toEqual([
+      'public-principal:medium',
+    ]);
+  });
+
+  test('should flag NotAction and NotResource in Allow statements', () => {
+    const result = analyze(
+      { Effect: 'Allow', NotAction: 's3:DeleteBucket', NotResource: 'arn:aws:s3:::logs/*' },
+      denyInsecure
+    );
+    expect(rules(result.statements[0])).toEqual([
+      'not-action-allow:high',
+      'wildcard-resource:high',
+      'allow-without-condition:low',
+    ]);
+  });
+
+  test('should require HTTPS through a Deny or on every Allow', () => {
+    const allow = {
+      Effect: 'Allow',
+      Action: 's3:GetObject',
+      Resource: 'arn:aws:s3:::my-bucket/docs/*',
+    };
+    expect(analyze(allow).findings.map((f) => f.rule)).toEqual(['missing-secure-transport']);
+    expect(analyze(allow, denyInsecure).findings).toEqual([]);
+
+    const httpsOnly = { ...allow, Condition: { Bool: { 'aws:SecureTransport': 'true' } } };
+    expect(analyze(httpsOnly).findings).toEqual([]);
+    expect(analyze(denyInsecure).findings).toEqual([]);
+  });
+
+  test('should not count conditions that allow HTTP or deny HTTPS', () => {
+    const allow = {
+      Effect: 'Allow',
+      Action: 's3:GetObject',
+      Resource: 'arn:aws:s3:::my-bucket/docs/*',
+    };
+    const httpOnly = { ...allow, Condition: { Bool: { 'aws:SecureTransport': 'false' } } };
+    const denySecure = { ...denyInsecure, Condition: { Bool: { 'aws:SecureTransport': 'true' } } };
+    const denyByKeyOnly = {
+      ...denyInsecure,
+      Condition: { StringEquals: { 'aws:SecureTransport': 'false' } },
+    };
+
+    [[httpOnly], [allow, denySecure], [allow, denyByKeyOnly]].forEach((statements) => {
+      expect(analyze(...statements).findings.map((f) => f.rule)).toEqual([
+        'missing-secure-transport',
+      ]);
+    });
+    expect(
+      analyze({ ...allow, Condition: { Bool: { 'aws:SecureTransport': true } } }).findings
+    ).toEqual([]);
+  });
+
+  test('should ignore Deny statements when scoring', () => {
+    expect(analyze({ ...denyInsecure, Resource: '*', Condition: undefined }).score).toBe(0);
+  });
+
+  test('should keep statement indexes when skipping entries that are not objects', () => {
+    const { statements } = analyzePolicy({ Statement: [null, 'x', denyInsecure] });
+
+    expect(statements.map((stmt) => stmt.index)).toEqual([2]);
+  });
+
+  test('should map scores to risk levels', () => {
+    expect([0, 10, 30, 60, 100].map(getRiskLevel)).toEqual([
+      'none',
+      'low',
+      'medium',
+      'high',
+      'high',
+    ]);
+  });
+
+  test('should reject documents that are not policies', () => {
+    expect(analyzePolicy('{').errors[0]).toMatch(/Invalid JSON syntax/);
+    expect(analyzePolicy({}).errors[0]).toBe('Policy must have a Statement array');
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for policy diffs
+ * Tests the statement-aware comparison from lib/policy-diff.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { diffPolicies } from '../../lib/policy-diff.js';
+
+const before = {
+  Version: '2012-10-17',
+  Statement: [
+    {
+      Sid: 'ReadReports',
+      Effect: 'Allow',
+      Action: ['s3:GetObject', 's3:ListBucket'],
+      Resource: ['arn:aws:s3:::my-bucket', 'arn:aws:s3:::my-bucket/reports/*'],
+      Condition: { IpAddress: { 'aws:SourceIp': '203.0.113.0/24' } },
+    },
+    {
+      Sid: 'DenyInsecure',
+      Effect: 'Deny',
+      Action: 's3:*',
+      Resource: 'arn:aws:s3:::my-bucket/*',
+      Condition: { Bool: { 'aws:SecureTransport': 'false' } },
+    },
+  ],
+};
+
+function withStatements(...statements) {
+  return { Version: '2012-10-17', Statement: statements };
+}
+
+function findStatement(result, label) {
+  return result.statements.find((stmt) => stmt.label === label);
+}
+
+describe('Policy Diff', () => {
+  test('should report identical policies as unchanged', () => {
+    const result = diffPolicies(before, JSON.stringify(before));
+    expect(result.isValid).toBe(true);
+    expect(result.summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 2 });
+    expect(result.broadening).toEqual([]);
+  });
+
+  test('should match statements by Sid regardless of order', () => {
+    const result = diffPolicies(before, withStatements(before.Statement[1], before.Statement[0]));
+    expect(result.summary.unchanged).toBe(2);
+  });
+
+  test('should list added and removed actions and resources', () => {
+    const after = withStatements(
+      {
+        ...before.Statement[0],
+        Action: ['s3:GetObject', 's3:PutObject'],
+        Resource: 'arn:aws:s3:::my-bucket/reports/*',
+      },
+      before.Statement[1]
+    );
+    const stmt = findStatement(diffPolicies(before, after), '"ReadReports"');
+    expect(stmt.status).toBe('changed');
+    expect(stmt.changes).toEqual([
+      { field: 'Action', added: ['s3:PutObject'], removed: ['s3:ListBucket'] },
+      { field: 'Resource', added: [], removed: ['arn:aws:s3:::my-bucket'] },
+    ]);
+  });
+
+  test('should list changed effects and conditions', () => {
+    const after = withStatements(before.Statement[0], {
+      ...before.Statement[1],
+      Effect: 'Allow',
+      Condition: { Bool: { 'aws:SecureTransport': 'true' } },
+    });
+    const result = diffPolicies(before, after);
+    expect(findStatement(result, '"DenyInsecure"').changes).toEqual([
+      { field: 'Effect', before: 'Deny', after: 'Allow' },
+      {
+        field: 'Condition',
+        added: ['Bool aws:SecureTransport = true'],
+        removed: ['Bool aws:SecureTransport = false'],
+      },
+    ]);
+    expect(result.broadening).toEqual(['"DenyInsecure": Effect changed from Deny to Allow']);
+  });
+
+  test('should flag new wildcards and removed conditions on Allow statements', () => {
+    const after = withStatements(
+      { ...before.Statement[0], Action: 's3:*', Condition: undefined },
+      before.Statement[1]
+    );
+    expect(diffPolicies(before, after).broadening).toEqual([
+      '"ReadReports": Allows new Action wildcard "s3:*"',
+      '"ReadReports": Allow no longer requires condition IpAddress aws:SourceIp',
+    ]);
+  });
+
+  test('should flag condition values that widen an Allow', () => {
+    const condition = (Condition) => withStatements({ ...before.Statement[0], Condition });
+
+    const widerIp = diffPolicies(
+      condition({ IpAddress: { 'aws:SourceIp': '10.0.0.0/8' } }),
+      condition({ IpAddress: { 'aws:SourceIp': '0.0.0.0/0' } })
+    );
+    expect(widerIp.broadening).toEqual([
+      '"ReadReports": Allow condition IpAddress aws:SourceIp now accepts "0.0.0.0/0"',
+    ]);
+
+    const narrowerIp = diffPolicies(
+      condition({ IpAddress: { 'aws:SourceIp': '10.0.0.0/8' } }),
+      condition({ IpAddress: { 'aws:SourceIp': ['10.1.0.0/16', '10.2.3.4'] } })
+    );
+    expect(narrowerIp.broadening).toEqual([]);
+
+    const widerPrefix = diffPolicies(
+      condition({ StringLike: { 's3:prefix': 'home/*' } }),
+      condition({ StringLike: { 's3:prefix': ['home/docs/*', '*'] } })
+    );
+    expect(widerPrefix.broadening).toEqual([
+      '"ReadReports": Allow condition StringLike s3:prefix now accepts wildcard "*"',
+    ]);
+  });
+
+  test('should flag values dropped from negated conditions on an Allow', () => {
+    const condition = (values) =>
+      withStatements({
+        ...before.Statement[0],
+        Condition: { StringNotEquals: { 'aws:PrincipalTag/team': values } },
+      });
+    expect(diffPolicies(condition(['guest', 'temp']), condition('temp')).broadening).toEqual([
+      '"ReadReports": Allow condition StringNotEquals aws:PrincipalTag/team no longer excludes "guest"',
+    ]);
+  });
+
+  test('should flag removed and narrowed Deny statements', () => {
+    expect(diffPolicies(before, withStatements(before.Statement[0])).broadening).toEqual([
+      '"DenyInsecure": Deny statement was removed',
+    ]);
+
+    const narrowed = withStatements(before.Statement[0], {
+      ...before.Statement[1],
+      Action: 's3:DeleteObject',
+      Condition: {
+        ...before.Statement[1].Condition,
+        StringEquals: { 'aws:PrincipalTag/team': 'ops' },
+      },
+    });
+    expect(diffPolicies(before, narrowed).broadening).toEqual([
+      '"DenyInsecure": No longer denies Action "s3:*"',
+      '"DenyInsecure": Deny now only applies with condition StringEquals aws:PrincipalTag/team',
+    ]);
+  });
+
+  test('should flag condition values that narrow a Deny', () => {
+    const condition = (Condition) => withStatements({ ...before.Statement[1], Condition });
+
+    const widerExemption = diffPolicies(
+      condition({ NotIpAddress: { 'aws:SourceIp': '10.0.0.0/8' } }),
+      condition({ NotIpAddress: { 'aws:SourceIp': '0.0.0.0/0' } })
+    );
+    expect(widerExemption.broadening).toEqual([
+      '"DenyInsecure": Deny condition NotIpAddress aws:SourceIp now exempts "0.0.0.0/0"',
+    ]);
+
+    const httpsDenied = diffPolicies(
+      before,
+      withStatements(before.Statement[0], {
+        ...before.Statement[1],
+        Condition: { Bool: { 'aws:SecureTransport': 'true' } },
+      })
+    );
+    expect(httpsDenied.broadening).toEqual([
+      '"DenyInsecure": Deny condition Bool aws:SecureTransport no longer applies to "false"',
+    ]);
+
+    const narrowerExemption = diffPolicies(
+      condition({ NotIpAddress: { 'aws:SourceIp': '10.0.0.0/8' } }),
+      condition({ NotIpAddress: { 'aws:SourceIp': '10.1.0.0/16' } })
+    );
+    expect(narrowerExemption.broadening).toEqual([]);
+  });
+
+  test('should report new statements and name their wildcards', () => {
+    const after = withStatements(...before.Statement, {
+      Sid: 'Public',
+      Effect: 'Allow',
+      Principal: '*',
+      Action: 's3:GetObject',
+      Resource: 'arn:aws:s3:::my-bucket/*',
+    });
+    const result = diffPolicies(before, after);
+    expect(findStatement(result, '"Public"').status).toBe('added');
+    expect(result.broadening).toEqual([
+      '"Public": New Allow statement with wildcard "*", "arn:aws:s3:::my-bucket/*"',
+    ]);
+  });
+
+  test('should pair statements without a Sid by order', () => {
+    const unnamed = { Effect: 'Allow', Action: 's3:GetObject', Resource: '*' };
+    const result = diffPolicies(
+      withStatements(unnamed),
+      withStatements({ ...unnamed, Action: 's3:PutObject' })
+    );
+    expect(result.statements).toHaveLength(1);
+    expect(result.statements[0]).toMatchObject({ status: 'changed', label: 'Statement[0]' });
+  });
+
+  test('should compare principals by type and ID', () => {
+    const principal = (ids) => ({ ...before.Statement[0], Principal: { AWS: ids } });
+    const result = diffPolicies(
+      withStatements(principal('arn:aws:iam::111122223333:root')),
+      withStatements(principal(['arn:aws:iam::111122223333:root', '*']))
+    );
+    expect(result.statements[0].changes).toEqual([
+      { field: 'Principal', added: ['AWS:*'], removed: [] },
+    ]);
+    expect(result.broadening).toEqual(['"ReadReports": Allows new Principal wildcard "AWS:*"']);
+  });
+
+  test('should reject documents that are not policies', () => {
+    const result = diffPolicies('{', { Version: '2012-10-17' });
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toMatch(/^Earlier policy: Invalid JSON syntax/);
+    expect(result.errors[1]).toBe('Current policy: Must be a policy with a Statement array');
+  });
+});
@@ -0,0 +1,415 @@
+/**
+ * Unit tests for policy generation and document validation
+ * Tests buildPolicy, policyToConfig and validatePolicyDocument from lib/policy-engine.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { readFileSync, readdirSync } from 'fs';
+import {
+  buildPolicy,
+  buildPrincipal,
+  buildStatement,
+  policyToConfig,
+  validatePolicyDocument,
+} from '../../lib/policy-engine.js';
+import { S3_ACTIONS } from '../../lib/action-catalog.js';
+
+describe('Policy Generation', () => {
+  test('should build a single-statement policy', () => {
+    const result = buildPolicy({
+      bucketName: 'my-bucket',
+      statements: [{ sid: 'ReadObjects', effect: 'Allow', actions: ['s3:GetObject'] }],
+    });
+    expect(result.isValid).toBe(true);
+    expect(result.policy).toEqual({
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Sid: 'ReadObjects',
+          Effect: 'Allow',
+          Action: 's3:GetObject',
+          Resource: 'arn:aws:s3:::my-bucket/*',
+        },
+      ],
+    });
+  });
+
+  test('should keep statements in order with their own settings', () => {
+    const result = buildPolicy({
+      bucketName: 'my-bucket',
+      statements: [
+        {
+          sid: 'DenyInsecure',
+          effect: 'Deny',
+          actions: ['s3:PutObject'],
+          condition: { Bool: { 'aws:SecureTransport': 'false' } },
+        },
+        {
+          sid: 'ListAndRead',
+          effect: 'Allow',
+          actions: ['s3:ListBucket', 's3:GetObject'],
+          resourcePath: 'docs/*',
+        },
+      ],
+    });
+    expect(result.isValid).toBe(true);
+    expect(result.policy.Statement).toHaveLength(2);
+    expect(result.policy.Statement[0].Effect).toBe('Deny');
+    expect(result.policy.Statement[0].Condition).toEqual({
+      Bool: { 'aws:SecureTransport': 'false' },
+    });
+    expect(result.policy.Statement[1].Resource).toEqual([
+      'arn:aws:s3:::my-bucket',
+      'arn:aws:s3:::my-bucket/docs/*',
+    ]);
+  });
+
+  test('should accept a condition given as JSON text', () => {
+    const result = buildStatement(
+      { actions: ['s3:GetObject'], condition: '{"IpAddress": {"aws:SourceIp": "10.0.0.0/8"}}' },
+      'my-bucket'
+    );
+    expect(result.isValid).toBe(true);
+    expect(result.statement.Condition).toEqual({ IpAddress: { 'aws:SourceIp': '10.0.0.0/8' } });
+  });
+
+  test('should report invalid condition JSON', () => {
+    const result = buildStatement({ actions: ['s3:GetObject'], condition: '{oops' }, 'my-bucket');
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain('Invalid JSON in Condition field');
+  });
+
+  test('should type-check condition values', () => {
+    const result = buildStatement(
+      { actions: ['s3:GetObject'], condition: { IpAddress: { 'aws:SourceIp': 'office' } } },
+      'my-bucket'
+    );
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain(
+      'Condition.IpAddress.aws:SourceIp: "office" is not a valid IP address or CIDR block'
+    );
+  });
+
+  test('should report statements without actions', () => {
+    const result = buildPolicy({
+      bucketName: 'my-bucket',
+      statements: [
+        { sid: 'Ok', actions: ['s3:GetObject'] },
+        { sid: 'Empty', actions: [] },
+      ],
+    });
+    expect(result.isValid).toBe(false);
+    expect(result.policy).toBeNull();
+    expect(result.invalidStatements).toEqual([1]);
+    expect(result.errors[0]).toContain('Statement[1] (Empty)');
+  });
+
+  test('should reject an invalid bucket name', () => {
+    const result = buildPolicy({
+      bucketName: 'My_Bucket',
+      statements: [{ actions: ['s3:GetObject'] }],
+    });
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain('Bucket name: Bucket name cannot contain uppercase letters');
+  });
+
+  test('should reject a non-alphanumeric Sid', () => {
+    const result = buildStatement({ sid: 'bad-sid', actions: ['s3:GetObject'] }, 'my-bucket');
+    expect(result.isValid).toBe(false);
+  });
+
+  test('should build one object ARN per resource path', () => {
+    const result = buildStatement(
+      { actions: ['s3:GetObject'], resourcePath: '/reports/*\nuploads' },
+      'my-bucket'
+    );
+    expect(result.statement.Resource).toEqual([
+      'arn:aws:s3:::my-bucket/reports/*',
+      'arn:aws:s3:::my-bucket/uploads',
+    ]);
+    expect(result.warnings).toHaveLength(2);
+    expect(result.warnings[1]).toContain('use "uploads/*" if it is a prefix');
+  });
+
+  test('should reject resource paths that cannot match', () => {
+    const result = buildStatement(
+      { actions: ['s3:GetObject'], resourcePath: 'arn:aws:s3:::my-bucket/*' },
+      'my-bucket'
+    );
+    expect(result.errors).toEqual([
+      'Resource path "arn:aws:s3:::my-bucket/*": Enter a path inside the bucket, not a full ARN',
+    ]);
+  });
+
+  test('should pick the ARN each action applies to from the action catalog', () => {
+    const resourcesFor = (actions) =>
+      buildStatement({ actions, resourcePath: 'docs/*' }, 'my-bucket').statement.Resource;
+    expect(resourcesFor(['s3:PutObjectLockConfiguration'])).toBe('arn:aws:s3:::my-bucket');
+    expect(resourcesFor(['s3:ListBucketVersions', 's3:ListBucketMultipartUploads'])).toBe(
+      'arn:aws:s3:::my-bucket'
+    );
+    expect(resourcesFor(['s3:AbortMultipartUpload'])).toBe('arn:aws:s3:::my-bucket/docs/*');
+    expect(resourcesFor(['s3:*'])).toEqual([
+      'arn:aws:s3:::my-bucket',
+      'arn:aws:s3:::my-bucket/docs/*',
+    ]);
+    expect(resourcesFor(['s3:Custom'])).toBe('arn:aws:s3:::my-bucket/docs/*');
+  });
+
+  test('should produce policies that pass validation', () => {
+    const { policy } = buildPolicy({
+      bucketName: 'my-bucket',
+      statements: [{ sid: 'ReadWrite', actions: ['s3:GetObject', 's3:PutObject'] }],
+    });
+    const result = validatePolicyDocument(policy);
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toHaveLength(0);
+  });
+});
+
+describe('Policy Import', () => {
+  test('should convert a policy back into a config', () => {
+    const policy = JSON.parse(readFileSync('./examples/prefix-based-access.json', 'utf-8'));
+    const result = policyToConfig(policy);
+    expect(result.isValid).toBe(true);
+    expect(result.config.bucketName).toBe('your-bucket-name');
+    expect(result.config.statements).toHaveLength(3);
+    expect(result.config.statements[0].condition).toEqual({
+      StringLike: { 's3:prefix': ['documents/*', 'images/*'] },
+    });
+    expect(result.config.statements[1]).toMatchObject({
+      sid: 'ReadWriteDocuments',
+      actions: ['s3:GetObject', 's3:PutObject', 's3:DeleteObject'],
+      resourcePath: 'documents/*',
+    });
+  });
+
+  test('should import every object path of a statement', () => {
+    const result = policyToConfig({
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Action: 's3:GetObject',
+          Resource: ['arn:aws:s3:::b1/reports/*', 'arn:aws:s3:::b1/logs/*'],
+        },
+      ],
+    });
+    expect(result.config.statements[0].resourcePath).toBe('reports/*\nlogs/*');
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should warn about fields the form cannot represent', () => {
+    const result = policyToConfig({
+      Version: '2012-10-17',
+      Statement: [{ Effect: 'Allow', NotAction: 's3:DeleteObject', Resource: 'arn:aws:s3:::b1/*' }],
+    });
+    expect(result.isValid).toBe(true);
+    expect(result.warnings[0]).toContain('NotAction');
+  });
+
+  test('should reject documents without statements', () => {
+    expect(policyToConfig({ Version: '2012-10-17' }).isValid).toBe(false);
+    expect(policyToConfig(null).isValid).toBe(false);
+  });
+});
+
+describe('Policy Document Validation', () => {
+  test('should accept every example policy', () => {
+    readdirSync('./examples')
+      .filter((file) => file.endsWith('.json'))
+      .forEach((file) => {
+        const result = validatePolicyDocument(readFileSync(`./examples/${file}`, 'utf-8'));
+        expect(result.errors).toEqual([]);
+      });
+  });
+
+  test('should accept every catalog action', () => {
+    const result = validatePolicyDocument(
+      {
+        Version: '2012-10-17',
+        Statement: [
+          {
+            Effect: 'Allow',
+            Principal: '*',
+            Action: S3_ACTIONS.map((entry) => entry.name),
+            Resource: ['arn:aws:s3:::my-bucket', 'arn:aws:s3:::my-bucket/*'],
+          },
+        ],
+      },
+      { provider: 'aws' }
+    );
+    expect(result.warnings.filter((w) => w.includes('Action'))).toEqual([]);
+  });
+
+  test('should report invalid JSON text', () => {
+    const result = validatePolicyDocument('{ invalid json }');
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toContain('Invalid JSON syntax');
+  });
+
+  test('should report missing required fields', () => {
+    const result = validatePolicyDocument({});
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain('Missing required field: Version');
+    expect(result.errors).toContain('Missing required field: Statement');
+  });
+
+  test('should reject non-object documents', () => {
+    expect(validatePolicyDocument('null').errors).toEqual(['Policy must be a JSON object']);
+  });
+
+  test('should report statement errors with their path', () => {
+    const result = validatePolicyDocument({
+      Version: '2012-10-17',
+      Statement: [{ Effect: 'Maybe', Action: 's3:GetObject', Resource: 'bucket' }],
+    });
+    expect(result.errors).toContain('Statement[0]: Effect must be "Allow" or "Deny", got "Maybe"');
+    expect(result.errors).toContain(
+      'Statement[0].Resource[0]: Must be a valid S3 ARN (arn:aws:s3:::...) or "*"'
+    );
+  });
+
+  test('should warn when actions and resources do not fit together', () => {
+    const result = validatePolicyDocument({
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Action: ['s3:ListBucket', 's3:GetObject'],
+          Resource: 'arn:aws:s3:::b1/*',
+        },
+        { Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::b1' },
+      ],
+    });
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toEqual([
+      'Statement[0].Resource: Bucket actions s3:ListBucket need the bucket ARN "arn:aws:s3:::b1" - they do nothing on object ARNs',
+      'Statement[1].Resource: Object actions s3:GetObject need an object ARN such as "arn:aws:s3:::b1/*" - they do nothing on the bucket ARN',
+      'Statement[1].Resource[0]: "arn:aws:s3:::b1" is the bucket, but no action in this statement applies to buckets',
+    ]);
+  });
+
+  test('should not report action and resource mismatches for wildcards', () => {
+    const result = validatePolicyDocument({
+      Version: '2012-10-17',
+      Statement: [
+        { Effect: 'Deny', Action: 's3:*', Resource: 'arn:aws:s3:::b1/*' },
+        { Effect: 'Allow', Action: 's3:ListBucket', Resource: '*' },
+      ],
+    });
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should warn about deprecated version', () => {
+    const result = validatePolicyDocument({
+      Version: '2008-10-17',
+      Statement: [{ Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::b1/*' }],
+    });
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toContain('Version "2008-10-17" is deprecated. Use "2012-10-17"');
+  });
+});
+
+describe('Principals', () => {
+  const aliceArn = 'arn:aws:iam::123456789012:user/alice';
+  const canonicalId = 'a'.repeat(64);
+
+  test('should group principals by type', () => {
+    const result = buildPrincipal([
+      aliceArn,
+      '210987654321',
+      canonicalId,
+      'cloudtrail.amazonaws.com',
+    ]);
+    expect(result.isValid).toBe(true);
+    expect(result.principal).toEqual({
+      AWS: [aliceArn, '210987654321'],
+      CanonicalUser: canonicalId,
+      Service: 'cloudtrail.amazonaws.com',
+    });
+  });
+
+  test('should allow "*" only on its own', () => {
+    expect(buildPrincipal(['*']).principal).toBe('*');
+    expect(buildPrincipal(['*']).warnings[0]).toContain('public access');
+    expect(buildPrincipal(['*', aliceArn]).isValid).toBe(false);
+  });
+
+  test('should report invalid and missing principals', () => {
+    expect(buildPrincipal([]).errors).toEqual(['At least one principal is required']);
+    expect(buildPrincipal(['arn:aws:iam::123:user/bob']).errors[0]).toMatch(
+      /^Principal "arn:aws:iam::123:user\/bob": Invalid ARN format/
+    );
+  });
+
+  test('should emit principals for the AWS provider', () => {
+    const result = buildPolicy({
+      bucketName: 'my-bucket',
+      provider: 'aws',
+      statements: [{ sid: 'CrossAccount', principals: [aliceArn], actions: ['s3:GetObject'] }],
+    });
+    expect(result.isValid).toBe(true);
+    expect(Object.keys(result.policy.Statement[0])).toEqual([
+      'Sid',
+      'Effect',
+      'Principal',
+      'Action',
+      'Resource',
+    ]);
+    expect(result.policy.Statement[0].Principal).toEqual({ AWS: aliceArn });
+    expect(validatePolicyDocument(result.policy, { provider: 'aws' }).isValid).toBe(true);
+  });
+
+  test('should require principals for the AWS provider', () => {
+    const result = buildPolicy({
+      bucketName: 'my-bucket',
+      provider: 'aws',
+      statements: [{ actions: ['s3:GetObject'] }],
+    });
+    expect(result.errors).toEqual(['Statement[0]: At least one principal is required']);
+  });
+
+  test('should leave principals out for Impossible Cloud', () => {
+    const result = buildPolicy({
+      bucketName: 'my-bucket',
+      statements: [{ principals: [aliceArn], actions: ['s3:GetObject'] }],
+    });
+    expect(result.policy.Statement[0].Principal).toBeUndefined();
+    expect(result.warnings[0]).toContain('not supported by Impossible Cloud');
+  });
+
+  test('should validate Principal elements for the AWS provider', () => {
+    const statement = { Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::b1/*' };
+    const validate = (extra) =>
+      validatePolicyDocument(
+        { Version: '2012-10-17', Statement: [{ ...statement, ...extra }] },
+        { provider: 'aws' }
+      );
+
+    expect(validate({}).errors).toContain('Statement[0]: Missing "Principal" or "NotPrincipal"');
+    expect(validate({ Principal: { AWS: '123456789012' } }).isValid).toBe(true);
+    expect(validate({ Principal: { CanonicalUser: 'abc' } }).errors[0]).toContain(
+      'Statement[0].Principal.CanonicalUser[0]'
+    );
+    expect(validate({ Principal: 'alice' }).isValid).toBe(false);
+  });
+
+  test('should import principals into the config', () => {
+    const policy = {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Principal: { AWS: [aliceArn], CanonicalUser: canonicalId },
+          Action: 's3:GetObject',
+          Resource: 'arn:aws:s3:::b1/*',
+        },
+      ],
+    };
+    const result = policyToConfig(policy);
+    expect(result.config.statements[0].principals).toEqual([aliceArn, canonicalId]);
+    expect(result.warnings[0]).toContain('switch to a target provider that supports principals');
+    expect(policyToConfig(policy, { provider: 'aws' }).warnings).toHaveLength(0);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for policy export
+ * Tests the Terraform, CloudFormation and AWS CLI output of lib/policy-export.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { EXPORT_FORMATS, exportPolicy, getPolicyBucketName } from '../../lib/policy-export.js';
+
+const policy = {
+  Version: '2012-10-17',
+  Statement: [
+    {
+      Sid: 'UserFolders',
+      Effect: 'Allow',
+      Action: ['s3:GetObject', 's3:PutObject'],
+      Resource: 'arn:aws:s3:::team-data/home/${aws:username}/*',
+      Condition: { IpAddress: { 'aws:SourceIp': ['203.0.113.0/24'] } },
+    },
+  ],
+};
+
+describe('Policy Export', () => {
+  test('should wrap the policy in a Terraform resource with an endpoint override', () => {
+    const { isValid, content, filename } = exportPolicy(policy, 'terraform');
+
+    expect(isValid).toBe(true);
+    expect(filename).toBe('team-data-policy.tf');
+    expect(content).toContain(
+      'provider "aws" {\n  alias  = "impossible_cloud"\n  region = "eu-central-2"'
+    );
+    expect(content).toContain('    s3 = "https://eu-central-2.storage.impossibleapi.net"');
+    expect(content).toContain('  skip_requesting_account_id  = true');
+    expect(content).toContain(
+      [
+        'resource "aws_s3_bucket_policy" "team_data" {',
+        '  provider = aws.impossible_cloud',
+        '  bucket   = "team-data"',
+        '  policy = jsonencode({',
+        '    Version = "2012-10-17"',
+        '    Statement = [',
+        '      {',
+        '        Sid      = "UserFolders"',
+        '        Effect   = "Allow"',
+        '        Action   = ["s3:GetObject", "s3:PutObject"]',
+        // Policy variables are escaped so Terraform does not interpolate them
+        '        Resource = "arn:aws:s3:::team-data/home/$${aws:username}/*"',
+        '        Condition = {',
+        '          IpAddress = {',
+        '            "aws:SourceIp" = ["203.0.113.0/24"]',
+        '          }',
+        '        }',
+        '      },',
+        '    ]',
+        '  })',
+        '}',
+      ].join('\n')
+    );
+  });
+
+  test('should leave the AWS provider as configured when targeting AWS S3', () => {
+    const { content } = exportPolicy(policy, 'terraform', { provider: 'aws', bucketName: '1st' });
+    expect(content).not.toContain('provider');
+    expect(content).toContain('resource "aws_s3_bucket_policy" "bucket_1st" {\n  bucket = "1st"');
+  });
+
+  test('should write a CloudFormation template', () => {
+    const { content, filename } = exportPolicy(policy, 'cloudformation', { provider: 'aws' });
+
+    expect(filename).toBe('team-data-policy.yaml');
+    expect(content).toBe(
+      [
+        "AWSTemplateFormatVersion: '2010-09-09'",
+        "Description: 'Bucket policy for team-data'",
+        'Resources:',
+        '  BucketPolicy:',
+        '    Type: AWS::S3::BucketPolicy',
+        '    Properties:',
+        '      Bucket: team-data',
+        '      PolicyDocument:',
+        "        Version: '2012-10-17'",
+        '        Statement:',
+        '          - Sid: UserFolders',
+        '            Effect: Allow',
+        '            Action:',
+        '              - s3:GetObject',
+        '              - s3:PutObject',
+        "            Resource: 'arn:aws:s3:::team-data/home/${aws:username}/*'",
+        '            Condition:',
+        '              IpAddress:',
+        '                aws:SourceIp:',
+        "                  - '203.0.113.0/24'",
+        '',
+      ].join('\n')
+    );
+    // CloudFormation cannot reach other providers, so the template says so
+    expect(exportPolicy(policy, 'cloudformation').content).toMatch(
+      /^# CloudFormation .* AWS S3 only/
+    );
+  });
+
+  test('should quote YAML scalars that would read back as something else', () => {
+    const tricky = { Version: '2012-10-17', Statement: [{ Sid: 'yes', Action: '*', N: 1 }] };
+    const { content } = exportPolicy(tricky, 'cloudformation', { provider: 'aws' });
+    expect(content).toContain("- Sid: 'yes'\n            Action: '*'\n            'N': 1");
+  });
+
+  test('should build a put-bucket-policy command', () => {
+    const quoted = { ...policy, Id: "Bob's policy" };
+    const { content, filename } = exportPolicy(quoted, 'cli', { endpoint: 'https://s3.example' });
+
+    expect(filename).toBe('team-data-policy.sh');
+    const [command, bucket, policyArg, endpoint] = content.trim().split(' \\\n  ');
+    expect(command).toBe('aws s3api put-bucket-policy');
+    expect(bucket).toBe('--bucket team-data');
+    expect(policyArg).toBe(`--policy '${JSON.stringify(quoted).replace("'", "'\\''")}'`);
+    expect(endpoint).toBe('--endpoint-url https://s3.example');
+    expect(exportPolicy(policy, 'cli', { provider: 'aws' }).content).not.toContain(
+      '--endpoint-url'
+    );
+  });
+
+  test('should report policies that cannot be exported', () => {
+    expect(exportPolicy('{ nope', 'terraform').errors[0]).toMatch(/^Invalid JSON syntax/);
+    expect(exportPolicy('[]', 'cli').errors).toEqual(['Policy must be a JSON object']);
+    expect(() => exportPolicy(policy, 'pulumi')).toThrow('Unknown export format "pulumi"');
+    expect(Object.keys(EXPORT_FORMATS)).toEqual(['json', 'terraform', 'cloudformation', 'cli']);
+  });
+
+  test('should find the bucket in the resources', () => {
+    expect(getPolicyBucketName(policy)).toBe('team-data');
+    expect(getPolicyBucketName({ Statement: [{ Resource: ['*', 'arn:aws:s3:::b2'] }] })).toBe('b2');
+    expect(getPolicyBucketName({ Statement: [{ Resource: 'arn:aws:s3:::*' }] })).toBeNull();
+    expect(exportPolicy({ Statement: [] }, 'json').filename).toBe('your-bucket-name-policy.json');
+  });
+});
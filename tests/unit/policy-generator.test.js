@@ -0,0 +1,1316 @@
+/**
+ * Unit tests for the browser UI layer in policy-generator.js
+ * Runs against the real index.html markup inside JSDOM
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { setupTestEnvironment } from './test-setup.js';
+
+let window;
+
+beforeEach(async () => {
+  window = await setupTestEnvironment();
+});
+
+function $(id) {
+  return window.document.getElementById(id);
+}
+
+function outputPolicy() {
+  return JSON.parse($('policyOutput').textContent);
+}
+
+describe('Policy Generation', () => {
+  test('should generate a policy from the form', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+
+    window.generatePolicy();
+
+    expect(outputPolicy().Statement[0]).toMatchObject({
+      Effect: 'Allow',
+      Action: 's3:GetObject',
+      Resource: 'arn:aws:s3:::test-bucket/*',
+    });
+  });
+
+  test('should assemble every statement in the list', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+    window.addStatement();
+    $('policyEffect').value = 'Deny';
+    $('action_s3_DeleteObject').checked = true;
+
+    window.generatePolicy();
+
+    const policy = outputPolicy();
+    expect(policy.Statement.map((stmt) => stmt.Effect)).toEqual(['Allow', 'Deny']);
+  });
+
+  test('should select the statement that failed to build', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+    window.addStatement();
+    window.document.querySelector('.statement-item').click();
+
+    window.generatePolicy();
+
+    expect($('notification').textContent).toContain('At least one action is required');
+    expect(window.document.querySelectorAll('.statement-item')[1].className).toContain('active');
+  });
+});
+
+describe('Resource Paths', () => {
+  test('should generate one ARN per resource path', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+    $('resourcePath').value = 'reports/*\n/uploads/*';
+
+    window.generatePolicy();
+
+    expect(outputPolicy().Statement[0].Resource).toEqual([
+      'arn:aws:s3:::test-bucket/reports/*',
+      'arn:aws:s3:::test-bucket/uploads/*',
+    ]);
+  });
+
+  test('should warn about prefixes without a wildcard and preview matching keys', () => {
+    $('resourcePath').value = 'reports';
+    $('resourcePath').dispatchEvent(new window.Event('input'));
+
+    expect($('resourcePathValidation').className).toContain('warning');
+    expect($('resourcePathValidation').textContent).toContain('use "reports/*" if it is a prefix');
+
+    $('resourcePath').value = 'reports/*';
+    $('resourcePath').dispatchEvent(new window.Event('input'));
+    const preview = [...$('resourcePathPreview').querySelectorAll('li')].map(
+      (li) => li.textContent
+    );
+    expect(preview).toEqual([
+      '✗ index.html',
+      '✓ reports/2025/summary.pdf - matches reports/*',
+      '✓ reports/ - matches reports/*',
+      '✗ uploads/photo.jpg',
+    ]);
+  });
+
+  test('should flag a full ARN as an error', () => {
+    $('resourcePath').value = 'arn:aws:s3:::test-bucket/*';
+    $('resourcePath').dispatchEvent(new window.Event('input'));
+    expect($('resourcePath').classList.contains('invalid')).toBe(true);
+    expect($('resourcePathValidation').textContent).toContain('not a full ARN');
+  });
+});
+
+describe('Policy Import', () => {
+  test('should fill the form from pasted policy JSON', () => {
+    $('policyOutput').textContent = readFileSync('./examples/encrypted-uploads-only.json', 'utf-8');
+
+    window.importPolicyFromOutput();
+
+    expect($('bucketName').value).toBe('your-bucket-name');
+    expect(window.document.querySelectorAll('.statement-item')).toHaveLength(2);
+    expect($('statementSid').value).toBe('DenyUnencryptedObjectUploads');
+    expect($('policyEffect').value).toBe('Deny');
+    expect($('action_s3_PutObject').checked).toBe(true);
+    const row = window.document.querySelector('#conditionRows .condition-row');
+    expect(row.querySelector('.condition-operator').value).toBe('StringNotEquals');
+    expect(row.querySelector('.condition-key').value).toBe('s3:x-amz-server-side-encryption');
+    expect(row.querySelector('.condition-values').value).toBe('AES256');
+  });
+
+  test('should put unknown actions into custom actions', () => {
+    $('policyOutput').textContent = JSON.stringify({
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Action: ['s3:GetObject', 's3:GetObjectAcl', 's3:GetInventoryConfiguration'],
+          Resource: 'arn:aws:s3:::test-bucket/*',
+        },
+      ],
+    });
+
+    window.importPolicyFromOutput();
+
+    expect($('action_s3_GetObject').checked).toBe(true);
+    expect($('action_s3_GetObjectAcl').checked).toBe(true);
+    expect($('customActions').value).toBe('s3:GetInventoryConfiguration');
+  });
+
+  test('should list the policies in a Terraform file and load the chosen one', async () => {
+    const terraform = [
+      'resource "aws_s3_bucket_policy" "data" {',
+      '  bucket = "tf-bucket"',
+      '  policy = jsonencode({',
+      '    Version   = "2012-10-17"',
+      '    Statement = [{ Effect = "Allow", Action = "s3:GetObject", Resource = "arn:aws:s3:::tf-bucket/*" }]',
+      '  })',
+      '}',
+      'data "aws_iam_policy_document" "logs" {',
+      '  statement {',
+      '    actions   = ["s3:PutObject"]',
+      '    resources = ["arn:aws:s3:::${var.logs}/*"]',
+      '  }',
+      '}',
+    ].join('\n');
+    Object.defineProperty($('importFile'), 'files', {
+      value: [{ name: 'main.tf', text: async () => terraform }],
+    });
+    $('importFile').dispatchEvent(new window.Event('change'));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect($('importSection').hidden).toBe(false);
+    expect($('importSummary').textContent).toContain('2 policies found in main.tf');
+    const items = window.document.querySelectorAll('#importDocuments .import-document');
+    expect([...items].map((item) => item.querySelector('code').textContent)).toEqual([
+      'aws_s3_bucket_policy.data.policy',
+      'data.aws_iam_policy_document.logs',
+    ]);
+    expect(items[1].textContent).toContain('line 8 · 1 statement · ⚠️ 1 warning');
+
+    items[1].click();
+
+    expect($('importSection').hidden).toBe(true);
+    expect(JSON.parse($('policyOutput').textContent).Statement[0]).toEqual({
+      Effect: 'Allow',
+      Action: 's3:PutObject',
+      Resource: 'arn:aws:s3:::${var.logs}/*',
+    });
+    expect($('notification').textContent).toContain(
+      'Loaded data.aws_iam_policy_document.logs into the editor'
+    );
+    expect($('notification').textContent).toContain('Could not resolve var.logs');
+
+    items[0].click();
+    expect($('policyOutput').textContent).toContain('arn:aws:s3:::${var.logs}/*');
+  });
+
+  test('should find policies in a pasted CloudFormation template', () => {
+    $('policyOutput').textContent = [
+      'Resources:',
+      '  Policy:',
+      '    Type: AWS::S3::BucketPolicy',
+      '    Properties:',
+      '      Bucket: cfn-bucket',
+      '      PolicyDocument:',
+      "        Version: '2012-10-17'",
+      '        Statement:',
+      '          - Effect: Allow',
+      '            Action: s3:GetObject',
+      "            Resource: 'arn:aws:s3:::cfn-bucket/*'",
+    ].join('\n');
+
+    window.importPolicyFromOutput();
+    expect($('importSummary').textContent).toContain('1 policy found in the CloudFormation text');
+    window.document.querySelector('#importDocuments .import-document').click();
+    expect($('notification').textContent).toBe(
+      'Loaded Policy (AWS::S3::BucketPolicy) into the editor - click 📥 Import into Form to edit it'
+    );
+
+    window.importPolicyFromOutput();
+    expect($('bucketName').value).toBe('cfn-bucket');
+    expect($('action_s3_GetObject').checked).toBe(true);
+  });
+
+  test('should report Terraform it cannot read and close the list on cancel', () => {
+    $('policyOutput').textContent =
+      'resource "aws_s3_bucket_policy" "broken" {\n  policy = jsonencode({';
+    window.importPolicyFromOutput();
+    expect($('notification').textContent).toMatch(/^❌ Cannot import: Invalid HCL syntax/);
+    expect($('importSection').hidden).toBe(true);
+
+    $('policyOutput').textContent = 'policy = jsonencode({ Statement = [] })';
+    window.importPolicyFromOutput();
+    expect($('importSection').hidden).toBe(false);
+    window.closeImportChooser();
+    expect($('importSection').hidden).toBe(true);
+  });
+});
+
+describe('Target Provider', () => {
+  test('should only show principals for AWS S3', () => {
+    expect($('principalGroup').hidden).toBe(true);
+
+    $('targetProvider').value = 'aws';
+    $('targetProvider').dispatchEvent(new window.Event('change'));
+
+    expect($('principalGroup').hidden).toBe(false);
+  });
+
+  test('should generate a Principal for each statement', () => {
+    $('targetProvider').value = 'aws';
+    $('targetProvider').dispatchEvent(new window.Event('change'));
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+    $('principal').value = 'arn:aws:iam::123456789012:user/alice\n210987654321';
+
+    window.generatePolicy();
+
+    expect(outputPolicy().Statement[0].Principal).toEqual({
+      AWS: ['arn:aws:iam::123456789012:user/alice', '210987654321'],
+    });
+  });
+
+  test('should refuse to generate AWS statements without principals', () => {
+    $('targetProvider').value = 'aws';
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+
+    window.generatePolicy();
+
+    expect($('notification').textContent).toContain('At least one principal is required');
+  });
+
+  test('should describe the provider and offer only its condition keys', () => {
+    const keys = () =>
+      [...window.document.querySelectorAll('#conditionKeyList option')].map((o) => o.value);
+    expect(keys()).not.toContain('aws:SourceVpce');
+
+    $('targetProvider').value = 'aws';
+    $('targetProvider').dispatchEvent(new window.Event('change'));
+    expect(keys()).toContain('aws:SourceVpce');
+
+    $('targetProvider').value = 'generic';
+    $('targetProvider').dispatchEvent(new window.Event('change'));
+
+    expect($('principalGroup').hidden).toBe(false);
+    expect($('providerDescription').textContent).toContain('MinIO');
+    expect(keys()).not.toContain('aws:SourceVpce');
+    expect(keys()).toContain('aws:SourceIp');
+  });
+});
+
+describe('Condition Builder', () => {
+  function fillConditionRow(idx, { qualifier = '', operator, ifExists = false, key, values }) {
+    const row = window.document.querySelectorAll('#conditionRows .condition-row')[idx];
+    row.querySelector('.condition-qualifier').value = qualifier;
+    row.querySelector('.condition-operator').value = operator;
+    row.querySelector('.condition-ifexists input').checked = ifExists;
+    row.querySelector('.condition-key').value = key;
+    row.querySelector('.condition-values').value = values.join('\n');
+    row.dispatchEvent(new window.Event('input', { bubbles: true }));
+    return row;
+  }
+
+  test('should serialize condition rows into the statement Condition', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_ListBucket').checked = true;
+    window.addConditionRow();
+    fillConditionRow(0, {
+      operator: 'StringLike',
+      ifExists: true,
+      key: 's3:prefix',
+      values: ['home/', 'shared/'],
+    });
+    window.addConditionRow();
+    fillConditionRow(1, {
+      qualifier: 'ForAnyValue',
+      operator: 'StringEquals',
+      key: 'aws:TagKeys',
+      values: ['team'],
+    });
+
+    window.generatePolicy();
+
+    expect(outputPolicy().Statement[0].Condition).toEqual({
+      StringLikeIfExists: { 's3:prefix': ['home/', 'shared/'] },
+      'ForAnyValue:StringEquals': { 'aws:TagKeys': 'team' },
+    });
+  });
+
+  test('should keep conditions with their statement', () => {
+    window.addConditionRow();
+    fillConditionRow(0, { operator: 'Bool', key: 'aws:SecureTransport', values: ['true'] });
+    window.addStatement();
+    expect(window.document.querySelectorAll('#conditionRows .condition-row')).toHaveLength(0);
+
+    window.document.querySelectorAll('.statement-item')[0].click();
+    const row = window.document.querySelector('#conditionRows .condition-row');
+    expect(row.querySelector('.condition-key').value).toBe('aws:SecureTransport');
+  });
+
+  test('should flag invalid values on the row', () => {
+    window.addConditionRow();
+    const row = fillConditionRow(0, {
+      operator: 'IpAddress',
+      key: 'aws:SourceIp',
+      values: ['office'],
+    });
+
+    expect(row.querySelector('.condition-message').textContent).toMatch(/not a valid IP address/);
+  });
+
+  test('should refuse to generate with an incomplete condition row', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+    window.addConditionRow();
+    fillConditionRow(0, { operator: 'StringEquals', key: 'aws:Referer', values: [] });
+
+    window.generatePolicy();
+
+    expect($('notification').textContent).toContain('At least one value is required');
+    expect($('policyOutput').textContent).toContain('Click "Generate Policy"');
+  });
+});
+
+describe('Shareable Links', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', window.location.pathname);
+  });
+
+  test('should restore the form from a copied link', async () => {
+    let copied = '';
+    Object.defineProperty(window.navigator, 'clipboard', {
+      value: { writeText: async (text) => (copied = text) },
+      configurable: true,
+    });
+    $('targetProvider').value = 'aws';
+    $('bucketName').value = 'shared-bucket';
+    $('principal').value = '*';
+    $('action_s3_GetObject').checked = true;
+    $('resourcePath').value = 'reports/*';
+    window.addStatement();
+    $('policyEffect').value = 'Deny';
+    $('action_s3_DeleteObject').checked = true;
+
+    window.copyLink();
+    await Promise.resolve();
+    expect(copied).toContain('#v1.');
+    expect(window.location.hash).toBe(`#${copied.split('#')[1]}`);
+
+    // Open the link in a fresh page
+    window = await setupTestEnvironment();
+
+    expect($('targetProvider').value).toBe('aws');
+    expect($('bucketName').value).toBe('shared-bucket');
+    expect($('statementList').children).toHaveLength(2);
+    expect($('policyEffect').value).toBe('Deny');
+    expect($('action_s3_DeleteObject').checked).toBe(true);
+
+    window.document.querySelectorAll('.statement-item')[0].click();
+    expect($('resourcePath').value).toBe('reports/*');
+    expect($('action_s3_GetObject').checked).toBe(true);
+    expect($('principal').value).toBe('*');
+  });
+
+  test('should show principal messages from a link as text', async () => {
+    const principal = 'arn:aws:iam::123456789012:<img src=x onerror=alert(1)>/x';
+    Object.defineProperty(window.navigator, 'clipboard', {
+      value: { writeText: async () => {} },
+      configurable: true,
+    });
+    $('targetProvider').value = 'aws';
+    $('targetProvider').dispatchEvent(new window.Event('change'));
+    $('principal').value = principal;
+    window.copyLink();
+    await Promise.resolve();
+
+    window = await setupTestEnvironment();
+
+    expect($('principal').value).toBe(principal);
+    expect($('principalValidation').querySelector('img')).toBeNull();
+    expect($('principalValidation').textContent).toContain('<img src=x onerror=alert(1)>');
+  });
+
+  test('should report links that cannot be opened', async () => {
+    window.history.replaceState(null, '', '#v9.e30');
+    window = await setupTestEnvironment();
+
+    expect($('notification').textContent).toContain('Link version 9 is not supported');
+  });
+});
+
+describe('Saved Policies', () => {
+  function libraryNames() {
+    return [...window.document.querySelectorAll('.library-item-name')].map((e) => e.textContent);
+  }
+
+  function clickLibraryButton(idx, className) {
+    window.document.querySelectorAll('.library-item')[idx].querySelector(className).click();
+  }
+
+  function saveAs(name, bucketName) {
+    $('bucketName').value = bucketName;
+    $('libraryName').value = name;
+    window.saveToLibrary();
+  }
+
+  test('should save and reopen named policies', () => {
+    $('action_s3_GetObject').checked = true;
+    saveAs('Uploads', 'uploads-bucket');
+    $('action_s3_GetObject').checked = false;
+    saveAs('Logs', 'logs-bucket');
+    expect(libraryNames()).toEqual(['Uploads', 'Logs']);
+
+    clickLibraryButton(0, '.library-open');
+    expect($('bucketName').value).toBe('uploads-bucket');
+    expect($('action_s3_GetObject').checked).toBe(true);
+    expect($('notification').textContent).toBe('Opened "Uploads"');
+  });
+
+  test('should rename, duplicate and delete saved policies', () => {
+    saveAs('Uploads', 'uploads-bucket');
+
+    window.prompt = () => 'Team Uploads';
+    clickLibraryButton(0, '.library-rename');
+    clickLibraryButton(0, '.library-duplicate');
+    expect(libraryNames()).toEqual(['Team Uploads', 'Team Uploads (copy)']);
+
+    clickLibraryButton(0, '.library-delete');
+    expect(libraryNames()).toEqual(['Team Uploads (copy)']);
+  });
+
+  test('should keep saved policies across page loads', async () => {
+    saveAs('Uploads', 'uploads-bucket');
+    window = await setupTestEnvironment({ keepStorage: true });
+    expect(libraryNames()).toEqual(['Uploads']);
+  });
+
+  test('should restore the autosaved draft on load', async () => {
+    jest.useFakeTimers();
+    $('bucketName').value = 'draft-bucket';
+    $('action_s3_PutObject').checked = true;
+    $('action_s3_PutObject').dispatchEvent(new window.Event('change'));
+    jest.advanceTimersByTime(500);
+    jest.useRealTimers();
+    expect($('draftStatus').textContent).toContain('Draft saved');
+
+    window = await setupTestEnvironment({ keepStorage: true });
+    expect($('bucketName').value).toBe('draft-bucket');
+    expect($('action_s3_PutObject').checked).toBe(true);
+    expect($('notification').textContent).toContain('Restored your draft');
+  });
+
+  test('should import a bundle of saved policies from a file', async () => {
+    saveAs('Uploads', 'uploads-bucket');
+    const bundle = window.localStorage.getItem('icpolicy.library');
+    window = await setupTestEnvironment();
+    expect(libraryNames()).toEqual([]);
+
+    Object.defineProperty($('libraryFile'), 'files', {
+      value: [{ name: 'saved-policies.json', text: async () => bundle }],
+    });
+    $('libraryFile').dispatchEvent(new window.Event('change'));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(libraryNames()).toEqual(['Uploads']);
+    expect($('notification').textContent).toBe('Imported 1 saved policy');
+  });
+});
+
+describe('Undo History', () => {
+  function historyLabels() {
+    return [...window.document.querySelectorAll('.history-item-label')].map((e) => e.textContent);
+  }
+
+  test('should undo and redo a template load', () => {
+    $('action_s3_DeleteObject').checked = true;
+    $('action_s3_DeleteObject').dispatchEvent(new window.Event('change'));
+    window.loadTemplate('publicRead');
+    expect($('action_s3_DeleteObject').checked).toBe(false);
+
+    window.undo();
+    expect($('action_s3_DeleteObject').checked).toBe(true);
+    expect($('action_s3_GetObject').checked).toBe(false);
+    expect($('notification').textContent).toBe('Undid: Load template publicRead');
+
+    window.redo();
+    expect($('action_s3_GetObject').checked).toBe(true);
+    expect(historyLabels()).toEqual(['Load template publicRead', 'Edit form', 'Start']);
+  });
+
+  test('should bring back manual JSON edits after generating again', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+    window.generatePolicy();
+
+    $('policyOutput').textContent = '{ "edited": true }';
+    $('policyOutput').dispatchEvent(new window.Event('input'));
+    window.generatePolicy();
+    expect(outputPolicy().Version).toBe('2012-10-17');
+
+    window.undo();
+    expect(outputPolicy()).toEqual({ edited: true });
+    expect(historyLabels()[1]).toBe('Edit JSON');
+  });
+
+  test('should record typing once it pauses', () => {
+    jest.useFakeTimers();
+    $('bucketName').value = 'typed-bucket';
+    $('bucketName').dispatchEvent(new window.Event('input'));
+    jest.advanceTimersByTime(700);
+    jest.useRealTimers();
+    expect(historyLabels()).toEqual(['Edit form', 'Start']);
+
+    window.undo();
+    expect($('bucketName').value).toBe('');
+    expect($('redoBtn').disabled).toBe(false);
+  });
+
+  test('should jump to a step from the history panel', () => {
+    window.addStatement();
+    window.addStatement();
+    expect(window.document.querySelectorAll('.statement-item')).toHaveLength(3);
+
+    window.document.querySelectorAll('.history-item')[2].click();
+    expect(window.document.querySelectorAll('.statement-item')).toHaveLength(1);
+    expect(window.document.querySelectorAll('.history-item.undone')).toHaveLength(2);
+    expect(window.document.querySelector('.history-item.current').textContent).toContain('Start');
+  });
+
+  test('should report when there is nothing to undo', () => {
+    expect($('undoBtn').disabled).toBe(true);
+    window.undo();
+    expect($('notification').textContent).toBe('Nothing to undo');
+  });
+});
+
+describe('Least-Privilege Check', () => {
+  test('should score statements and show suggestions', () => {
+    $('policyOutput').textContent = JSON.stringify({
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Sid: 'Admin',
+          Effect: 'Allow',
+          Action: ['s3:*', 's3:GetObject'],
+          Resource: 'arn:aws:s3:::test-bucket/*',
+        },
+      ],
+    });
+    window.analyzePolicyRisk();
+
+    expect($('analysisResult').querySelector('.analysis-score').textContent).toBe(
+      'Risk score 80/100 (high)'
+    );
+    const boxes = $('analysisResult').querySelectorAll('.analysis-statement');
+    expect(boxes[0].className).toContain('high');
+    expect(boxes[0].textContent).toContain('[wildcard-action]');
+    expect(boxes[0].textContent).toContain('with the 1 action you actually listed: s3:GetObject');
+    expect(boxes[1].textContent).toContain('[missing-secure-transport]');
+  });
+
+  test('should report a clean policy', () => {
+    $('policyOutput').textContent = JSON.stringify({
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Deny',
+          Action: 's3:*',
+          Resource: 'arn:aws:s3:::test-bucket/*',
+          Condition: { Bool: { 'aws:SecureTransport': 'false' } },
+        },
+      ],
+    });
+    window.analyzePolicyRisk();
+    expect($('analysisResult').textContent).toContain('no least-privilege issues found');
+  });
+});
+
+describe('Compare Versions', () => {
+  function generate(...actions) {
+    $('bucketName').value = 'test-bucket';
+    window.document.querySelectorAll('input.s3-action').forEach((cb) => {
+      cb.checked = actions.includes(cb.value);
+    });
+    window.generatePolicy();
+  }
+
+  test('should compare with a pasted policy', () => {
+    generate('s3:GetObject');
+    const earlier = $('policyOutput').textContent;
+    generate('s3:GetObject', 's3:PutObject');
+
+    $('compareText').value = earlier;
+    window.comparePolicies();
+
+    expect($('compareResult').querySelector('.compare-summary').textContent).toContain(
+      '0 added, 0 removed, 1 changed'
+    );
+    const lines = [...$('compareResult').querySelectorAll('li.diff-added')].map(
+      (li) => li.textContent
+    );
+    expect(lines).toEqual(['+ Action: s3:PutObject']);
+    expect($('compareResult').querySelector('.compare-broadening').textContent).toContain(
+      'Allows new Action "s3:PutObject"'
+    );
+  });
+
+  test('should compare with an earlier history step', () => {
+    generate('s3:GetObject');
+    generate('s3:GetObject', 's3:DeleteObject');
+
+    const options = [...$('compareSource').querySelectorAll('optgroup[label="History"] option')];
+    expect(options).toHaveLength(1);
+    $('compareSource').value = options[0].value;
+    $('compareSource').dispatchEvent(new window.Event('change'));
+    expect($('compareTextGroup').style.display).toBe('none');
+
+    window.comparePolicies();
+    expect($('compareResult').textContent).toContain('+ Action: s3:DeleteObject');
+  });
+
+  test('should compare with a saved policy', () => {
+    generate('s3:GetObject');
+    $('libraryName').value = 'Readers';
+    window.saveToLibrary();
+    generate('s3:GetObject');
+
+    const option = $('compareSource').querySelector('optgroup[label="Saved Policies"] option');
+    $('compareSource').value = option.value;
+    window.comparePolicies();
+    expect($('compareResult').textContent).toBe('No differences from "Readers"');
+  });
+
+  test('should report a pasted policy that is not JSON', () => {
+    generate('s3:GetObject');
+    $('compareText').value = 'not json';
+    window.comparePolicies();
+    expect($('notification').textContent).toContain('Earlier policy: Invalid JSON syntax');
+  });
+});
+
+describe('Policy Simulator', () => {
+  test('should name the statement that allows a request', () => {
+    $('bucketName').value = 'test-bucket';
+    $('statementSid').value = 'ReadAll';
+    $('action_s3_GetObject').checked = true;
+    window.generatePolicy();
+
+    $('simAction').value = 's3:GetObject';
+    $('simResource').value = 'docs/readme.txt';
+    window.simulatePolicy();
+
+    expect($('simulationResult').classList.contains('allowed')).toBe(true);
+    expect($('simulationResult').textContent).toContain('Allowed by Statement[0] (ReadAll)');
+    expect($('simulationResult').textContent).toContain('arn:aws:s3:::test-bucket/docs/readme.txt');
+  });
+
+  test('should use the request context for conditions', () => {
+    $('policyOutput').textContent = JSON.stringify({
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Sid: 'AllowAll',
+          Effect: 'Allow',
+          Action: 's3:*',
+          Resource: 'arn:aws:s3:::test-bucket/*',
+        },
+        {
+          Sid: 'DenyInsecure',
+          Effect: 'Deny',
+          Action: 's3:*',
+          Resource: 'arn:aws:s3:::test-bucket/*',
+          Condition: { Bool: { 'aws:SecureTransport': 'false' } },
+        },
+      ],
+    });
+
+    $('simAction').value = 's3:PutObject';
+    $('simResource').value = 'a.txt';
+    $('simContext').value = 'aws:SecureTransport=false';
+    window.simulatePolicy();
+
+    expect($('simulationResult').classList.contains('denied')).toBe(true);
+    expect($('simulationResult').textContent).toContain(
+      'Explicitly denied by Statement[1] (DenyInsecure)'
+    );
+  });
+});
+
+describe('Action Checkboxes', () => {
+  test('should render one checkbox per catalog action, grouped by category', async () => {
+    const { S3_ACTIONS, ACTION_CATEGORIES } = await import('../../lib/action-catalog.js');
+    const checkboxes = [...window.document.querySelectorAll('input.s3-action')];
+    expect(checkboxes.map((cb) => cb.value)).toEqual(S3_ACTIONS.map((entry) => entry.name));
+
+    const categories = [...window.document.querySelectorAll('.action-category')];
+    expect(categories.map((c) => c.querySelector('h4').textContent)).toEqual(
+      ACTION_CATEGORIES.map((category) => category.name)
+    );
+    expect(categories[0].classList.contains('collapsed')).toBe(false);
+    expect(categories[1].classList.contains('collapsed')).toBe(true);
+    expect($('action_s3_All').value).toBe('s3:*');
+  });
+
+  test('should only use catalog actions in templates', async () => {
+    const { POLICY_TEMPLATES } = await import('../../lib/policy-templates.js');
+    // A provider with principals, so that every template can be loaded
+    $('targetProvider').value = 'aws';
+    $('targetProvider').dispatchEvent(new window.Event('change'));
+    POLICY_TEMPLATES.forEach((template) => {
+      window.loadTemplate(template.id);
+      expect($('customActions').value).toBe('');
+      expect($('notification').textContent).toMatch(
+        /^Template loaded: \w+( - \d statements added)?$/
+      );
+    });
+
+    window.loadTemplate('objectLockVersioning');
+    expect($('action_s3_GetObjectVersion').checked).toBe(true);
+    expect($('action_s3_PutObjectLockConfiguration').checked).toBe(true);
+  });
+
+  test('should strike through actions the provider does not support', () => {
+    const group = () => $('action_s3_GetBucketWebsite').closest('.checkbox-group');
+    $('targetProvider').value = 'aws';
+    $('targetProvider').dispatchEvent(new window.Event('change'));
+    expect(group().classList.contains('unsupported')).toBe(false);
+
+    $('targetProvider').value = 'generic';
+    $('targetProvider').dispatchEvent(new window.Event('change'));
+    expect(group().classList.contains('unsupported')).toBe(true);
+    expect(group().title).toContain('not supported by Generic S3 (MinIO)');
+  });
+});
+
+describe('Action Picker', () => {
+  function search(query) {
+    $('actionSearch').value = query;
+    $('actionSearch').dispatchEvent(new window.Event('input'));
+  }
+
+  function category(id) {
+    return window.document.querySelector(`.action-category[data-category="${id}"]`);
+  }
+
+  function visibleActions() {
+    return [...window.document.querySelectorAll('.checkbox-group:not([hidden]) input')].map(
+      (cb) => cb.value
+    );
+  }
+
+  test('should filter actions and open the categories that match', () => {
+    search('multipart');
+    expect(visibleActions()).toEqual([
+      's3:ListBucketMultipartUploads',
+      's3:AbortMultipartUpload',
+      's3:ListMultipartUploadParts',
+    ]);
+    expect(category('multipart').classList.contains('collapsed')).toBe(false);
+    expect(category('tagging').hidden).toBe(true);
+    expect($('actionSearchPreview').textContent).toBe('3 actions found');
+
+    search('');
+    expect(visibleActions()).toHaveLength(
+      window.document.querySelectorAll('input.s3-action').length
+    );
+    expect(category('tagging').hidden).toBe(false);
+  });
+
+  test('should select all or none per category and count the selection', () => {
+    category('tagging').querySelector('.category-select-btn').click();
+    expect($('action_s3_PutBucketTagging').checked).toBe(true);
+    expect(category('tagging').querySelector('.category-count').textContent).toBe('3 selected');
+
+    search('GetBucketTagging');
+    const [, none] = category('tagging').querySelectorAll('.category-select-btn');
+    none.click();
+    expect($('action_s3_GetBucketTagging').checked).toBe(false);
+    expect($('action_s3_PutBucketTagging').checked).toBe(true);
+    expect(category('tagging').querySelector('.category-count').textContent).toBe('2 selected');
+    expect(category('objects').querySelector('.category-count').textContent).toBe('');
+  });
+
+  test('should preview a pattern and select the actions it covers', () => {
+    search('s3:*BucketTagging');
+    expect($('actionSearchPreview').textContent).toContain('"s3:*BucketTagging" covers 3 actions');
+
+    $('actionSearchPreview').querySelector('button').click();
+    $('bucketName').value = 'test-bucket';
+    window.generatePolicy();
+    expect(outputPolicy().Statement[0].Action).toEqual([
+      's3:GetBucketTagging',
+      's3:PutBucketTagging',
+      's3:DeleteBucketTagging',
+    ]);
+  });
+
+  test('should move known custom actions to their checkboxes', () => {
+    $('customActions').value = 's3:getobjectacl\ns3:GetInventoryConfiguration';
+    $('customActions').dispatchEvent(new window.Event('change'));
+
+    expect($('action_s3_GetObjectAcl').checked).toBe(true);
+    expect($('customActions').value).toBe('s3:GetInventoryConfiguration');
+    expect($('notification').textContent).toBe('Moved to checkboxes: s3:GetObjectAcl');
+  });
+
+  test('should expand a custom pattern into checkboxes', () => {
+    $('customActions').value = 's3:Abort*';
+    $('customActions').dispatchEvent(new window.Event('input'));
+    expect($('customActionsPreview').textContent).toContain('"s3:Abort*" covers 1 action');
+
+    $('customActionsPreview').querySelector('button').click();
+    expect($('action_s3_AbortMultipartUpload').checked).toBe(true);
+    expect($('customActions').value).toBe('');
+    expect($('customActionsPreview').textContent).toBe('');
+
+    window.undo();
+    expect($('customActions').value).toBe('s3:Abort*');
+  });
+});
+
+describe('Quick Templates', () => {
+  test('should render a button for every template', () => {
+    const buttons = [...window.document.querySelectorAll('#templateButtons .template-btn')];
+    expect(buttons.map((button) => button.textContent)).toContain('Prefix-Based Access');
+    expect(buttons.find((b) => b.textContent === 'Logging Bucket').title).toBe(
+      'Write access logs under a prefix and manage the logging settings'
+    );
+  });
+
+  test('should load every statement and condition of a template', () => {
+    $('bucketName').value = 'test-bucket';
+    window.loadTemplate('prefixBased');
+    expect(window.document.querySelectorAll('.statement-item')).toHaveLength(3);
+    expect($('notification').textContent).toBe('Template loaded: prefixBased - 3 statements added');
+
+    window.generatePolicy();
+    const policy = outputPolicy();
+    expect(policy.Statement.map((stmt) => stmt.Sid)).toEqual([
+      'ListBucketAccess',
+      'ReadWriteDocuments',
+      'ReadOnlyImages',
+    ]);
+    expect(policy.Statement[0].Condition).toEqual({
+      StringLike: { 's3:prefix': ['documents/*', 'images/*'] },
+    });
+    expect(policy.Statement[2].Resource).toBe('arn:aws:s3:::test-bucket/images/*');
+  });
+
+  function clickTemplate(name) {
+    [...window.document.querySelectorAll('.template-btn')]
+      .find((button) => button.textContent === name)
+      .click();
+  }
+
+  function wizardStep(value) {
+    if (value !== undefined) {
+      $('wizardInput').value = value;
+    }
+    window.wizardNext();
+  }
+
+  test('should ask for each template parameter and create the policy', () => {
+    window.addStatement();
+    clickTemplate('IP-Restricted Access');
+    expect($('templateWizard').hidden).toBe(false);
+    expect($('wizardProgress').textContent).toBe('Step 1 of 3');
+    expect($('wizardLabel').textContent).toBe('S3 Bucket Name');
+
+    wizardStep('office-bucket');
+    expect($('wizardLabel').textContent).toBe('Allowed IP ranges');
+    expect($('wizardInput').value).toBe('203.0.113.0/24\n198.51.100.0/24');
+
+    wizardStep('10.1.0.0/16\n10.2.0.0/16');
+    expect($('wizardNext').textContent).toBe('✓ Create Policy');
+    expect(JSON.parse($('wizardPreview').textContent).Statement[0].Condition).toEqual({
+      IpAddress: { 'aws:SourceIp': ['10.1.0.0/16', '10.2.0.0/16'] },
+    });
+
+    wizardStep();
+    expect($('templateWizard').hidden).toBe(true);
+    expect($('bucketName').value).toBe('office-bucket');
+    expect(window.document.querySelectorAll('.statement-item')).toHaveLength(1);
+    expect(outputPolicy().Statement[0].Resource).toEqual([
+      'arn:aws:s3:::office-bucket',
+      'arn:aws:s3:::office-bucket/*',
+    ]);
+  });
+
+  test('should not move on from an invalid value', () => {
+    $('bucketName').value = 'test-bucket';
+    clickTemplate('Object Lock Retention Limit');
+    wizardStep();
+    wizardStep('0');
+    expect($('wizardLabel').textContent).toBe('Maximum retention (days)');
+    expect($('wizardValidation').textContent).toBe(
+      '✗ Enter a whole number of days from 1 to 36500'
+    );
+
+    wizardStep('400');
+    window.wizardBack();
+    expect($('wizardInput').value).toBe('400');
+    wizardStep();
+    wizardStep();
+    expect(outputPolicy().Statement[1].Condition).toEqual({
+      NumericGreaterThan: { 's3:object-lock-remaining-retention-days': '400' },
+    });
+  });
+
+  test('should give each team its own statement', () => {
+    $('bucketName').value = 'test-bucket';
+    clickTemplate('Team Folders');
+    wizardStep();
+    wizardStep('marketing\nfinance');
+    wizardStep();
+
+    expect(outputPolicy().Statement.map((stmt) => stmt.Resource)).toEqual([
+      'arn:aws:s3:::test-bucket',
+      'arn:aws:s3:::test-bucket/marketing/*',
+      'arn:aws:s3:::test-bucket/finance/*',
+    ]);
+  });
+
+  test('should ask for the accounts to share the bucket with', () => {
+    const button = () =>
+      [...window.document.querySelectorAll('.template-btn')].find(
+        (b) => b.textContent === 'Cross-Account Access'
+      );
+    expect(button().disabled).toBe(true);
+    expect(button().title).toMatch(/not available for Impossible Cloud/);
+
+    $('targetProvider').value = 'aws';
+    $('targetProvider').dispatchEvent(new window.Event('change'));
+    expect(button().disabled).toBe(false);
+    clickTemplate('Cross-Account Access');
+    wizardStep('shared-data');
+    expect($('wizardLabel').textContent).toBe('Accounts, users or roles');
+    wizardStep('*');
+    expect($('wizardValidation').textContent).toBe(
+      '✗ Enter the accounts to grant access to - "*" is everyone'
+    );
+    wizardStep('444455556666');
+    wizardStep();
+
+    expect(outputPolicy().Statement[0].Principal).toEqual({ AWS: '444455556666' });
+  });
+
+  test('should leave the form alone when the wizard is cancelled', () => {
+    clickTemplate('Encrypted Uploads Only');
+    expect($('wizardInput').tagName).toBe('INPUT');
+    wizardStep('test-bucket');
+    expect($('wizardInput').tagName).toBe('SELECT');
+    window.closeTemplateWizard();
+
+    expect($('templateWizard').hidden).toBe(true);
+    expect($('bucketName').value).toBe('');
+    expect(window.document.querySelectorAll('.statement-item')).toHaveLength(1);
+  });
+});
+
+describe('Validation Report', () => {
+  function findings() {
+    return [...window.document.querySelectorAll('.validation-finding')];
+  }
+
+  function findingFor(rule) {
+    return findings().find((item) => item.querySelector('.validation-rule').textContent === rule);
+  }
+
+  function showPolicy(policy) {
+    $('policyOutput').textContent = JSON.stringify(policy, null, 2);
+  }
+
+  test('should list findings by severity and statement', () => {
+    showPolicy({
+      Version: '2012-10-17',
+      Statement: [
+        { Sid: 'Reads', Effect: 'Allow', Action: 's3:GetObjct', Resource: 'arn:aws:s3:::bkt/*' },
+        { Effect: 'Maybe', Action: 's3:GetObject', Resource: 'arn:aws:s3:::bkt/*' },
+      ],
+    });
+    window.validatePolicy();
+
+    expect($('validationSection').hidden).toBe(false);
+    expect($('validationSummary').textContent).toMatch(/^1 error, 1 warning/);
+    expect(
+      [...window.document.querySelectorAll('.validation-group h4')].map((h) => h.textContent)
+    ).toEqual(['❌ Errors (1)', '⚠️ Warnings (1)']);
+    expect(
+      [...window.document.querySelectorAll('.validation-statement-title')].map(
+        (title) => title.textContent
+      )
+    ).toEqual(['Statement[1]', 'Statement[0] (Reads)']);
+    expect(findingFor('action-unknown').querySelector('.validation-path').textContent).toBe(
+      'Statement[0].Action[0]'
+    );
+    expect($('notification').textContent).toBe(
+      '❌ Validation failed: 1 error and 1 warning - see the Validation Report'
+    );
+  });
+
+  test('should highlight the JSON and the form field of a finding', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+    window.addStatement();
+    $('action_s3_ListBucket').checked = true;
+    $('customActions').value = 's3:GetInventoryConfiguration';
+    window.generatePolicy();
+    const generated = $('policyOutput').textContent;
+
+    window.validatePolicy();
+    expect($('notification').textContent).toMatch(/^⚠️ Policy is valid but has 1 warning/);
+    findingFor('action-unknown').click();
+
+    const mark = $('policyOutput').querySelector('mark.json-highlight');
+    expect(mark.textContent).toBe('"s3:GetInventoryConfiguration"');
+    expect($('policyOutput').textContent).toBe(generated);
+    expect(window.document.querySelector('.statement-item.active').dataset.index).toBe('1');
+    expect($('customActions').classList.contains('field-highlight')).toBe(true);
+  });
+
+  test('should point a finding on a known action at its checkbox', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetBucketWebsite').checked = true;
+    window.generatePolicy();
+
+    window.validatePolicy();
+    findingFor('action-unsupported').click();
+    expect($('action_s3_GetBucketWebsite').closest('.checkbox-group').className).toContain(
+      'field-highlight'
+    );
+
+    // Only one finding is highlighted at a time
+    findingFor('action-unsupported').click();
+    expect($('policyOutput').querySelectorAll('mark')).toHaveLength(1);
+    expect(window.document.querySelectorAll('.field-highlight')).toHaveLength(1);
+  });
+
+  test('should point a syntax error at its position', () => {
+    $('policyOutput').textContent = '{\n  "Version": "2012-10-17",\n  "Statement": [,]\n}';
+    window.validatePolicy();
+
+    expect($('notification').textContent).toBe(
+      '❌ Invalid JSON syntax: Unexpected "," at line 3, column 17'
+    );
+    findingFor('invalid-json').click();
+    expect($('policyOutput').querySelector('mark.json-highlight').textContent).toBe(',');
+  });
+
+  test('should report a clean policy', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+    window.generatePolicy();
+    window.validatePolicy();
+
+    expect($('validationSummary').textContent).toBe('✅ No errors or warnings');
+    expect(findings()).toHaveLength(0);
+  });
+});
+
+describe('JSON Editor', () => {
+  function typeJson(text) {
+    $('policyOutput').textContent = text;
+    $('policyOutput').dispatchEvent(new window.Event('input'));
+  }
+
+  function lintAfterTyping(text) {
+    jest.useFakeTimers();
+    typeJson(text);
+    jest.advanceTimersByTime(400);
+    jest.useRealTimers();
+  }
+
+  // Put the caret at an offset of the output text, as a click would
+  function placeCaret(offset) {
+    const walker = window.document.createTreeWalker($('policyOutput'), window.NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (offset <= node.textContent.length) {
+        window.getSelection().collapse(node, offset);
+        break;
+      }
+      offset -= node.textContent.length;
+    }
+    window.document.dispatchEvent(new window.Event('selectionchange'));
+  }
+
+  test('should highlight the generated policy and number its lines', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+    window.generatePolicy();
+
+    const output = $('policyOutput');
+    expect(output.querySelector('.json-key').textContent).toBe('"Version"');
+    expect(output.querySelector('.json-string').textContent).toBe('"2012-10-17"');
+    expect(output.textContent).toBe(JSON.stringify(outputPolicy(), null, 2));
+    expect($('policyGutter').children).toHaveLength(output.textContent.split('\n').length);
+    expect($('editorLint').textContent).toBe('✅ No errors or warnings');
+  });
+
+  test('should mark findings once typing pauses', () => {
+    const policy = {
+      Version: '2012-10-17',
+      Statement: [{ Effect: 'Allow', Action: 's3:GetObjct', Resource: 'arn:aws:s3:::bkt/*' }],
+    };
+    jest.useFakeTimers();
+    typeJson(JSON.stringify(policy, null, 2));
+    expect($('policyOutput').querySelector('.json-marker')).toBeNull();
+    jest.advanceTimersByTime(400);
+    jest.useRealTimers();
+
+    // A single action is marked with its key
+    const markers = [...$('policyOutput').querySelectorAll('.json-marker.warning')];
+    expect(markers.map((marker) => marker.textContent).join('')).toBe('"Action": "s3:GetObjct"');
+    expect(markers[0].title).toMatch(/may not be a valid S3 action/);
+    expect($('policyGutter').querySelector('.gutter-line.warning').textContent).toBe('6');
+    expect($('editorLint').textContent).toMatch(/^⚠️ 0 errors, 1 warning/);
+  });
+
+  test('should point a syntax error at its position', () => {
+    lintAfterTyping('{\n  "Version": "2012-10-17",\n  "Statement": [,]\n}');
+
+    expect($('policyOutput').querySelector('.json-marker.error').textContent).toBe(',');
+    expect($('policyGutter').querySelector('.gutter-line.error').textContent).toBe('3');
+    expect($('editorLint').textContent).toBe(
+      '❌ Invalid JSON syntax: Unexpected "," at line 3, column 17'
+    );
+  });
+
+  test('should paste plain text at the caret', () => {
+    typeJson('{}');
+    placeCaret(1);
+    const paste = new window.Event('paste', { cancelable: true });
+    paste.clipboardData = { getData: (type) => (type === 'text/plain' ? '"a": 1' : '<b>1</b>') };
+    $('policyOutput').dispatchEvent(paste);
+
+    expect(paste.defaultPrevented).toBe(true);
+    expect($('policyOutput').textContent).toBe('{"a": 1}');
+    expect($('policyOutput').querySelector('b')).toBeNull();
+  });
+
+  test('should keep the indentation on a new line', () => {
+    typeJson('{\n  "Statement": [');
+    placeCaret(18);
+    $('policyOutput').dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+
+    expect($('policyOutput').textContent).toBe('{\n  "Statement": [\n    ');
+  });
+
+  test('should mark the bracket that matches the one at the caret', () => {
+    $('bucketName').value = 'test-bucket';
+    $('action_s3_GetObject').checked = true;
+    window.generatePolicy();
+    const text = $('policyOutput').textContent;
+
+    placeCaret(1);
+    const brackets = $('policyOutput').querySelectorAll('.json-bracket-match');
+    expect([...brackets].map((bracket) => bracket.textContent)).toEqual(['{', '}']);
+    expect($('editorPosition').textContent).toBe('Ln 1, Col 2');
+    expect($('policyOutput').textContent).toBe(text);
+
+    lintAfterTyping('[1, 2}');
+    placeCaret(6);
+    expect($('policyOutput').querySelectorAll('.json-bracket-unmatched')).toHaveLength(2);
+  });
+});
+
+describe('Schema Autocompletion', () => {
+  // Type text with the caret at its end, as the input event of a keystroke would leave it
+  function typeAt(text) {
+    $('policyOutput').textContent = text;
+    const node = $('policyOutput').firstChild;
+    window.getSelection().collapse(node, text.length);
+    $('policyOutput').dispatchEvent(new window.Event('input'));
+  }
+
+  function pressKey(key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, cancelable: true, ...options });
+    $('policyOutput').dispatchEvent(event);
+    return event;
+  }
+
+  const suggestions = () =>
+    [...$('editorCompletions').querySelectorAll('.completion-label')].map((l) => l.textContent);
+
+  test('should suggest values while a string is typed', () => {
+    typeAt('{"Statement": [{"Effect": "A');
+
+    expect($('editorCompletions').hidden).toBe(false);
+    expect(suggestions()).toEqual(['Allow']);
+    expect($('policyOutput').getAttribute('aria-expanded')).toBe('true');
+  });
+
+  test('should insert the chosen key and offer its values', () => {
+    typeAt('{"Statement": [{"E');
+    expect(pressKey('Enter').defaultPrevented).toBe(true);
+
+    expect($('policyOutput').textContent).toBe('{"Statement": [{"Effect": ');
+    expect(suggestions()).toEqual(['Allow', 'Deny']);
+    pressKey('ArrowDown');
+    expect($('editorCompletions').querySelector('.selected').textContent).toMatch(/^Deny/);
+    pressKey('Tab');
+    expect($('policyOutput').textContent).toBe('{"Statement": [{"Effect": "Deny"');
+    expect($('editorCompletions').hidden).toBe(true);
+  });
+
+  test('should open with Ctrl+Space and close with Escape', () => {
+    typeAt('{"Version": "2012-10-17", ');
+    expect($('editorCompletions').hidden).toBe(true);
+
+    pressKey(' ', { ctrlKey: true });
+    expect(suggestions()).toEqual(['Id', 'Statement']);
+    expect(pressKey('Escape').defaultPrevented).toBe(true);
+    expect($('editorCompletions').hidden).toBe(true);
+
+    // Without the list, Enter is a new line again
+    pressKey('Enter');
+    expect($('policyOutput').textContent).toBe('{"Version": "2012-10-17", \n');
+  });
+
+  test('should accept a suggestion that is clicked', () => {
+    typeAt('{"Statement": [{"Action": ["s3:GetObjectTa');
+    const option = $('editorCompletions').querySelector('.completion-item');
+    option.dispatchEvent(new window.MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+
+    expect($('policyOutput').textContent).toBe('{"Statement": [{"Action": ["s3:GetObjectTagging"');
+  });
+});
+
+describe('Policy Export', () => {
+  function generate() {
+    $('bucketName').value = 'export-bucket';
+    $('action_s3_GetObject').checked = true;
+    window.generatePolicy();
+  }
+
+  test('should preview the policy as Terraform for the target provider', () => {
+    generate();
+
+    expect($('exportFormat').value).toBe('terraform');
+    expect($('exportPreview').textContent).toContain('bucket   = "export-bucket"');
+    expect($('exportPreview').textContent).toContain('storage.impossibleapi.net');
+    expect($('exportEndpoint').placeholder).toBe('https://eu-central-2.storage.impossibleapi.net');
+
+    $('targetProvider').value = 'aws';
+    $('targetProvider').dispatchEvent(new window.Event('change'));
+    expect($('exportEndpoint').placeholder).toBe('AWS default endpoint');
+    expect($('exportPreview').textContent).not.toContain('endpoints');
+  });
+
+  test('should switch formats and use a custom endpoint', () => {
+    generate();
+    $('exportFormat').value = 'cli';
+    $('exportFormat').dispatchEvent(new window.Event('change'));
+    $('exportEndpoint').value = 'https://s3.example.test';
+    $('exportEndpoint').dispatchEvent(new window.Event('input'));
+
+    expect($('exportPreview').textContent).toMatch(/^aws s3api put-bucket-policy/);
+    expect($('exportPreview').textContent).toContain('--endpoint-url https://s3.example.test');
+
+    $('exportFormat').value = 'cloudformation';
+    $('exportFormat').dispatchEvent(new window.Event('change'));
+    expect($('exportEndpointGroup').hidden).toBe(true);
+    expect($('exportPreview').textContent).toContain('Type: AWS::S3::BucketPolicy');
+  });
+
+  test('should copy the export and refuse a policy that is not valid JSON', async () => {
+    let copied = '';
+    Object.defineProperty(window.navigator, 'clipboard', {
+      value: { writeText: async (text) => (copied = text) },
+      configurable: true,
+    });
+    generate();
+    window.copyExport();
+    await Promise.resolve();
+    expect(copied).toContain('resource "aws_s3_bucket_policy" "export_bucket"');
+
+    $('policyOutput').textContent = '{ "Version": ';
+    window.downloadExport();
+    expect($('exportPreview').classList.contains('error')).toBe(true);
+    expect($('notification').textContent).toMatch(/^❌ Cannot export: Invalid JSON syntax/);
+  });
+});
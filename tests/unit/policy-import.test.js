@@ -0,0 +1,252 @@
+/**
+ * Unit tests for policy import
+ * Tests finding and converting policies in Terraform and CloudFormation with lib/policy-import.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { detectSourceFormat, findPolicyDocuments } from '../../lib/policy-import.js';
+
+const terraform = `variable "bucket" {
+  default = "team-data"
+}
+
+resource "aws_s3_bucket" "data" {
+  bucket = var.bucket
+}
+
+resource "aws_s3_bucket_policy" "data" {
+  bucket = aws_s3_bucket.data.id
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [{
+      Sid      = "HomeFolders"
+      Effect   = "Allow"
+      Action   = ["s3:GetObject", "s3:PutObject"]
+      Resource = "\${aws_s3_bucket.data.arn}/home/$\${aws:username}/*"
+    }]
+  })
+}
+
+data "aws_iam_policy_document" "logs" {
+  statement {
+    sid       = "Logs"
+    actions   = ["s3:PutObject"]
+    resources = ["arn:aws:s3:::logs/&{aws:username}/*"]
+    principals {
+      type        = "Service"
+      identifiers = ["logging.s3.amazonaws.com"]
+    }
+    condition {
+      test     = "StringEquals"
+      variable = "aws:SourceAccount"
+      values   = [var.account_id]
+    }
+  }
+  statement {
+    effect      = "Deny"
+    not_actions = ["s3:GetObject", "s3:ListBucket"]
+    resources   = ["arn:aws:s3:::logs/*"]
+    principals {
+      type        = "*"
+      identifiers = ["*"]
+    }
+  }
+}
+
+resource "aws_s3_bucket_policy" "logs" {
+  bucket = "logs"
+  policy = data.aws_iam_policy_document.logs.json
+}
+`;
+
+const cloudFormation = `AWSTemplateFormatVersion: '2010-09-09'
+Parameters:
+  BucketName:
+    Type: String
+    Default: team-data
+Resources:
+  Bucket:
+    Type: AWS::S3::Bucket
+    Properties:
+      BucketName: !Ref BucketName
+  BucketPolicy:
+    Type: AWS::S3::BucketPolicy
+    Properties:
+      Bucket: !Ref Bucket
+      PolicyDocument:
+        Version: '2012-10-17'
+        Statement:
+          - Sid: HomeFolders
+            Effect: Allow
+            Action: s3:GetObject
+            Resource: !Sub '\${Bucket.Arn}/home/\${!aws:username}/*'
+          - Sid: SecureTransport
+            Effect: Deny
+            Action: 's3:*'
+            Resource:
+              - !GetAtt Bucket.Arn
+              - !Join ['', [!GetAtt Bucket.Arn, '/*']]
+              - !Sub 'arn:\${AWS::Partition}:s3:::\${LogBucket}/*'
+            Condition:
+              Bool:
+                aws:SecureTransport: false
+`;
+
+describe('Policy Import', () => {
+  test('should tell policy JSON, Terraform and CloudFormation apart', () => {
+    expect(detectSourceFormat(readFileSync('./examples/read-only.json', 'utf-8'))).toBe('json');
+    expect(detectSourceFormat(terraform)).toBe('terraform');
+    expect(detectSourceFormat('# empty', 'main.tf')).toBe('terraform');
+    expect(detectSourceFormat(cloudFormation)).toBe('cloudformation');
+    expect(detectSourceFormat('{"Resources": {}}', 'stack.json')).toBe('cloudformation');
+    expect(detectSourceFormat('Description: x', 'stack.yml')).toBe('cloudformation');
+    expect(detectSourceFormat('just some text')).toBeNull();
+  });
+
+  test('should convert jsonencode() policies and fill in bucket names', () => {
+    const { format, documents, errors } = findPolicyDocuments(terraform, 'main.tf');
+
+    expect(format).toBe('terraform');
+    expect(errors).toEqual([]);
+    expect(documents.map(({ label, line }) => [label, line])).toEqual([
+      ['aws_s3_bucket_policy.data.policy', 11],
+      ['data.aws_iam_policy_document.logs', 22],
+    ]);
+    expect(documents[0].warnings).toEqual([]);
+    expect(documents[0].policy).toEqual({
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Sid: 'HomeFolders',
+          Effect: 'Allow',
+          Action: ['s3:GetObject', 's3:PutObject'],
+          Resource: 'arn:aws:s3:::team-data/home/${aws:username}/*',
+        },
+      ],
+    });
+  });
+
+  test('should render aws_iam_policy_document data sources as policy JSON', () => {
+    const [, { policy, warnings }] = findPolicyDocuments(terraform).documents;
+
+    expect(policy).toEqual({
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Sid: 'Logs',
+          Effect: 'Allow',
+          Principal: { Service: 'logging.s3.amazonaws.com' },
+          Action: 's3:PutObject',
+          Resource: 'arn:aws:s3:::logs/${aws:username}/*',
+          Condition: { StringEquals: { 'aws:SourceAccount': '${var.account_id}' } },
+        },
+        {
+          Effect: 'Deny',
+          Principal: '*',
+          NotAction: ['s3:GetObject', 's3:ListBucket'],
+          Resource: 'arn:aws:s3:::logs/*',
+        },
+      ],
+    });
+    expect(warnings).toEqual([
+      'Could not resolve var.account_id; it is kept as "${var.account_id}"',
+    ]);
+  });
+
+  test('should find JSON heredocs and warn about documents that are not merged', () => {
+    const { documents } = findPolicyDocuments(
+      [
+        'data "aws_iam_policy_document" "combined" {',
+        '  source_policy_documents = [local.base]',
+        '  statement {',
+        '    actions   = ["s3:GetObject"]',
+        '    resources = ["*"]',
+        '  }',
+        '}',
+        'resource "aws_s3_bucket_policy" "legacy" {',
+        '  bucket = "legacy"',
+        '  policy = <<POLICY',
+        '{"Version": "2012-10-17", "Statement": [{"Effect": "Deny", "Action": "s3:*",',
+        '  "Resource": "arn:aws:s3:::${var.bucket}/*"}]}',
+        'POLICY',
+        '}',
+      ].join('\n'),
+      'legacy.tf'
+    );
+
+    expect(documents.map((found) => found.label)).toEqual([
+      'data.aws_iam_policy_document.combined',
+      'aws_s3_bucket_policy.legacy.policy',
+    ]);
+    expect(documents[0].warnings).toEqual([
+      'source_policy_documents is not merged; only the statements written in the data source are imported',
+    ]);
+    expect(documents[1].policy.Statement[0].Resource).toBe('arn:aws:s3:::${var.bucket}/*');
+    expect(documents[1].warnings).toEqual([
+      'Could not resolve var.bucket; it is kept as "${var.bucket}"',
+    ]);
+  });
+
+  test('should convert CloudFormation policies and resolve intrinsic functions', () => {
+    const { format, documents, errors } = findPolicyDocuments(cloudFormation, 'stack.yaml');
+
+    expect(format).toBe('cloudformation');
+    expect(errors).toEqual([]);
+    expect(documents).toHaveLength(1);
+    expect(documents[0].label).toBe('BucketPolicy (AWS::S3::BucketPolicy)');
+    expect(documents[0].line).toBe(11);
+    expect(documents[0].policy.Statement[0].Resource).toBe(
+      'arn:aws:s3:::team-data/home/${aws:username}/*'
+    );
+    expect(documents[0].policy.Statement[1].Resource).toEqual([
+      'arn:aws:s3:::team-data',
+      'arn:aws:s3:::team-data/*',
+      'arn:aws:s3:::${LogBucket}/*',
+    ]);
+    expect(documents[0].policy.Statement[1].Condition).toEqual({
+      Bool: { 'aws:SecureTransport': false },
+    });
+    expect(documents[0].warnings).toEqual([
+      'Could not resolve LogBucket; it is kept as "${LogBucket}"',
+    ]);
+  });
+
+  test('should find policies nested in other CloudFormation resources of a JSON template', () => {
+    const template = {
+      Resources: {
+        Role: {
+          Type: 'AWS::IAM::Role',
+          Properties: {
+            Policies: [
+              {
+                PolicyName: 'read',
+                PolicyDocument: {
+                  Statement: [{ Effect: 'Allow', Action: 's3:GetObject', Resource: '*' }],
+                },
+              },
+            ],
+          },
+        },
+      },
+    };
+    const { documents } = findPolicyDocuments(JSON.stringify(template, null, 2));
+
+    expect(documents.map((found) => found.label)).toEqual([
+      'Role.Policies[0].PolicyDocument (AWS::IAM::Role)',
+    ]);
+    expect(documents[0].line).toBe(3);
+  });
+
+  test('should report files that cannot be read or have no policies', () => {
+    expect(findPolicyDocuments('resource "a" "b" {', 'main.tf').errors).toEqual([
+      'Invalid HCL syntax: Expected "}" at line 1, column 19',
+    ]);
+    expect(
+      findPolicyDocuments('Resources:\n  Bucket:\n    Type: AWS::S3::Bucket\n').errors
+    ).toEqual(['No policy documents found in this CloudFormation file']);
+    expect(findPolicyDocuments('hello').errors).toEqual([
+      'Not a policy JSON file, Terraform file or CloudFormation template',
+    ]);
+  });
+});
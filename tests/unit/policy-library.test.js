@@ -0,0 +1,176 @@
+/**
+ * Unit tests for saved policies and the autosaved draft
+ * Tests the library operations and storage helpers from lib/policy-library.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  DRAFT_STORAGE_KEY,
+  createLibrary,
+  deleteLibraryPolicy,
+  duplicateLibraryPolicy,
+  exportLibrary,
+  getLibraryPolicyState,
+  importLibrary,
+  readDraft,
+  readLibrary,
+  renameLibraryPolicy,
+  saveLibraryPolicy,
+  writeDraft,
+  writeLibrary,
+} from '../../lib/policy-library.js';
+
+function formState(bucketName) {
+  return {
+    provider: 'impossible-cloud',
+    bucketName,
+    activeStatementIndex: 0,
+    statements: [
+      {
+        sid: 'Statement1',
+        effect: 'Allow',
+        principals: [],
+        actions: ['s3:GetObject'],
+        customActions: '',
+        resourcePath: '',
+        conditions: [],
+      },
+    ],
+  };
+}
+
+function createStorage() {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => (items[key] = String(value)),
+    removeItem: (key) => delete items[key],
+    items,
+  };
+}
+
+function libraryWith(...names) {
+  return names.reduce(
+    (library, name) => saveLibraryPolicy(library, name, formState(`${name}-bucket`)).library,
+    createLibrary()
+  );
+}
+
+describe('Saved Policies', () => {
+  test('should save and reopen a form state', () => {
+    const result = saveLibraryPolicy(createLibrary(), ' Uploads ', formState('uploads'));
+    expect(result.isValid).toBe(true);
+    expect(result.policy.name).toBe('Uploads');
+    expect(getLibraryPolicyState(result.policy).state).toEqual(formState('uploads'));
+  });
+
+  test('should replace a policy saved under the same name', () => {
+    const library = libraryWith('Uploads');
+    const result = saveLibraryPolicy(library, 'uploads', formState('changed'));
+    expect(result.library.policies).toHaveLength(1);
+    expect(result.policy.id).toBe(library.policies[0].id);
+    expect(getLibraryPolicyState(result.policy).state.bucketName).toBe('changed');
+  });
+
+  test('should require a name', () => {
+    expect(saveLibraryPolicy(createLibrary(), '  ', formState('b')).errors).toEqual([
+      'Name is required',
+    ]);
+  });
+
+  test('should rename unless the name is taken', () => {
+    const library = libraryWith('Uploads', 'Logs');
+    const [uploads] = library.policies;
+
+    expect(renameLibraryPolicy(library, uploads.id, 'Archive').library.policies[0].name).toBe(
+      'Archive'
+    );
+    expect(renameLibraryPolicy(library, uploads.id, 'LOGS').errors[0]).toMatch(/already exists/);
+    expect(renameLibraryPolicy(library, 'missing', 'X').errors[0]).toBe('Saved policy not found');
+  });
+
+  test('should duplicate below the original with a free name', () => {
+    let library = libraryWith('Uploads', 'Logs');
+    const id = library.policies[0].id;
+    library = duplicateLibraryPolicy(library, id).library;
+    library = duplicateLibraryPolicy(library, id).library;
+
+    expect(library.policies.map((p) => p.name)).toEqual([
+      'Uploads',
+      'Uploads (copy) (2)',
+      'Uploads (copy)',
+      'Logs',
+    ]);
+    expect(library.policies[1].state).toBe(library.policies[0].state);
+  });
+
+  test('should delete a policy', () => {
+    const library = libraryWith('Uploads', 'Logs');
+    expect(deleteLibraryPolicy(library, library.policies[0].id).policies[0].name).toBe('Logs');
+  });
+});
+
+describe('Library Bundles', () => {
+  test('should export and import every policy', () => {
+    const bundle = exportLibrary(libraryWith('Uploads', 'Logs'));
+    const result = importLibrary(bundle, createLibrary());
+    expect(result.isValid).toBe(true);
+    expect(result.imported).toBe(2);
+    expect(getLibraryPolicyState(result.library.policies[1]).state.bucketName).toBe('Logs-bucket');
+  });
+
+  test('should rename imported policies whose name is taken', () => {
+    const result = importLibrary(exportLibrary(libraryWith('Uploads')), libraryWith('Uploads'));
+    expect(result.library.policies.map((p) => p.name)).toEqual(['Uploads', 'Uploads (2)']);
+    expect(result.warnings[0]).toBe('"Uploads" already exists and was imported as "Uploads (2)"');
+  });
+
+  test('should skip damaged entries and reject other files', () => {
+    const bundle = JSON.parse(exportLibrary(libraryWith('Uploads')));
+    bundle.policies.push({ name: 'Broken', state: 'v1.???' }, null);
+
+    const result = importLibrary(JSON.stringify(bundle), createLibrary());
+    expect(result.imported).toBe(1);
+    expect(result.warnings).toEqual([
+      'Policy 2 "Broken" is damaged and was skipped',
+      'Policy 3 is damaged and was skipped',
+    ]);
+
+    expect(importLibrary('{"Version":"2012-10-17"}', createLibrary()).errors[0]).toBe(
+      'Not a saved policies bundle'
+    );
+    expect(importLibrary('{', createLibrary()).errors[0]).toMatch(/Invalid JSON syntax/);
+  });
+});
+
+describe('Library Storage', () => {
+  test('should store the library and the draft', () => {
+    const storage = createStorage();
+    writeLibrary(storage, libraryWith('Uploads'));
+    expect(readLibrary(storage).policies[0].name).toBe('Uploads');
+
+    writeDraft(storage, formState('draft-bucket'), new Date('2025-01-02T03:04:05Z'));
+    expect(readDraft(storage)).toEqual({
+      state: formState('draft-bucket'),
+      savedAt: '2025-01-02T03:04:05.000Z',
+    });
+  });
+
+  test('should ignore missing or damaged storage entries', () => {
+    const storage = createStorage();
+    expect(readLibrary(storage)).toEqual(createLibrary());
+    expect(readDraft(storage)).toBeNull();
+
+    storage.items[DRAFT_STORAGE_KEY] = '{ damaged';
+    expect(readDraft(storage)).toBeNull();
+  });
+
+  test('should report storage that cannot be written', () => {
+    const storage = {
+      setItem: () => {
+        throw new Error('QuotaExceededError');
+      },
+    };
+    expect(writeLibrary(storage, createLibrary())).toBe(false);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit tests for the policy JSON Schema
+ * Checks that lib/policy-schema.js, the validator and the published schema file agree
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { readdirSync, readFileSync } from 'fs';
+import { validateJsonSchema } from '../../lib/json-schema.js';
+import { validatePolicyDocument } from '../../lib/policy-engine.js';
+import { S3_ACTIONS } from '../../lib/action-catalog.js';
+import { CONDITION_OPERATORS, POLICY_SCHEMA, STATEMENT_FIELDS } from '../../lib/policy-schema.js';
+
+const examples = readdirSync('./examples')
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => [file, JSON.parse(readFileSync(`examples/${file}`, 'utf-8'))]);
+
+const statement = { Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::bkt/*' };
+const policy = (changes) => ({ Version: '2012-10-17', Statement: [statement], ...changes });
+const withStatement = (changes) => policy({ Statement: [{ ...statement, ...changes }] });
+
+describe('Policy Schema', () => {
+  test.each(examples)('should accept examples/%s', (file, example) => {
+    expect(validateJsonSchema(example, POLICY_SCHEMA)).toEqual([]);
+  });
+
+  test.each([
+    ['an unknown root field', policy({ Extra: 1 })],
+    ['an unknown version', policy({ Version: '2010-01-01' })],
+    ['the deprecated version', policy({ Version: '2008-10-17' })],
+    ['an empty statement list', policy({ Statement: [] })],
+    ['an unknown statement field', withStatement({ Comment: 'x' })],
+    ['a Sid with punctuation', withStatement({ Sid: 'read-only' })],
+    ['an invalid Effect', withStatement({ Effect: 'Maybe' })],
+    ['an action without a service', withStatement({ Action: ['GetObject'] })],
+    ['an unknown condition operator', withStatement({ Condition: { StringEqualz: { a: 'b' } } })],
+  ])('should flag %s like the validator does', (name, broken) => {
+    const result = validatePolicyDocument(broken);
+    expect(validateJsonSchema(broken, POLICY_SCHEMA)).not.toEqual([]);
+    expect([...result.errors, ...result.warnings]).not.toEqual([]);
+  });
+
+  test('should list what the validator accepts', () => {
+    const { statement: statementSchema, action, condition } = POLICY_SCHEMA.definitions;
+    expect(Object.keys(statementSchema.properties)).toEqual(STATEMENT_FIELDS);
+    expect(action.anyOf[0].enum).toEqual(S3_ACTIONS.map((entry) => entry.name));
+    expect(Object.keys(condition.properties)).toEqual(CONDITION_OPERATORS);
+    expect(
+      validatePolicyDocument(withStatement({ Condition: { NullIfExists: {} } })).errors
+    ).toEqual(['Statement[0].Condition: Unknown condition operator "NullIfExists"']);
+    expect(
+      validateJsonSchema(
+        withStatement({ Condition: { 'ForAnyValue:StringLikeIfExists': { 'aws:TagKeys': 'a*' } } }),
+        POLICY_SCHEMA
+      )
+    ).toEqual([]);
+  });
+
+  test('should match the published schema file', () => {
+    // Regenerate with `npm run build:schema` after changing lib/policy-schema.js
+    const published = JSON.parse(readFileSync('schema/bucket-policy.schema.json', 'utf-8'));
+    expect(published).toEqual(POLICY_SCHEMA);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Unit tests for request simulation
+ * Tests simulateRequest and its matching helpers from lib/policy-simulator.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  evaluateCondition,
+  ipInCidr,
+  matchesWildcard,
+  parseConditionOperator,
+  parseRequestContext,
+  simulateRequest,
+  toResourceArn,
+} from '../../lib/policy-simulator.js';
+
+const policy = {
+  Version: '2012-10-17',
+  Statement: [
+    {
+      Sid: 'ReadLogs',
+      Effect: 'Allow',
+      Action: ['s3:Get*', 's3:ListBucket'],
+      Resource: ['arn:aws:s3:::my-bucket', 'arn:aws:s3:::my-bucket/logs/*'],
+    },
+    {
+      Sid: 'OfficeWrites',
+      Effect: 'Allow',
+      Action: 's3:PutObject',
+      Resource: 'arn:aws:s3:::my-bucket/*',
+      Condition: { IpAddress: { 'aws:SourceIp': ['203.0.113.0/24', '2001:db8::/32'] } },
+    },
+    {
+      Sid: 'DenyInsecure',
+      Effect: 'Deny',
+      Action: 's3:*',
+      Resource: 'arn:aws:s3:::my-bucket/*',
+      Condition: { Bool: { 'aws:SecureTransport': 'false' } },
+    },
+  ],
+};
+
+function simulate(action, key, context = {}) {
+  return simulateRequest(policy, { action, resource: toResourceArn('my-bucket', key), context });
+}
+
+describe('Request Decisions', () => {
+  test('should allow a request matched by an Allow statement', () => {
+    const result = simulate('s3:GetObject', 'logs/app.log');
+    expect(result.decision).toBe('allowed');
+    expect(result.decidingStatement).toMatchObject({ index: 0, sid: 'ReadLogs' });
+  });
+
+  test('should implicitly deny a request no statement allows', () => {
+    const result = simulate('s3:GetObject', 'private/secret.txt');
+    expect(result.decision).toBe('implicitDeny');
+    expect(result.decidingStatement).toBeNull();
+    expect(result.evaluations[0].reason).toMatch(/not in Resource/);
+  });
+
+  test('should let an explicit Deny win over an Allow', () => {
+    const result = simulate('s3:GetObject', 'logs/app.log', { 'aws:SecureTransport': 'false' });
+    expect(result.decision).toBe('explicitDeny');
+    expect(result.decidingStatement.sid).toBe('DenyInsecure');
+  });
+
+  test('should match actions case-insensitively', () => {
+    expect(simulate('S3:getobject', 'logs/app.log').decision).toBe('allowed');
+  });
+
+  test('should apply IP address conditions', () => {
+    expect(simulate('s3:PutObject', 'a.txt', { 'aws:SourceIp': '203.0.113.7' }).decision).toBe(
+      'allowed'
+    );
+    expect(simulate('s3:PutObject', 'a.txt', { 'aws:SourceIp': '2001:db8::1' }).decision).toBe(
+      'allowed'
+    );
+    const outside = simulate('s3:PutObject', 'a.txt', { 'aws:SourceIp': '198.51.100.1' });
+    expect(outside.decision).toBe('implicitDeny');
+    expect(outside.evaluations[1].reason).toMatch(/IpAddress on aws:SourceIp is not met/);
+  });
+
+  test('should treat a missing condition key as not matching', () => {
+    expect(simulate('s3:PutObject', 'a.txt').decision).toBe('implicitDeny');
+  });
+
+  test('should handle NotAction and NotResource', () => {
+    const notPolicy = {
+      Version: '2012-10-17',
+      Statement: [
+        { Sid: 'AllowAll', Effect: 'Allow', Action: 's3:*', Resource: 'arn:aws:s3:::b/*' },
+        {
+          Sid: 'DenyAllButReads',
+          Effect: 'Deny',
+          NotAction: 's3:GetObject',
+          NotResource: 'arn:aws:s3:::b/public/*',
+        },
+      ],
+    };
+    const run = (action, key) =>
+      simulateRequest(notPolicy, { action, resource: toResourceArn('b', key) }).decision;
+
+    expect(run('s3:GetObject', 'private/a')).toBe('allowed');
+    expect(run('s3:PutObject', 'private/a')).toBe('explicitDeny');
+    expect(run('s3:PutObject', 'public/a')).toBe('allowed');
+  });
+
+  test('should compare principals only when the request names one', () => {
+    const principalPolicy = {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Principal: { AWS: 'arn:aws:iam::123456789012:user/alice' },
+          Action: 's3:GetObject',
+          Resource: 'arn:aws:s3:::b/*',
+        },
+      ],
+    };
+    const request = { action: 's3:GetObject', resource: 'arn:aws:s3:::b/x' };
+
+    expect(simulateRequest(principalPolicy, request).decision).toBe('allowed');
+    expect(
+      simulateRequest(principalPolicy, {
+        ...request,
+        principal: 'arn:aws:iam::123456789012:user/bob',
+      }).decision
+    ).toBe('implicitDeny');
+  });
+
+  test('should implicitly deny when the policy has no statements', () => {
+    expect(simulateRequest({}, { action: 's3:GetObject', resource: 'x' }).decision).toBe(
+      'implicitDeny'
+    );
+  });
+});
+
+describe('Condition Operators', () => {
+  test('should split qualifiers and IfExists', () => {
+    expect(parseConditionOperator('ForAnyValue:StringLikeIfExists')).toEqual({
+      qualifier: 'ForAnyValue',
+      baseOperator: 'StringLike',
+      ifExists: true,
+    });
+    expect(parseConditionOperator('Bool')).toEqual({
+      qualifier: null,
+      baseOperator: 'Bool',
+      ifExists: false,
+    });
+  });
+
+  test('should evaluate string operators', () => {
+    const context = { 's3:prefix': 'home/alice/' };
+    expect(evaluateCondition('StringEquals', 's3:prefix', 'home/alice/', context)).toBe(true);
+    expect(evaluateCondition('StringLike', 's3:prefix', ['home/*'], context)).toBe(true);
+    expect(evaluateCondition('StringNotLike', 's3:prefix', 'home/*', context)).toBe(false);
+    expect(evaluateCondition('StringEqualsIgnoreCase', 's3:prefix', 'HOME/ALICE/', context)).toBe(
+      true
+    );
+  });
+
+  test('should look up condition keys case-insensitively', () => {
+    expect(
+      evaluateCondition('Bool', 'aws:SecureTransport', 'true', { 'AWS:securetransport': 'true' })
+    ).toBe(true);
+  });
+
+  test('should evaluate numeric and date operators', () => {
+    const context = { 's3:max-keys': '50', 'aws:CurrentTime': '2025-06-01T00:00:00Z' };
+    expect(evaluateCondition('NumericLessThanEquals', 's3:max-keys', '100', context)).toBe(true);
+    expect(evaluateCondition('NumericGreaterThan', 's3:max-keys', '100', context)).toBe(false);
+    expect(
+      evaluateCondition('DateLessThan', 'aws:CurrentTime', '2025-12-31T00:00:00Z', context)
+    ).toBe(true);
+  });
+
+  test('should handle missing keys for IfExists, negated and Null operators', () => {
+    expect(evaluateCondition('StringEqualsIfExists', 'aws:Referer', 'x', {})).toBe(true);
+    expect(evaluateCondition('StringNotEquals', 'aws:Referer', 'x', {})).toBe(true);
+    expect(evaluateCondition('StringEquals', 'aws:Referer', 'x', {})).toBe(false);
+    expect(evaluateCondition('Null', 'aws:Referer', 'true', {})).toBe(true);
+    expect(evaluateCondition('Null', 'aws:Referer', 'false', { 'aws:Referer': 'x' })).toBe(true);
+  });
+
+  test('should evaluate multi-valued keys with set qualifiers', () => {
+    const context = { 'aws:TagKeys': ['team', 'env'] };
+    expect(
+      evaluateCondition(
+        'ForAllValues:StringEquals',
+        'aws:TagKeys',
+        ['team', 'env', 'owner'],
+        context
+      )
+    ).toBe(true);
+    expect(evaluateCondition('ForAllValues:StringEquals', 'aws:TagKeys', ['team'], context)).toBe(
+      false
+    );
+    expect(evaluateCondition('ForAnyValue:StringEquals', 'aws:TagKeys', ['env'], context)).toBe(
+      true
+    );
+    expect(evaluateCondition('ForAllValues:StringEquals', 'aws:TagKeys', ['x'], {})).toBe(true);
+    expect(evaluateCondition('ForAnyValue:StringEquals', 'aws:TagKeys', ['x'], {})).toBe(false);
+  });
+});
+
+describe('Matching Helpers', () => {
+  test('should match wildcards', () => {
+    expect(matchesWildcard('s3:Get*', 's3:GetObject')).toBe(true);
+    expect(matchesWildcard('s3:Get?bject', 's3:GetObject')).toBe(true);
+    expect(matchesWildcard('arn:aws:s3:::b/logs/*', 'arn:aws:s3:::b/other/x')).toBe(false);
+    expect(matchesWildcard('a.b', 'axb')).toBe(false);
+  });
+
+  test('should test CIDR membership', () => {
+    expect(ipInCidr('10.0.0.0/8', '10.20.30.40')).toBe(true);
+    expect(ipInCidr('10.0.0.0/8', '11.0.0.1')).toBe(false);
+    expect(ipInCidr('192.0.2.5', '192.0.2.5')).toBe(true);
+    expect(ipInCidr('2001:db8::/32', '2001:db9::1')).toBe(false);
+    expect(ipInCidr('10.0.0.0/8', 'not-an-ip')).toBe(false);
+  });
+
+  test('should build bucket and object ARNs', () => {
+    expect(toResourceArn('b', '')).toBe('arn:aws:s3:::b');
+    expect(toResourceArn('b', '/logs/a.txt')).toBe('arn:aws:s3:::b/logs/a.txt');
+  });
+
+  test('should parse request context lines', () => {
+    const result = parseRequestContext(
+      'aws:SourceIp = 10.0.0.1\n\n# note\ns3:prefix=a/\ns3:prefix=b/'
+    );
+    expect(result.isValid).toBe(true);
+    expect(result.context).toEqual({ 'aws:SourceIp': '10.0.0.1', 's3:prefix': ['a/', 'b/'] });
+
+    expect(parseRequestContext('no separator').errors[0]).toMatch(/Line 1/);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit tests for the quick templates
+ * Tests the template data and placeholder filling in lib/policy-templates.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { readFileSync, readdirSync } from 'fs';
+import {
+  POLICY_TEMPLATES,
+  fillTemplate,
+  getTemplate,
+  getTemplateDefaults,
+  getTemplateParameters,
+  isTemplateSupported,
+  validateTemplateValue,
+} from '../../lib/policy-templates.js';
+import { buildPolicy } from '../../lib/policy-engine.js';
+import { diffPolicies } from '../../lib/policy-diff.js';
+import { getAction } from '../../lib/action-catalog.js';
+
+describe('Policy Templates', () => {
+  test('should offer every file in examples/ as a template', () => {
+    const examples = readdirSync('./examples').filter((file) => file.endsWith('.json'));
+    const templateExamples = POLICY_TEMPLATES.map((template) => template.example).filter(Boolean);
+    expect(templateExamples.sort()).toEqual(examples.sort());
+  });
+
+  test('should generate the policy of the example it reproduces', () => {
+    POLICY_TEMPLATES.filter((template) => template.example).forEach((template) => {
+      const example = JSON.parse(readFileSync(`./examples/${template.example}`, 'utf-8'));
+      const bucketName = [].concat(example.Statement[0].Resource)[0].split(':::')[1].split('/')[0];
+      const filled = fillTemplate(template, { bucketName });
+      const { policy, errors } = buildPolicy(filled);
+      expect(errors).toEqual([]);
+
+      const { summary } = diffPolicies(example, policy);
+      expect({ template: template.id, ...summary }).toEqual({
+        template: template.id,
+        added: 0,
+        removed: 0,
+        changed: 0,
+        unchanged: example.Statement.length,
+      });
+    });
+  });
+
+  test('should only use catalog actions', () => {
+    POLICY_TEMPLATES.forEach((template) =>
+      template.statements.forEach((stmt) =>
+        stmt.actions.forEach((action) => expect(getAction(action)).not.toBeNull())
+      )
+    );
+  });
+
+  test('should fill list and text placeholders', () => {
+    const filled = fillTemplate(getTemplate('ipRestricted'), { cidrs: ['10.0.0.0/8'] });
+    expect(filled.statements[0].condition).toEqual({
+      IpAddress: { 'aws:SourceIp': ['10.0.0.0/8'] },
+    });
+
+    const prefixes = fillTemplate(getTemplate('prefixBased'), { readOnlyPrefix: 'public/' });
+    expect(prefixes.statements.map((stmt) => stmt.resourcePath)).toEqual([
+      '*',
+      'documents/*',
+      'public/*',
+    ]);
+    expect(prefixes.statements[0].condition.StringLike['s3:prefix']).toEqual([
+      'documents/*',
+      'public/*',
+    ]);
+  });
+
+  test('should list parameters with their defaults', () => {
+    const parameters = getTemplateParameters(getTemplate('loggingBucket'));
+    expect(parameters.map((parameter) => `${parameter.name}:${parameter.type}`)).toEqual([
+      'bucketName:bucketName',
+      'prefix:prefix',
+    ]);
+    expect(getTemplateDefaults(getTemplate('loggingBucket'))).toEqual({
+      bucketName: 'your-bucket-name',
+      prefix: 'logs/',
+    });
+  });
+
+  test('should repeat a statement for each entry of a list parameter', () => {
+    const filled = fillTemplate(getTemplate('teamFolders'), {
+      teamPrefixes: 'marketing\nfinance/',
+    });
+    expect(filled.isValid).toBe(true);
+    expect(filled.statements.map((stmt) => `${stmt.sid}:${stmt.resourcePath}`)).toEqual([
+      'ListTeamFolders:*',
+      'TeamFolder1:marketing/*',
+      'TeamFolder2:finance/*',
+    ]);
+    expect(filled.statements[0].condition.StringLike['s3:prefix']).toEqual([
+      'marketing/*',
+      'finance/*',
+    ]);
+  });
+
+  test('should grant cross-account access to the principals given', () => {
+    const template = getTemplate('crossAccount');
+    const filled = fillTemplate(
+      template,
+      {
+        bucketName: 'shared-data',
+        principals: '111122223333\narn:aws:iam::444455556666:role/reader',
+      },
+      { provider: 'aws' }
+    );
+    expect(filled.isValid).toBe(true);
+    const { policy } = buildPolicy({ ...filled, provider: 'aws' });
+    expect(policy.Statement[0].Principal).toEqual({
+      AWS: ['111122223333', 'arn:aws:iam::444455556666:role/reader'],
+    });
+  });
+
+  test('should only offer principal templates to providers with principals', () => {
+    const template = getTemplate('crossAccount');
+    expect(isTemplateSupported(template, 'aws')).toBe(true);
+    expect(isTemplateSupported(template, 'impossible-cloud')).toBe(false);
+    expect(isTemplateSupported(getTemplate('readOnly'), 'impossible-cloud')).toBe(true);
+    expect(fillTemplate(template, {}, { provider: 'impossible-cloud' }).errors).toEqual([
+      'Cross-Account Access grants access to named accounts, and Impossible Cloud bucket policies have no Principal',
+    ]);
+  });
+
+  test('should report placeholders without a value', () => {
+    const result = fillTemplate({
+      statements: [{ effect: 'Allow', actions: ['s3:GetObject'], resourcePath: '{{team}}/*' }],
+    });
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(['Template parameter "team" has no value']);
+    expect(getTemplate('missing')).toBeNull();
+  });
+});
+
+describe('Template Parameters', () => {
+  const parameter = (template, name) =>
+    getTemplateParameters(getTemplate(template)).find((p) => p.name === name);
+
+  test('should accept and normalize valid values', () => {
+    expect(
+      validateTemplateValue(parameter('ipRestricted', 'cidrs'), '10.0.0.0/8, 2001:db8::/32')
+    ).toEqual({
+      isValid: true,
+      value: ['10.0.0.0/8', '2001:db8::/32'],
+      errors: [],
+      warnings: [],
+    });
+    expect(validateTemplateValue(parameter('loggingBucket', 'prefix'), '/access-logs').value).toBe(
+      'access-logs/'
+    );
+    expect(validateTemplateValue(parameter('retentionLimit', 'retentionDays'), '365').value).toBe(
+      365
+    );
+    expect(
+      validateTemplateValue(parameter('encryptedUploads', 'encryption'), 'aws:kms').isValid
+    ).toBe(true);
+  });
+
+  test('should reject invalid values', () => {
+    const errors = (template, name, value) =>
+      validateTemplateValue(parameter(template, name), value).errors;
+    expect(errors('ipRestricted', 'cidrs', '10.0.0.300/8')).toEqual([
+      '"10.0.0.300/8" is not a valid IP address or CIDR block',
+    ]);
+    expect(errors('ipRestricted', 'cidrs', '')).toEqual(['Enter at least one value']);
+    expect(errors('prefixBased', 'readOnlyPrefix', 'images/*')).toEqual([
+      '"images/*" contains a wildcard - enter the folder name only',
+    ]);
+    expect(errors('retentionLimit', 'retentionDays', '0')).toEqual([
+      'Enter a whole number of days from 1 to 36500',
+    ]);
+    expect(errors('encryptedUploads', 'encryption', 'none')).toEqual([
+      'Must be one of: AES256, aws:kms',
+    ]);
+    expect(errors('publicRead', 'bucketName', 'My_Bucket').length).toBeGreaterThan(0);
+    expect(errors('crossAccount', 'principals', '*')).toEqual([
+      'Enter the accounts to grant access to - "*" is everyone',
+    ]);
+    expect(errors('crossAccount', 'principals', 'alice').length).toBeGreaterThan(0);
+  });
+
+  test('should warn about ranges that allow every address', () => {
+    expect(validateTemplateValue(parameter('ipRestricted', 'cidrs'), '0.0.0.0/0').warnings).toEqual(
+      ['"0.0.0.0/0" allows every IP address']
+    );
+  });
+
+  test('should not fill a template with invalid values', () => {
+    const filled = fillTemplate(getTemplate('retentionLimit'), { retentionDays: 'ten' });
+    expect(filled.isValid).toBe(false);
+    expect(filled.errors).toEqual([
+      'Maximum retention (days): Enter a whole number of days from 1 to 36500',
+    ]);
+
+    const valid = fillTemplate(getTemplate('retentionLimit'), { retentionDays: '90' });
+    expect(valid.statements[1].condition).toEqual({
+      NumericGreaterThan: { 's3:object-lock-remaining-retention-days': '90' },
+    });
+  });
+});
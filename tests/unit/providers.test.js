@@ -0,0 +1,153 @@
+/**
+ * Unit tests for provider profiles
+ * Tests lib/providers.js and how the selected profile changes generation and validation
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  PROVIDER_PROFILES,
+  getProviderProfile,
+  getResourceArnPrefixes,
+  isActionSupported,
+  isConditionKeySupported,
+} from '../../lib/providers.js';
+import {
+  buildPolicy,
+  policyToConfig,
+  validatePolicyDocument,
+  validatePrincipalARN,
+} from '../../lib/policy-engine.js';
+
+function policyWith(statement) {
+  return {
+    Version: '2012-10-17',
+    Statement: [{ Effect: 'Allow', Action: 's3:GetObject', ...statement }],
+  };
+}
+
+describe('Provider Profiles', () => {
+  test('should define Impossible Cloud, AWS and generic profiles', () => {
+    expect(Object.keys(PROVIDER_PROFILES)).toEqual(['impossible-cloud', 'aws', 'generic']);
+  });
+
+  test('should default to Impossible Cloud and reject unknown providers', () => {
+    expect(getProviderProfile().id).toBe('impossible-cloud');
+    expect(() => getProviderProfile('gcs')).toThrow(/Unknown provider "gcs"/);
+  });
+
+  test('should list the resource ARN prefixes of each profile', () => {
+    expect(getResourceArnPrefixes(getProviderProfile('generic'))).toEqual(['arn:aws:s3:::']);
+    expect(getResourceArnPrefixes(getProviderProfile('aws'))).toContain('arn:aws-cn:s3:::');
+  });
+
+  test('should mark AWS-only actions and condition keys as unsupported elsewhere', () => {
+    const minio = getProviderProfile('generic');
+    expect(isActionSupported(minio, 's3:PutBucketWebsite')).toBe(false);
+    expect(isActionSupported(minio, 's3:GetObject')).toBe(true);
+    expect(isActionSupported(getProviderProfile('aws'), 's3:PutBucketWebsite')).toBe(true);
+
+    expect(isConditionKeySupported(minio, 'aws:SourceVpce')).toBe(false);
+    expect(isConditionKeySupported(minio, 'AWS:SOURCEVPCE')).toBe(false);
+    expect(isConditionKeySupported(minio, 'aws:SourceIp')).toBe(true);
+    expect(isConditionKeySupported(minio, 'custom:key')).toBe(true);
+  });
+});
+
+describe('Generation per Provider', () => {
+  const config = {
+    bucketName: 'test-bucket',
+    statements: [{ effect: 'Allow', principals: ['*'], actions: ['s3:GetObject'] }],
+  };
+
+  test('should include a Principal only for providers that support it', () => {
+    expect(buildPolicy({ ...config, provider: 'generic' }).policy.Statement[0].Principal).toBe('*');
+    const result = buildPolicy({ ...config, provider: 'impossible-cloud' });
+    expect(result.policy.Statement[0].Principal).toBeUndefined();
+    expect(result.warnings[0]).toContain('not supported by Impossible Cloud');
+  });
+
+  test('should warn about actions the provider does not support', () => {
+    const result = buildPolicy({
+      ...config,
+      provider: 'generic',
+      statements: [{ principals: ['*'], actions: ['s3:GetObject', 's3:PutBucketWebsite'] }],
+    });
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toContain(
+      'Statement[0]: "s3:PutBucketWebsite" is not supported by Generic S3 (MinIO)'
+    );
+  });
+
+  test('should import resources in any partition the provider accepts', () => {
+    const policy = policyWith({
+      Principal: '*',
+      Resource: 'arn:aws-cn:s3:::china-bucket/*',
+    });
+    expect(policyToConfig(policy, { provider: 'aws' }).config.bucketName).toBe('china-bucket');
+    expect(policyToConfig(policy, { provider: 'generic' }).warnings).toContain(
+      'Statement[0]: Resource "arn:aws-cn:s3:::china-bucket/*" is not an S3 ARN and was not imported'
+    );
+  });
+});
+
+describe('Validation per Provider', () => {
+  test('should accept other AWS partitions only for AWS S3', () => {
+    const policy = policyWith({ Principal: '*', Resource: 'arn:aws-us-gov:s3:::gov-bucket/*' });
+    expect(validatePolicyDocument(policy, { provider: 'aws' }).isValid).toBe(true);
+
+    const result = validatePolicyDocument(policy, { provider: 'generic' });
+    expect(result.errors).toContain(
+      'Statement[0].Resource[0]: Must be a valid S3 ARN (arn:aws:s3:::...) or "*"'
+    );
+  });
+
+  test('should warn about unsupported actions and condition keys', () => {
+    const policy = policyWith({
+      Principal: '*',
+      Action: ['s3:GetObject', 's3:GetBucketRequestPayment'],
+      Resource: ['arn:aws:s3:::bucket', 'arn:aws:s3:::bucket/*'],
+      Condition: { StringEquals: { 'aws:SourceVpce': 'vpce-1a2b3c4d' } },
+    });
+
+    expect(validatePolicyDocument(policy, { provider: 'aws' }).warnings).toHaveLength(1);
+    const { warnings } = validatePolicyDocument(policy, { provider: 'generic' });
+    expect(warnings).toContain(
+      'Statement[0].Action[1]: "s3:GetBucketRequestPayment" is not supported by Generic S3 (MinIO)'
+    );
+    expect(warnings).toContain(
+      'Statement[0].Condition.StringEquals.aws:SourceVpce: Not supported by Generic S3 (MinIO)'
+    );
+  });
+
+  test('should warn that S3-compatible servers only honour public principals', () => {
+    const policy = policyWith({
+      Principal: { AWS: 'arn:aws:iam::123456789012:user/alice' },
+      Resource: 'arn:aws:s3:::b/*',
+    });
+    expect(validatePolicyDocument(policy, { provider: 'aws' }).warnings).toHaveLength(0);
+    expect(validatePolicyDocument(policy, { provider: 'generic' }).warnings[0]).toMatch(
+      /only honour "\*" principals/
+    );
+  });
+
+  test('should check principal ARN partitions against the provider', () => {
+    const ipcld = 'arn:ipcld:iam::MyCanonicalID:user/alice';
+    expect(validatePrincipalARN(ipcld).isValid).toBe(true);
+    expect(validatePrincipalARN(ipcld, { provider: 'aws' }).isValid).toBe(false);
+    expect(
+      validatePrincipalARN('arn:aws-cn:iam::123456789012:root', { provider: 'generic' }).errors[0]
+    ).toContain('Invalid partition "aws-cn"');
+    expect(
+      validatePrincipalARN('arn:aws-cn:iam::123456789012:root', { provider: 'aws' }).isValid
+    ).toBe(true);
+  });
+
+  test('should only warn about service principals where they are unsupported', () => {
+    expect(validatePrincipalARN('cloudtrail.amazonaws.com', { provider: 'aws' }).warnings).toEqual(
+      []
+    );
+    expect(validatePrincipalARN('cloudtrail.amazonaws.com').warnings[0]).toContain(
+      'may not be supported by Impossible Cloud'
+    );
+  });
+});
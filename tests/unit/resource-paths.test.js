@@ -0,0 +1,83 @@
+/**
+ * Unit tests for resource paths
+ * Tests object-key pattern validation and matching from lib/resource-paths.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  matchSampleKeys,
+  normalizeResourcePath,
+  normalizeResourcePaths,
+} from '../../lib/resource-paths.js';
+
+describe('Resource Path Normalization', () => {
+  test('should accept common patterns without warnings', () => {
+    ['*', 'reports/*', 'reports/2025/summary.pdf', 'logs/*.gz', 'home/${aws:username}/*'].forEach(
+      (path) => {
+        expect(normalizeResourcePath(path)).toEqual({
+          isValid: true,
+          path,
+          errors: [],
+          warnings: [],
+        });
+      }
+    );
+  });
+
+  test('should default an empty path to every object', () => {
+    expect(normalizeResourcePath('  ').path).toBe('*');
+  });
+
+  test('should remove leading slashes', () => {
+    const result = normalizeResourcePath('/reports/*');
+    expect(result.path).toBe('reports/*');
+    expect(result.warnings).toEqual(['Leading "/" removed - object keys do not start with "/"']);
+  });
+
+  test('should warn when a prefix has no wildcard', () => {
+    expect(normalizeResourcePath('reports').warnings[0]).toBe(
+      '"reports" only matches an object named exactly "reports" - use "reports/*" if it is a prefix'
+    );
+    expect(normalizeResourcePath('reports/').warnings[0]).toMatch(/use "reports\/\*"/);
+  });
+
+  test('should warn about "?" and spaces', () => {
+    expect(normalizeResourcePath('file?.txt').warnings[0]).toMatch(/any single character/);
+    expect(normalizeResourcePath('my docs/*').warnings[0]).toMatch(/Contains spaces/);
+  });
+
+  test('should reject ARNs, double slashes and control characters', () => {
+    expect(normalizeResourcePath('arn:aws:s3:::bucket/*').errors[0]).toMatch(/not a full ARN/);
+    expect(normalizeResourcePath('a//b/*').errors[0]).toMatch(/Contains "\/\/"/);
+    expect(normalizeResourcePath('a\tb').isValid).toBe(false);
+  });
+});
+
+describe('Multiple Resource Paths', () => {
+  test('should split lines, drop duplicates and prefix messages with the path', () => {
+    const result = normalizeResourcePaths('reports/*\n\n/reports/*\nuploads');
+    expect(result.paths).toEqual(['reports/*', 'uploads']);
+    expect(result.warnings).toEqual([
+      'Resource path "/reports/*": Leading "/" removed - object keys do not start with "/"',
+      'Resource path "uploads": "uploads" only matches an object named exactly "uploads" - use "uploads/*" if it is a prefix',
+    ]);
+  });
+
+  test('should accept an array and default to every object', () => {
+    expect(normalizeResourcePaths(['a/*', 'b/*']).paths).toEqual(['a/*', 'b/*']);
+    expect(normalizeResourcePaths('').paths).toEqual(['*']);
+    expect(normalizeResourcePaths(undefined).paths).toEqual(['*']);
+  });
+});
+
+describe('Sample Key Matching', () => {
+  test('should report the first path each key matches', () => {
+    expect(
+      matchSampleKeys(['reports/*', '*.html'], ['reports/2025/q1.pdf', 'index.html', 'notes.txt'])
+    ).toEqual([
+      { key: 'reports/2025/q1.pdf', path: 'reports/*' },
+      { key: 'index.html', path: '*.html' },
+      { key: 'notes.txt', path: null },
+    ]);
+  });
+});
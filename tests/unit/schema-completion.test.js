@@ -0,0 +1,78 @@
+/**
+ * Unit tests for schema completions
+ * Tests the keys and values lib/schema-completion.js suggests at a caret
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { getSchemaCompletions } from '../../lib/schema-completion.js';
+
+// Completions at the end of the text, or at the "|" in it
+function complete(textWithCaret) {
+  const offset = textWithCaret.includes('|') ? textWithCaret.indexOf('|') : textWithCaret.length;
+  return getSchemaCompletions(textWithCaret.replace('|', ''), offset);
+}
+
+const labels = (completion) => completion.items.map((item) => item.label);
+
+describe('Schema Completions', () => {
+  test('should suggest the keys an object does not have yet', () => {
+    expect(labels(complete('{"'))).toEqual(['Version', 'Id', 'Statement']);
+    expect(labels(complete('{"Version": "2012-10-17", "|}'))).toEqual(['Id', 'Statement']);
+    expect(labels(complete('{"Statement": [{"Effect": "Allow", "Not'))).toEqual([
+      'NotPrincipal',
+      'NotAction',
+      'NotResource',
+    ]);
+
+    const [effect] = complete('{"Statement": [{"Ef').items;
+    expect(effect).toMatchObject({ label: 'Effect', insertText: '"Effect": ', kind: 'property' });
+    expect(effect.detail).toMatch(/allows or denies/);
+  });
+
+  test('should suggest the values of a key', () => {
+    expect(labels(complete('{"Version": "'))).toEqual(['2012-10-17', '2008-10-17']);
+    expect(complete('{"Statement": [{"Effect": ').items).toEqual([
+      expect.objectContaining({ label: 'Allow', insertText: '"Allow"', kind: 'value' }),
+      expect.objectContaining({ label: 'Deny', insertText: '"Deny"', kind: 'value' }),
+    ]);
+    expect(labels(complete('{"Statement": [{"Principal": '))).toEqual(['*']);
+  });
+
+  test('should suggest actions, condition operators and condition keys', () => {
+    expect(labels(complete('{"Statement": [{"Action": ["s3:GetObject", "s3:GetObjectT'))).toEqual([
+      's3:GetObjectTagging',
+      's3:GetObjectTorrent',
+    ]);
+    const [action] = complete('{"Statement": [{"Action": "s3:PutBucketPol').items;
+    expect(action).toMatchObject({
+      label: 's3:PutBucketPolicy',
+      detail: 'Replace the bucket policy',
+    });
+
+    expect(labels(complete('{"Statement": [{"Condition": {"IpAdd'))).toEqual([
+      'IpAddress',
+      'IpAddressIfExists',
+    ]);
+    expect(labels(complete('{"Statement": [{"Condition": {"Bool": {"aws:Sec'))).toEqual([
+      'aws:SecureTransport',
+    ]);
+    expect(
+      labels(complete('{"Statement": [{"Condition": {"ForAnyValue:StringLike": {"s3:pre'))
+    ).toEqual(['s3:prefix']);
+  });
+
+  test('should replace the whole key or string being typed', () => {
+    const text = '{"Statement": [{"Sid": "a", "Eff": "Allow"}]}';
+    const completion = getSchemaCompletions(text, text.indexOf('Eff') + 2);
+    expect(text.slice(completion.from, completion.to)).toBe('"Eff"');
+    expect(completion.prefix).toBe('Ef');
+    expect(completion.items[0]).toMatchObject({ label: 'Effect', insertText: '"Effect"' });
+  });
+
+  test('should suggest nothing outside the document or after a finished string', () => {
+    expect(complete('').items).toEqual([]);
+    expect(complete('{"Version": "2012-10-17"|}').items).toEqual([]);
+    expect(complete('{"Statement": [{"Effect": "Allow"}]}').items).toEqual([]);
+    expect(complete('{"Unknown": "').items).toEqual([]);
+  });
+});
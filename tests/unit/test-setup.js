@@ -1,54 +1,27 @@
 /**
- * Test setup helper that loads policy-generator.js in a JSDOM environment
- * and makes the functions available for testing
+ * Test setup helper that loads index.html and policy-generator.js into the
+ * Jest JSDOM environment so the UI layer can be tested without a browser
  */
 
 import { readFileSync } from 'fs';
-import { JSDOM } from 'jsdom';
 
-export function setupTestEnvironment() {
-  // Create minimal HTML structure that the script expects
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head><title>Test</title></head>
-    <body>
-      <div id="notification"></div>
-      <input id="bucketName" type="text" />
-      <div id="bucketNameValidation"></div>
-      <input id="principal" type="text" />
-      <div id="principalValidation"></div>
-      <select id="policyEffect"><option value="Allow">Allow</option></select>
-      <input id="resourcePath" type="text" />
-      <textarea id="customActions"></textarea>
-      <textarea id="condition"></textarea>
-      <div id="policyOutput"></div>
-    </body>
-    </html>
-  `;
-
-  // Create JSDOM instance
-  const dom = new JSDOM(html, {
-    url: 'http://localhost',
-    runScripts: 'dangerously',
-    resources: 'usable',
-  });
-
-  const { window } = dom;
-
-  // Set global variables
-  global.window = window;
-  global.document = window.document;
-  global.navigator = window.navigator;
-
-  // Load the policy-generator.js script
-  const scriptContent = readFileSync('./policy-generator.js', 'utf-8');
-
-  // Create a script element and add it to the document
-  const scriptElement = window.document.createElement('script');
-  scriptElement.textContent = scriptContent;
-  window.document.head.appendChild(scriptElement);
+/**
+ * Load the page into JSDOM and run window.onload
+ * @param {Object} options - { keepStorage } - keep drafts and saved policies from the previous page
+ */
+export async function setupTestEnvironment(options = {}) {
+  // Use the real page markup, without its script tags
+  const html = readFileSync('./index.html', 'utf-8');
+  const body = /<body>([\s\S]*)<\/body>/.exec(html)[1];
+  document.body.innerHTML = body.replace(/<script[\s\S]*?<\/script>/g, '');
+
+  // Load the UI module (cached after the first import) and initialize the page
+  await import('../../policy-generator.js');
+  window.confirm = () => true;
+  if (!options.keepStorage) {
+    window.localStorage.clear();
+  }
+  window.onload();
 
-  // Return the window object with all functions
   return window;
 }
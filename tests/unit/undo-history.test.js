@@ -0,0 +1,89 @@
+/**
+ * Unit tests for the undo history
+ * Tests recording, undoing, redoing and jumping between steps from lib/undo-history.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  getCurrentStep,
+  jumpToStep,
+  recordStep,
+  redoStep,
+  undoStep,
+} from '../../lib/undo-history.js';
+
+function historyOf(...values) {
+  return values.reduce(
+    (history, value) => recordStep(history, `Set ${value}`, { value }).history,
+    createHistory()
+  );
+}
+
+describe('Undo History', () => {
+  test('should record steps with their label and time', () => {
+    const now = new Date('2025-01-02T03:04:05Z');
+    const result = recordStep(createHistory(), 'Start', { value: 1 }, now);
+    expect(result.recorded).toBe(true);
+    expect(getCurrentStep(result.history)).toMatchObject({
+      label: 'Start',
+      time: '2025-01-02T03:04:05.000Z',
+    });
+    expect(canUndo(result.history)).toBe(false);
+  });
+
+  test('should skip snapshots that did not change', () => {
+    const history = historyOf(1);
+    const result = recordStep(history, 'Edit form', { value: 1 });
+    expect(result.recorded).toBe(false);
+    expect(result.history).toBe(history);
+  });
+
+  test('should keep a copy of each snapshot', () => {
+    const snapshot = { values: [1] };
+    const { history } = recordStep(createHistory(), 'Start', snapshot);
+    snapshot.values.push(2);
+    expect(jumpToStep(history, 0).snapshot).toEqual({ values: [1] });
+  });
+
+  test('should undo and redo', () => {
+    let history = historyOf(1, 2, 3);
+
+    let result = undoStep(history);
+    expect(result.snapshot).toEqual({ value: 2 });
+    result = undoStep(result.history);
+    expect(result.snapshot).toEqual({ value: 1 });
+    expect(canUndo(result.history)).toBe(false);
+    expect(undoStep(result.history).snapshot).toBeNull();
+
+    history = result.history;
+    expect(canRedo(history)).toBe(true);
+    expect(redoStep(history).snapshot).toEqual({ value: 2 });
+  });
+
+  test('should drop undone steps when a new step is recorded', () => {
+    const undone = jumpToStep(historyOf(1, 2, 3), 0).history;
+    const { history } = recordStep(undone, 'Set 4', { value: 4 });
+    expect(history.steps.map((step) => step.label)).toEqual(['Set 1', 'Set 4']);
+    expect(canRedo(history)).toBe(false);
+  });
+
+  test('should jump to any step and ignore unknown ones', () => {
+    const history = historyOf(1, 2, 3);
+    const result = jumpToStep(history, 1);
+    expect(result.snapshot).toEqual({ value: 2 });
+    expect(result.history.index).toBe(1);
+    expect(jumpToStep(history, 5)).toEqual({ history, snapshot: null });
+  });
+
+  test('should drop the oldest steps over the limit', () => {
+    const history = [1, 2, 3, 4].reduce(
+      (h, value) => recordStep(h, `Set ${value}`, { value }).history,
+      createHistory(3)
+    );
+    expect(history.steps.map((step) => step.label)).toEqual(['Set 2', 'Set 3', 'Set 4']);
+    expect(history.index).toBe(2);
+  });
+});
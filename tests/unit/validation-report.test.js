@@ -0,0 +1,183 @@
+/**
+ * Unit tests for the validation report
+ * Tests rule IDs, paths and grouping from lib/validation-report.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { validatePolicyDocument } from '../../lib/policy-engine.js';
+import {
+  createValidationReport,
+  lintPolicyText,
+  parseFinding,
+  VALIDATION_RULES,
+} from '../../lib/validation-report.js';
+
+// Breaks as many rules as possible
+const brokenPolicy = {
+  Version: '2008-10-17',
+  Extra: true,
+  Statement: [
+    {
+      Sid: 'not-alphanumeric',
+      Effect: 'Maybe',
+      Principal: { AWS: ['*', 'arn:aws:iam::12:user/x', 'bob'], Bogus: 1 },
+      Action: ['s3:GetObject', 'ec2:RunInstances', 'GetObject', 's3:GetObjct', 7],
+      Resource: ['arn:aws:s3:::Bad_Bucket', 'bucket', 'arn:aws:s3:::b//k'],
+      Condition: {
+        Foo: {},
+        StringEquals: { 'aws:SourceIp': '203.0.113.0/24', 'aws:Bogus': 'x', 's3:prefix': [] },
+        IpAddress: { 'aws:SourceIp': 'not-an-ip' },
+        Bool: [],
+      },
+      Other: 1,
+    },
+    { Effect: 'Allow', Action: 's3:ListBucket', NotAction: 's3:*', Resource: [], NotResource: '*' },
+    { Effect: 'Allow', Action: 's3:PutBucketWebsite', Resource: 'arn:aws:s3:::my-bucket/*' },
+    'not a statement',
+  ],
+};
+
+describe('Validation Report', () => {
+  test('should give every validator message a rule', () => {
+    ['impossible-cloud', 'aws', 'generic'].forEach((provider) => {
+      const result = validatePolicyDocument(brokenPolicy, { provider });
+      const report = createValidationReport(result, brokenPolicy);
+      expect(report.findings.filter((finding) => finding.rule === 'other')).toEqual([]);
+    });
+
+    ['{', '[]', '{}', '{"Version": 1, "Id": 2, "Statement": {}}'].forEach((text) => {
+      const result = validatePolicyDocument(text);
+      const report = createValidationReport(result);
+      expect(report.findings.filter((finding) => finding.rule === 'other')).toEqual([]);
+    });
+  });
+
+  test('should have a unique ID and an explanation for every rule', () => {
+    const ids = VALIDATION_RULES.map((rule) => rule.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    VALIDATION_RULES.forEach((rule) => expect(rule.explanation).toMatch(/\.$/));
+  });
+
+  test('should split the path from the message', () => {
+    expect(
+      parseFinding(
+        'Statement[2].Condition.IpAddress.aws:SourceIp: "x" is not a valid IP address or CIDR block',
+        'error'
+      )
+    ).toEqual({
+      rule: 'condition-value',
+      severity: 'error',
+      path: 'Statement[2].Condition.IpAddress.aws:SourceIp',
+      statement: 2,
+      message: '"x" is not a valid IP address or CIDR block',
+      explanation: 'The value does not have the form its operator expects.',
+    });
+  });
+
+  test('should point unknown fields and whole-policy findings at a field', () => {
+    const paths = (texts) => texts.map((text) => parseFinding(text, 'warning').path);
+    expect(
+      paths([
+        'Unknown root-level field: "Extra"',
+        'Statement[0]: Unknown field "Other"',
+        'Statement[0].Condition: Unknown condition operator "Foo"',
+        'Version "2008-10-17" is deprecated. Use "2012-10-17"',
+        'Id field must be a string',
+        'Invalid JSON syntax: Unexpected end of input at line 1, column 2',
+      ])
+    ).toEqual(['Extra', 'Statement[0].Other', 'Statement[0].Condition.Foo', 'Version', 'Id', null]);
+  });
+
+  test('should group findings by severity, then by statement', () => {
+    const policy = {
+      Version: '2012-10-17',
+      Extra: 1,
+      Statement: [
+        { Sid: 'Uploads', Effect: 'Allow', Action: 's3:GetObjct', Resource: 'arn:aws:s3:::b1/*' },
+        { Effect: 'Maybe', Action: 's3:GetObject', Resource: 'arn:aws:s3:::my-bucket/*' },
+      ],
+    };
+    const report = createValidationReport(validatePolicyDocument(policy), policy);
+
+    expect(report.isValid).toBe(false);
+    expect([report.errorCount, report.warningCount]).toEqual([1, 2]);
+    expect(
+      report.groups.map((group) => ({
+        severity: group.severity,
+        statements: group.statements.map((stmt) => [stmt.label, stmt.findings.map((f) => f.rule)]),
+      }))
+    ).toEqual([
+      { severity: 'error', statements: [['Statement[1]', ['effect']]] },
+      {
+        severity: 'warning',
+        statements: [
+          ['Whole policy', ['unknown-field']],
+          ['Statement[0] (Uploads)', ['action-unknown']],
+        ],
+      },
+    ]);
+  });
+
+  test('should have no groups for a clean policy', () => {
+    const report = createValidationReport({ errors: [], warnings: [] });
+    expect(report).toMatchObject({ isValid: true, findings: [], groups: [] });
+  });
+});
+
+describe('Policy Linting', () => {
+  function markedText(text, options) {
+    return lintPolicyText(text, options).markers.map((marker) => [
+      marker.rule,
+      marker.severity,
+      text.slice(marker.start, marker.end),
+    ]);
+  }
+
+  test('should place each finding in the policy text', () => {
+    const text = JSON.stringify(
+      {
+        Version: '2012-10-17',
+        Extra: 1,
+        Statement: [{ Effect: 'Maybe', Action: ['s3:GetObjct'], Resource: 'arn:aws:s3:::bkt/*' }],
+      },
+      null,
+      2
+    );
+    expect(markedText(text)).toEqual([
+      ['effect', 'error', '"Effect": "Maybe"'],
+      ['unknown-field', 'warning', '"Extra": 1'],
+      ['action-unknown', 'warning', '"s3:GetObjct"'],
+    ]);
+    expect(lintPolicyText(text).report.errorCount).toBe(1);
+  });
+
+  test('should mark a syntax error at its position', () => {
+    const result = lintPolicyText('{"Version": "2012-10-17",}');
+    expect(result.syntaxErrorPosition).toBe(25);
+    expect(result.markers).toEqual([
+      {
+        start: 25,
+        end: 26,
+        severity: 'error',
+        rule: 'invalid-json',
+        message: expect.stringMatching(/^Invalid JSON syntax: .* at line 1, column 26$/),
+      },
+    ]);
+    expect(markedText('{"a":')).toEqual([['invalid-json', 'error', ':']]);
+    expect(lintPolicyText('').markers).toEqual([]);
+  });
+
+  test('should mark findings about the whole document at its first character', () => {
+    expect(markedText('[]')).toEqual([['policy-structure', 'error', '[']]);
+  });
+
+  test('should check against the target provider', () => {
+    const text = JSON.stringify({
+      Version: '2012-10-17',
+      Statement: [{ Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::bkt/*' }],
+    });
+    expect(markedText(text, { provider: 'generic' })).toEqual([
+      ['principal-missing', 'error', text.slice(text.indexOf('{"Effect"'), -2)],
+    ]);
+  });
+});
@@ -1,18 +1,10 @@
 /**
  * Unit tests for bucket name and ARN validation functions
- * Tests the core validation logic from policy-generator.js
+ * Tests the core validation logic from lib/policy-engine.js
  */
 
-import { describe, test, expect, beforeAll } from '@jest/globals';
-import { setupTestEnvironment } from './test-setup.js';
-
-let validateBucketName, validatePrincipalARN;
-
-beforeAll(() => {
-  const window = setupTestEnvironment();
-  validateBucketName = window.validateBucketName;
-  validatePrincipalARN = window.validatePrincipalARN;
-});
+import { describe, test, expect } from '@jest/globals';
+import { validateBucketName, validatePrincipalARN } from '../../lib/policy-engine.js';
 
 describe('Bucket Name Validation', () => {
   describe('Valid bucket names', () => {
@@ -239,8 +231,7 @@ describe('Principal ARN Validation', () => {
       const result = validatePrincipalARN('arn:invalid:iam::123456789012:user/alice');
       expect(result.isValid).toBe(false);
       expect(result.errors.length).toBeGreaterThan(0);
-      // The ARN regex fails first, giving a generic error
-      expect(result.errors[0]).toContain('Invalid ARN format');
+      expect(result.errors[0]).toContain('Invalid partition "invalid"');
     });
   });
 
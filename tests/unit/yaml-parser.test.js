@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the YAML parser
+ * Tests reading CloudFormation templates with lib/yaml-parser.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseYaml } from '../../lib/yaml-parser.js';
+import { exportPolicy } from '../../lib/policy-export.js';
+
+describe('YAML Parser', () => {
+  test('should read block mappings, sequences and scalars', () => {
+    const { isValid, value } = parseYaml(
+      [
+        '---',
+        '# A policy',
+        'Version: 2012-10-17',
+        'Statement:',
+        '- Sid: Read',
+        '  Effect: "Allow"',
+        '  Action:',
+        '    - s3:GetObject',
+        "    - 's3:Get*'",
+        '  Condition:',
+        '    NumericLessThan: {s3:max-keys: 10}',
+        '    Bool: { "aws:SecureTransport": true }',
+        '  Principal: ~',
+        '- [a, [b, c]]',
+      ].join('\n')
+    );
+
+    expect(isValid).toBe(true);
+    expect(value).toEqual({
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Sid: 'Read',
+          Effect: 'Allow',
+          Action: ['s3:GetObject', 's3:Get*'],
+          Condition: {
+            NumericLessThan: { 's3:max-keys': 10 },
+            Bool: { 'aws:SecureTransport': true },
+          },
+          Principal: null,
+        },
+        ['a', ['b', 'c']],
+      ],
+    });
+  });
+
+  test('should read CloudFormation short-form tags as their long form', () => {
+    const { value } = parseYaml(
+      [
+        'Bucket: !Ref LogBucket',
+        'Arn: !GetAtt LogBucket.Arn',
+        "Objects: !Sub '${LogBucket.Arn}/*'",
+        'Joined: !Join',
+        "  - ''",
+        '  - [!GetAtt LogBucket.Arn, /logs]',
+      ].join('\n')
+    );
+
+    expect(value).toEqual({
+      Bucket: { Ref: 'LogBucket' },
+      Arn: { 'Fn::GetAtt': ['LogBucket', 'Arn'] },
+      Objects: { 'Fn::Sub': '${LogBucket.Arn}/*' },
+      Joined: { 'Fn::Join': ['', [{ 'Fn::GetAtt': ['LogBucket', 'Arn'] }, '/logs']] },
+    });
+  });
+
+  test('should read block scalars and multi-line strings', () => {
+    const { value } = parseYaml(
+      [
+        'literal: |',
+        '  line one',
+        '    indented',
+        'folded: >-',
+        '  one',
+        '  two',
+        '',
+        '  three',
+        'quoted: "a\\tb',
+        '  c"',
+        "single: 'it''s'",
+      ].join('\n')
+    );
+
+    expect(value).toEqual({
+      literal: 'line one\n  indented\n',
+      folded: 'one two\nthree',
+      quoted: 'a\tb c',
+      single: "it's",
+    });
+  });
+
+  test('should read the CloudFormation export back to the same policy', () => {
+    const policy = {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Sid: 'Tricky',
+          Effect: 'Allow',
+          Action: 's3:*',
+          Resource: ["it's", 'a: b', '#c', 'N', '- d', '${aws:username}', 'true', '1.5'],
+          Condition: { Bool: { 'aws:SecureTransport': false } },
+        },
+      ],
+    };
+    const { content } = exportPolicy(policy, 'cloudformation', { provider: 'aws' });
+
+    expect(parseYaml(content).value.Resources.BucketPolicy.Properties.PolicyDocument).toEqual(
+      policy
+    );
+  });
+
+  test('should report syntax errors with their line and column', () => {
+    expect(parseYaml('a:\n  b: 1\n c: 2').errors).toEqual([
+      'Invalid YAML syntax: Unexpected indentation at line 3, column 2',
+    ]);
+    expect(parseYaml('a: [1, 2\nb: 3').errors).toEqual([
+      'Invalid YAML syntax: Expected "," or "]" at line 2, column 1',
+    ]);
+    expect(parseYaml('Principal: *').errors).toEqual([
+      'Invalid YAML syntax: Anchors and aliases are not supported at line 1, column 12',
+    ]);
+  });
+});